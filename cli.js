@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { closeBrowser } from './lib/browser.js';
+import { pool } from './lib/db.js';
+import { getFiiData, hasCotacao } from './lib/investidor10.js';
+import { fetchFromProviders } from './lib/providers/index.js';
+import { buildAcaoResponse, buildFiiResponse } from './lib/analysis.js';
+import { buildValuationReport, parseValuationParams, VALUATION_PARAMS } from './lib/valuation.js';
+import { toCsv, toTable } from './lib/output.js';
+
+// --- CLI: mesma busca e análise do servidor, sem subir o Express ---
+// Os módulos de scraping logam com console.log; aqui tudo que não é resultado vai para stderr
+console.log = (...args) => console.error(...args);
+
+const USAGE = `Uso: node cli.js <comando> [tickers...] [opções]
+
+Comandos:
+  acao <tickers...>    analisa ações (Investidor10 + XP + BTG, com valuations)
+  fii <tickers...>     analisa FIIs
+  lote                 lista mista; cada linha do arquivo é "TICKER [acao|fii]"
+
+Opções:
+  -a, --arquivo <caminho>  lê tickers de um arquivo (um por linha, # comenta)
+  -f, --formato <fmt>      tabela (padrão), json ou csv
+  -c, --campos <lista>     colunas da tabela/CSV, separadas por vírgula
+  -t, --tipo <tipo>        tipo padrão das linhas do lote sem tipo (acao)
+      --intervalo <ms>     espera entre scrapings reais (padrão 2000)
+  -h, --ajuda              mostra esta ajuda
+
+Premissas de valuation (mesmos nomes de /valuation/:ticker):
+${Object.entries(VALUATION_PARAMS).map(([key, def]) => `      --${key} <n>`.padEnd(30) + def.label).join('\n')}
+
+Exemplos:
+  node cli.js acao PETR4 VALE3 --formato csv > acoes.csv
+  node cli.js lote --arquivo carteira.txt --formato json --bazinYield 8
+`;
+
+const COLUNAS_PADRAO = {
+    acao: ['ticker', 'cotacao', 'pl', 'pvp', 'dy', 'roe', 'roic', 'margemLiquida', 'dividaLiquidaEbitda',
+        'valorJusto', 'valorRevisado', 'precoTeto', 'gordon', 'dcf', 'lynch'],
+    fii: ['ticker', 'cotacao', 'pvp', 'dy', 'ultimoRendimento', 'y1m', 'vacancia', 'ebn', 'vn', 'segmento', 'score']
+};
+const FORMATOS = ['tabela', 'json', 'csv'];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class UsageError extends Error {}
+
+function parseCli(argv) {
+    const valuationOptions = Object.fromEntries(Object.keys(VALUATION_PARAMS).map(key => [key, { type: 'string' }]));
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            arquivo: { type: 'string', short: 'a' },
+            formato: { type: 'string', short: 'f', default: 'tabela' },
+            campos: { type: 'string', short: 'c' },
+            tipo: { type: 'string', short: 't', default: 'acao' },
+            intervalo: { type: 'string', default: '2000' },
+            ajuda: { type: 'boolean', short: 'h' },
+            ...valuationOptions
+        }
+    });
+    const [comando, ...tickers] = positionals;
+    if (values.ajuda || !comando) return { ajuda: true };
+    if (!['acao', 'fii', 'lote'].includes(comando)) throw new UsageError(`Comando desconhecido: ${comando}`);
+    if (!FORMATOS.includes(values.formato)) throw new UsageError(`Formato inválido: ${values.formato} (use ${FORMATOS.join(', ')})`);
+    if (!['acao', 'fii'].includes(values.tipo)) throw new UsageError(`Tipo inválido: ${values.tipo}`);
+
+    const { error, params } = parseValuationParams(values);
+    if (error) throw new UsageError(error);
+
+    const intervalo = Number(values.intervalo);
+    if (!Number.isFinite(intervalo) || intervalo < 0) throw new UsageError('Intervalo inválido.');
+
+    return {
+        comando,
+        tickers,
+        arquivo: values.arquivo,
+        formato: values.formato,
+        campos: values.campos ? values.campos.split(',').map(c => c.trim()).filter(Boolean) : null,
+        tipoPadrao: comando === 'lote' ? values.tipo : comando,
+        intervalo,
+        params
+    };
+}
+
+// "PETR4", "HGLG11 fii" -> { ticker, tipo }; vale para argumentos e linhas de arquivo
+function parseEntrada(texto, tipoPadrao, permiteTipo) {
+    const [ticker, tipo] = texto.trim().split(/[\s,;]+/);
+    const entrada = { ticker: ticker.toUpperCase(), tipo: tipoPadrao };
+    if (!/^[A-Z0-9]{4,11}$/.test(entrada.ticker)) throw new UsageError(`Ticker inválido: ${ticker}`);
+    if (tipo) {
+        if (!permiteTipo) throw new UsageError(`Tipo por linha só vale no comando lote (${texto.trim()})`);
+        if (!['acao', 'fii'].includes(tipo.toLowerCase())) throw new UsageError(`Tipo inválido na linha "${texto.trim()}"`);
+        entrada.tipo = tipo.toLowerCase();
+    }
+    return entrada;
+}
+
+async function lerEntradas(opts) {
+    const linhas = [...opts.tickers];
+    if (opts.arquivo) {
+        const conteudo = await readFile(opts.arquivo, 'utf8');
+        linhas.push(...conteudo.split(/\r?\n/).map(l => l.replace(/#.*/, '').trim()).filter(Boolean));
+    }
+    const permiteTipo = opts.comando === 'lote';
+    // Em acao/fii os argumentos podem vir separados por vírgula: "PETR4,VALE3"
+    const textos = permiteTipo ? linhas : linhas.flatMap(l => l.split(/[\s,;]+/)).filter(Boolean);
+    const entradas = textos.map(t => parseEntrada(t, opts.tipoPadrao, permiteTipo));
+    if (entradas.length === 0) throw new UsageError('Informe ao menos um ticker (argumentos ou --arquivo).');
+    return entradas;
+}
+
+async function analisar({ ticker, tipo }, params) {
+    if (tipo === 'fii') {
+        const { data, fetchedAt, cacheHit } = await getFiiData(ticker);
+        if (!hasCotacao(data)) return { resultado: { ticker, tipo, erro: 'Ativo não encontrado.' }, cacheHit };
+        return { resultado: { tipo, ...buildFiiResponse(ticker, data), fetchedAt }, cacheHit };
+    }
+    const { data, sources, fetchedAt, cacheHit } = await fetchFromProviders(ticker);
+    if (!hasCotacao(data)) return { resultado: { ticker, tipo, erro: 'Ativo não encontrado.' }, cacheHit };
+    return {
+        resultado: { tipo, ...buildAcaoResponse(ticker, data, params), valuation: buildValuationReport(data, params), fontes: sources, fetchedAt },
+        cacheHit
+    };
+}
+
+// { cotacao: { value, class } } -> { cotacao: 'R$ 12,34' } para tabela/CSV
+function achatar(resultado) {
+    const linha = {};
+    for (const [key, value] of Object.entries(resultado)) {
+        if (value && typeof value === 'object' && 'value' in value) linha[key] = value.value;
+        else if (typeof value !== 'object') linha[key] = value;
+    }
+    return linha;
+}
+
+function formatar(resultados, opts) {
+    if (opts.formato === 'json') return JSON.stringify(resultados, null, 2) + '\n';
+    const tipos = [...new Set(resultados.map(r => r.tipo))];
+    let colunas = opts.campos || [...new Set(tipos.flatMap(t => COLUNAS_PADRAO[t]))];
+    if (!opts.campos && tipos.length > 1) colunas = ['ticker', 'tipo', ...colunas.filter(c => c !== 'ticker')];
+    if (resultados.some(r => r.erro)) colunas = [...colunas, 'erro'];
+    const linhas = resultados.map(achatar);
+    return opts.formato === 'csv' ? toCsv(linhas, colunas) : toTable(linhas, colunas);
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseCli(process.argv.slice(2));
+        if (opts.ajuda) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        opts.entradas = await lerEntradas(opts);
+    } catch (e) {
+        const argumentoInvalido = e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS') || e.code === 'ENOENT';
+        if (!argumentoInvalido) throw e;
+        console.error(`❌ ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const resultados = [];
+    for (const [i, entrada] of opts.entradas.entries()) {
+        try {
+            const { resultado, cacheHit } = await analisar(entrada, opts.params);
+            resultados.push(resultado);
+            // Mesmo cuidado do screener: só espera entre scrapings reais
+            if (!cacheHit && i < opts.entradas.length - 1) await sleep(opts.intervalo);
+        } catch (e) {
+            resultados.push({ ticker: entrada.ticker, tipo: entrada.tipo, erro: e.message });
+        }
+    }
+
+    process.stdout.write(formatar(resultados, opts));
+    return resultados.some(r => r.erro) ? 1 : 0;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(e => {
+        console.error('❌ Erro inesperado:', e);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await closeBrowser();
+        await pool.end();
+    });
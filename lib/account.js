@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { pool } from './db.js';
+import { hashToken } from './auth.js';
+import { sendMail } from './mailer.js';
+
+// --- POLÍTICA DE SENHA ---
+export const PASSWORD_MIN_LENGTH = 8;
+// O bcrypt ignora tudo depois de 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+const SENHAS_COMUNS = new Set([
+    '12345678', '123456789', '1234567890', '87654321', 'senha123', 'senha1234', 'password1', 'password123',
+    'qwerty123', 'abc12345', 'abcd1234', 'mudar123', 'admin123', 'brasil123', 'iloveyou1'
+]);
+
+// Devolve a mensagem de erro ou null se a senha atende à política
+export function validatePassword(password, email = '') {
+    if (typeof password !== 'string' || password.length === 0) return 'Informe a senha.';
+    if (password.length < PASSWORD_MIN_LENGTH) return `A senha deve ter ao menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) return `A senha deve ter no máximo ${PASSWORD_MAX_BYTES} bytes.`;
+    if (!/\p{L}/u.test(password) || !/\d/.test(password)) return 'A senha deve ter letras e números.';
+    const normalizada = password.toLowerCase();
+    if (SENHAS_COMUNS.has(normalizada)) return 'Essa senha é muito comum. Escolha outra.';
+    const [local] = String(email).toLowerCase().split('@');
+    if (email && (normalizada === String(email).toLowerCase() || (local.length >= 4 && normalizada.includes(local)))) {
+        return 'A senha não pode conter o seu e-mail.';
+    }
+    return null;
+}
+
+export const hashPassword = (password) => bcrypt.hash(password, 10);
+export const isValidEmail = (email) => typeof email === 'string' && email.length <= 255 && /^[^\s@]+@[^\s@]+$/.test(email);
+
+// --- REDEFINIÇÃO DE SENHA ---
+const RESET_TTL_MS = (Number(process.env.RESET_TTL_MIN) || 30) * 60 * 1000;
+
+// Só o link mais recente vale: os pedidos anteriores ainda abertos são invalidados
+export async function createPasswordReset(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + RESET_TTL_MS);
+    await pool.execute('UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [userId]);
+    await pool.execute(
+        'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [userId, hashToken(token), expiresAt]
+    );
+    return { token, expiresAt };
+}
+
+export function buildResetEmail(email, link, expiresAt) {
+    const hora = expiresAt.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    return {
+        to: email,
+        subject: 'Redefinição de senha - InvistaMais',
+        text: [
+            'Recebemos um pedido para redefinir a senha da sua conta.',
+            `Abra o link abaixo para escolher uma nova senha (válido até ${hora}, uma única vez):`,
+            link,
+            '',
+            'Se não foi você, ignore este e-mail: a senha atual continua valendo.'
+        ].join('\n')
+    };
+}
+
+/**
+ * Gera o token e manda o link por e-mail. E-mail sem conta não gera nada; a rota responde
+ * igual nos dois casos para não revelar quem tem cadastro. Devolve true se enviou.
+ */
+export async function requestPasswordReset(email, baseUrl) {
+    const [users] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
+    if (users.length === 0) return false;
+    const { token, expiresAt } = await createPasswordReset(users[0].id);
+    await sendMail(buildResetEmail(email, `${baseUrl}/redefinir.html?token=${token}`, expiresAt));
+    return true;
+}
+
+// Pedido ainda válido -> { userId, email }; não consome o token (a senha nova ainda pode ser recusada)
+export async function findPasswordReset(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+    const [rows] = await pool.execute(
+        `SELECT r.user_id, u.email FROM password_resets r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    return rows.length ? { userId: rows[0].user_id, email: rows[0].email } : null;
+}
+
+// Valida e marca como usado na mesma instrução: dois envios simultâneos não passam os dois
+export async function consumePasswordReset(token) {
+    const [result] = await pool.execute(
+        'UPDATE password_resets SET used_at = NOW() WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+        [hashToken(token)]
+    );
+    return result.affectedRows === 1;
+}
+
+// --- CONTA ---
+export async function findUserById(userId) {
+    const [users] = await pool.execute('SELECT id, email, password_hash FROM users WHERE id = ?', [userId]);
+    return users[0] || null;
+}
+
+export async function updatePassword(userId, password) {
+    await pool.execute('UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), userId]);
+}
+
+// As tabelas do usuário têm ON DELETE CASCADE (lib/schema.js): carteira, watchlists, alertas, sessões...
+export async function deleteAccount(userId) {
+    const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [userId]);
+    return result.affectedRows > 0;
+}
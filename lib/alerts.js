@@ -0,0 +1,142 @@
+import { pool } from './db.js';
+import { strToNumber } from './format.js';
+import { analyzeTicker } from './analysis.js';
+
+// --- REGRAS DE ALERTA (avaliadas sobre a mesma resposta de /buscar e /buscar-fii) ---
+const num = (field) => strToNumber(field?.value);
+
+export const ALERT_RULES = {
+    graham: {
+        label: 'Cotação abaixo do Valor Justo (Graham)',
+        tipos: ['acao'],
+        check: (a) => a.valorJusto?.class === 'good',
+        describe: (a) => `cotação ${a.cotacao.value} abaixo do Valor Justo (Graham) ${a.valorJusto.value}`
+    },
+    bazin: {
+        label: 'Cotação abaixo do Preço Teto (Bazin)',
+        tipos: ['acao'],
+        check: (a) => a.precoTeto?.class === 'good',
+        describe: (a) => `cotação ${a.cotacao.value} abaixo do Preço Teto (Bazin) ${a.precoTeto.value}`
+    },
+    pvp_abaixo: {
+        label: 'P/VP abaixo de',
+        tipos: ['acao', 'fii'],
+        defaultThreshold: 1,
+        check: (a, limite) => num(a.pvp) !== null && num(a.pvp) < limite,
+        describe: (a, limite) => `P/VP ${a.pvp.value} abaixo de ${limite}`
+    },
+    dy_acima: {
+        label: 'DY acima de (%)',
+        tipos: ['acao', 'fii'],
+        defaultThreshold: 6,
+        check: (a, limite) => num(a.dy) !== null && num(a.dy) > limite,
+        describe: (a, limite) => `DY ${a.dy.value} acima de ${limite}%`
+    },
+    pl_abaixo: {
+        label: 'P/L abaixo de',
+        tipos: ['acao'],
+        defaultThreshold: 10,
+        check: (a, limite) => num(a.pl) !== null && num(a.pl) > 0 && num(a.pl) < limite,
+        describe: (a, limite) => `P/L ${a.pl.value} abaixo de ${limite}`
+    }
+};
+
+export function evaluateRule(ruleType, threshold, analysis, tipo) {
+    const rule = ALERT_RULES[ruleType];
+    if (!rule || !rule.tipos.includes(tipo)) return { triggered: false, message: null };
+    const limite = threshold ?? rule.defaultThreshold;
+    const triggered = Boolean(rule.check(analysis, limite));
+    return { triggered, message: triggered ? rule.describe(analysis, limite) : null };
+}
+
+/**
+ * Verifica todas as regras de todas as watchlists. Cada ticker é buscado uma
+ * vez só (em sequência, uma página do Puppeteer por vez) e avaliado contra
+ * todas as regras que o envolvem. Notifica apenas na transição "não disparada
+ * -> disparada", para não repetir o mesmo alerta a cada rodada.
+ */
+export async function runAlertCheck() {
+    const [rows] = await pool.query(
+        `SELECT r.id AS rule_id, r.rule_type, r.threshold, w.id AS watchlist_id, w.name, w.user_id,
+                i.ticker, i.asset_type
+         FROM alert_rules r
+         JOIN watchlists w ON w.id = r.watchlist_id
+         JOIN watchlist_items i ON i.watchlist_id = w.id`
+    );
+
+    const byTicker = new Map();
+    for (const row of rows) {
+        const key = `${row.ticker}:${row.asset_type}`;
+        if (!byTicker.has(key)) byTicker.set(key, []);
+        byTicker.get(key).push(row);
+    }
+
+    let notificacoes = 0;
+    for (const [key, ruleRows] of byTicker) {
+        const [ticker, tipo] = key.split(':');
+        // Cada usuário vê o ativo com os próprios perfis de limites; depois do primeiro, o scraping vem do cache
+        const analyses = new Map();
+        try {
+            for (const userId of new Set(ruleRows.map(row => row.user_id))) {
+                const analysis = await analyzeTicker(ticker, tipo, userId);
+                if (!analysis) break;
+                analyses.set(userId, analysis);
+            }
+        } catch (e) {
+            console.error(`❌ Alerta: erro ao analisar ${ticker}:`, e.message);
+            continue;
+        }
+
+        for (const row of ruleRows) {
+            const analysis = analyses.get(row.user_id);
+            if (!analysis) continue;
+            const { triggered, message } = evaluateRule(row.rule_type, row.threshold, analysis, tipo);
+            const [states] = await pool.execute(
+                'SELECT triggered FROM alert_states WHERE rule_id = ? AND ticker = ?', [row.rule_id, ticker]
+            );
+            const wasTriggered = states.length > 0 && Boolean(states[0].triggered);
+
+            if (triggered && !wasTriggered) {
+                await pool.execute(
+                    'INSERT INTO notifications (user_id, ticker, message) VALUES (?, ?, ?)',
+                    [row.user_id, ticker, `${ticker} (${row.name}): ${message}`]
+                );
+                notificacoes++;
+            }
+            await pool.execute(
+                `INSERT INTO alert_states (rule_id, ticker, triggered, checked_at) VALUES (?, ?, ?, NOW())
+                 ON DUPLICATE KEY UPDATE triggered = VALUES(triggered), checked_at = VALUES(checked_at)`,
+                [row.rule_id, ticker, triggered]
+            );
+        }
+    }
+    return { tickers: byTicker.size, notificacoes };
+}
+
+// --- AGENDADOR ---
+let alertTimer = null;
+let alertRunning = false;
+
+export function startAlertScheduler() {
+    const minutes = Number(process.env.ALERT_INTERVAL_MINUTES) || 60;
+    if (alertTimer) return;
+
+    alertTimer = setInterval(async () => {
+        if (alertRunning) return; // rodada anterior ainda em andamento
+        alertRunning = true;
+        try {
+            const { tickers, notificacoes } = await runAlertCheck();
+            console.log(`🔔 Alertas verificados: ${tickers} ativos, ${notificacoes} novos alertas.`);
+        } catch (e) {
+            console.error('❌ Erro na verificação de alertas:', e.message);
+        } finally {
+            alertRunning = false;
+        }
+    }, minutes * 60 * 1000);
+    console.log(`🔔 Verificação de alertas a cada ${minutes} min.`);
+}
+
+export function stopAlertScheduler() {
+    if (alertTimer) clearInterval(alertTimer);
+    alertTimer = null;
+}
@@ -0,0 +1,211 @@
+import { strToNumber, formatBRL } from './format.js';
+import { getAcaoData, getFiiData, hasCotacao } from './investidor10.js';
+import { computeValuations, DEFAULT_VALUATION_PARAMS } from './valuation.js';
+import { scoreFii } from './scoring.js';
+import { DEFAULT_THRESHOLD_PROFILES, resolveThresholdProfile, classifyThreshold, loadThresholdProfiles } from './thresholds.js';
+import { normalizeStatements, mergeStatements, buildStatementsReport, recordStatements, loadStatements } from './statements.js';
+import { fetchFromProviders, ACAO_PROVIDERS, investidor10 } from './providers/index.js';
+import { recordSnapshot } from './history.js';
+
+// --- HELPER FUNCTIONS ---
+export function createResponse(val, type='neutral') {
+    return { value: val || '-', class: type };
+}
+
+// Limites vêm do perfil do setor (lib/thresholds.js); sem perfil, os limites padrão
+export function classifyIndicator(indicator, valueStr, limites = DEFAULT_THRESHOLD_PROFILES.padrao.limites) {
+    return classifyThreshold(indicator, strToNumber(valueStr), limites);
+}
+
+export function classifyValuation(cotacaoStr, valuation) {
+    const cotacao = strToNumber(cotacaoStr);
+    if (cotacao === null || valuation === null || valuation <= 0) return { value: '-', class: 'neutral' };
+    return { value: formatBRL(valuation), class: cotacao < valuation ? 'good' : 'bad' };
+}
+
+export const getRecClass = (rec) => {
+    if (!rec) return 'neutral';
+    const lowerRec = rec.toLowerCase();
+    if (lowerRec === 'compra') return 'good';
+    if (lowerRec === 'venda') return 'bad';
+    return 'neutral';
+};
+
+export function getGrahamWarning(i10Data, profiles = DEFAULT_THRESHOLD_PROFILES) {
+    const { chave } = resolveThresholdProfile(i10Data.setor, i10Data.segmento, profiles);
+    return profiles[chave].grahamConfiavel ? null : "Graham pode ser impreciso p/ setor";
+}
+
+// --- ANÁLISE (monta a resposta de /buscar e /buscar-fii a partir dos dados brutos) ---
+// Os valuations vêm do motor em valuation.js; params permite trocar as premissas padrão.
+// profiles: perfis de limites (os do usuário em /buscar, os embutidos no resto)
+export function buildAcaoResponse(ticker, i10Data, params = DEFAULT_VALUATION_PARAMS, profiles = DEFAULT_THRESHOLD_PROFILES) {
+    const valuations = computeValuations(i10Data, params);
+
+    const grahamWarning = getGrahamWarning(i10Data, profiles);
+    const { chave, origem, criterio } = resolveThresholdProfile(i10Data.setor, i10Data.segmento, profiles);
+    const perfil = profiles[chave];
+    // demonstrativos: texto do scraping ou anos já numéricos (os guardados no banco somados em /buscar)
+    const demonstrativos = buildStatementsReport(normalizeStatements(i10Data.demonstrativos), i10Data);
+    const { piotroski, altman } = demonstrativos;
+
+    const createIndicatorResponse = (key, valueStr, classify = false) => {
+         const classificationClass = classify ? classifyIndicator(key, valueStr, perfil.limites) : 'neutral';
+         return { value: valueStr || '-', class: classificationClass };
+    };
+
+    return {
+        ticker: ticker.toUpperCase(),
+        perfilLimites: { chave, label: perfil.label, origem, criterio, personalizado: Boolean(perfil.personalizado) },
+        // Preço & Mercado
+        cotacao: createIndicatorResponse('cotacao', i10Data.cotacao),
+        pl: createIndicatorResponse('pl', i10Data.pl, true),
+        pvp: createIndicatorResponse('pvp', i10Data.pvp, true),
+        // pebitda REMOVIDO
+        // evebitda REMOVIDO
+        // pativo REMOVIDO
+        
+        // Proventos
+        dy: createIndicatorResponse('dy', i10Data.dy, true),
+        dy5Anos: createIndicatorResponse('dy5Anos', i10Data.dy5Anos, true),
+        payout: createIndicatorResponse('payout', i10Data.payout, true),
+
+        // Rentabilidade
+        roe: createIndicatorResponse('roe', i10Data.roe, true),
+        roic: createIndicatorResponse('roic', i10Data.roic, true),
+        roa: createIndicatorResponse('roa', i10Data.roa),
+        margemBruta: createIndicatorResponse('margemBruta', i10Data.margemBruta),
+        // margemEbit REMOVIDO
+        margemEbitda: createIndicatorResponse('margemEbitda', i10Data.margemEbitda, true),
+        margemLiquida: createIndicatorResponse('margemLiquida', i10Data.margemLiquida, true),
+
+        // Dívida e Liquidez
+        // dividaLiquidaEbit REMOVIDO
+        dividaLiquidaEbitda: createIndicatorResponse('dividaLiquidaEbitda', i10Data.dividaLiquidaEbitda, true),
+        dividaLiquidaPatrimonio: createIndicatorResponse('dividaLiquidaPatrimonio', i10Data.dividaLiquidaPatrimonio),
+        liquidezCorrente: createIndicatorResponse('liquidezCorrente', i10Data.liquidezCorrente, true),
+        
+        // Outros
+        cagrLucros: createIndicatorResponse('cagrLucros', i10Data.cagrLucros, true),
+        piotroski: piotroski ? { value: `${piotroski.pontos}/${piotroski.maximo}`, class: piotroski.classe } : createResponse(null),
+        altmanZ: altman ? { value: `${String(altman.z).replace('.', ',')} (${altman.zona})`, class: altman.classe } : createResponse(null),
+        lpa: createIndicatorResponse('lpa', i10Data.lpa),
+        vpa: createIndicatorResponse('vpa', i10Data.vpa),
+        giroAtivos: createIndicatorResponse('giroAtivos', i10Data.giroAtivos),
+
+        // Valuation
+        precoTeto: classifyValuation(i10Data.cotacao, valuations.precoTeto),
+        bazin5Y: classifyValuation(i10Data.cotacao, valuations.bazin5Y),
+        valorJusto: classifyValuation(i10Data.cotacao, valuations.valorJusto),
+        valorRevisado: classifyValuation(i10Data.cotacao, valuations.valorRevisado),
+        gordon: classifyValuation(i10Data.cotacao, valuations.gordon),
+        dcf: classifyValuation(i10Data.cotacao, valuations.dcf),
+        lynch: classifyValuation(i10Data.cotacao, valuations.lynch),
+        grahamWarning: grahamWarning,
+        demonstrativos,
+        
+        // Analistas (provedores XP e BTG)
+        xpiRecomendacao: { value: i10Data.xpiRecomendacao || '-', class: getRecClass(i10Data.xpiRecomendacao) },
+        xpiPrecoAlvo: createIndicatorResponse('xpiPrecoAlvo', i10Data.xpiPrecoAlvo),
+        xpiPotencial: createIndicatorResponse('potencial', i10Data.xpiPotencial || computePotencial(i10Data.cotacao, i10Data.xpiPrecoAlvo), true),
+        xpiRisco: createIndicatorResponse('risco', i10Data.xpiRisco, true),
+        btgRecomendacao: { value: i10Data.btgRecomendacao || '-', class: getRecClass(i10Data.btgRecomendacao) },
+        btgPrecoAlvo: createIndicatorResponse('btgPrecoAlvo', i10Data.btgPrecoAlvo),
+        btgPotencial: createIndicatorResponse('potencial', i10Data.btgPotencial || computePotencial(i10Data.cotacao, i10Data.btgPrecoAlvo), true)
+    };
+}
+
+// Potencial (%) implícito no preço-alvo quando a corretora não informa: "R$ 40,00" vs cotação "R$ 32,00" -> "25,00%"
+export function computePotencial(cotacaoStr, precoAlvoStr) {
+    const cotacao = strToNumber(cotacaoStr);
+    const alvo = strToNumber(precoAlvoStr);
+    if (!cotacao || !alvo || cotacao <= 0) return null;
+    return `${(((alvo / cotacao) - 1) * 100).toFixed(2).replace('.', ',')}%`;
+}
+
+export function buildFiiResponse(ticker, rawData) {
+    const cotacaoNum = strToNumber(rawData.cotacao);
+    const ultimoRendimentoNum = strToNumber(rawData.ultimoRendimento);
+    let ebn = '-';
+    let vn = '-';
+    if (cotacaoNum !== null && ultimoRendimentoNum !== null && cotacaoNum > 0 && ultimoRendimentoNum > 0) {
+        const ebnNum = Math.ceil(cotacaoNum / ultimoRendimentoNum);
+        ebn = String(ebnNum);
+        vn = formatBRL(ebnNum * cotacaoNum);
+    }
+    
+    // Classes e score dependem do segmento do fundo (lib/scoring.js)
+    const score = scoreFii(rawData);
+    const { classes } = score;
+
+    return {
+        ticker: ticker.toUpperCase(),
+        cotacao: { value: rawData.cotacao || '-', class: 'neutral' }, 
+        pvp: { value: rawData.pvp || '-', class: classes.pvp },
+        dy: { value: rawData.dy || '-', class: classes.dy },
+        liquidezDiaria: { value: rawData.liquidezDiaria || '-', class: classes.liquidezDiaria },
+        // valorMercado REMOVIDO
+        ultimoRendimento: { value: rawData.ultimoRendimento || '-', class: 'neutral' },
+        y1m: { value: rawData.y1m || '-', class: classes.y1m },
+        ebn: { value: String(ebn), class: 'neutral' },
+        vn: { value: String(vn), class: 'neutral' },
+        valorPatrimonial: { value: rawData.valorPatrimonial || '-', class: 'neutral' },
+        vpa: { value: rawData.vpa || '-', class: 'neutral' },
+        vacancia: { value: rawData.vacancia || '-', class: classes.vacancia },
+        numCotistas: { value: rawData.numCotistas || '-', class: classes.numCotistas },
+        cotasEmitidas: { value: rawData.cotasEmitidas || '-', class: 'neutral' },
+        segmento: { value: rawData.segmento || '-', class: 'neutral' },
+        tipoFundo: { value: rawData.tipoFundo || '-', class: 'neutral' },
+        tipoGestao: { value: rawData.tipoGestao || '-', class: 'neutral' },
+        taxaAdm: { value: rawData.taxaAdm || '-', class: classes.taxaAdm },
+        score: { value: score.valor, class: score.classe, perfil: score.perfil, perfilLabel: score.perfilLabel, contribuicoes: score.contribuicoes },
+    };
+}
+
+/**
+ * Busca completa de uma ação para um usuário (/buscar e /api/v1/acoes): provedores em paralelo,
+ * perfis de limites do usuário e anos de demonstrativos já guardados. Toda busca com cotação grava o
+ * snapshot do dia, assim como a atualização em segundo plano do cache vencido.
+ * Devolve null sem cotação; senão { data, sources, providers, fetchedAt, cacheHit, perfis },
+ * com data.demonstrativos já somando os anos guardados aos lidos.
+ */
+export async function loadAcaoAnalysis(ticker, userId) {
+    // Investidor10, XP e BTG em paralelo, cada um com seu timeout (ver lib/providers)
+    const [{ data, sources, providers, fetchedAt, cacheHit }, perfis, anosGuardados] = await Promise.all([
+        // Cache vencido volta na hora e é atualizado depois: o snapshot sai da página nova do Investidor10
+        fetchFromProviders(ticker, ACAO_PROVIDERS, {
+            onRefresh: (provider, novo) => {
+                if (provider !== investidor10 || !hasCotacao(novo.data)) return;
+                recordSnapshot(ticker, 'acao', novo.data, new Date(novo.fetchedAt));
+                recordStatements(ticker, normalizeStatements(novo.data.demonstrativos), new Date(novo.fetchedAt));
+            }
+        }),
+        loadThresholdProfiles(userId),
+        // Sem banco os scores saem só com os anos da página
+        loadStatements(ticker).catch(() => [])
+    ]);
+    if (!hasCotacao(data)) return null;
+
+    // Também com hit de cache: o cache pode ter sido preenchido por screener, alertas ou cotações ao vivo,
+    // que não gravam. saveSnapshot guarda um ponto por dia. Indicadores e demonstrativos são da página
+    // do Investidor10: vale o horário dela, não o combinado com XP e BTG
+    const anosLidos = normalizeStatements(data.demonstrativos);
+    const i10 = providers.find(p => p.nome === investidor10.name);
+    if (i10?.fetchedAt) {
+        recordSnapshot(ticker, 'acao', data, i10.fetchedAt);
+        recordStatements(ticker, anosLidos, i10.fetchedAt);
+    }
+    const demonstrativos = mergeStatements(anosGuardados, anosLidos);
+    return { data: { ...data, demonstrativos }, sources, providers, fetchedAt, cacheHit, perfis };
+}
+
+// Busca e analisa um ativo fora das rotas (alertas, jobs) com os perfis de limites do usuário;
+// null se não achar a cotação
+export async function analyzeTicker(ticker, tipo = 'acao', userId) {
+    if (tipo === 'fii') {
+        const { data } = await getFiiData(ticker);
+        return hasCotacao(data) ? buildFiiResponse(ticker, data) : null;
+    }
+    const [{ data }, perfis] = await Promise.all([getAcaoData(ticker), loadThresholdProfiles(userId)]);
+    return hasCotacao(data) ? buildAcaoResponse(ticker, data, undefined, perfis) : null;
+}
@@ -0,0 +1,152 @@
+import { strToNumber, parseAmount } from './format.js';
+import { buildAcaoResponse, buildFiiResponse } from './analysis.js';
+import { buildValuationReport } from './valuation.js';
+
+// --- API PÚBLICA v1 (valores numéricos com unidade, fonte e classificação) ---
+// Unidades: BRL (reais), % (percentual, 12,4% -> 12.4), x (múltiplo), un (quantidade), texto
+const numero = (valor) => strToNumber(valor);
+const montante = (valor) => parseAmount(valor);
+const texto = (valor) => valor;
+
+export const ACAO_API_FIELDS = {
+    cotacao: { label: 'Cotação', unidade: 'BRL', parse: numero },
+    pl: { label: 'P/L', unidade: 'x', parse: numero },
+    pvp: { label: 'P/VP', unidade: 'x', parse: numero },
+    dy: { label: 'Dividend yield 12 meses', unidade: '%', parse: numero },
+    dy5Anos: { label: 'Dividend yield médio 5 anos', unidade: '%', parse: numero },
+    payout: { label: 'Payout', unidade: '%', parse: numero },
+    roe: { label: 'ROE', unidade: '%', parse: numero },
+    roic: { label: 'ROIC', unidade: '%', parse: numero },
+    roa: { label: 'ROA', unidade: '%', parse: numero },
+    margemBruta: { label: 'Margem bruta', unidade: '%', parse: numero },
+    margemEbitda: { label: 'Margem EBITDA', unidade: '%', parse: numero },
+    margemLiquida: { label: 'Margem líquida', unidade: '%', parse: numero },
+    dividaLiquidaEbitda: { label: 'Dívida líquida / EBITDA', unidade: 'x', parse: numero },
+    dividaLiquidaPatrimonio: { label: 'Dívida líquida / Patrimônio', unidade: 'x', parse: numero },
+    liquidezCorrente: { label: 'Liquidez corrente', unidade: 'x', parse: numero },
+    cagrLucros: { label: 'CAGR lucros 5 anos', unidade: '%', parse: numero },
+    lpa: { label: 'LPA', unidade: 'BRL', parse: numero },
+    vpa: { label: 'VPA', unidade: 'BRL', parse: numero },
+    giroAtivos: { label: 'Giro dos ativos', unidade: 'x', parse: numero },
+    xpiRecomendacao: { label: 'Recomendação XP', unidade: 'texto', parse: texto },
+    xpiPrecoAlvo: { label: 'Preço-alvo XP', unidade: 'BRL', parse: numero },
+    xpiPotencial: { label: 'Potencial XP', unidade: '%', parse: numero },
+    xpiRisco: { label: 'Risco XP', unidade: '%', parse: numero },
+    btgRecomendacao: { label: 'Recomendação BTG', unidade: 'texto', parse: texto },
+    btgPrecoAlvo: { label: 'Preço-alvo BTG', unidade: 'BRL', parse: numero },
+    btgPotencial: { label: 'Potencial BTG', unidade: '%', parse: numero }
+};
+
+export const FII_API_FIELDS = {
+    cotacao: { label: 'Cotação', unidade: 'BRL', parse: numero },
+    pvp: { label: 'P/VP', unidade: 'x', parse: numero },
+    dy: { label: 'Dividend yield 12 meses', unidade: '%', parse: numero },
+    liquidezDiaria: { label: 'Liquidez diária', unidade: 'BRL', parse: montante },
+    ultimoRendimento: { label: 'Último rendimento por cota', unidade: 'BRL', parse: numero },
+    y1m: { label: 'Yield do último mês', unidade: '%', parse: numero },
+    ebn: { label: 'Cotas para R$ 1/mês (número mágico)', unidade: 'un', parse: numero },
+    vn: { label: 'Valor para R$ 1/mês', unidade: 'BRL', parse: numero },
+    valorPatrimonial: { label: 'Valor patrimonial', unidade: 'BRL', parse: montante },
+    vpa: { label: 'Valor patrimonial por cota', unidade: 'BRL', parse: numero },
+    vacancia: { label: 'Vacância', unidade: '%', parse: numero },
+    numCotistas: { label: 'Número de cotistas', unidade: 'un', parse: montante },
+    cotasEmitidas: { label: 'Cotas emitidas', unidade: 'un', parse: montante },
+    taxaAdm: { label: 'Taxa de administração (a.a.)', unidade: '%', parse: numero },
+    segmento: { label: 'Segmento', unidade: 'texto', parse: texto },
+    tipoFundo: { label: 'Tipo de fundo', unidade: 'texto', parse: texto },
+    tipoGestao: { label: 'Tipo de gestão', unidade: 'texto', parse: texto }
+};
+
+// --- ERROS ---
+// Formato único da API: { error: { code, message } } (+ detalhes quando houver)
+export function sendApiError(res, status, code, message, detalhes = undefined) {
+    return res.status(status).json({ error: { code, message, ...(detalhes ? { detalhes } : {}) } });
+}
+
+// "02/06/2025" -> "2025-06-02"
+const isoDate = (data) => {
+    const m = typeof data === 'string' && data.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+};
+
+// { value: 'R$ 12,34', class: 'good' } da análise -> { valor: 12.34, unidade, classe, fonte }
+// fonte 'calculado' quando o valor não veio de um provedor (potencial implícito, EBN, VN)
+function toIndicators(fields, resposta, sources = {}) {
+    return Object.fromEntries(Object.entries(fields).map(([campo, { unidade, parse }]) => {
+        const bruto = resposta[campo]?.value;
+        const valor = (bruto === undefined || bruto === null || bruto === '-' ? null : parse(String(bruto))) ?? null;
+        const fonte = sources[campo] ?? (valor !== null ? 'calculado' : null);
+        return [campo, { valor, unidade, classe: resposta[campo]?.class ?? null, fonte }];
+    }));
+}
+
+function toProventos(dividendos) {
+    return (Array.isArray(dividendos) ? dividendos : []).map(d => ({
+        tipo: d.tipo || null,
+        dataCom: isoDate(d.dataCom),
+        pagamento: isoDate(d.pagamento),
+        valor: strToNumber(d.valor),
+        unidade: 'BRL'
+    }));
+}
+
+// Sem o texto formatado dos cards: só número, classe e margem
+export function toApiValuation(report) {
+    return {
+        cotacao: report.cotacao,
+        crescimento: report.crescimento,
+        premissas: report.parametros,
+        modelos: report.modelos.map(({ id, label, valor, class: classe, margem }) => ({ id, label, valor, unidade: 'BRL', classe, margem }))
+    };
+}
+
+const toApiSources = (providers) => providers.map(({ nome, label, status, fetchedAt, cacheHit, faltando, erro }) => ({
+    nome, label, status, fetchedAt: fetchedAt ?? null, cacheHit: cacheHit ?? null,
+    ...(faltando ? { faltando } : {}), ...(erro ? { erro } : {})
+}));
+
+/**
+ * Resposta de /api/v1/acoes/:ticker a partir do resultado de loadAcaoAnalysis (lib/analysis.js).
+ * Classes pelos limites do usuário dono da chave, como em /buscar.
+ */
+export function toApiAcao(ticker, { data, sources, providers, fetchedAt, cacheHit, perfis }) {
+    const resposta = buildAcaoResponse(ticker, data, undefined, perfis);
+    const { piotroski, altman, ...demonstrativos } = resposta.demonstrativos;
+    return {
+        ticker: resposta.ticker,
+        tipo: 'acao',
+        fetchedAt,
+        cacheHit,
+        fontes: toApiSources(providers),
+        setor: data.setor || null,
+        segmento: data.segmento || null,
+        perfilLimites: resposta.perfilLimites,
+        indicadores: toIndicators(ACAO_API_FIELDS, resposta, sources),
+        valuation: { ...toApiValuation(buildValuationReport(data)), grahamAviso: resposta.grahamWarning },
+        qualidade: { piotroski, altman, aviso: demonstrativos.aviso },
+        demonstrativos: { anos: demonstrativos.anos, crescimento: demonstrativos.crescimento },
+        proventos: toProventos(data.dividendos)
+    };
+}
+
+// Resposta de /api/v1/fiis/:ticker (uma fonte só: Investidor10)
+export function toApiFii(ticker, { data, fetchedAt, cacheHit }) {
+    const resposta = buildFiiResponse(ticker, data);
+    const { score } = resposta;
+    return {
+        ticker: resposta.ticker,
+        tipo: 'fii',
+        fetchedAt,
+        cacheHit,
+        fontes: [{ nome: 'investidor10Fii', label: 'Investidor10', status: 'ok', fetchedAt, cacheHit }],
+        indicadores: toIndicators(FII_API_FIELDS, resposta, Object.fromEntries(Object.keys(data).map(campo => [campo, 'investidor10Fii']))),
+        score: {
+            valor: score.value,
+            classe: score.class,
+            perfil: score.perfil,
+            perfilLabel: score.perfilLabel,
+            contribuicoes: score.contribuicoes
+        },
+        proventos: toProventos(data.dividendos)
+    };
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { hashToken } from './auth.js';
+import { sendApiError } from './api.js';
+
+// --- CHAVES DA API PÚBLICA (/api/v1) ---
+// A chave só aparece uma vez, na criação; o banco guarda o hash (como nas sessões)
+export const API_KEY_PREFIX = 'im_';
+export const MAX_API_KEYS = 10;
+export const DEFAULT_DAILY_QUOTA = Number(process.env.API_COTA_DIARIA) || 1000;
+const KEY_FORMAT = /^im_[a-f0-9]{48}$/;
+
+export function generateApiKey() {
+    const chave = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    // "im_3f9a1c2b": o bastante para o usuário reconhecer a chave na lista
+    return { chave, prefixo: chave.slice(0, API_KEY_PREFIX.length + 8), hash: hashToken(chave) };
+}
+
+// Authorization: Bearer <chave> ou X-API-Key: <chave>
+export function extractApiKey(req) {
+    const auth = req.headers.authorization;
+    if (typeof auth === 'string' && /^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '').trim();
+    const header = req.headers['x-api-key'];
+    return typeof header === 'string' ? header.trim() : null;
+}
+
+// A cota vira à meia-noite de São Paulo (sem horário de verão desde 2019: UTC-3)
+const diaSaoPaulo = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+export function usageDate(now = new Date()) {
+    return diaSaoPaulo.format(now);
+}
+
+export function quotaResetAt(now = new Date()) {
+    const [ano, mes, dia] = usageDate(now).split('-').map(Number);
+    return new Date(Date.UTC(ano, mes - 1, dia + 1, 3));
+}
+
+export function parseApiKeyName(nome) {
+    const limpo = typeof nome === 'string' ? nome.trim() : '';
+    if (!limpo) return { error: 'Dê um nome à chave (ex.: "planilha").' };
+    if (limpo.length > 100) return { error: 'Nome da chave muito longo (máx. 100 caracteres).' };
+    return { nome: limpo };
+}
+
+// Devolve { error } ou a chave recém-criada (com o texto completo, que não fica salvo)
+export async function createApiKey(userId, nome) {
+    const [[{ ativas }]] = await pool.execute(
+        'SELECT COUNT(*) AS ativas FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    if (Number(ativas) >= MAX_API_KEYS) return { error: `Limite de ${MAX_API_KEYS} chaves ativas. Revogue uma antes de criar outra.` };
+
+    const { chave, prefixo, hash } = generateApiKey();
+    const [result] = await pool.execute(
+        'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, daily_quota) VALUES (?, ?, ?, ?, ?)',
+        [userId, nome, prefixo, hash, DEFAULT_DAILY_QUOTA]
+    );
+    return { id: result.insertId, nome, prefixo, chave, cotaDiaria: DEFAULT_DAILY_QUOTA };
+}
+
+export async function listApiKeys(userId) {
+    const [rows] = await pool.execute(
+        `SELECT k.id, k.name, k.key_prefix, k.daily_quota, k.created_at, k.last_used_at, COALESCE(u.requests, 0) AS usadas
+         FROM api_keys k
+         LEFT JOIN api_usage u ON u.api_key_id = k.id AND u.usage_date = ?
+         WHERE k.user_id = ? AND k.revoked_at IS NULL
+         ORDER BY k.created_at`,
+        [usageDate(), userId]
+    );
+    return rows.map(r => ({
+        id: r.id,
+        nome: r.name,
+        prefixo: r.key_prefix,
+        cotaDiaria: r.daily_quota,
+        usadasHoje: Number(r.usadas),
+        criadaEm: r.created_at,
+        usadaEm: r.last_used_at
+    }));
+}
+
+// Revogar mantém o histórico de uso; devolve false se a chave não for do usuário
+export async function revokeApiKey(userId, id) {
+    const [result] = await pool.execute(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [id, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+async function findApiKey(chave) {
+    if (!KEY_FORMAT.test(chave || '')) return null;
+    const [rows] = await pool.execute(
+        `SELECT k.id, k.name, k.key_prefix, k.daily_quota, u.id AS user_id, u.email
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE k.key_hash = ? AND k.revoked_at IS NULL`,
+        [hashToken(chave)]
+    );
+    return rows[0] || null;
+}
+
+// Conta a requisição no dia e devolve o total do dia, já com ela
+async function registerApiRequest(keyId, dia) {
+    await pool.execute(
+        `INSERT INTO api_usage (api_key_id, usage_date, requests) VALUES (?, ?, 1)
+         ON DUPLICATE KEY UPDATE requests = requests + 1`,
+        [keyId, dia]
+    );
+    await pool.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keyId]);
+    const [[{ requests }]] = await pool.execute(
+        'SELECT requests FROM api_usage WHERE api_key_id = ? AND usage_date = ?',
+        [keyId, dia]
+    );
+    return Number(requests);
+}
+
+/**
+ * Middleware da API: valida a chave, conta a requisição na cota do dia e preenche req.user
+ * (o dono da chave, para limites personalizados) e req.apiKey. Requisições acima da cota
+ * também contam, então quem insiste continua recebendo 429 até a virada do dia.
+ */
+export async function requireApiKey(req, res, next) {
+    const chave = extractApiKey(req);
+    if (!chave) return sendApiError(res, 401, 'unauthorized', 'Envie a chave em "Authorization: Bearer <chave>" ou no cabeçalho X-API-Key.');
+    try {
+        const key = await findApiKey(chave);
+        if (!key) return sendApiError(res, 401, 'invalid_api_key', 'Chave de API inválida ou revogada.');
+
+        const agora = new Date();
+        const usadas = await registerApiRequest(key.id, usageDate(agora));
+        const reset = quotaResetAt(agora);
+        res.set({
+            'X-RateLimit-Limit': String(key.daily_quota),
+            'X-RateLimit-Remaining': String(Math.max(key.daily_quota - usadas, 0)),
+            'X-RateLimit-Reset': String(Math.floor(reset.getTime() / 1000))
+        });
+        if (usadas > key.daily_quota) {
+            res.set('Retry-After', String(Math.ceil((reset.getTime() - agora.getTime()) / 1000)));
+            return sendApiError(res, 429, 'quota_exceeded', `Cota diária de ${key.daily_quota} requisições esgotada.`, { renovaEm: reset.toISOString() });
+        }
+
+        req.user = { id: key.user_id, email: key.email };
+        req.apiKey = { id: key.id, nome: key.name, prefixo: key.key_prefix, cotaDiaria: key.daily_quota, usadasHoje: usadas, renovaEm: reset };
+        next();
+    } catch (error) {
+        console.error('❌ Erro ao validar chave de API:', error.message);
+        sendApiError(res, 500, 'internal_error', 'Erro no servidor.');
+    }
+}
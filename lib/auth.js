@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+// --- SESSÕES DE LOGIN ---
+export const SESSION_COOKIE = 'sessao';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Também usado nos tokens de redefinição de senha (lib/account.js)
+export function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    for (const part of header.split(';')) {
+        const idx = part.indexOf('=');
+        if (idx < 0) continue;
+        const name = part.slice(0, idx).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+        } catch (e) {
+            cookies[name] = part.slice(idx + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+export function getSessionToken(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Gera um token aleatório, grava o hash no banco e devolve o token em claro (só o cliente o conhece)
+export async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await pool.execute('DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at IS NOT NULL');
+    await pool.execute(
+        'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [userId, hashToken(token), expiresAt]
+    );
+    return { token, expiresAt };
+}
+
+export async function findSession(token) {
+    if (!token) return null;
+    const [rows] = await pool.execute(
+        `SELECT s.user_id, s.expires_at, u.email FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+        [hashToken(token)]
+    );
+    if (rows.length === 0) return null;
+    return { user: { id: rows[0].user_id, email: rows[0].email }, expiresAt: rows[0].expires_at };
+}
+
+export async function revokeSession(token) {
+    if (!token) return;
+    await pool.execute('UPDATE sessions SET revoked_at = NOW() WHERE token_hash = ?', [hashToken(token)]);
+}
+
+// Derruba as sessões do usuário (troca/redefinição de senha), menos a do token informado
+export async function revokeUserSessions(userId, exceptToken = null) {
+    await pool.execute(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND token_hash <> ?',
+        [userId, exceptToken ? hashToken(exceptToken) : '']
+    );
+}
+
+export function setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        expires: expiresAt,
+        path: '/'
+    });
+}
+
+export function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Middleware: só deixa passar requisições com sessão válida e preenche req.user
+export async function requireAuth(req, res, next) {
+    try {
+        const session = await findSession(getSessionToken(req));
+        if (!session) return res.status(401).json({ error: 'Sessão inválida ou expirada. Faça login novamente.' });
+        req.user = session.user;
+        next();
+    } catch (error) {
+        console.error('❌ Erro ao validar sessão:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+}
@@ -0,0 +1,340 @@
+import { pool } from './db.js';
+import { parseCsv, parseSheetNumber, parseSheetDate } from './importer.js';
+import { parseValuationParams } from './valuation.js';
+
+// --- BACKTEST DOS SINAIS DE VALUATION ---
+// Reproduz "compra abaixo do valor de referência, vende acima" (o good/bad de classifyValuation
+// em lib/analysis.js) sobre uma série de preços e compara com comprar e segurar e com um índice.
+export const BACKTEST_STRATEGIES = {
+    graham: { label: 'Graham: compra abaixo do valor justo, vende acima', referencia: 'valorJusto', referenciaLabel: 'valor justo (Graham)' },
+    bazin: { label: 'Bazin: compra abaixo do preço teto, vende acima', referencia: 'precoTeto', referenciaLabel: 'preço teto (Bazin)' }
+};
+
+const MAX_PONTOS = 10000;
+const DIA_MS = 24 * 60 * 60 * 1000;
+const DIAS_ANO = 365.25;
+
+// Cabeçalhos aceitos (comparados sem acento e em minúsculas), como na importação de extratos
+const COLUNAS_PRECOS = {
+    data: ['data', 'date', 'data pregao', 'data do pregao'],
+    preco: ['fechamento', 'preco de fechamento', 'preco', 'cotacao', 'ultimo', 'close', 'adj close'],
+    dividendo: ['dividendo', 'dividendos', 'provento', 'proventos', 'dividendo por acao', 'dividends'],
+    lpa: ['lpa'],
+    vpa: ['vpa'],
+    dy: ['dy', 'dividend yield'],
+    valorJusto: ['valor justo', 'valorjusto', 'graham'],
+    precoTeto: ['preco teto', 'precoteto', 'bazin'],
+    indice: ['ibov', 'ibovespa', 'indice', 'benchmark']
+};
+const COLUNAS_INDICE = {
+    data: COLUNAS_PRECOS.data,
+    valor: ['fechamento', 'ultimo', 'close', 'valor', 'pontos', 'indice', 'ibov', 'ibovespa']
+};
+
+const semAcento = (str) => String(str ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+const round = (num, places = 2) => (num === null ? null : Math.round(num * 10 ** places) / 10 ** places);
+const diasEntre = (de, ate) => (Date.parse(ate) - Date.parse(de)) / DIA_MS;
+
+// Linhas do CSV com o índice de cada coluna conhecida; a data e a coluna principal são obrigatórias
+function readSeriesCsv(texto, colunas, principal, nomeArquivo, rotulo) {
+    const linhas = parseCsv(String(texto ?? ''));
+    if (linhas.length < 3) return { error: `O CSV de ${nomeArquivo} precisa de cabeçalho e ao menos dois pregões.` };
+    if (linhas.length - 1 > MAX_PONTOS) return { error: `O CSV de ${nomeArquivo} tem mais de ${MAX_PONTOS} linhas.` };
+    const nomes = linhas[0].map(semAcento);
+    const indices = {};
+    for (const [coluna, aliases] of Object.entries(colunas)) {
+        // A coluna principal tem precedência ("Índice" pode ser o fechamento no CSV do próprio índice)
+        const i = nomes.findIndex((n, j) => aliases.includes(n) && !Object.values(indices).includes(j));
+        if (i >= 0) indices[coluna] = i;
+    }
+    if (indices.data === undefined || indices[principal] === undefined) {
+        return { error: `O CSV de ${nomeArquivo} precisa das colunas Data e ${rotulo}.` };
+    }
+    return { linhas: linhas.slice(1), indices };
+}
+
+// Uma linha por data (a última vence), em ordem cronológica: exportações costumam vir do mais recente ao mais antigo
+function porData(itens) {
+    return [...new Map(itens.map(item => [item.data, item])).values()].sort((a, b) => a.data.localeCompare(b.data));
+}
+
+/**
+ * CSV de preços: Data e Fechamento obrigatórios; Dividendo (por ação, na data com), LPA, VPA, DY,
+ * Valor justo, Preço teto e a coluna de um índice (Ibovespa) são opcionais.
+ * Devolve { error } ou { pontos, indice } (indice vazio se não houver a coluna).
+ */
+export function parsePriceCsv(texto) {
+    const lido = readSeriesCsv(texto, COLUNAS_PRECOS, 'preco', 'preços', 'Fechamento (ou Preço, Cotação, Último)');
+    if (lido.error) return lido;
+    const { linhas, indices } = lido;
+    const celula = (linha, coluna) => (indices[coluna] === undefined ? null : parseSheetNumber(linha[indices[coluna]]));
+
+    const pontos = [];
+    const indice = [];
+    for (const linha of linhas) {
+        const data = parseSheetDate(linha[indices.data]);
+        const preco = celula(linha, 'preco');
+        if (!data || preco === null || preco <= 0) continue;
+        const ponto = { data, preco };
+        for (const coluna of ['dividendo', 'lpa', 'vpa', 'dy', 'valorJusto', 'precoTeto']) {
+            const valor = celula(linha, coluna);
+            if (valor !== null) ponto[coluna] = valor;
+        }
+        pontos.push(ponto);
+        const valorIndice = celula(linha, 'indice');
+        if (valorIndice !== null && valorIndice > 0) indice.push({ data, valor: valorIndice });
+    }
+    if (pontos.length < 2) return { error: 'Nenhuma linha com data e preço válidos no CSV de preços.' };
+    return { pontos: porData(pontos), indice: porData(indice) };
+}
+
+// CSV do índice de referência (ex.: Ibovespa exportado do Investing ou da B3): Data e Fechamento/Último
+export function parseBenchmarkCsv(texto) {
+    const lido = readSeriesCsv(texto, COLUNAS_INDICE, 'valor', 'índice', 'Fechamento (ou Último, Valor)');
+    if (lido.error) return lido;
+    const { linhas, indices } = lido;
+    const serie = linhas
+        .map(linha => ({ data: parseSheetDate(linha[indices.data]), valor: parseSheetNumber(linha[indices.valor]) }))
+        .filter(p => p.data && p.valor !== null && p.valor > 0);
+    if (serie.length < 2) return { error: 'Nenhuma linha com data e valor válidos no CSV do índice.' };
+    return { serie: porData(serie) };
+}
+
+/**
+ * Valida o corpo de POST /backtest. Margens em %: compra quando o preço fica margemCompra abaixo
+ * da referência e vende quando passa margemVenda acima. custoOperacao (%) incide em cada compra e venda.
+ * Devolve { error } ou { params }.
+ */
+export function parseBacktestParams(body = {}) {
+    const estrategia = body.estrategia || 'graham';
+    if (!BACKTEST_STRATEGIES[estrategia]) return { error: `Estratégia inválida. Use: ${Object.keys(BACKTEST_STRATEGIES).join(', ')}.` };
+
+    const campos = {
+        capitalInicial: { label: 'Capital inicial', padrao: 10000, min: 100, max: 1e9 },
+        margemCompra: { label: 'Margem de compra (%)', padrao: 0, min: 0, max: 90 },
+        margemVenda: { label: 'Margem de venda (%)', padrao: 0, min: 0, max: 300 },
+        custoOperacao: { label: 'Custo por operação (%)', padrao: 0, min: 0, max: 5 }
+    };
+    const params = { estrategia };
+    for (const [campo, def] of Object.entries(campos)) {
+        const bruto = body[campo];
+        const num = bruto === undefined || bruto === null || bruto === '' ? def.padrao : Number(String(bruto).trim().replace(',', '.'));
+        if (!Number.isFinite(num)) return { error: `Valor inválido para ${def.label}.` };
+        if (num < def.min || num > def.max) return { error: `${def.label} deve ficar entre ${def.min} e ${def.max}.` };
+        params[campo] = num;
+    }
+
+    for (const campo of ['inicio', 'fim']) {
+        if (!body[campo]) { params[campo] = null; continue; }
+        params[campo] = parseSheetDate(body[campo]);
+        if (!params[campo]) return { error: `Data de ${campo} inválida.` };
+    }
+    if (params.inicio && params.fim && params.inicio >= params.fim) return { error: 'O início precisa ser antes do fim.' };
+
+    // Mesmas premissas e limites da página de valuation
+    const valuation = parseValuationParams({ bazinYield: body.bazinYield, grahamMultiplier: body.grahamMultiplier });
+    if (valuation.error) return { error: valuation.error };
+    params.bazinYield = valuation.params.bazinYield;
+    params.grahamMultiplier = valuation.params.grahamMultiplier;
+    return { params };
+}
+
+/**
+ * Valor de referência de cada pregão. Colunas prontas (valorJusto/precoTeto) são usadas como vieram;
+ * sem elas, Graham sai de LPA e VPA e Bazin do DY ou, na falta dele, dos proventos dos 12 meses
+ * anteriores da própria série (só depois de um ano inteiro de dados). Mesmas fórmulas de computeValuations.
+ */
+export function referenceSeries(pontos, estrategia, { bazinYield, grahamMultiplier }) {
+    if (estrategia === 'graham') {
+        return pontos.map(p => p.valorJusto ?? ((p.lpa > 0 && p.vpa > 0) ? Math.sqrt(grahamMultiplier * p.lpa * p.vpa) : null));
+    }
+    const temProventos = pontos.some(p => p.dividendo > 0);
+    let inicioJanela = 0;
+    let soma12m = 0;
+    return pontos.map(p => {
+        soma12m += p.dividendo || 0;
+        while (diasEntre(pontos[inicioJanela].data, p.data) >= 365) soma12m -= pontos[inicioJanela++].dividendo || 0;
+        if (p.precoTeto !== undefined) return p.precoTeto;
+        if (p.dy > 0) return (p.preco * p.dy / 100) / (bazinYield / 100);
+        const anoCompleto = diasEntre(pontos[0].data, p.data) >= 365;
+        return temProventos && anoCompleto && soma12m > 0 ? soma12m / (bazinYield / 100) : null;
+    });
+}
+
+// Valor do índice em cada data (último fechamento até ela); null se o índice não cobre o início do período
+function alignBenchmark(datas, serie) {
+    if (!serie?.length) return null;
+    // Tolera alguns dias de diferença no primeiro pregão (feriados e calendários distintos)
+    if (diasEntre(datas[0], serie[0].data) > 7 || serie[serie.length - 1].data < datas[0]) return null;
+    const valores = [];
+    let j = 0;
+    for (const data of datas) {
+        while (j + 1 < serie.length && serie[j + 1].data <= data) j++;
+        valores.push(serie[j].valor);
+    }
+    return valores;
+}
+
+function computeMetrics(datas, curva, inicial) {
+    const final = curva[curva.length - 1];
+    const anos = diasEntre(datas[0], datas[datas.length - 1]) / DIAS_ANO;
+    let pico = inicial;
+    let maxDrawdown = 0;
+    for (const valor of curva) {
+        pico = Math.max(pico, valor);
+        maxDrawdown = Math.min(maxDrawdown, valor / pico - 1);
+    }
+    return {
+        valorFinal: round(final),
+        retornoTotal: round((final / inicial - 1) * 100),
+        cagr: anos > 0 ? round((Math.pow(final / inicial, 1 / anos) - 1) * 100) : null,
+        maxDrawdown: round(maxDrawdown * 100)
+    };
+}
+
+/**
+ * Roda a estratégia, o comprar e segurar e o índice sobre os pontos ({ data, preco, dividendo?, ... }).
+ * O sinal é lido no fechamento de um pregão e executado no fechamento do seguinte, para não usar
+ * preço que ainda não se conhecia. Compras em ações inteiras com todo o caixa; proventos ficam no caixa.
+ * Devolve { error } ou o resultado com curvas, métricas, operações e avisos.
+ */
+export function runBacktest(pontos, params, indice = null) {
+    const { estrategia, capitalInicial, margemCompra, margemVenda } = params;
+    const custo = params.custoOperacao / 100;
+    const def = BACKTEST_STRATEGIES[estrategia];
+
+    // Referências sobre a série inteira: a janela de 12 meses do Bazin pode começar antes do período
+    const todasReferencias = referenceSeries(pontos, estrategia, params);
+    const selecionados = pontos
+        .map((p, i) => ({ ...p, referencia: todasReferencias[i] }))
+        .filter(p => (!params.inicio || p.data >= params.inicio) && (!params.fim || p.data <= params.fim));
+    if (selecionados.length < 2) return { error: 'O período escolhido tem menos de dois pregões.' };
+    if (selecionados[0].preco * (1 + custo) > capitalInicial) return { error: 'O capital inicial não compra nem uma ação ao preço do início do período.' };
+
+    const datas = selecionados.map(p => p.data);
+    const quantasCompra = (caixa, preco) => Math.floor(caixa / (preco * (1 + custo)));
+
+    // Estratégia
+    let caixa = capitalInicial;
+    let quantidade = 0;
+    let proventos = 0;
+    let pregoesPosicionado = 0;
+    let ordem = null;
+    const operacoes = [];
+    const curva = [];
+    for (const p of selecionados) {
+        if (ordem === 'compra' && quantidade === 0) {
+            quantidade = quantasCompra(caixa, p.preco);
+            if (quantidade > 0) {
+                caixa -= quantidade * p.preco * (1 + custo);
+                operacoes.push({ data: p.data, tipo: 'compra', preco: p.preco, quantidade, referencia: round(p.referencia) });
+            }
+        } else if (ordem === 'venda' && quantidade > 0) {
+            caixa += quantidade * p.preco * (1 - custo);
+            operacoes.push({ data: p.data, tipo: 'venda', preco: p.preco, quantidade, referencia: round(p.referencia) });
+            quantidade = 0;
+        }
+        ordem = null;
+
+        // Na B3 o provento é de quem compra na data com: a venda desse pregão sai sem ele (o preço ainda o inclui)
+        if (quantidade > 0) {
+            pregoesPosicionado++;
+            if (p.dividendo > 0) {
+                caixa += quantidade * p.dividendo;
+                proventos += quantidade * p.dividendo;
+            }
+        }
+
+        if (p.referencia > 0) {
+            if (quantidade === 0 && p.preco < p.referencia * (1 - margemCompra / 100)) ordem = 'compra';
+            else if (quantidade > 0 && p.preco > p.referencia * (1 + margemVenda / 100)) ordem = 'venda';
+        }
+        curva.push(caixa + quantidade * p.preco);
+    }
+
+    // Comprar e segurar: compra no primeiro pregão e não vende
+    const quantidadeBH = quantasCompra(capitalInicial, selecionados[0].preco);
+    let caixaBH = capitalInicial - quantidadeBH * selecionados[0].preco * (1 + custo);
+    let proventosBH = 0;
+    const curvaBH = selecionados.map(p => {
+        if (p.dividendo > 0) {
+            caixaBH += quantidadeBH * p.dividendo;
+            proventosBH += quantidadeBH * p.dividendo;
+        }
+        return caixaBH + quantidadeBH * p.preco;
+    });
+
+    const valoresIndice = alignBenchmark(datas, indice);
+    const curvaIndice = valoresIndice && valoresIndice.map(v => capitalInicial * v / valoresIndice[0]);
+
+    const avisos = [];
+    const semReferencia = selecionados.filter(p => !(p.referencia > 0)).length;
+    if (semReferencia === selecionados.length) {
+        avisos.push(`Sem ${def.referenciaLabel} em nenhum pregão: a estratégia ficou em caixa. `
+            + (estrategia === 'graham' ? 'Inclua LPA e VPA (ou Valor justo) no CSV.' : 'Inclua Dividendo, DY ou Preço teto no CSV.'));
+    } else if (semReferencia > 0) {
+        avisos.push(`Sem ${def.referenciaLabel} em ${semReferencia} de ${selecionados.length} pregões: nesses dias não houve sinal.`);
+    }
+    if (!selecionados.some(p => p.dividendo > 0)) avisos.push('Sem proventos na série: os retornos não incluem dividendos.');
+    if (!curvaIndice) {
+        avisos.push(indice?.length
+            ? 'O índice não cobre o início do período; a comparação com ele foi omitida.'
+            : 'Sem índice de referência: envie o CSV do Ibovespa (ou outro índice) para comparar.');
+    }
+
+    return {
+        estrategia: { id: estrategia, label: def.label, referencia: def.referencia },
+        parametros: params,
+        periodo: { inicio: datas[0], fim: datas[datas.length - 1], pregoes: datas.length },
+        datas,
+        precos: selecionados.map(p => p.preco),
+        referencias: selecionados.map(p => round(p.referencia)),
+        curvas: {
+            estrategia: curva.map(v => round(v)),
+            buyHold: curvaBH.map(v => round(v)),
+            indice: curvaIndice ? curvaIndice.map(v => round(v)) : null
+        },
+        resultados: {
+            estrategia: {
+                ...computeMetrics(datas, curva, capitalInicial),
+                proventos: round(proventos),
+                operacoes: operacoes.length,
+                tempoPosicionado: round(pregoesPosicionado / datas.length * 100),
+                posicaoAberta: quantidade > 0
+            },
+            buyHold: { ...computeMetrics(datas, curvaBH, capitalInicial), proventos: round(proventosBH) },
+            indice: curvaIndice ? computeMetrics(datas, curvaIndice, capitalInicial) : null
+        },
+        operacoes,
+        avisos
+    };
+}
+
+// --- SÉRIE A PARTIR DO HISTÓRICO GUARDADO (indicator_snapshots) ---
+// Um ponto por dia em que o ativo foi buscado; LPA, VPA e DY do dia alimentam as referências
+export async function loadSnapshotPrices(ticker) {
+    const [rows] = await pool.execute(
+        `SELECT snapshot_date, data FROM indicator_snapshots
+         WHERE ticker = ? AND asset_type = 'acao' ORDER BY snapshot_date`,
+        [ticker.toUpperCase()]
+    );
+    return rows.map(row => {
+        const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+        const ponto = { data: row.snapshot_date, preco: data.cotacao ?? null };
+        for (const campo of ['lpa', 'vpa', 'dy']) if (data[campo] !== null && data[campo] !== undefined) ponto[campo] = data[campo];
+        return ponto;
+    }).filter(p => p.preco > 0);
+}
+
+// Proventos do scraping ({ dataCom: "02/06/2025", valor: "0,46" }) no primeiro ponto a partir da data com
+export function attachDividends(pontos, dividendos = []) {
+    const comProventos = pontos.map(p => ({ ...p }));
+    for (const d of Array.isArray(dividendos) ? dividendos : []) {
+        const data = parseSheetDate(d.dataCom);
+        const valor = parseSheetNumber(d.valor);
+        if (!data || !(valor > 0) || !comProventos.length || data < comProventos[0].data) continue;
+        const ponto = comProventos.find(p => p.data >= data);
+        if (ponto) ponto.dividendo = (ponto.dividendo || 0) + valor;
+    }
+    return comProventos;
+}
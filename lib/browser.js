@@ -0,0 +1,259 @@
+import puppeteer from 'puppeteer';
+
+// --- PUPPETEER INTELIGENTE ---
+let browser;
+let launching = null;
+
+export async function getBrowser() {
+    if (browser && !browser.isConnected()) {
+        try { await browser.close(); } catch(e) {}
+        browser = null;
+    }
+
+    if (!browser) {
+        // Chamadas simultâneas esperam o mesmo launch em vez de abrir vários navegadores
+        if (!launching) launching = launchBrowser().finally(() => { launching = null; });
+        browser = await launching;
+    }
+    return browser;
+}
+
+async function launchBrowser() {
+    const isRender = process.env.RENDER === 'true' || process.platform === 'linux';
+
+    const launchConfig = {
+        headless: "new",
+        defaultViewport: null,
+        args: []
+    };
+
+    if (isRender) {
+        console.log("🚀 Modo RENDER detectado: Aplicando otimizações de memória...");
+        launchConfig.args = [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--no-first-run',
+            '--no-zygote',
+            '--single-process',
+            '--disable-gpu'
+        ];
+    } else {
+        console.log("💻 Modo LOCAL detectado.");
+    }
+
+    return puppeteer.launch(launchConfig);
+}
+
+export async function closeBrowser() {
+    const atual = browser;
+    browser = null;
+    if (atual) try { await atual.close(); } catch (e) {}
+}
+
+// --- POOL DE PÁGINAS (limite de concorrência, fila, retry e métricas) ---
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const LATENCY_SAMPLES = 200;
+
+// Timeouts de navegação, erros de rede e navegador caído valem nova tentativa; o resto (ex.: parse) não
+export function isRetryableError(e) {
+    return e?.name === 'TimeoutError'
+        || /timeout|net::ERR_|Target closed|Session closed|Protocol error|detached/i.test(e?.message || '');
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Pool de páginas sobre um navegador compartilhado.
+ *   maxPages       páginas abertas ao mesmo tempo; o excedente espera na fila
+ *   retries        novas tentativas em erro transitório, com espera de backoffMs × 2^n
+ *   restartAfter   pedidos seguidos que falharam (já com as novas tentativas) e reiniciam o navegador
+ *   openPage()     abre uma página nova; restart() fecha o navegador (relançado na próxima página)
+ * run(label, fn, { timeoutMs }) executa fn(page) e sempre fecha a página; label agrupa as métricas.
+ */
+export function createPagePool({ maxPages, retries, backoffMs, restartAfter, openPage, restart }) {
+    let ativas = 0;
+    const fila = [];
+    const latencias = [];
+    const porTipo = {};
+    const contadores = { sucessos: 0, falhas: 0, retries: 0, timeouts: 0, reinicios: 0 };
+    let falhasSeguidas = 0;
+
+    const acquire = () => {
+        if (ativas < maxPages) {
+            ativas++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => fila.push(resolve));
+    };
+    // A vaga passa direto para o próximo da fila, sem decrementar
+    const release = () => {
+        const proximo = fila.shift();
+        if (proximo) proximo();
+        else ativas--;
+    };
+
+    const statsDo = (label) => (porTipo[label] ||= { sucessos: 0, falhas: 0, latenciaTotalMs: 0 });
+
+    // Toda tentativa que falha entra nos contadores
+    function registrarTentativaFalha(e) {
+        contadores.falhas++;
+        if (e?.name === 'TimeoutError' || /timeout/i.test(e?.message || '')) contadores.timeouts++;
+    }
+
+    // Só a falha final de cada pedido conta para o reinício: um ticker sozinho, com suas novas
+    // tentativas, não derruba o navegador (e as páginas dos outros usuários)
+    async function registrarFalha(label) {
+        statsDo(label).falhas++;
+        falhasSeguidas++;
+        if (falhasSeguidas >= restartAfter) {
+            console.error(`♻️ ${falhasSeguidas} falhas seguidas: reiniciando o navegador...`);
+            falhasSeguidas = 0;
+            contadores.reinicios++;
+            await restart();
+        }
+    }
+
+    // prazo.pagina guarda a página aberta para que o prazo esgotado possa fechá-la
+    async function tentativa(fn, prazo) {
+        let page;
+        try {
+            if (prazo.esgotado) throw prazo.erro;
+            page = await openPage();
+            prazo.pagina = page;
+            if (prazo.esgotado) throw prazo.erro;
+            return await fn(page);
+        } finally {
+            prazo.pagina = null;
+            if (page && !page.isClosed()) try { await page.close(); } catch (e) {}
+        }
+    }
+
+    async function executar(label, fn, prazo) {
+        const inicio = Date.now();
+        for (let n = 0; ; n++) {
+            try {
+                const resultado = await tentativa(fn, prazo);
+                const ms = Date.now() - inicio;
+                contadores.sucessos++;
+                falhasSeguidas = 0;
+                latencias.push(ms);
+                if (latencias.length > LATENCY_SAMPLES) latencias.shift();
+                const stats = statsDo(label);
+                stats.sucessos++;
+                stats.latenciaTotalMs += ms;
+                return resultado;
+            } catch (e) {
+                // Depois do prazo, o erro da página fechada à força não vale nova tentativa
+                const erro = prazo.esgotado ? prazo.erro : e;
+                registrarTentativaFalha(erro);
+                if (prazo.esgotado || n >= retries || !isRetryableError(erro)) {
+                    await registrarFalha(label);
+                    throw erro;
+                }
+                contadores.retries++;
+                const espera = backoffMs * 2 ** n;
+                console.log(`🔁 ${label}: ${erro.message} — nova tentativa em ${espera} ms (${n + 1}/${retries})`);
+                await sleep(espera);
+            }
+        }
+    }
+
+    /**
+     * timeoutMs só começa a contar quando a vaga sai da fila. Ao esgotar, a Promise é
+     * rejeitada com "tempo esgotado", a página aberta é fechada e a vaga volta ao pool
+     * assim que fn terminar, sem novas tentativas.
+     */
+    async function run(label, fn, { timeoutMs } = {}) {
+        await acquire();
+        const prazo = {
+            esgotado: false,
+            pagina: null,
+            erro: Object.assign(new Error(`${label}: tempo esgotado (${timeoutMs} ms)`), { name: 'TimeoutError' })
+        };
+        let timer;
+        const execucao = executar(label, fn, prazo).finally(() => {
+            clearTimeout(timer);
+            release();
+        });
+        if (!timeoutMs) return execucao;
+
+        const limite = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                prazo.esgotado = true;
+                if (prazo.pagina && !prazo.pagina.isClosed()) prazo.pagina.close().catch(() => {});
+                reject(prazo.erro);
+            }, timeoutMs);
+        });
+        return Promise.race([execucao, limite]);
+    }
+
+    function metrics() {
+        const ordenadas = [...latencias].sort((a, b) => a - b);
+        return {
+            paginasAtivas: ativas,
+            maxPaginas: maxPages,
+            fila: fila.length,
+            ...contadores,
+            falhasSeguidas,
+            latenciaMs: {
+                amostras: ordenadas.length,
+                media: ordenadas.length ? Math.round(ordenadas.reduce((a, b) => a + b, 0) / ordenadas.length) : null,
+                p50: percentile(ordenadas, 50),
+                p95: percentile(ordenadas, 95),
+                max: ordenadas.length ? ordenadas[ordenadas.length - 1] : null
+            },
+            porTipo: Object.fromEntries(Object.entries(porTipo).map(([label, s]) => [label, {
+                sucessos: s.sucessos,
+                falhas: s.falhas,
+                latenciaMediaMs: s.sucessos ? Math.round(s.latenciaTotalMs / s.sucessos) : null
+            }]))
+        };
+    }
+
+    return { run, metrics };
+}
+
+const envInt = (env, fallback) => {
+    const n = parseInt(process.env[env], 10);
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+// Pool padrão do servidor/CLI. No Render (--single-process) cada página pesa: padrão de 2 por vez
+const pagePool = createPagePool({
+    maxPages: Math.max(1, envInt('BROWSER_MAX_PAGES', 2)),
+    retries: envInt('BROWSER_RETRIES', 2),
+    backoffMs: envInt('BROWSER_RETRY_BACKOFF_MS', 1000),
+    restartAfter: Math.max(1, envInt('BROWSER_RESTART_AFTER', 3)),
+    openPage: async () => (await getBrowser()).newPage(),
+    restart: closeBrowser
+});
+
+/**
+ * Abre uma página do pool, roda fn(page) e fecha a página ao final (sucesso ou erro).
+ * Com bloquearRecursos (padrão), imagens, CSS, fontes e mídia não são baixados.
+ * timeoutMs limita o tempo com a página em mãos (a espera na fila não conta).
+ */
+export function withPage(label, fn, { bloquearRecursos = true, timeoutMs } = {}) {
+    return pagePool.run(label, async (page) => {
+        if (bloquearRecursos) {
+            await page.setRequestInterception(true);
+            page.on('request', (req) => {
+                if (['image', 'stylesheet', 'font', 'media'].includes(req.resourceType())) {
+                    req.abort();
+                } else {
+                    req.continue();
+                }
+            });
+        }
+        return fn(page);
+    }, { timeoutMs });
+}
+
+export function getBrowserMetrics() {
+    return { navegadorConectado: Boolean(browser && browser.isConnected()), ...pagePool.metrics() };
+}
@@ -0,0 +1,124 @@
+import { pool } from './db.js';
+
+// --- CACHE DE SCRAPING (TTL + stale-while-revalidate + deduplicação) ---
+const minutes = (env, fallback) => (Number(process.env[env]) || fallback) * 60 * 1000;
+
+export const CACHE_TTL = {
+    acao: minutes('CACHE_TTL_ACAO_MIN', 10),
+    fii: minutes('CACHE_TTL_FII_MIN', 30),
+    // Recomendações de analistas mudam pouco ao longo do dia
+    xp: minutes('CACHE_TTL_ANALISTAS_MIN', 360),
+    btg: minutes('CACHE_TTL_ANALISTAS_MIN', 360),
+    // Composição de setores quase não muda
+    peers: minutes('CACHE_TTL_SETOR_MIN', 1440)
+};
+// Depois do TTL, o dado ainda é servido por esse tempo enquanto é atualizado em segundo plano
+const CACHE_STALE_MS = minutes('CACHE_STALE_MIN', 60);
+const MEMORY_MAX_ENTRIES = 500;
+
+// Backend padrão: Map em memória (perde tudo ao reiniciar)
+export function createMemoryBackend() {
+    const entries = new Map();
+    return {
+        async get(key) { return entries.get(key) || null; },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > MEMORY_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+        },
+        async clear() { entries.clear(); }
+    };
+}
+
+// Backend opcional (CACHE_BACKEND=mysql): memória na frente, tabela scrape_cache atrás para sobreviver a reinícios
+export function createMysqlBackend() {
+    const memory = createMemoryBackend();
+    return {
+        async get(key) {
+            const hit = await memory.get(key);
+            if (hit) return hit;
+            const [rows] = await pool.execute('SELECT data, fetched_at FROM scrape_cache WHERE cache_key = ?', [key]);
+            if (rows.length === 0) return null;
+            const data = typeof rows[0].data === 'string' ? JSON.parse(rows[0].data) : rows[0].data;
+            const entry = { data, fetchedAt: new Date(rows[0].fetched_at).getTime() };
+            await memory.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            await memory.set(key, entry);
+            await pool.execute(
+                `INSERT INTO scrape_cache (cache_key, data, fetched_at) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE data = VALUES(data), fetched_at = VALUES(fetched_at)`,
+                [key, JSON.stringify(entry.data), new Date(entry.fetchedAt)]
+            );
+        },
+        async clear() {
+            await memory.clear();
+            await pool.execute('DELETE FROM scrape_cache');
+        }
+    };
+}
+
+let backend = process.env.CACHE_BACKEND === 'mysql' ? createMysqlBackend() : createMemoryBackend();
+const inFlight = new Map();
+
+export function setCacheBackend(newBackend) {
+    backend = newBackend;
+}
+
+// Erros do backend persistente não podem derrubar a busca: caímos para o scraping direto
+async function safeGet(key) {
+    try { return await backend.get(key); } catch (e) {
+        console.error('⚠️ Cache indisponível (leitura):', e.message);
+        return null;
+    }
+}
+
+async function safeSet(key, entry) {
+    try { await backend.set(key, entry); } catch (e) {
+        console.error('⚠️ Cache indisponível (escrita):', e.message);
+    }
+}
+
+// Um único scraping por chave ao mesmo tempo; quem chegar depois espera a mesma Promise
+function refresh(key, fetcher, isValid) {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = (async () => {
+        const data = await fetcher();
+        const entry = { data, fetchedAt: Date.now() };
+        if (isValid(data)) await safeSet(key, entry);
+        return entry;
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Devolve { data, fetchedAt, cacheHit, stale }.
+ * - Dentro do TTL: resposta do cache.
+ * - Vencido mas dentro da janela de stale: resposta do cache e atualização em segundo plano.
+ * - Sem cache (ou velho demais): espera o scraping (compartilhado com requisições simultâneas).
+ * Resultados que não passam em isValid (ex.: sem cotação) não são guardados.
+ * options.ttl encurta o TTL só nesta chamada e options.stale = false faz o vencido esperar o
+ * scraping em vez de ser servido (cotações ao vivo em lib/quotes.js). options.onRefresh(entry)
+ * recebe o dado válido da atualização em segundo plano, que quem pediu não chega a ver.
+ */
+export async function cached(tipo, ticker, fetcher, isValid = () => true, options = {}) {
+    const key = `${tipo}:${ticker.toUpperCase()}`;
+    const ttl = options.ttl ?? CACHE_TTL[tipo] ?? CACHE_TTL.acao;
+    const entry = await safeGet(key);
+
+    if (entry) {
+        const age = Date.now() - entry.fetchedAt;
+        if (age < ttl) return { data: entry.data, fetchedAt: new Date(entry.fetchedAt), cacheHit: true, stale: false };
+        if (options.stale !== false && age < ttl + CACHE_STALE_MS) {
+            refresh(key, fetcher, isValid)
+                .then(fresh => { if (options.onRefresh && isValid(fresh.data)) options.onRefresh(fresh); })
+                .catch(e => console.error(`❌ Erro ao atualizar cache de ${key}:`, e.message));
+            return { data: entry.data, fetchedAt: new Date(entry.fetchedAt), cacheHit: true, stale: true };
+        }
+    }
+
+    const fresh = await refresh(key, fetcher, isValid);
+    return { data: fresh.data, fetchedAt: new Date(fresh.fetchedAt), cacheHit: false, stale: false };
+}
@@ -0,0 +1,167 @@
+import { strToNumber } from './format.js';
+import { getAcaoData, hasCotacao } from './investidor10.js';
+import { fetchProvider, investidor10Peers } from './providers/index.js';
+import { buildValuationReport } from './valuation.js';
+
+// --- COMPARAÇÃO ENTRE AÇÕES ---
+// Linhas da matriz; melhor = 'maior' | 'menor' | null (sem destaque, ex.: cotação)
+export const COMPARE_FIELDS = [
+    { campo: 'cotacao', label: 'Cotação', melhor: null },
+    { campo: 'pl', label: 'P/L', melhor: 'menor', positivo: true },
+    { campo: 'pvp', label: 'P/VP', melhor: 'menor', positivo: true },
+    { campo: 'dy', label: 'DY (12M)', melhor: 'maior' },
+    { campo: 'dy5Anos', label: 'DY Médio 5A', melhor: 'maior' },
+    { campo: 'payout', label: 'Payout', melhor: null },
+    { campo: 'roe', label: 'ROE', melhor: 'maior' },
+    { campo: 'roic', label: 'ROIC', melhor: 'maior' },
+    { campo: 'roa', label: 'ROA', melhor: 'maior' },
+    { campo: 'margemBruta', label: 'Margem Bruta', melhor: 'maior' },
+    { campo: 'margemEbitda', label: 'Margem EBITDA', melhor: 'maior' },
+    { campo: 'margemLiquida', label: 'Margem Líquida', melhor: 'maior' },
+    { campo: 'dividaLiquidaEbitda', label: 'Dív. Líq./EBITDA', melhor: 'menor' },
+    { campo: 'dividaLiquidaPatrimonio', label: 'Dív. Líq./Patrimônio', melhor: 'menor' },
+    { campo: 'liquidezCorrente', label: 'Liquidez Corrente', melhor: 'maior' },
+    { campo: 'cagrLucros', label: 'CAGR Lucros 5A', melhor: 'maior' },
+    { campo: 'giroAtivos', label: 'Giro Ativos', melhor: 'maior' },
+    // Margens de segurança (%) dos modelos de valuation: comparáveis entre empresas, ao contrário do preço justo em R$
+    { campo: 'margem_valorJusto', label: 'Margem Graham (%)', melhor: 'maior', valuation: 'valorJusto' },
+    { campo: 'margem_precoTeto', label: 'Margem Bazin (%)', melhor: 'maior', valuation: 'precoTeto' },
+    { campo: 'margem_dcf', label: 'Margem DCF (%)', melhor: 'maior', valuation: 'dcf' }
+];
+
+// Eixos do radar: cada um normalizado de 0 (pior do grupo) a 100 (melhor do grupo)
+export const RADAR_AXES = [
+    { campo: 'roe', label: 'ROE' },
+    { campo: 'roic', label: 'ROIC' },
+    { campo: 'margemLiquida', label: 'Margem Líquida' },
+    { campo: 'dividaLiquidaEbitda', label: 'Baixo Endividamento' },
+    { campo: 'pl', label: 'P/L Atrativo' },
+    { campo: 'pvp', label: 'P/VP Atrativo' },
+    { campo: 'dy', label: 'Dividendos' }
+];
+
+const MAX_TICKERS = 10;
+const fieldByName = Object.fromEntries(COMPARE_FIELDS.map(f => [f.campo, f]));
+
+export function median(values) {
+    const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// P/L e P/VP negativos (prejuízo/patrimônio negativo) não podem ganhar como "menor"
+const comparable = (field, num) => num !== null && (!field.positivo || num > 0);
+
+function readValues(data) {
+    const margens = Object.fromEntries(buildValuationReport(data).modelos.map(m => [m.id, m.margem]));
+    const valores = {};
+    for (const field of COMPARE_FIELDS) {
+        valores[field.campo] = field.valuation
+            ? { value: margens[field.valuation] === null ? '-' : `${String(margens[field.valuation]).replace('.', ',')}%`, num: margens[field.valuation] }
+            : { value: data[field.campo] || '-', num: strToNumber(data[field.campo]) };
+    }
+    return valores;
+}
+
+/**
+ * Matriz alinhada: uma linha por indicador, uma coluna por ticker, com o melhor/pior
+ * da linha e a mediana do grupo (ativos pedidos + concorrentes do setor).
+ * ativos: [{ ticker, data }] com os dados brutos do scraping.
+ */
+export function buildComparison(ativos) {
+    const valoresPorTicker = ativos.map(a => readValues(a.data));
+
+    const linhas = COMPARE_FIELDS.map(field => {
+        const valores = valoresPorTicker.map(v => v[field.campo]);
+        const candidatos = valores.map((v, i) => ({ i, num: v.num })).filter(c => comparable(field, c.num));
+        let melhor = null;
+        let pior = null;
+        if (field.melhor && candidatos.length > 1) {
+            const ordenados = [...candidatos].sort((a, b) => field.melhor === 'maior' ? b.num - a.num : a.num - b.num);
+            if (ordenados[0].num !== ordenados[ordenados.length - 1].num) {
+                melhor = ativos[ordenados[0].i].ticker;
+                pior = ativos[ordenados[ordenados.length - 1].i].ticker;
+            }
+        }
+        const mediana = median(candidatos.map(c => c.num));
+        return {
+            campo: field.campo,
+            label: field.label,
+            valores: valores.map(v => v.value),
+            melhor,
+            pior,
+            mediana: mediana === null ? null : Math.round(mediana * 100) / 100
+        };
+    });
+
+    const radar = {
+        eixos: RADAR_AXES.map(a => a.label),
+        series: ativos.map(a => ({ ticker: a.ticker, valores: [] }))
+    };
+    for (const axis of RADAR_AXES) {
+        const field = fieldByName[axis.campo];
+        const nums = valoresPorTicker.map(v => comparable(field, v[axis.campo].num) ? v[axis.campo].num : null);
+        const validos = nums.filter(n => n !== null);
+        const min = Math.min(...validos);
+        const max = Math.max(...validos);
+        nums.forEach((num, i) => {
+            let score = null;
+            if (num !== null) {
+                score = max === min ? 50 : ((num - min) / (max - min)) * 100;
+                if (field.melhor === 'menor') score = max === min ? 50 : 100 - score;
+            }
+            radar.series[i].valores.push(score === null ? 0 : Math.round(score));
+        });
+    }
+
+    return {
+        tickers: ativos.map(a => a.ticker),
+        setores: ativos.map(a => ({ setor: a.data.setor || null, segmento: a.data.segmento || null })),
+        linhas,
+        radar
+    };
+}
+
+export function parseCompareInput(query) {
+    const tickers = [...new Set(String(query.tickers || '').split(/[\s,;]+/).map(t => t.trim().toUpperCase()).filter(Boolean))];
+    if (tickers.length === 0) return { error: 'Informe ao menos um ticker.' };
+    if (tickers.some(t => !/^[A-Z0-9]{4,11}$/.test(t))) return { error: 'Lista contém ticker inválido.' };
+    if (tickers.length > MAX_TICKERS) return { error: `Máximo de ${MAX_TICKERS} tickers por comparação.` };
+    // Com um ticker só, concorrentes entram automaticamente
+    const peers = query.peers === undefined ? tickers.length === 1 : ['true', '1', 'sim'].includes(String(query.peers).toLowerCase());
+    const limite = Math.min(Math.max(parseInt(query.limite, 10) || 5, 1), MAX_TICKERS - 1);
+    return { params: { tickers, peers, limite } };
+}
+
+// Concorrentes do mesmo segmento (ou setor, se o segmento não trouxer ninguém)
+export async function findPeers(data, excluir, limite) {
+    for (const [fonte, url] of [['segmento', data.segmentoUrl], ['setor', data.setorUrl]]) {
+        if (!url) continue;
+        const { data: pagina } = await fetchProvider(investidor10Peers, url);
+        const tickers = (pagina.tickers || []).filter(t => !excluir.includes(t)).slice(0, limite);
+        if (tickers.length > 0) return { fonte, referencia: data[fonte] || null, tickers };
+    }
+    return { fonte: null, referencia: null, tickers: [] };
+}
+
+// Busca (com cache, um ativo por vez) e monta a comparação; ativos sem cotação vão para naoEncontrados
+export async function compareTickers({ tickers, peers, limite }) {
+    const ativos = [];
+    const naoEncontrados = [];
+    const add = async (ticker) => {
+        const { data } = await getAcaoData(ticker);
+        if (hasCotacao(data)) ativos.push({ ticker, data });
+        else naoEncontrados.push(ticker);
+    };
+
+    for (const ticker of tickers) await add(ticker);
+
+    let concorrentes = { fonte: null, referencia: null, tickers: [] };
+    if (peers && ativos.length > 0) {
+        concorrentes = await findPeers(ativos[0].data, tickers, Math.min(limite, MAX_TICKERS - tickers.length));
+        for (const ticker of concorrentes.tickers) await add(ticker);
+    }
+
+    return { ...buildComparison(ativos), concorrentes, naoEncontrados };
+}
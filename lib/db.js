@@ -0,0 +1,28 @@
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { MIGRATIONS } from './schema.js';
+
+dotenv.config({ quiet: true });
+
+// --- CONFIGURAÇÃO DO BANCO DE DADOS ---
+export const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || 'admin',
+    database: process.env.DB_NAME || 'investidor_app',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    decimalNumbers: true,
+    dateStrings: ['DATE'],
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Cria as tabelas que ainda não existem (idempotente: só usa CREATE TABLE IF NOT EXISTS)
+export async function runMigrations() {
+    for (const sql of MIGRATIONS) {
+        await pool.query(sql);
+    }
+}
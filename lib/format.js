@@ -0,0 +1,31 @@
+// --- HELPER FUNCTIONS ---
+export function strToNumber(str) {
+    if (!str || typeof str !== 'string') return null;
+    const cleaned = str.replace(/R\$\s?/, '').replace(/\./g, '').replace(',', '.').replace('%', '').trim();
+    return isNaN(parseFloat(cleaned)) ? null : parseFloat(cleaned);
+}
+
+// 1234.5 -> "R$ 1234,50" (mesmo formato usado nos cards de valuation)
+export function formatBRL(num) {
+    if (num === null || num === undefined || isNaN(num)) return '-';
+    return `R$ ${Number(num).toFixed(2).replace('.', ',')}`;
+}
+
+// "R$ 5,32 M" -> 5320000, "820 Mil" -> 820000, "R$ 5,42 Bilhões" -> 5420000000
+// (liquidez e valores abreviados ou por extenso do Investidor10)
+export function parseAmount(str) {
+    const num = strToNumber(str);
+    if (num === null) return null;
+    const suffix = str.match(/\d\s*(bilh(?:\u00f5es|\u00e3o|oes|ao)|milh(?:\u00f5es|\u00e3o|oes|ao)|mil|k|mi|m|bi|b)\b/i)?.[1].toLowerCase();
+    if (!suffix) return num;
+    if (suffix.startsWith('bilh')) return num * 1e9;
+    if (suffix.startsWith('milh')) return num * 1e6;
+    const multipliers = { mil: 1e3, k: 1e3, mi: 1e6, m: 1e6, bi: 1e9, b: 1e9 };
+    return num * multipliers[suffix];
+}
+
+// Campos do scraping que vêm como montante abreviado ("R$ 7,12 M", "392.105")
+export const AMOUNT_FIELDS = new Set(['liquidezDiaria', 'valorPatrimonial', 'numCotistas', 'cotasEmitidas']);
+
+// Texto do scraping -> número, com o multiplicador nos campos de montante
+export const parseFieldValue = (campo, valor) => (AMOUNT_FIELDS.has(campo) ? parseAmount(valor) : strToNumber(valor));
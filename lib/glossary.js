@@ -0,0 +1,711 @@
+import { strToNumber } from './format.js';
+import { ACAO_INDICATORS, DEFAULT_THRESHOLD_PROFILES, classifyThreshold } from './thresholds.js';
+import { FII_INDICATORS, FII_PROFILES, FII_SCORE_FAIXAS, classifyFiiIndicator, formatLimit } from './scoring.js';
+import { PIOTROSKI_FAIXAS, ALTMAN_ZONAS } from './statements.js';
+import { classifyValuation, getRecClass } from './analysis.js';
+
+// --- GLOSSÁRIO DOS INDICADORES ---
+// Chaves = nomes dos campos de /buscar e /buscar-fii (o card "card-pl" abre o verbete "pl").
+// fii: textos que mudam quando o indicador é de um fundo imobiliário.
+// regra: como o card ganha cor quando a classificação não vem dos perfis de limites.
+const REGRA_VALUATION = 'Verde quando a cotação está abaixo do valor do modelo; vermelho quando está acima. '
+    + 'Neutro quando o modelo não se aplica (lucro ou dividendos insuficientes, crescimento impossível).';
+
+export const GLOSSARY = {
+    // Preço & Mercado
+    cotacao: {
+        termo: 'Cotação',
+        categoria: 'Preço & Mercado',
+        tipos: ['acao', 'fii'],
+        sinonimos: ['preço', 'último preço'],
+        definicao: 'Último preço negociado na bolsa. Durante o pregão o card é atualizado ao vivo.',
+        formula: null,
+        comoLer: 'Sozinha não diz se o ativo está caro ou barato: compare com os múltiplos e com os modelos de valuation.',
+        relacionados: ['pl', 'pvp', 'precoTeto', 'valorJusto']
+    },
+    pl: {
+        termo: 'P/L (Preço sobre Lucro)',
+        categoria: 'Preço & Mercado',
+        tipos: ['acao'],
+        sinonimos: ['preço lucro', 'p/e', 'price earnings'],
+        definicao: 'Quanto o mercado paga por cada R$ 1 de lucro anual da empresa. Também pode ser lido como o número de anos para o lucro "devolver" o preço pago.',
+        formula: 'Cotação ÷ LPA',
+        comoLer: 'P/L baixo sugere ação barata em relação ao lucro, mas pode refletir lucro que vai cair. P/L negativo significa prejuízo.',
+        relacionados: ['lpa', 'cagrLucros', 'lynch']
+    },
+    pvp: {
+        termo: 'P/VP (Preço sobre Valor Patrimonial)',
+        categoria: 'Preço & Mercado',
+        tipos: ['acao', 'fii'],
+        sinonimos: ['preço valor patrimonial', 'p/bv', 'price to book'],
+        definicao: 'Compara o preço com o patrimônio líquido contábil por ação.',
+        formula: 'Cotação ÷ VPA',
+        comoLer: 'Abaixo de 1 a ação custa menos que o patrimônio contábil; empresas muito rentáveis (ROE alto) costumam negociar bem acima de 1.',
+        relacionados: ['vpa', 'roe', 'valorJusto'],
+        fii: {
+            definicao: 'Compara o preço da cota com o valor patrimonial por cota (imóveis ou papéis avaliados, menos dívidas).',
+            comoLer: 'Abaixo de 1 o fundo negocia com desconto sobre o patrimônio; acima de 1 você paga ágio. O desconto pode refletir imóveis superavaliados ou crédito ruim.'
+        }
+    },
+    liquidezDiaria: {
+        termo: 'Liquidez Diária',
+        categoria: 'Preço & Mercado',
+        tipos: ['fii'],
+        sinonimos: ['volume', 'volume médio'],
+        definicao: 'Volume financeiro médio negociado por dia.',
+        formula: 'Média do volume negociado (R$) nos últimos pregões',
+        comoLer: 'Liquidez baixa dificulta comprar ou vender sem mexer no preço.',
+        relacionados: ['numCotistas']
+    },
+
+    // Proventos
+    dy: {
+        termo: 'Dividend Yield (12 meses)',
+        categoria: 'Proventos',
+        tipos: ['acao', 'fii'],
+        sinonimos: ['dividend yield', 'rendimento', 'dividendos'],
+        definicao: 'Proventos pagos nos últimos 12 meses em relação à cotação atual.',
+        formula: 'Proventos por ação (12M) ÷ Cotação × 100',
+        comoLer: 'Um DY alto pode vir de um lucro extraordinário ou de uma queda forte do preço; confira o payout e o DY médio de 5 anos.',
+        relacionados: ['dy5Anos', 'payout', 'precoTeto'],
+        fii: {
+            definicao: 'Rendimentos distribuídos pelo fundo nos últimos 12 meses em relação à cotação atual.',
+            formula: 'Soma dos rendimentos por cota (12M) ÷ Cotação × 100',
+            comoLer: 'FIIs distribuem ao menos 95% do resultado caixa semestral; compare com o yield de fundos do mesmo segmento e com a renda fixa.'
+        }
+    },
+    dy5Anos: {
+        termo: 'DY Médio (5 anos)',
+        categoria: 'Proventos',
+        tipos: ['acao'],
+        sinonimos: ['dividend yield médio'],
+        definicao: 'Média do dividend yield dos últimos cinco anos.',
+        formula: 'Média anual de (Proventos por ação ÷ Cotação × 100)',
+        comoLer: 'Mostra se os dividendos de hoje são recorrentes ou pontuais. É a base do Preço Teto de Bazin (5Y).',
+        relacionados: ['dy', 'bazin5Y']
+    },
+    payout: {
+        termo: 'Payout',
+        categoria: 'Proventos',
+        tipos: ['acao'],
+        sinonimos: ['distribuição', 'taxa de distribuição'],
+        definicao: 'Parcela do lucro líquido distribuída como dividendos e JCP.',
+        formula: 'Proventos ÷ Lucro líquido × 100',
+        comoLer: 'Payout muito baixo pode indicar pouco retorno ao acionista; acima de 100% a empresa paga mais do que lucra, o que não se sustenta.',
+        relacionados: ['dy', 'lpa']
+    },
+    ultimoRendimento: {
+        termo: 'Último Rendimento',
+        categoria: 'Proventos',
+        tipos: ['fii'],
+        sinonimos: ['rendimento mensal', 'dividendo mensal'],
+        definicao: 'Valor por cota do rendimento mais recente anunciado pelo fundo.',
+        formula: null,
+        comoLer: 'É a base do Yield 1 Mês, do EBN e do VN.',
+        relacionados: ['y1m', 'ebn', 'vn']
+    },
+    y1m: {
+        termo: 'Yield 1 Mês',
+        categoria: 'Proventos',
+        tipos: ['fii'],
+        sinonimos: ['yield mensal'],
+        definicao: 'Último rendimento em relação à cotação atual.',
+        formula: 'Último rendimento ÷ Cotação × 100',
+        comoLer: 'Reage mais rápido que o DY de 12 meses a cortes ou aumentos de rendimento, mas oscila mais.',
+        relacionados: ['dy', 'ultimoRendimento']
+    },
+    ebn: {
+        termo: 'EBN (Cotas para R$ 1/mês)',
+        categoria: 'Proventos',
+        tipos: ['fii'],
+        sinonimos: ['efeito bola de neve', 'número mágico'],
+        definicao: 'Quantas cotas são necessárias para que o rendimento mensal compre uma cota nova (o "efeito bola de neve").',
+        formula: 'Cotação ÷ Último rendimento, arredondado para cima',
+        comoLer: 'Quanto menor, mais rápido os rendimentos reinvestidos passam a comprar cotas sozinhos.',
+        relacionados: ['vn', 'ultimoRendimento']
+    },
+    vn: {
+        termo: 'VN (Valor para R$ 1/mês)',
+        categoria: 'Proventos',
+        tipos: ['fii'],
+        sinonimos: ['valor necessário'],
+        definicao: 'Quanto é preciso investir no fundo para receber cerca de uma cota nova por mês.',
+        formula: 'EBN × Cotação',
+        comoLer: 'Útil para planejar aportes; depende do rendimento atual se manter.',
+        relacionados: ['ebn']
+    },
+
+    // Rentabilidade
+    roe: {
+        termo: 'ROE (Retorno sobre o Patrimônio)',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: ['return on equity', 'retorno sobre patrimônio'],
+        definicao: 'Lucro gerado para cada R$ 100 de patrimônio dos acionistas.',
+        formula: 'Lucro líquido ÷ Patrimônio líquido × 100',
+        comoLer: 'ROE alto e estável indica um negócio que multiplica o capital dos sócios; dívida alta também infla o ROE.',
+        relacionados: ['roic', 'pvp', 'margemLiquida']
+    },
+    roic: {
+        termo: 'ROIC (Retorno sobre o Capital Investido)',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: ['return on invested capital'],
+        definicao: 'Retorno operacional sobre todo o capital usado no negócio, dos sócios e dos credores.',
+        formula: 'EBIT × (1 − alíquota de IR) ÷ (Patrimônio líquido + Dívida líquida) × 100',
+        comoLer: 'ROIC acima do custo de capital indica que a empresa cria valor ao crescer. Não se aplica a bancos.',
+        relacionados: ['roe', 'dividaLiquidaEbitda']
+    },
+    roa: {
+        termo: 'ROA (Retorno sobre os Ativos)',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: ['return on assets'],
+        definicao: 'Lucro gerado sobre o total de ativos da empresa.',
+        formula: 'Lucro líquido ÷ Ativo total × 100',
+        comoLer: 'Compare com empresas do mesmo setor: bancos e varejo têm ROA naturalmente baixo.',
+        relacionados: ['roe', 'giroAtivos', 'piotroski']
+    },
+    margemBruta: {
+        termo: 'Margem Bruta',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: [],
+        definicao: 'O que sobra da receita depois do custo direto dos produtos ou serviços vendidos.',
+        formula: 'Lucro bruto ÷ Receita líquida × 100',
+        comoLer: 'Margem bruta alta sugere poder de preço; a tendência importa mais que o número isolado.',
+        relacionados: ['margemEbitda', 'margemLiquida']
+    },
+    margemEbitda: {
+        termo: 'Margem EBITDA',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: ['lajida', 'ebitda'],
+        definicao: 'Geração de caixa operacional (antes de juros, impostos, depreciação e amortização) sobre a receita.',
+        formula: 'EBITDA ÷ Receita líquida × 100',
+        comoLer: 'Boa para comparar a eficiência operacional entre empresas do mesmo setor, independentemente da dívida.',
+        relacionados: ['margemBruta', 'dividaLiquidaEbitda']
+    },
+    margemLiquida: {
+        termo: 'Margem Líquida',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: [],
+        definicao: 'Quanto da receita vira lucro líquido depois de todos os custos, juros e impostos.',
+        formula: 'Lucro líquido ÷ Receita líquida × 100',
+        comoLer: 'Margem baixa deixa o lucro sensível a qualquer aumento de custo.',
+        relacionados: ['margemEbitda', 'roe']
+    },
+    giroAtivos: {
+        termo: 'Giro dos Ativos',
+        categoria: 'Rentabilidade',
+        tipos: ['acao'],
+        sinonimos: ['asset turnover'],
+        definicao: 'Quantas vezes a receita anual cobre o total de ativos.',
+        formula: 'Receita líquida ÷ Ativo total',
+        comoLer: 'Giro alto compensa margens baixas (varejo); giro baixo é típico de negócios com muitos ativos (energia).',
+        relacionados: ['roa', 'piotroski']
+    },
+
+    // Dívida & Liquidez
+    dividaLiquidaEbitda: {
+        termo: 'Dívida Líquida / EBITDA',
+        categoria: 'Dívida & Liquidez',
+        tipos: ['acao'],
+        sinonimos: ['alavancagem', 'endividamento'],
+        definicao: 'Em quantos anos a geração de caixa operacional pagaria a dívida líquida.',
+        formula: '(Dívida bruta − Caixa) ÷ EBITDA',
+        comoLer: 'Valor negativo significa caixa maior que a dívida. Setores regulados suportam alavancagem maior.',
+        relacionados: ['dividaLiquidaPatrimonio', 'liquidezCorrente', 'altmanZ']
+    },
+    dividaLiquidaPatrimonio: {
+        termo: 'Dívida Líquida / Patrimônio',
+        categoria: 'Dívida & Liquidez',
+        tipos: ['acao'],
+        sinonimos: ['alavancagem'],
+        definicao: 'Dívida líquida em relação ao capital próprio.',
+        formula: '(Dívida bruta − Caixa) ÷ Patrimônio líquido',
+        comoLer: 'Acima de 1 a empresa deve mais do que o patrimônio dos sócios.',
+        relacionados: ['dividaLiquidaEbitda', 'roe']
+    },
+    liquidezCorrente: {
+        termo: 'Liquidez Corrente',
+        categoria: 'Dívida & Liquidez',
+        tipos: ['acao'],
+        sinonimos: [],
+        definicao: 'Capacidade de pagar as obrigações de curto prazo com os ativos de curto prazo.',
+        formula: 'Ativo circulante ÷ Passivo circulante',
+        comoLer: 'Abaixo de 1 as contas a pagar no próximo ano superam o que a empresa tem para receber ou em caixa.',
+        relacionados: ['dividaLiquidaEbitda', 'piotroski']
+    },
+
+    // Lucro & Qualidade
+    lpa: {
+        termo: 'LPA (Lucro por Ação)',
+        categoria: 'Lucro & Qualidade',
+        tipos: ['acao'],
+        sinonimos: ['lucro por ação', 'eps'],
+        definicao: 'Lucro líquido dos últimos 12 meses dividido pelo número de ações.',
+        formula: 'Lucro líquido ÷ Número de ações',
+        comoLer: 'Base do P/L e do Valor Justo de Graham.',
+        relacionados: ['pl', 'valorJusto']
+    },
+    vpa: {
+        termo: 'VPA (Valor Patrimonial por Ação)',
+        categoria: 'Lucro & Qualidade',
+        tipos: ['acao', 'fii'],
+        sinonimos: ['valor patrimonial por ação', 'valor patrimonial por cota'],
+        definicao: 'Patrimônio líquido dividido pelo número de ações.',
+        formula: 'Patrimônio líquido ÷ Número de ações',
+        comoLer: 'Base do P/VP e do Valor Justo de Graham.',
+        relacionados: ['pvp', 'valorJusto'],
+        fii: {
+            definicao: 'Patrimônio do fundo dividido pelo número de cotas.',
+            formula: 'Valor patrimonial ÷ Cotas emitidas',
+            comoLer: 'Base do P/VP; sobe com reavaliações dos imóveis e cai com amortizações ou perdas.'
+        }
+    },
+    cagrLucros: {
+        termo: 'CAGR dos Lucros (5 anos)',
+        categoria: 'Lucro & Qualidade',
+        tipos: ['acao'],
+        sinonimos: ['crescimento dos lucros', 'taxa de crescimento'],
+        definicao: 'Crescimento médio anual composto do lucro líquido nos últimos cinco anos.',
+        formula: '(Lucro final ÷ Lucro inicial)^(1/5) − 1',
+        comoLer: 'Mostra o histórico, não o futuro. É usado como crescimento padrão no DCF e no modelo de Lynch.',
+        relacionados: ['lynch', 'dcf', 'pl']
+    },
+    piotroski: {
+        termo: 'Piotroski F-Score',
+        categoria: 'Lucro & Qualidade',
+        tipos: ['acao'],
+        sinonimos: ['f-score', 'piotroski'],
+        definicao: 'Nota de 0 a 9 que soma um ponto por critério de rentabilidade, alavancagem/liquidez e eficiência atendido no último ano contra o anterior.',
+        formula: 'Soma de 9 critérios (ROA > 0, caixa operacional > 0, ROA crescente, caixa > lucro, alavancagem menor, liquidez maior, sem emissão de ações, margem bruta maior, giro maior)',
+        comoLer: 'Critérios sem dado ficam de fora e reduzem o máximo (ex.: 6/7). Não é adequado para bancos e seguradoras.',
+        relacionados: ['altmanZ', 'roa', 'giroAtivos'],
+        regra: `Verde com ${PIOTROSKI_FAIXAS.bom * 100}% ou mais dos critérios avaliados atendidos; vermelho com ${PIOTROSKI_FAIXAS.ruim * 100}% ou menos; neutro entre os dois.`
+    },
+    altmanZ: {
+        termo: 'Altman Z-Score',
+        categoria: 'Lucro & Qualidade',
+        tipos: ['acao'],
+        sinonimos: ['z-score', 'risco de falência', 'insolvência'],
+        definicao: 'Combinação de cinco índices do balanço que estima o risco de insolvência.',
+        formula: 'Z = 1,2 X1 + 1,4 X2 + 3,3 X3 + 0,6 X4 + 1,0 X5 (X1 capital de giro, X2 lucros retidos, X3 EBIT e X5 receita sobre o ativo; X4 valor de mercado sobre o passivo). '
+            + "Sem cotação usa o Z' com o patrimônio contábil.",
+        comoLer: 'Foi criado para indústrias; em bancos e seguradoras não se aplica.',
+        relacionados: ['piotroski', 'dividaLiquidaEbitda', 'liquidezCorrente'],
+        regra: `Verde na zona segura (Z acima de ${formatLimit(ALTMAN_ZONAS.Z.seguro, '')}, Z' acima de ${formatLimit(ALTMAN_ZONAS.Zlinha.seguro, '')}); `
+            + `vermelho na zona de perigo (Z abaixo de ${formatLimit(ALTMAN_ZONAS.Z.perigo, '')}, Z' abaixo de ${formatLimit(ALTMAN_ZONAS.Zlinha.perigo, '')}); neutro na zona cinzenta.`
+    },
+
+    // Modelos de valuation (cards card-<id> da seção de valuation)
+    precoTeto: {
+        termo: 'Preço Teto de Bazin (12M)',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['bazin', 'preço teto'],
+        definicao: 'Maior preço a pagar para receber pelo menos o yield mínimo (6% por padrão) com os dividendos dos últimos 12 meses.',
+        formula: 'Dividendos por ação (12M) ÷ Yield mínimo',
+        comoLer: 'Pensado para empresas pagadoras e estáveis; não diz nada sobre crescimento.',
+        relacionados: ['dy', 'bazin5Y'],
+        regra: REGRA_VALUATION
+    },
+    bazin5Y: {
+        termo: 'Preço Teto de Bazin (5 anos)',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['bazin'],
+        definicao: 'Preço teto de Bazin calculado com a média de dividendos dos últimos cinco anos.',
+        formula: 'Dividendos médios por ação (5A) ÷ Yield mínimo',
+        comoLer: 'Menos sensível a um ano de dividendos extraordinários que a versão de 12 meses.',
+        relacionados: ['dy5Anos', 'precoTeto'],
+        regra: REGRA_VALUATION
+    },
+    valorJusto: {
+        termo: 'Valor Justo de Graham',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['graham', 'número de graham'],
+        definicao: 'Preço máximo para uma empresa com P/L até 15 e P/VP até 1,5 (15 × 1,5 = 22,5).',
+        formula: '√(22,5 × LPA × VPA)',
+        comoLer: 'Só vale com lucro e patrimônio positivos e é pouco confiável para financeiras e empresas de tecnologia (veja o aviso no card).',
+        relacionados: ['lpa', 'vpa', 'valorRevisado'],
+        regra: REGRA_VALUATION
+    },
+    valorRevisado: {
+        termo: 'Valor Justo de Graham Revisado',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['graham revisado'],
+        definicao: 'Fórmula de 1974 de Graham, que considera o crescimento esperado e os juros atuais.',
+        formula: 'LPA × (8,5 + 2g) × Yield base ÷ Yield AAA atual',
+        comoLer: 'Muito sensível ao crescimento g; confira as premissas no formulário de valuation.',
+        relacionados: ['valorJusto', 'cagrLucros'],
+        regra: REGRA_VALUATION
+    },
+    gordon: {
+        termo: 'Modelo de Gordon',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['desconto de dividendos', 'ddm'],
+        definicao: 'Valor presente de dividendos que crescem a uma taxa constante para sempre.',
+        formula: 'Dividendo do próximo ano ÷ (k − g)',
+        comoLer: 'Só se aplica quando a taxa de desconto k é maior que o crescimento g; pequenas mudanças nas premissas mudam muito o resultado.',
+        relacionados: ['dy', 'dcf'],
+        regra: REGRA_VALUATION
+    },
+    dcf: {
+        termo: 'Fluxo de Caixa Descontado (2 estágios)',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['dcf', 'fluxo de caixa descontado'],
+        definicao: 'Lucros projetados por alguns anos com crescimento g e depois na perpetuidade, trazidos a valor presente pela taxa k.',
+        formula: 'Σ LPA × (1+g)^t ÷ (1+k)^t + Valor terminal ÷ (1+k)^n',
+        comoLer: 'O resultado depende das premissas; teste cenários no formulário de valuation.',
+        relacionados: ['cagrLucros', 'gordon'],
+        regra: REGRA_VALUATION
+    },
+    lynch: {
+        termo: 'Valor Justo de Peter Lynch',
+        categoria: 'Modelos de valuation',
+        tipos: ['acao'],
+        sinonimos: ['lynch', 'peg'],
+        definicao: 'Para Lynch, uma empresa bem avaliada tem P/L igual à sua taxa de crescimento (PEG = 1).',
+        formula: 'LPA × Crescimento (%)',
+        comoLer: 'Faz mais sentido para empresas em crescimento; crescimento zero ou negativo deixa o modelo sem valor.',
+        relacionados: ['pl', 'cagrLucros'],
+        regra: REGRA_VALUATION
+    },
+
+    // Analistas (XP e BTG usam os mesmos verbetes)
+    recomendacao: {
+        termo: 'Recomendação dos analistas',
+        categoria: 'Analistas',
+        tipos: ['acao'],
+        sinonimos: ['compra', 'venda', 'neutro', 'rating'],
+        definicao: 'Opinião publicada pela corretora sobre a ação: compra, neutro ou venda.',
+        formula: null,
+        comoLer: 'É uma opinião com horizonte de 12 meses, não uma garantia; compare com o seu próprio valuation.',
+        relacionados: ['precoAlvo', 'potencial'],
+        regra: 'Verde quando a recomendação é "Compra"; vermelho quando é "Venda"; neutro nos demais casos.'
+    },
+    precoAlvo: {
+        termo: 'Preço-alvo',
+        categoria: 'Analistas',
+        tipos: ['acao'],
+        sinonimos: ['target price'],
+        definicao: 'Preço que a corretora projeta para a ação em cerca de 12 meses.',
+        formula: null,
+        comoLer: 'A distância entre o preço-alvo e a cotação é o potencial.',
+        relacionados: ['potencial', 'recomendacao']
+    },
+    potencial: {
+        termo: 'Potencial de valorização',
+        categoria: 'Analistas',
+        tipos: ['acao'],
+        sinonimos: ['upside'],
+        definicao: 'Quanto a ação subiria até o preço-alvo da corretora.',
+        formula: '(Preço-alvo ÷ Cotação − 1) × 100',
+        comoLer: 'Quando a corretora não informa, é calculado a partir do preço-alvo e da cotação.',
+        relacionados: ['precoAlvo', 'recomendacao']
+    },
+    risco: {
+        termo: 'Risco (XP)',
+        categoria: 'Analistas',
+        tipos: ['acao'],
+        sinonimos: ['nível de risco'],
+        definicao: 'Nota de risco atribuída pela XP à ação.',
+        formula: null,
+        comoLer: 'Quanto maior a nota, mais volátil ou incerto a XP considera o papel.',
+        relacionados: ['recomendacao']
+    },
+
+    // FIIs: patrimônio e informações do fundo
+    valorPatrimonial: {
+        termo: 'Valor Patrimonial',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['patrimônio líquido', 'pl do fundo'],
+        definicao: 'Patrimônio total do fundo: imóveis ou títulos avaliados mais caixa, menos obrigações.',
+        formula: null,
+        comoLer: 'Fundos maiores costumam ter mais imóveis e inquilinos, o que dilui riscos.',
+        relacionados: ['vpa', 'pvp']
+    },
+    vacancia: {
+        termo: 'Vacância',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['taxa de ocupação', 'vacância física'],
+        definicao: 'Percentual da área dos imóveis do fundo que está sem inquilino.',
+        formula: 'Área vaga ÷ Área total × 100',
+        comoLer: 'Área vaga não gera aluguel e ainda custa condomínio e IPTU. Não se aplica a fundos de papel e FoFs.',
+        relacionados: ['dy', 'segmento']
+    },
+    numCotistas: {
+        termo: 'Número de Cotistas',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['cotistas'],
+        definicao: 'Quantidade de investidores com cotas do fundo.',
+        formula: null,
+        comoLer: 'Mais cotistas costuma significar mais liquidez e menos concentração.',
+        relacionados: ['liquidezDiaria']
+    },
+    cotasEmitidas: {
+        termo: 'Cotas Emitidas',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['número de cotas'],
+        definicao: 'Número total de cotas do fundo.',
+        formula: null,
+        comoLer: 'Cresce a cada emissão; emissões abaixo do valor patrimonial diluem quem já é cotista.',
+        relacionados: ['vpa']
+    },
+    segmento: {
+        termo: 'Segmento',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['setor'],
+        definicao: 'Tipo de ativo em que o fundo investe: logística, shoppings, lajes, papel (CRI), fundo de fundos etc.',
+        formula: null,
+        comoLer: 'Define os limites usados para colorir os cards e calcular o score do fundo.',
+        relacionados: ['tipoFundo', 'score']
+    },
+    tipoFundo: {
+        termo: 'Tipo de Fundo',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['tijolo', 'papel', 'híbrido'],
+        definicao: 'Classificação ampla do fundo: tijolo (imóveis), papel (títulos de crédito imobiliário), fundo de fundos ou híbrido.',
+        formula: null,
+        comoLer: 'Fundos de papel acompanham juros e inflação; fundos de tijolo dependem de aluguéis e ocupação.',
+        relacionados: ['segmento']
+    },
+    tipoGestao: {
+        termo: 'Tipo de Gestão',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['gestão ativa', 'gestão passiva'],
+        definicao: 'Ativa quando o gestor pode comprar e vender ativos livremente; passiva quando o fundo fica preso aos imóveis do regulamento.',
+        formula: null,
+        comoLer: 'Gestão ativa depende mais da qualidade do gestor.',
+        relacionados: ['taxaAdm']
+    },
+    taxaAdm: {
+        termo: 'Taxa de Administração',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['taxa de administração', 'taxa de gestão'],
+        definicao: 'Percentual anual cobrado sobre o patrimônio (ou valor de mercado) para administrar e gerir o fundo.',
+        formula: null,
+        comoLer: 'Sai direto do rendimento do cotista; confira também se há taxa de performance.',
+        relacionados: ['tipoGestao', 'dy']
+    },
+    score: {
+        termo: 'Score do FII',
+        categoria: 'FIIs',
+        tipos: ['fii'],
+        sinonimos: ['nota', 'pontuação'],
+        definicao: 'Nota de 0 a 100 do app: cada indicador com limite no segmento soma seu peso quando é bom e subtrai quando é ruim (50 = neutro).',
+        formula: `50 + 50 × Σ pontos ÷ Σ pesos (pesos: ${Object.values(FII_INDICATORS).map(i => `${i.label} ${i.peso}`).join(', ')})`,
+        comoLer: 'Indicadores sem dado ou que não se aplicam ao segmento ficam fora da conta; a tabela abaixo do score mostra cada contribuição.',
+        relacionados: ['dy', 'pvp', 'vacancia', 'segmento'],
+        regra: `Verde com ${FII_SCORE_FAIXAS.bom} ou mais; vermelho com ${FII_SCORE_FAIXAS.ruim} ou menos; neutro entre os dois.`
+    }
+};
+
+// Campos das respostas que compartilham verbete (cards XP e BTG)
+export const GLOSSARY_ALIASES = {
+    xpiRecomendacao: 'recomendacao',
+    btgRecomendacao: 'recomendacao',
+    xpiPrecoAlvo: 'precoAlvo',
+    btgPrecoAlvo: 'precoAlvo',
+    xpiPotencial: 'potencial',
+    btgPotencial: 'potencial',
+    xpiRisco: 'risco'
+};
+
+export const GLOSSARY_TIPOS = ['acao', 'fii'];
+
+const VALUATION_KEYS = ['precoTeto', 'bazin5Y', 'valorJusto', 'valorRevisado', 'gordon', 'dcf', 'lynch'];
+
+const normalizar = (texto) => String(texto ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+// Campo de /buscar ou /buscar-fii -> chave do verbete (null se não há verbete)
+export function resolveGlossaryKey(campo) {
+    const chave = GLOSSARY_ALIASES[campo] || campo;
+    return Object.hasOwn(GLOSSARY, chave) ? chave : null;
+}
+
+// Textos do verbete para o tipo de ativo (os de FII sobrepõem os gerais)
+function entryTexts(chave, tipo) {
+    const { fii, regra, ...entrada } = GLOSSARY[chave];
+    return { chave, ...entrada, ...(tipo === 'fii' ? fii : null) };
+}
+
+/**
+ * Busca sem acento no termo, sinônimos, chave e definição; termos que batem no nome vêm
+ * antes dos que só batem na definição. tipo filtra verbetes de ações ou de FIIs.
+ */
+export function searchGlossary(q = '', tipo = null) {
+    const termos = normalizar(q).split(/\s+/).filter(Boolean);
+    const resultados = [];
+    for (const chave of Object.keys(GLOSSARY)) {
+        const entrada = GLOSSARY[chave];
+        if (tipo && !entrada.tipos.includes(tipo)) continue;
+        const nome = normalizar([chave, entrada.termo, ...entrada.sinonimos].join(' '));
+        const texto = normalizar([entrada.definicao, entrada.fii?.definicao, entrada.categoria].join(' '));
+        if (!termos.every(t => nome.includes(t) || texto.includes(t))) continue;
+        const { termo, categoria, tipos, definicao } = entryTexts(chave, tipo);
+        resultados.push({ chave, termo, categoria, tipos, definicao, peso: termos.every(t => nome.includes(t)) ? 0 : 1 });
+    }
+    return resultados.sort((a, b) => a.peso - b.peso).map(({ peso, ...r }) => r);
+}
+
+const DIRECOES = { menor: 'Quanto menor, melhor.', maior: 'Quanto maior, melhor.', faixa: 'Melhor dentro de uma faixa.' };
+
+function limitText(melhor, limite, unidade) {
+    if (!limite) return 'não se aplica a este perfil (fica neutro)';
+    const f = (v) => formatLimit(v, unidade);
+    if (melhor === 'faixa') return `bom entre ${f(limite.min)} e ${f(limite.max)}; ruim acima de ${f(limite.ruim)}; neutro no resto`;
+    if (melhor === 'maior') return `bom ≥ ${f(limite.bom)}; ruim < ${f(limite.ruim)}; neutro entre os dois`;
+    return `bom ≤ ${f(limite.bom)}; ruim > ${f(limite.ruim)}; neutro entre os dois`;
+}
+
+/**
+ * Como o card ganha cor para o tipo de ativo. Indicadores dos perfis de limites listam
+ * cada perfil (ou só perfil, quando informado): { regra, observacao, perfis: [{ chave, label, personalizado, texto }] }.
+ * perfis: perfis de ações do usuário (loadThresholdProfiles); FIIs usam FII_PROFILES.
+ */
+export function describeThresholds(chave, tipo, { perfis = DEFAULT_THRESHOLD_PROFILES, perfil = null } = {}) {
+    const indicadores = tipo === 'fii' ? FII_INDICATORS : ACAO_INDICATORS;
+    const ind = indicadores[chave];
+    if (!ind) {
+        const { regra } = GLOSSARY[chave];
+        return { regra: regra || 'Só informativo: o card não muda de cor.', observacao: null, perfis: [] };
+    }
+    const todos = tipo === 'fii'
+        ? Object.entries(FII_PROFILES).map(([k, p]) => [k, { label: p.label, limite: p[chave], personalizado: false }])
+        : Object.entries(perfis).map(([k, p]) => [k, { label: p.label, limite: p.limites[chave], personalizado: Boolean(p.personalizado) }]);
+    const escolhidos = perfil && todos.some(([k]) => k === perfil) ? todos.filter(([k]) => k === perfil) : todos;
+    return {
+        regra: `${DIRECOES[ind.melhor]} Os limites dependem do ${tipo === 'fii' ? 'segmento do fundo' : 'perfil de setor/segmento da empresa'}.`,
+        observacao: ind.positivo ? 'Valores negativos ou zero (prejuízo) ficam neutros: não indicam ação barata.' : null,
+        perfis: escolhidos.map(([k, p]) => ({ chave: k, label: p.label, personalizado: p.personalizado, texto: limitText(ind.melhor, p.limite, ind.unidade) }))
+    };
+}
+
+const semDado = (motivo = 'Sem dado para este ativo: o card fica neutro.') => ({ classe: 'neutral', motivo });
+
+function explainLimit(ind, valor, limite, perfilLabel, classe) {
+    const f = (v) => formatLimit(v, ind.unidade);
+    const v = f(valor);
+    const onde = `no perfil ${perfilLabel}`;
+    if (!limite) return `${ind.label} não é classificado ${onde}: o card fica neutro.`;
+    if (ind.positivo && valor <= 0) return `${ind.label} de ${v} indica prejuízo: fica neutro, não quer dizer ação barata.`;
+    if (ind.melhor === 'faixa') {
+        if (classe === 'good') return `${v} está na faixa boa ${onde} (entre ${f(limite.min)} e ${f(limite.max)}).`;
+        if (classe === 'bad') return `${v} passa do limite ruim ${onde} (acima de ${f(limite.ruim)}).`;
+        return `${v} está fora da faixa boa ${onde} (${f(limite.min)} a ${f(limite.max)}), mas não passa de ${f(limite.ruim)}.`;
+    }
+    const [sinalBom, sinalRuim, lado] = ind.melhor === 'maior' ? ['≥', '<', 'maior'] : ['≤', '>', 'menor'];
+    if (classe === 'good') return `${v} é ${sinalBom} ${f(limite.bom)}, o limite bom ${onde} (quanto ${lado}, melhor).`;
+    if (classe === 'bad') return `${v} é ${sinalRuim} ${f(limite.ruim)}, o limite ruim ${onde} (quanto ${lado}, melhor).`;
+    return `${v} fica entre o limite bom (${f(limite.bom)}) e o ruim (${f(limite.ruim)}) ${onde}.`;
+}
+
+/**
+ * Por que o card deste ativo ficou verde, vermelho ou neutro: refaz a classificação do
+ * servidor com o valor exibido no card. valor/cotacao são os textos dos cards ("12,5%",
+ * "R$ 38,10"); perfil é a chave de perfilLimites (ações) ou de score.perfil (FIIs).
+ * Devolve { classe, motivo }.
+ */
+export function explainClassification(chave, tipo, { valor, cotacao = null, perfis = DEFAULT_THRESHOLD_PROFILES, perfil = null } = {}) {
+    const texto = valor === undefined || valor === null ? '' : String(valor).trim();
+    if (!texto || texto === '-') return semDado();
+
+    if (VALUATION_KEYS.includes(chave)) {
+        const valorModelo = strToNumber(texto);
+        const preco = strToNumber(cotacao);
+        if (valorModelo === null || preco === null) return semDado('O modelo não se aplica a este ativo ou falta a cotação: o card fica neutro.');
+        const { class: classe } = classifyValuation(cotacao, valorModelo);
+        const margem = ((valorModelo / preco) - 1) * 100;
+        const pct = `${Math.abs(margem).toFixed(1).replace('.', ',')}%`;
+        return classe === 'good'
+            ? { classe, motivo: `A cotação (${cotacao}) está abaixo do valor do modelo (${texto}): margem de segurança de ${pct}.` }
+            : { classe, motivo: `A cotação (${cotacao}) está acima do valor do modelo (${texto}), que fica ${pct} abaixo do preço atual.` };
+    }
+
+    if (chave === 'recomendacao') {
+        const classe = getRecClass(texto);
+        if (classe === 'good') return { classe, motivo: 'A corretora recomenda compra.' };
+        if (classe === 'bad') return { classe, motivo: 'A corretora recomenda venda.' };
+        return { classe, motivo: `Recomendação "${texto}": só compra e venda mudam a cor do card.` };
+    }
+
+    if (chave === 'piotroski') {
+        const partes = texto.match(/^(\d+)\s*\/\s*(\d+)$/);
+        if (!partes || Number(partes[2]) === 0) return semDado();
+        const [pontos, maximo] = [Number(partes[1]), Number(partes[2])];
+        const proporcao = pontos / maximo;
+        const pct = `${Math.round(proporcao * 100)}%`;
+        if (proporcao >= PIOTROSKI_FAIXAS.bom) return { classe: 'good', motivo: `${pontos} de ${maximo} critérios atendidos (${pct}), pelo menos ${PIOTROSKI_FAIXAS.bom * 100}%.` };
+        if (proporcao <= PIOTROSKI_FAIXAS.ruim) return { classe: 'bad', motivo: `Só ${pontos} de ${maximo} critérios atendidos (${pct}), no máximo ${PIOTROSKI_FAIXAS.ruim * 100}%.` };
+        return { classe: 'neutral', motivo: `${pontos} de ${maximo} critérios atendidos (${pct}), entre ${PIOTROSKI_FAIXAS.ruim * 100}% e ${PIOTROSKI_FAIXAS.bom * 100}%.` };
+    }
+
+    if (chave === 'altmanZ') {
+        const zona = texto.match(/\((segura|cinzenta|perigo)\)/)?.[1];
+        if (!zona) return semDado();
+        if (zona === 'segura') return { classe: 'good', motivo: `Z de ${texto.replace(/\s*\(.*\)/, '')} na zona segura: baixo risco de insolvência pelo balanço.` };
+        if (zona === 'perigo') return { classe: 'bad', motivo: `Z de ${texto.replace(/\s*\(.*\)/, '')} na zona de perigo: o balanço indica risco de insolvência.` };
+        return { classe: 'neutral', motivo: `Z de ${texto.replace(/\s*\(.*\)/, '')} na zona cinzenta: sem sinal claro.` };
+    }
+
+    if (chave === 'score' && tipo === 'fii') {
+        const nota = strToNumber(texto);
+        if (nota === null) return semDado();
+        if (nota >= FII_SCORE_FAIXAS.bom) return { classe: 'good', motivo: `Score ${nota} ≥ ${FII_SCORE_FAIXAS.bom}: os indicadores bons pesam mais que os ruins.` };
+        if (nota <= FII_SCORE_FAIXAS.ruim) return { classe: 'bad', motivo: `Score ${nota} ≤ ${FII_SCORE_FAIXAS.ruim}: os indicadores ruins pesam mais que os bons.` };
+        return { classe: 'neutral', motivo: `Score ${nota} entre ${FII_SCORE_FAIXAS.ruim} e ${FII_SCORE_FAIXAS.bom}: bons e ruins se equilibram.` };
+    }
+
+    if (tipo === 'fii') {
+        const ind = FII_INDICATORS[chave];
+        if (!ind) return { classe: 'neutral', motivo: 'Indicador só informativo: o card não muda de cor.' };
+        const perfilFii = Object.hasOwn(FII_PROFILES, perfil ?? '') ? perfil : 'tijolo';
+        const numero = (ind.parse || strToNumber)(texto);
+        if (numero === null) return semDado();
+        const classe = classifyFiiIndicator(chave, numero, perfilFii);
+        return { classe, motivo: explainLimit(ind, numero, FII_PROFILES[perfilFii][chave], FII_PROFILES[perfilFii].label, classe) };
+    }
+
+    const ind = ACAO_INDICATORS[chave];
+    if (!ind) return { classe: 'neutral', motivo: 'Indicador só informativo: o card não muda de cor.' };
+    const perfilAcao = Object.hasOwn(perfis, perfil ?? '') ? perfil : 'padrao';
+    const { limites, label, personalizado } = perfis[perfilAcao];
+    const numero = strToNumber(texto);
+    if (numero === null) return semDado();
+    const classe = classifyThreshold(chave, numero, limites);
+    const motivo = explainLimit(ind, numero, limites[chave], label, classe);
+    return { classe, motivo: personalizado ? `${motivo} Os limites deste perfil foram ajustados por você.` : motivo };
+}
+
+/**
+ * Verbete completo para a ajuda do card e para a página Aprenda: textos, limites do
+ * tipo pedido (ou de todos os tipos do verbete) e, com valor, a explicação do card.
+ */
+export function buildGlossaryEntry(chave, { tipo = null, perfis = DEFAULT_THRESHOLD_PROFILES, perfil = null, valor, cotacao = null } = {}) {
+    const entrada = GLOSSARY[chave];
+    const tipoTexto = tipo && entrada.tipos.includes(tipo) ? tipo : entrada.tipos[0];
+    const tipos = tipo && entrada.tipos.includes(tipo) ? [tipo] : entrada.tipos;
+    const textos = entryTexts(chave, tipoTexto);
+    return {
+        ...textos,
+        relacionados: textos.relacionados.map(r => ({ chave: r, termo: GLOSSARY[r].termo })),
+        limites: Object.fromEntries(tipos.map(t => [t, describeThresholds(chave, t, { perfis, perfil })])),
+        explicacao: valor === undefined ? null : explainClassification(chave, tipoTexto, { valor, cotacao, perfis, perfil })
+    };
+}
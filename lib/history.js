@@ -0,0 +1,74 @@
+import { pool } from './db.js';
+import { parseFieldValue } from './format.js';
+import { computeValuations } from './valuation.js';
+
+// --- HISTÓRICO DE INDICADORES ---
+// Campos de texto (e as listas de proventos e demonstrativos) que não viram número no snapshot
+const TEXT_FIELDS = new Set(['setor', 'segmento', 'tipoFundo', 'tipoGestao', 'dividendos', 'demonstrativos', 'setorUrl', 'segmentoUrl']);
+
+// Séries devolvidas por /historico (na ordem em que aparecem nos gráficos)
+export const HISTORY_SERIES = {
+    acao: ['cotacao', 'pl', 'pvp', 'dy', 'roe', 'valorJusto', 'valorRevisado', 'precoTeto', 'bazin5Y'],
+    fii: ['cotacao', 'pvp', 'dy', 'ultimoRendimento', 'y1m', 'vacancia']
+};
+
+const round = (num) => (num === null ? null : Math.round(num * 10000) / 10000);
+
+// Converte os dados brutos do scraping (strings "R$ 12,34", "8,5%", "R$ 7,12 M") em números; ações ganham também os valuations
+export function buildSnapshot(tipo, rawData) {
+    const snapshot = {};
+    for (const [key, value] of Object.entries(rawData)) {
+        if (TEXT_FIELDS.has(key)) continue;
+        snapshot[key] = parseFieldValue(key, value);
+    }
+    if (tipo === 'acao') {
+        for (const [key, value] of Object.entries(computeValuations(rawData))) snapshot[key] = round(value);
+    }
+    return snapshot;
+}
+
+// O ponto do dia segue o calendário de São Paulo: uma busca às 22h não cai no dia seguinte (UTC)
+const diaSaoPaulo = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+export function snapshotDate(fetchedAt = new Date()) {
+    return diaSaoPaulo.format(new Date(fetchedAt));
+}
+
+export async function saveSnapshot(ticker, tipo, rawData, fetchedAt = new Date()) {
+    const when = new Date(fetchedAt);
+    const day = snapshotDate(when);
+    await pool.execute(
+        `INSERT INTO indicator_snapshots (ticker, asset_type, snapshot_date, data, fetched_at) VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE data = VALUES(data), fetched_at = VALUES(fetched_at)`,
+        [ticker.toUpperCase(), tipo, day, JSON.stringify(buildSnapshot(tipo, rawData)), when]
+    );
+}
+
+// Grava sem travar a resposta da rota; falha de banco só vai para o log
+export function recordSnapshot(ticker, tipo, rawData, fetchedAt) {
+    saveSnapshot(ticker, tipo, rawData, fetchedAt)
+        .catch(e => console.error(`⚠️ Erro ao gravar histórico de ${ticker}:`, e.message));
+}
+
+// Opções de cache das buscas: a atualização em segundo plano do cache vencido também vira snapshot
+export const snapshotOnRefresh = (ticker, tipo) => ({
+    onRefresh: ({ data, fetchedAt }) => recordSnapshot(ticker, tipo, data, new Date(fetchedAt))
+});
+
+export async function getHistory(ticker, tipo = 'acao', dias = 365) {
+    const [rows] = await pool.execute(
+        `SELECT snapshot_date, data FROM indicator_snapshots
+         WHERE ticker = ? AND asset_type = ? AND snapshot_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+         ORDER BY snapshot_date`,
+        [ticker.toUpperCase(), tipo, String(dias)]
+    );
+    const keys = HISTORY_SERIES[tipo] || HISTORY_SERIES.acao;
+    const series = Object.fromEntries(keys.map(k => [k, []]));
+    const datas = [];
+    for (const row of rows) {
+        const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+        datas.push(row.snapshot_date);
+        for (const k of keys) series[k].push(data[k] ?? null);
+    }
+    return { ticker: ticker.toUpperCase(), tipo, datas, series };
+}
@@ -0,0 +1,321 @@
+import { readSheet } from 'read-excel-file/node';
+import { parseTransactionInput, toRow } from './portfolio.js';
+
+// --- IMPORTAÇÃO DE EXTRATOS (B3 Área do Investidor e notas de corretagem em CSV/XLSX) ---
+// Formatos reconhecidos pelo cabeçalho:
+//   negociacao    extrato de negociação da B3 ou planilha da corretora (uma linha por negócio)
+//   movimentacao  extrato de movimentação da B3 (proventos, desdobramentos, bonificações...)
+export const IMPORT_FORMATS = ['negociacao', 'movimentacao'];
+export const EVENT_TYPES = ['dividendo', 'jcp', 'rendimento', 'desdobramento', 'bonificacao', 'grupamento'];
+// Eventos que mudam a quantidade em carteira (os demais são só dinheiro)
+export const QUANTITY_EVENTS = ['desdobramento', 'bonificacao', 'grupamento'];
+
+const MAX_LINHAS = 5000;
+
+// Cabeçalhos aceitos para cada coluna (comparados sem acento e em minúsculas)
+const COLUNAS = {
+    data: ['data do negocio', 'data', 'data pregao', 'data do pregao', 'data operacao'],
+    operacao: ['tipo de movimentacao', 'c/v', 'compra/venda', 'operacao', 'natureza', 'tipo'],
+    ticker: ['codigo de negociacao', 'ticker', 'ativo', 'codigo', 'papel', 'titulo'],
+    quantidade: ['quantidade', 'qtd', 'qtde'],
+    preco: ['preco', 'preco unitario', 'preco medio', 'valor unitario'],
+    taxas: ['taxas', 'custos', 'corretagem', 'despesas'],
+    mercado: ['mercado'],
+    // movimentação
+    entradaSaida: ['entrada/saida'],
+    movimentacao: ['movimentacao'],
+    produto: ['produto'],
+    valor: ['valor da operacao', 'valor', 'valor liquido']
+};
+
+// Texto da coluna "Movimentação" da B3 -> tipo de evento; o que não está aqui é ignorado
+const MOVIMENTACOES = [
+    [/juros sobre capital/, 'jcp'],
+    [/^dividendo/, 'dividendo'],
+    [/^rendimento/, 'rendimento'],
+    [/desdobr/, 'desdobramento'],
+    [/bonifica/, 'bonificacao'],
+    [/grupamento/, 'grupamento']
+];
+
+const semAcento = (str) => String(str ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+const round = (num, places = 2) => Math.round(num * 10 ** places) / 10 ** places;
+
+// "PETR4F" (fracionário) -> "PETR4"; "PETR4 - PETROLEO BRASILEIRO S.A." -> "PETR4"
+export function normalizeTicker(codigo) {
+    const ticker = String(codigo ?? '').trim().split(/\s+-\s+|\s+/)[0].toUpperCase();
+    return ticker.replace(/^([A-Z0-9]{4}\d{1,2})F$/, '$1');
+}
+
+// Número vindo de célula: já numérico (XLSX) ou texto "R$ 1.234,56" / "1234.56" / "-"
+export function parseSheetNumber(valor) {
+    if (typeof valor === 'number') return valor;
+    let texto = String(valor ?? '').replace(/R\$|\s/g, '');
+    if (!texto || texto === '-') return null;
+    if (texto.includes(',')) texto = texto.replace(/\./g, '').replace(',', '.');
+    const num = Number(texto);
+    return Number.isFinite(num) ? num : null;
+}
+
+// Date (XLSX), "31/01/2025", "31.01.2025" ou "2025-01-31" -> "2025-01-31"
+export function parseSheetDate(valor) {
+    if (valor instanceof Date && !isNaN(valor)) return valor.toISOString().slice(0, 10);
+    const texto = String(valor ?? '').trim();
+    let match = texto.match(/^(\d{2})[/.](\d{2})[/.](\d{4})$/);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+    match = texto.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// CSV com ; ou , (o separador mais frequente no cabeçalho), aspas duplas como no RFC 4180
+export function parseCsv(texto) {
+    const conteudo = texto.replace(/^\uFEFF/, '');
+    const primeiraLinha = conteudo.split(/\r?\n/, 1)[0];
+    const separador = (primeiraLinha.match(/;/g) || []).length >= (primeiraLinha.match(/,/g) || []).length ? ';' : ',';
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let aspas = false;
+    for (let i = 0; i < conteudo.length; i++) {
+        const c = conteudo[i];
+        if (aspas) {
+            if (c === '"' && conteudo[i + 1] === '"') { campo += '"'; i++; }
+            else if (c === '"') aspas = false;
+            else campo += c;
+        } else if (c === '"') {
+            aspas = true;
+        } else if (c === separador) {
+            linha.push(campo); campo = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && conteudo[i + 1] === '\n') i++;
+            linha.push(campo); campo = '';
+            linhas.push(linha); linha = [];
+        } else {
+            campo += c;
+        }
+    }
+    if (campo || linha.length) { linha.push(campo); linhas.push(linha); }
+    return linhas.filter(l => l.some(c => c.trim() !== ''));
+}
+
+// Buffer do upload -> linhas (arrays de células); XLSX pelo conteúdo (zip "PK"), o resto como CSV
+export async function readSpreadsheet(buffer) {
+    const isXlsx = buffer[0] === 0x50 && buffer[1] === 0x4b;
+    const linhas = isXlsx ? await readSheet(buffer) : parseCsv(buffer.toString('utf8'));
+    return linhas.filter(l => l.some(c => c !== null && c !== undefined && String(c).trim() !== ''));
+}
+
+// Índice de cada coluna conhecida no cabeçalho
+function mapColumns(cabecalho) {
+    const nomes = cabecalho.map(semAcento);
+    const indices = {};
+    for (const [coluna, aliases] of Object.entries(COLUNAS)) {
+        const i = nomes.findIndex(n => aliases.includes(n));
+        if (i >= 0) indices[coluna] = i;
+    }
+    return indices;
+}
+
+export function detectFormat(cabecalho) {
+    const colunas = mapColumns(cabecalho);
+    if ('movimentacao' in colunas && 'produto' in colunas && 'entradaSaida' in colunas) return 'movimentacao';
+    if ('data' in colunas && 'operacao' in colunas && 'ticker' in colunas && 'quantidade' in colunas && 'preco' in colunas) return 'negociacao';
+    return null;
+}
+
+// FII pelo nome do produto (movimentação) ou pela carteira; sem isso, final 11 vira palpite de FII
+function guessAssetType(ticker, produto, tiposConhecidos) {
+    if (tiposConhecidos[ticker]) return { tipo: tiposConhecidos[ticker], tipoEstimado: false };
+    const nome = semAcento(produto);
+    if (nome && /\bfii\b|fundo de investimento imobiliario|fdo inv imob|imobiliario/.test(nome)) return { tipo: 'fii', tipoEstimado: false };
+    if (nome && / s\.?a\.?\b|\bs\/a\b/.test(nome)) return { tipo: 'acao', tipoEstimado: false };
+    return { tipo: /11$/.test(ticker) ? 'fii' : 'acao', tipoEstimado: true };
+}
+
+function parseNegociacao(linhas, colunas, tiposConhecidos) {
+    const operacoes = [];
+    const ignoradas = [];
+    linhas.forEach((cells, i) => {
+        const linha = i + 2;
+        const opTexto = semAcento(cells[colunas.operacao]);
+        const operacao = /^(compra|c)$/.test(opTexto) ? 'compra' : (/^(venda|v)$/.test(opTexto) ? 'venda' : null);
+        if (!operacao) return ignoradas.push({ linha, motivo: `Operação não reconhecida: ${cells[colunas.operacao] ?? ''}` });
+        if ('mercado' in colunas && /opc|termo|futuro/.test(semAcento(cells[colunas.mercado]))) {
+            return ignoradas.push({ linha, motivo: `Mercado não suportado: ${cells[colunas.mercado]}` });
+        }
+        const ticker = normalizeTicker(cells[colunas.ticker]);
+        const { tipo, tipoEstimado } = guessAssetType(ticker, null, tiposConhecidos);
+        const { error, transaction } = parseTransactionInput({
+            ticker,
+            tipo,
+            operacao,
+            quantidade: parseSheetNumber(cells[colunas.quantidade]),
+            preco: parseSheetNumber(cells[colunas.preco]),
+            taxas: 'taxas' in colunas ? (parseSheetNumber(cells[colunas.taxas]) ?? 0) : 0,
+            data: parseSheetDate(cells[colunas.data])
+        });
+        if (error) return ignoradas.push({ linha, motivo: error });
+        operacoes.push({ linha, tipoEstimado, ...toTransactionPreview(transaction) });
+    });
+    return { operacoes, eventos: [], ignoradas };
+}
+
+function parseMovimentacao(linhas, colunas, tiposConhecidos) {
+    const eventos = [];
+    const ignoradas = [];
+    linhas.forEach((cells, i) => {
+        const linha = i + 2;
+        const movimentacao = semAcento(cells[colunas.movimentacao]);
+        const tipoEvento = MOVIMENTACOES.find(([regex]) => regex.test(movimentacao))?.[1];
+        if (!tipoEvento) return ignoradas.push({ linha, motivo: `Movimentação ignorada: ${cells[colunas.movimentacao] ?? ''}` });
+
+        const produto = cells[colunas.produto];
+        const ticker = normalizeTicker(produto);
+        const data = parseSheetDate(cells[colunas.data]);
+        const quantidade = parseSheetNumber(cells[colunas.quantidade]);
+        const valor = 'valor' in colunas ? parseSheetNumber(cells[colunas.valor]) : null;
+        if (!/^[A-Z0-9]{4,11}$/.test(ticker)) return ignoradas.push({ linha, motivo: 'Produto sem ticker.' });
+        if (!data) return ignoradas.push({ linha, motivo: 'Data inválida.' });
+        if (QUANTITY_EVENTS.includes(tipoEvento) ? !(quantidade > 0) : !(valor > 0)) {
+            return ignoradas.push({ linha, motivo: 'Quantidade/valor ausente.' });
+        }
+        // Proventos de cotas vendidas aparecem como débito em alguns extratos: só créditos contam
+        if (!QUANTITY_EVENTS.includes(tipoEvento) && /debito/.test(semAcento(cells[colunas.entradaSaida]))) {
+            return ignoradas.push({ linha, motivo: 'Débito de provento ignorado.' });
+        }
+        const { tipo, tipoEstimado } = guessAssetType(ticker, produto, tiposConhecidos);
+        eventos.push({ linha, ticker, tipo, tipoEstimado, evento: tipoEvento, quantidade: quantidade ?? 0, valor: valor ?? 0, data });
+    });
+    return { operacoes: [], eventos, ignoradas };
+}
+
+const toTransactionPreview = (t) => ({
+    ticker: t.ticker, tipo: t.assetType, operacao: t.operation, quantidade: t.quantity, preco: t.price, taxas: t.fees, data: t.tradeDate
+});
+
+const chaveOperacao = (o) => [o.data, o.ticker, o.operacao, round(Number(o.quantidade), 6), round(Number(o.preco), 4)].join('|');
+const chaveEvento = (e) => [e.data, e.ticker, e.evento, round(Number(e.quantidade), 6), round(Number(e.valor))].join('|');
+
+/**
+ * Marca como duplicados os itens que já existem no banco. Conta ocorrências: dois
+ * negócios iguais no mesmo dia (execuções parciais) só são duplicados se o banco
+ * também tiver os dois.
+ */
+export function markDuplicates(itens, existentes, chave) {
+    const restantes = new Map();
+    for (const e of existentes) restantes.set(chave(e), (restantes.get(chave(e)) || 0) + 1);
+    return itens.map(item => {
+        const k = chave(item);
+        const n = restantes.get(k) || 0;
+        if (n > 0) restantes.set(k, n - 1);
+        return { ...item, duplicada: n > 0 };
+    });
+}
+
+// Linhas do banco no mesmo formato da prévia, para comparar
+const transactionToPreview = (row) => ({
+    ticker: row.ticker, operacao: row.operation, quantidade: row.quantity, preco: row.price, data: String(row.trade_date)
+});
+const eventRowToPreview = (row) => ({
+    ticker: row.ticker, evento: row.event_type, quantidade: row.quantity, valor: row.value, data: String(row.event_date)
+});
+
+/**
+ * Lê o arquivo e monta a prévia: { formato, operacoes, eventos, ignoradas, resumo }.
+ * Cada operação/evento vem com duplicada e tipoEstimado (FII/ação deduzido pelo ticker).
+ * Devolve { error } se o arquivo não for reconhecido.
+ */
+export async function buildImportPreview(buffer, transacoes = [], eventosExistentes = []) {
+    let linhas;
+    try {
+        linhas = await readSpreadsheet(buffer);
+    } catch (e) {
+        return { error: 'Não foi possível ler o arquivo. Envie o CSV ou XLSX exportado da B3 ou da corretora.' };
+    }
+    if (linhas.length < 2) return { error: 'Arquivo vazio.' };
+    if (linhas.length > MAX_LINHAS + 1) return { error: `Máximo de ${MAX_LINHAS} linhas por arquivo.` };
+
+    const [cabecalho, ...dados] = linhas;
+    const formato = detectFormat(cabecalho);
+    if (!formato) return { error: 'Formato não reconhecido. Use o extrato de Negociação ou de Movimentação da B3, ou um CSV com Data, C/V, Ticker, Quantidade e Preço.' };
+
+    const tiposConhecidos = Object.fromEntries(transacoes.map(t => [t.ticker, t.asset_type]));
+    const colunas = mapColumns(cabecalho);
+    const resultado = formato === 'negociacao'
+        ? parseNegociacao(dados, colunas, tiposConhecidos)
+        : parseMovimentacao(dados, colunas, tiposConhecidos);
+
+    const operacoes = markDuplicates(resultado.operacoes, transacoes.map(transactionToPreview), chaveOperacao);
+    const eventos = markDuplicates(resultado.eventos, eventosExistentes.map(eventRowToPreview), chaveEvento);
+    return {
+        formato,
+        operacoes,
+        eventos,
+        ignoradas: resultado.ignoradas,
+        resumo: {
+            operacoes: operacoes.length,
+            eventos: eventos.length,
+            duplicadas: operacoes.filter(o => o.duplicada).length + eventos.filter(e => e.duplicada).length,
+            ignoradas: resultado.ignoradas.length
+        }
+    };
+}
+
+// Valida um evento vindo da confirmação; devolve { error } ou { event } no formato do banco
+export function parseEventInput(body) {
+    const ticker = normalizeTicker(body.ticker);
+    const tipo = String(body.tipo || '').toLowerCase();
+    const evento = String(body.evento || '').toLowerCase();
+    const quantidade = Number(body.quantidade) || 0;
+    const valor = Number(body.valor) || 0;
+    const data = parseSheetDate(body.data);
+
+    if (!/^[A-Z0-9]{4,11}$/.test(ticker)) return { error: 'Ticker inválido.' };
+    if (!['acao', 'fii'].includes(tipo)) return { error: "Tipo deve ser 'acao' ou 'fii'." };
+    if (!EVENT_TYPES.includes(evento)) return { error: `Evento deve ser um de: ${EVENT_TYPES.join(', ')}.` };
+    if (QUANTITY_EVENTS.includes(evento) ? !(quantidade > 0) : !(valor > 0)) return { error: 'Quantidade/valor do evento inválido.' };
+    if (valor < 0) return { error: 'Valor não pode ser negativo.' };
+    if (!data) return { error: 'Data inválida.' };
+    return { event: { ticker, assetType: tipo, eventType: evento, quantity: quantidade, value: valor, eventDate: data } };
+}
+
+/**
+ * Valida os itens confirmados pelo usuário e descarta duplicados (de novo, contra o banco
+ * atual). Devolve { error } ou { transacoes: [entrada validada], eventos: [...], linhas }
+ * com as linhas no formato do banco para conferir as posições antes de gravar.
+ */
+export function prepareImport(body, transacoesExistentes, eventosExistentes) {
+    const operacoes = Array.isArray(body.operacoes) ? body.operacoes : [];
+    const eventos = Array.isArray(body.eventos) ? body.eventos : [];
+    if (operacoes.length + eventos.length === 0) return { error: 'Nenhum item selecionado.' };
+    if (operacoes.length + eventos.length > MAX_LINHAS) return { error: `Máximo de ${MAX_LINHAS} itens por importação.` };
+
+    const transacoes = [];
+    for (const [i, op] of operacoes.entries()) {
+        const { error, transaction } = parseTransactionInput(op);
+        if (error) return { error: `Operação ${i + 1}: ${error}` };
+        transacoes.push(transaction);
+    }
+    const eventosValidos = [];
+    for (const [i, ev] of eventos.entries()) {
+        const { error, event } = parseEventInput(ev);
+        if (error) return { error: `Evento ${i + 1}: ${error}` };
+        eventosValidos.push(event);
+    }
+
+    const novasTransacoes = markDuplicates(transacoes.map(toTransactionPreview), transacoesExistentes.map(transactionToPreview), chaveOperacao)
+        .map((t, i) => ({ ...transacoes[i], duplicada: t.duplicada }))
+        .filter(t => !t.duplicada);
+    const novosEventos = markDuplicates(
+        eventosValidos.map(e => ({ ticker: e.ticker, evento: e.eventType, quantidade: e.quantity, valor: e.value, data: e.eventDate })),
+        eventosExistentes.map(eventRowToPreview), chaveEvento
+    ).map((e, i) => ({ ...eventosValidos[i], duplicada: e.duplicada })).filter(e => !e.duplicada);
+
+    return {
+        transacoes: novasTransacoes.map(({ duplicada, ...t }) => t),
+        eventos: novosEventos.map(({ duplicada, ...e }) => e),
+        duplicadas: transacoes.length - novasTransacoes.length + eventosValidos.length - novosEventos.length,
+        // ids acima de qualquer id real, na ordem do arquivo (compra e venda no mesmo dia)
+        linhas: novasTransacoes.map((t, i) => toRow(Number.MAX_SAFE_INTEGER - novasTransacoes.length + i, t))
+    };
+}
@@ -0,0 +1,194 @@
+import { strToNumber } from './format.js';
+import { getAcaoData, getFiiData } from './investidor10.js';
+import { buildPositions } from './portfolio.js';
+
+// --- RENDA PASSIVA: CALENDÁRIO DE PROVENTOS E PROJEÇÃO COM REINVESTIMENTO ---
+const round = (num, casas = 2) => Math.round(num * 10 ** casas) / 10 ** casas;
+const MESES_PROJECAO = 12;
+
+// "20/08/2025" -> { ano: 2025, mes: 8, dia: 20 }; null se não for data
+function parseDataBr(str) {
+    const match = String(str || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return match ? { ano: Number(match[3]), mes: Number(match[2]), dia: Number(match[1]) } : null;
+}
+
+const chaveMes = (ano, mes) => `${ano}-${String(mes).padStart(2, '0')}`;
+
+// Próximos N meses a partir do mês de referência (inclusive): [{ ano, mes }]
+function proximosMeses(hoje, n) {
+    const meses = [];
+    for (let i = 0; i < n; i++) {
+        const d = new Date(hoje.getFullYear(), hoje.getMonth() + i, 1);
+        meses.push({ ano: d.getFullYear(), mes: d.getMonth() + 1 });
+    }
+    return meses;
+}
+
+/**
+ * Proventos por cota esperados em cada um dos próximos 12 meses.
+ * Pagamentos já anunciados (data de hoje em diante) entram no próprio mês; nos demais meses
+ * repete o que foi pago no mesmo mês do ano anterior. O que já foi pago neste mês não é
+ * renda a receber: o mês atual fica só com os anunciados. Sem histórico, estima pelo
+ * último rendimento (FII) ou pelo DY 12M sobre a cotação (ação), dividido igualmente.
+ */
+export function buildPayoutSchedule(rawData, tipo, hoje = new Date()) {
+    const meses = proximosMeses(hoje, MESES_PROJECAO);
+    const porMes = new Map();
+    const anunciados = new Map();
+    const inicioJanela = chaveMes(hoje.getFullYear() - 1, hoje.getMonth() + 1);
+    const mesAtual = chaveMes(hoje.getFullYear(), hoje.getMonth() + 1);
+    const diaHoje = new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate());
+    let pagoNoMesAtual = false;
+
+    for (const d of rawData.dividendos || []) {
+        const data = parseDataBr(d.pagamento);
+        const valor = strToNumber(d.valor);
+        if (!data || valor === null || valor <= 0) continue;
+        const chave = chaveMes(data.ano, data.mes);
+        if (new Date(data.ano, data.mes - 1, data.dia) >= diaHoje) {
+            anunciados.set(chave, (anunciados.get(chave) || 0) + valor);
+        } else if (chave === mesAtual) {
+            pagoNoMesAtual = true;
+        } else if (chave >= inicioJanela) {
+            porMes.set(data.mes, (porMes.get(data.mes) || 0) + valor);
+        }
+    }
+
+    if (porMes.size > 0 || anunciados.size > 0 || pagoNoMesAtual) {
+        return {
+            fonte: 'historico',
+            meses: meses.map(({ ano, mes }) => {
+                const chave = chaveMes(ano, mes);
+                const repetido = chave === mesAtual && pagoNoMesAtual ? 0 : porMes.get(mes);
+                return { mes: chave, valorPorCota: anunciados.get(chave) ?? repetido ?? 0, anunciado: anunciados.has(chave) };
+            })
+        };
+    }
+
+    const cotacao = strToNumber(rawData.cotacao);
+    const dy = strToNumber(rawData.dy);
+    const mensal = tipo === 'fii'
+        ? strToNumber(rawData.ultimoRendimento)
+        : (cotacao && dy ? (cotacao * dy / 100) / 12 : null);
+    if (!mensal || mensal <= 0) return { fonte: 'sem_dados', meses: meses.map(({ ano, mes }) => ({ mes: chaveMes(ano, mes), valorPorCota: 0, anunciado: false })) };
+    return {
+        fonte: 'estimado',
+        meses: meses.map(({ ano, mes }) => ({ mes: chaveMes(ano, mes), valorPorCota: mensal, anunciado: false }))
+    };
+}
+
+/**
+ * Calendário da carteira: soma por mês de quantidade × provento por cota.
+ * posicoes: [{ ticker, tipo, quantidade }]; dadosPorTicker: { TICKER: dados brutos do scraping }.
+ */
+export function buildIncomeCalendar(posicoes, dadosPorTicker, hoje = new Date()) {
+    const calendario = proximosMeses(hoje, MESES_PROJECAO).map(({ ano, mes }) => ({ mes: chaveMes(ano, mes), total: 0, pagamentos: [] }));
+    const ativos = [];
+
+    for (const pos of posicoes) {
+        const dados = dadosPorTicker[pos.ticker] || {};
+        const agenda = buildPayoutSchedule(dados, pos.tipo, hoje);
+        let anual = 0;
+        agenda.meses.forEach((m, i) => {
+            if (m.valorPorCota <= 0) return;
+            const total = m.valorPorCota * pos.quantidade;
+            anual += m.valorPorCota;
+            calendario[i].total += total;
+            calendario[i].pagamentos.push({
+                ticker: pos.ticker, valorPorCota: round(m.valorPorCota, 4), quantidade: pos.quantidade,
+                total: round(total), anunciado: m.anunciado
+            });
+        });
+        const cotacao = strToNumber(dados.cotacao);
+        const rendimentoMensal = round(anual / 12, 6);
+        ativos.push({
+            ticker: pos.ticker,
+            tipo: pos.tipo,
+            quantidade: pos.quantidade,
+            cotacao,
+            fonte: agenda.fonte,
+            rendimentoMensalPorCota: round(rendimentoMensal, 4),
+            rendaAnual: round(anual * pos.quantidade),
+            // Número mágico: cotas para que os proventos de um mês comprem mais uma cota
+            numeroMagico: cotacao && rendimentoMensal > 0 ? Math.ceil(cotacao / rendimentoMensal) : null
+        });
+    }
+
+    for (const m of calendario) m.total = round(m.total);
+    const rendaAnual = round(ativos.reduce((acc, a) => acc + a.rendaAnual, 0));
+    return { calendario, ativos, rendaAnual, rendaMensalMedia: round(rendaAnual / 12) };
+}
+
+export function parseIncomeParams(query) {
+    const anos = query.anos === undefined || query.anos === '' ? 10 : Number(query.anos);
+    if (!Number.isInteger(anos) || anos < 1 || anos > 50) return { error: 'Anos deve ser um inteiro entre 1 e 50.' };
+    const aporteMensal = query.aporte === undefined || query.aporte === '' ? 0 : Number(String(query.aporte).replace(',', '.'));
+    if (!Number.isFinite(aporteMensal) || aporteMensal < 0) return { error: 'Aporte mensal inválido.' };
+    const reinvestir = !['false', '0', 'nao', 'não'].includes(String(query.reinvestir ?? 'true').toLowerCase());
+    return { params: { anos, aporteMensal, reinvestir } };
+}
+
+/**
+ * Simula mês a mês com preços e proventos constantes. O caixa (aporte + proventos,
+ * se reinvestir) compra cotas inteiras do ativo mais longe do seu número mágico;
+ * quando todos chegaram lá, segue comprando o de menor progresso.
+ */
+export function simulateReinvestment(ativos, { anos, aporteMensal, reinvestir }, hoje = new Date()) {
+    const carteira = ativos
+        .filter(a => a.cotacao > 0 && a.rendimentoMensalPorCota > 0)
+        .map(a => ({ ...a, quantidadeInicial: a.quantidade, atingidoEm: a.quantidade >= a.numeroMagico ? 'já atingido' : null }));
+    const meses = proximosMeses(hoje, anos * 12);
+    const serie = [];
+    let caixa = 0;
+    let aportado = 0;
+
+    for (const { ano, mes } of meses) {
+        const renda = carteira.reduce((acc, a) => acc + a.quantidade * a.rendimentoMensalPorCota, 0);
+        caixa += aporteMensal + (reinvestir ? renda : 0);
+        aportado += aporteMensal;
+
+        for (;;) {
+            const compraveis = carteira.filter(a => a.cotacao <= caixa);
+            if (compraveis.length === 0) break;
+            const alvo = compraveis.reduce((min, a) => (a.quantidade / a.numeroMagico < min.quantidade / min.numeroMagico ? a : min));
+            const falta = alvo.numeroMagico - alvo.quantidade;
+            const podeComprar = Math.floor(caixa / alvo.cotacao);
+            const qtd = falta > 0 ? Math.min(falta, podeComprar) : podeComprar;
+            alvo.quantidade += qtd;
+            caixa -= qtd * alvo.cotacao;
+            if (!alvo.atingidoEm && alvo.quantidade >= alvo.numeroMagico) alvo.atingidoEm = chaveMes(ano, mes);
+            if (falta <= 0) break;
+        }
+
+        serie.push({
+            mes: chaveMes(ano, mes),
+            rendaMensal: round(carteira.reduce((acc, a) => acc + a.quantidade * a.rendimentoMensalPorCota, 0)),
+            patrimonio: round(carteira.reduce((acc, a) => acc + a.quantidade * a.cotacao, 0) + caixa),
+            aportado: round(aportado)
+        });
+    }
+
+    const final = serie[serie.length - 1];
+    return {
+        serie,
+        ativos: carteira.map(a => ({
+            ticker: a.ticker, numeroMagico: a.numeroMagico, quantidadeInicial: a.quantidadeInicial,
+            quantidadeFinal: a.quantidade, atingidoEm: a.atingidoEm
+        })),
+        rendaMensalFinal: final ? final.rendaMensal : 0,
+        patrimonioFinal: final ? final.patrimonio : 0,
+        totalAportado: round(aportado)
+    };
+}
+
+// Projeção completa da carteira do usuário (um scraping por ativo, com cache)
+export async function projectIncome(transactions, params, eventos = []) {
+    const posicoes = buildPositions(transactions, eventos).filter(p => p.quantidade > 0);
+    const dadosPorTicker = {};
+    for (const pos of posicoes) {
+        const { data } = pos.tipo === 'fii' ? await getFiiData(pos.ticker) : await getAcaoData(pos.ticker);
+        dadosPorTicker[pos.ticker] = data;
+    }
+    const renda = buildIncomeCalendar(posicoes, dadosPorTicker);
+    return { ...renda, parametros: params, simulacao: simulateReinvestment(renda.ativos, params) };
+}
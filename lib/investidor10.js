@@ -0,0 +1,22 @@
+import { investidor10, investidor10Fii, scrapeWithProvider, fetchProvider } from './providers/index.js';
+
+// --- SCRAPING AÇÕES (navegação e leitura em lib/providers) ---
+export async function scrapeInvestidor10(ticker) {
+    return scrapeWithProvider(investidor10, ticker);
+}
+
+// --- SCRAPING FIIs (leitura em lib/providers/investidor10Fii.js) ---
+export async function scrapeFii(ticker) {
+    return scrapeWithProvider(investidor10Fii, ticker);
+}
+
+// --- ACESSO COM CACHE (usado pelas rotas, alertas e carteira) ---
+export const hasCotacao = (data) => Boolean(data && data.cotacao && data.cotacao !== '-');
+
+export async function getAcaoData(ticker, options) {
+    return fetchProvider(investidor10, ticker, options);
+}
+
+export async function getFiiData(ticker, options) {
+    return fetchProvider(investidor10Fii, ticker, options);
+}
@@ -0,0 +1,240 @@
+import { pool } from './db.js';
+import { GLOSSARY } from './glossary.js';
+
+// --- APRENDA: QUIZZES E PROGRESSO ---
+// A correção fica no servidor: listQuizzes não expõe a alternativa certa
+export const QUIZ_APROVACAO = 0.7;
+
+export const QUIZZES = [
+    {
+        id: 'multiplos',
+        titulo: 'Múltiplos de preço',
+        campos: ['pl', 'pvp', 'dy'],
+        perguntas: [
+            {
+                pergunta: 'Uma ação cota a R$ 30 e tem LPA de R$ 3. Qual é o P/L?',
+                opcoes: ['0,1', '3', '10', '90'],
+                correta: 2,
+                explicacao: 'P/L = Cotação ÷ LPA = 30 ÷ 3 = 10.'
+            },
+            {
+                pergunta: 'O que um P/L negativo indica?',
+                opcoes: ['Ação muito barata', 'Empresa com prejuízo', 'Dividendos acima do lucro', 'Patrimônio negativo'],
+                correta: 1,
+                explicacao: 'O lucro do denominador é negativo; por isso o app deixa o card neutro em vez de marcar como barato.'
+            },
+            {
+                pergunta: 'Um FII com P/VP de 0,85 está...',
+                opcoes: ['Negociando com ágio de 15%', 'Negociando com desconto de 15% sobre o patrimônio', 'Com vacância de 85%', 'Pagando 0,85% ao mês'],
+                correta: 1,
+                explicacao: 'P/VP abaixo de 1 significa cota mais barata que o valor patrimonial por cota.'
+            },
+            {
+                pergunta: 'O DY de uma ação saltou para 25% depois de uma queda forte do preço. O que conferir primeiro?',
+                opcoes: ['Nada: DY alto é sempre bom', 'Se os dividendos são recorrentes (DY médio de 5 anos, payout)', 'A liquidez diária', 'O número de cotistas'],
+                correta: 1,
+                explicacao: 'DY alto pode vir de um provento extraordinário ou de um preço em queda; a média de 5 anos e o payout mostram se ele se sustenta.'
+            }
+        ]
+    },
+    {
+        id: 'rentabilidade',
+        titulo: 'Rentabilidade e margens',
+        campos: ['roe', 'roic', 'margemLiquida', 'margemEbitda'],
+        perguntas: [
+            {
+                pergunta: 'Lucro líquido de R$ 20 mi e patrimônio líquido de R$ 100 mi. Qual o ROE?',
+                opcoes: ['5%', '20%', '80%', '120%'],
+                correta: 1,
+                explicacao: 'ROE = Lucro líquido ÷ Patrimônio líquido = 20 ÷ 100 = 20%.'
+            },
+            {
+                pergunta: 'Por que o ROIC não é classificado para bancos?',
+                opcoes: ['Bancos não têm lucro', 'Dívida faz parte da operação de um banco, então "capital investido" perde o sentido', 'Bancos não divulgam balanço', 'O ROIC de bancos é sempre negativo'],
+                correta: 1,
+                explicacao: 'Para um banco, captar e emprestar é o negócio; o perfil Bancos avalia P/VP e ROE.'
+            },
+            {
+                pergunta: 'Qual margem mostra quanto da receita vira lucro depois de juros e impostos?',
+                opcoes: ['Margem bruta', 'Margem EBITDA', 'Margem líquida', 'Giro dos ativos'],
+                correta: 2,
+                explicacao: 'A margem líquida usa o lucro líquido, o que sobra depois de todos os custos, juros e impostos.'
+            }
+        ]
+    },
+    {
+        id: 'endividamento',
+        titulo: 'Dívida e saúde financeira',
+        campos: ['dividaLiquidaEbitda', 'liquidezCorrente', 'altmanZ', 'piotroski'],
+        perguntas: [
+            {
+                pergunta: 'Dívida líquida / EBITDA de 2 significa que...',
+                opcoes: ['A dívida é o dobro do patrimônio', 'A geração de caixa operacional pagaria a dívida líquida em cerca de 2 anos', 'A empresa tem 2 vezes mais caixa que dívida', 'Os juros consomem 2% da receita'],
+                correta: 1,
+                explicacao: 'O indicador mede quantos anos de EBITDA cobrem a dívida líquida.'
+            },
+            {
+                pergunta: 'O que indica uma dívida líquida / EBITDA negativa?',
+                opcoes: ['EBITDA negativo sempre', 'Caixa maior que a dívida bruta', 'Dívida vencida', 'Erro de cálculo'],
+                correta: 1,
+                explicacao: 'Dívida líquida = Dívida bruta − Caixa; fica negativa quando o caixa supera a dívida.'
+            },
+            {
+                pergunta: 'Liquidez corrente abaixo de 1 indica que...',
+                opcoes: ['As obrigações de curto prazo superam os ativos de curto prazo', 'A ação tem pouco volume na bolsa', 'A empresa não paga dividendos', 'O P/VP está abaixo de 1'],
+                correta: 0,
+                explicacao: 'Liquidez corrente = Ativo circulante ÷ Passivo circulante.'
+            },
+            {
+                pergunta: 'Um Altman Z-Score na zona de perigo sugere...',
+                opcoes: ['Ação barata', 'Risco elevado de insolvência pelo balanço', 'Dividendos acima da média', 'Crescimento acelerado'],
+                correta: 1,
+                explicacao: 'O Z-Score combina capital de giro, lucros retidos, EBIT, valor de mercado e receita para estimar o risco de falência.'
+            }
+        ]
+    },
+    {
+        id: 'valuation',
+        titulo: 'Modelos de valuation',
+        campos: ['valorJusto', 'precoTeto', 'lynch', 'dcf'],
+        perguntas: [
+            {
+                pergunta: 'Com LPA de R$ 2 e VPA de R$ 10, qual o Valor Justo de Graham?',
+                opcoes: ['R$ 12,00', 'R$ 21,21', 'R$ 45,00', 'R$ 450,00'],
+                correta: 1,
+                explicacao: '√(22,5 × 2 × 10) = √450 ≈ R$ 21,21.'
+            },
+            {
+                pergunta: 'Uma ação pagou R$ 1,20 de dividendos em 12 meses. Qual o Preço Teto de Bazin com yield mínimo de 6%?',
+                opcoes: ['R$ 7,20', 'R$ 12,00', 'R$ 20,00', 'R$ 72,00'],
+                correta: 2,
+                explicacao: 'Preço teto = Dividendos ÷ Yield mínimo = 1,20 ÷ 0,06 = R$ 20,00.'
+            },
+            {
+                pergunta: 'Quando o card de um modelo de valuation fica verde?',
+                opcoes: ['Quando a cotação está abaixo do valor do modelo', 'Quando a cotação está acima do valor do modelo', 'Quando o DY passa de 6%', 'Sempre que o modelo tem valor'],
+                correta: 0,
+                explicacao: 'Cotação abaixo do valor calculado significa margem de segurança.'
+            },
+            {
+                pergunta: 'Para Peter Lynch, uma empresa que cresce 12% ao ano está bem avaliada com P/L de...',
+                opcoes: ['6', '12', '22,5', '100'],
+                correta: 1,
+                explicacao: 'O PEG igual a 1 iguala o P/L à taxa de crescimento.'
+            }
+        ]
+    },
+    {
+        id: 'fiis',
+        titulo: 'Fundos imobiliários',
+        campos: ['vacancia', 'ebn', 'y1m', 'taxaAdm', 'score'],
+        perguntas: [
+            {
+                pergunta: 'Uma cota de R$ 100 pagou R$ 0,80 no último mês. Qual o Yield 1 Mês?',
+                opcoes: ['0,08%', '0,8%', '8%', '80%'],
+                correta: 1,
+                explicacao: 'Yield 1 Mês = Último rendimento ÷ Cotação = 0,80 ÷ 100 = 0,8%.'
+            },
+            {
+                pergunta: 'No mesmo fundo (cota de R$ 100, rendimento de R$ 0,80), qual o EBN?',
+                opcoes: ['80', '100', '125', '800'],
+                correta: 2,
+                explicacao: 'EBN = Cotação ÷ Último rendimento = 100 ÷ 0,80 = 125 cotas.'
+            },
+            {
+                pergunta: 'Por que a vacância não é avaliada em fundos de papel?',
+                opcoes: ['Porque é sempre zero', 'Porque eles investem em títulos (CRIs), não em imóveis alugados', 'Porque a CVM proíbe', 'Porque esses fundos não pagam rendimentos'],
+                correta: 1,
+                explicacao: 'Sem imóveis próprios não há área vaga; os limites do perfil Papel (CRI) não incluem vacância.'
+            },
+            {
+                pergunta: 'Por que o mesmo P/VP pode ser bom para um FII de papel e neutro para um de lajes?',
+                opcoes: ['O app sorteia os limites', 'Os limites dependem do segmento do fundo', 'Lajes nunca têm P/VP bom', 'O P/VP só vale para ações'],
+                correta: 1,
+                explicacao: 'Cada segmento tem seus limites (veja o verbete P/VP); o score do FII também usa os limites do segmento.'
+            }
+        ]
+    }
+];
+
+// Quizzes para a tela: sem a alternativa certa nem a explicação; campos viram links para os verbetes
+export function listQuizzes() {
+    return QUIZZES.map(({ id, titulo, campos, perguntas }) => ({
+        id,
+        titulo,
+        campos: campos.map(chave => ({ chave, termo: GLOSSARY[chave].termo })),
+        perguntas: perguntas.map(({ pergunta, opcoes }) => ({ pergunta, opcoes }))
+    }));
+}
+
+export const findQuiz = (id) => QUIZZES.find(q => q.id === id) || null;
+
+/**
+ * Corrige { respostas: [índice da opção por pergunta] }. Devolve { error } ou
+ * { quizId, acertos, total, percentual, aprovado, correcao: [{ certa, correta, explicacao }] }.
+ */
+export function gradeQuiz(quiz, respostas) {
+    if (!Array.isArray(respostas) || respostas.length !== quiz.perguntas.length) {
+        return { error: `Envie uma resposta para cada uma das ${quiz.perguntas.length} perguntas.` };
+    }
+    const indices = respostas.map(r => (r === '' || r === null ? NaN : Number(r)));
+    const invalida = indices.findIndex((r, i) => !Number.isInteger(r) || r < 0 || r >= quiz.perguntas[i].opcoes.length);
+    if (invalida !== -1) return { error: `Resposta inválida na pergunta ${invalida + 1}.` };
+
+    const correcao = quiz.perguntas.map((p, i) => ({ certa: indices[i] === p.correta, correta: p.correta, explicacao: p.explicacao }));
+    const acertos = correcao.filter(c => c.certa).length;
+    const total = quiz.perguntas.length;
+    return {
+        quizId: quiz.id,
+        acertos,
+        total,
+        percentual: Math.round((acertos / total) * 100),
+        aprovado: acertos / total >= QUIZ_APROVACAO,
+        correcao
+    };
+}
+
+// Guarda a tentativa: melhor nota, última nota e a data da primeira aprovação
+export async function saveQuizResult(userId, resultado) {
+    await pool.execute(
+        `INSERT INTO learning_quiz_results (user_id, quiz_id, best_score, last_score, total, attempts, passed_at)
+         VALUES (?, ?, ?, ?, ?, 1, ?)
+         ON DUPLICATE KEY UPDATE best_score = GREATEST(best_score, VALUES(best_score)), last_score = VALUES(last_score),
+             total = VALUES(total), attempts = attempts + 1, passed_at = COALESCE(passed_at, VALUES(passed_at))`,
+        [userId, resultado.quizId, resultado.acertos, resultado.acertos, resultado.total, resultado.aprovado ? new Date() : null]
+    );
+}
+
+export async function markTermRead(userId, chave) {
+    await pool.execute('INSERT IGNORE INTO learning_terms_read (user_id, term_key) VALUES (?, ?)', [userId, chave]);
+}
+
+/**
+ * Progresso do usuário: verbetes lidos (só os que ainda existem no glossário) e a
+ * situação de cada quiz.
+ */
+export async function loadProgress(userId) {
+    const [[lidos], [resultados]] = await Promise.all([
+        pool.execute('SELECT term_key FROM learning_terms_read WHERE user_id = ? ORDER BY read_at', [userId]),
+        pool.execute('SELECT quiz_id, best_score, last_score, total, attempts, passed_at FROM learning_quiz_results WHERE user_id = ?', [userId])
+    ]);
+    const chaves = lidos.map(r => r.term_key).filter(chave => Object.hasOwn(GLOSSARY, chave));
+    const porQuiz = new Map(resultados.map(r => [r.quiz_id, r]));
+    const quizzes = QUIZZES.map(({ id, titulo, perguntas }) => {
+        const r = porQuiz.get(id);
+        return {
+            id,
+            titulo,
+            perguntas: perguntas.length,
+            melhor: r ? r.best_score : null,
+            ultima: r ? r.last_score : null,
+            tentativas: r ? r.attempts : 0,
+            aprovado: Boolean(r?.passed_at)
+        };
+    });
+    return {
+        termos: { lidos: chaves.length, total: Object.keys(GLOSSARY).length, chaves },
+        quizzes,
+        quizzesAprovados: quizzes.filter(q => q.aprovado).length
+    };
+}
@@ -0,0 +1,50 @@
+// --- ENVIO DE E-MAIL (plugável, como o backend do cache) ---
+// Todo mailer tem send({ to, subject, text }) e devolve uma Promise.
+
+// Padrão sem SMTP configurado: só registra no log (desenvolvimento local)
+export function createConsoleMailer() {
+    return {
+        async send({ to, subject, text }) {
+            console.log(`✉️ E-mail para ${to}: ${subject}\n${text}`);
+        }
+    };
+}
+
+// Guarda as mensagens em memória; usado nos testes no lugar do envio real
+export function createMemoryMailer() {
+    const enviados = [];
+    return {
+        enviados,
+        async send(mensagem) { enviados.push(mensagem); }
+    };
+}
+
+// SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD e MAIL_FROM; nodemailer só é carregado aqui
+export function createSmtpMailer() {
+    let transporte = null;
+    return {
+        async send({ to, subject, text }) {
+            if (!transporte) {
+                const { default: nodemailer } = await import('nodemailer');
+                const port = Number(process.env.SMTP_PORT) || 587;
+                transporte = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port,
+                    secure: port === 465,
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+                });
+            }
+            await transporte.sendMail({ from: process.env.MAIL_FROM || process.env.SMTP_USER, to, subject, text });
+        }
+    };
+}
+
+let mailer = process.env.SMTP_HOST ? createSmtpMailer() : createConsoleMailer();
+
+export function setMailer(newMailer) {
+    mailer = newMailer;
+}
+
+export function sendMail(mensagem) {
+    return mailer.send(mensagem);
+}
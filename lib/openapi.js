@@ -0,0 +1,288 @@
+import { ACAO_API_FIELDS, FII_API_FIELDS } from './api.js';
+import { VALUATION_PARAMS, VALUATION_MODELS } from './valuation.js';
+import { HISTORY_SERIES } from './history.js';
+import { MAX_API_KEYS, DEFAULT_DAILY_QUOTA } from './apikeys.js';
+
+// --- DOCUMENTO OPENAPI DE /api/v1 ---
+// Gerado das mesmas tabelas de campos usadas nas respostas, então não sai de sincronia com a API
+const ref = (nome) => ({ $ref: `#/components/schemas/${nome}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const TIPO_POR_UNIDADE = { texto: { type: 'string' }, un: { type: 'number' } };
+
+function indicatorSchema({ label, unidade }) {
+    return {
+        type: 'object',
+        description: `${label} (${unidade})`,
+        properties: {
+            valor: nullable(TIPO_POR_UNIDADE[unidade] || { type: 'number' }),
+            unidade: { type: 'string', enum: [unidade] },
+            classe: nullable({ type: 'string', enum: ['good', 'bad', 'neutral'] }),
+            fonte: nullable({ type: 'string', description: 'Provedor do valor ou "calculado"' })
+        }
+    };
+}
+
+const indicatorsSchema = (fields) => ({
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([campo, def]) => [campo, indicatorSchema(def)]))
+});
+
+const tickerParam = {
+    name: 'ticker', in: 'path', required: true,
+    schema: { type: 'string', pattern: '^[A-Za-z0-9]{4,12}$' }, example: 'PETR4'
+};
+
+const erros = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Erro${status}` }]));
+
+const respostaErro = (description) => ({ description, content: { 'application/json': { schema: ref('Erro') } } });
+
+const ok = (schema, description = 'OK') => ({
+    description,
+    headers: {
+        'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Cota diária da chave' },
+        'X-RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requisições restantes hoje' },
+        'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Virada da cota (epoch em segundos)' }
+    },
+    content: { 'application/json': { schema } }
+});
+
+export function buildOpenApiSpec(serverUrl = '/api/v1') {
+    const premissas = Object.entries(VALUATION_PARAMS).map(([nome, def]) => ({
+        name: nome, in: 'query', required: false,
+        description: `${def.label}. Padrão: ${def.padrao ?? 'CAGR de lucros 5 anos do ativo'}`,
+        schema: { type: def.inteiro ? 'integer' : 'number', minimum: def.min, maximum: def.max }
+    }));
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'InvistaMais API',
+            version: '1.0.0',
+            description: 'Indicadores de ações e FIIs com valores numéricos, unidade, fonte e classificação. '
+                + `Cada usuário cria até ${MAX_API_KEYS} chaves na página Conta; cota padrão de ${DEFAULT_DAILY_QUOTA} requisições por chave por dia `
+                + '(virada à meia-noite de São Paulo). Percentuais vêm em pontos (12,4% -> 12.4).'
+        },
+        servers: [{ url: serverUrl }],
+        security: [{ bearer: [] }, { apiKey: [] }],
+        paths: {
+            '/acoes/{ticker}': {
+                get: {
+                    summary: 'Análise completa de uma ação',
+                    description: 'Classes pelos limites do dono da chave (página Limites).',
+                    parameters: [tickerParam],
+                    responses: { 200: ok(ref('Acao')), ...erros(400, 401, 404, 429, 500, 502) }
+                }
+            },
+            '/acoes/{ticker}/valuation': {
+                get: {
+                    summary: 'Modelos de valuation com premissas próprias',
+                    parameters: [tickerParam, ...premissas],
+                    responses: { 200: ok(ref('ValuationAtivo')), ...erros(400, 401, 404, 429, 500, 502) }
+                }
+            },
+            '/fiis/{ticker}': {
+                get: {
+                    summary: 'Análise de um fundo imobiliário',
+                    parameters: [tickerParam],
+                    responses: { 200: ok(ref('Fii')), ...erros(400, 401, 404, 429, 500, 502) }
+                }
+            },
+            '/historico/{ticker}': {
+                get: {
+                    summary: 'Série diária dos indicadores guardados',
+                    parameters: [
+                        tickerParam,
+                        { name: 'tipo', in: 'query', schema: { type: 'string', enum: ['acao', 'fii'], default: 'acao' } },
+                        { name: 'dias', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 3650, default: 365 } }
+                    ],
+                    responses: { 200: ok(ref('Historico')), ...erros(400, 401, 429, 500) }
+                }
+            },
+            '/uso': {
+                get: {
+                    summary: 'Cota e uso do dia da chave enviada',
+                    responses: { 200: ok(ref('Uso')), ...erros(401, 429, 500) }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearer: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer im_...' },
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            responses: {
+                Erro400: respostaErro('Parâmetro inválido (invalid_ticker, invalid_parameter)'),
+                Erro401: respostaErro('Chave ausente ou inválida (unauthorized, invalid_api_key)'),
+                Erro404: respostaErro('Ativo não encontrado (not_found)'),
+                Erro429: respostaErro('Cota diária esgotada (quota_exceeded); ver Retry-After'),
+                Erro500: respostaErro('Erro interno (internal_error)'),
+                Erro502: respostaErro('Falha ao consultar os provedores de dados (upstream_error)')
+            },
+            schemas: {
+                Erro: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: { type: 'string', example: 'not_found' },
+                                message: { type: 'string' },
+                                detalhes: { type: 'object', additionalProperties: true }
+                            }
+                        }
+                    }
+                },
+                Fonte: {
+                    type: 'object',
+                    properties: {
+                        nome: { type: 'string' },
+                        label: { type: 'string' },
+                        status: { type: 'string', enum: ['ok', 'incompleto', 'vazio', 'erro', 'timeout'] },
+                        fetchedAt: nullable({ type: 'string', format: 'date-time' }),
+                        cacheHit: nullable({ type: 'boolean' }),
+                        faltando: { type: 'array', items: { type: 'string' }, description: 'Campos críticos ausentes (status incompleto)' },
+                        erro: { type: 'string', description: 'Motivo da falha (status erro/timeout)' }
+                    }
+                },
+                Provento: {
+                    type: 'object',
+                    properties: {
+                        tipo: nullable({ type: 'string' }),
+                        dataCom: nullable({ type: 'string', format: 'date' }),
+                        pagamento: nullable({ type: 'string', format: 'date' }),
+                        valor: nullable({ type: 'number' }),
+                        unidade: { type: 'string', enum: ['BRL'] }
+                    }
+                },
+                Valuation: {
+                    type: 'object',
+                    properties: {
+                        cotacao: nullable({ type: 'number' }),
+                        crescimento: { type: 'number', description: 'g usado (%)' },
+                        premissas: {
+                            type: 'object',
+                            properties: Object.fromEntries(Object.entries(VALUATION_PARAMS).map(([nome, def]) => [nome, nullable({ type: 'number', description: def.label })]))
+                        },
+                        modelos: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', enum: VALUATION_MODELS.map(m => m.id) },
+                                    label: { type: 'string' },
+                                    valor: nullable({ type: 'number' }),
+                                    unidade: { type: 'string', enum: ['BRL'] },
+                                    classe: { type: 'string', enum: ['good', 'bad', 'neutral'] },
+                                    margem: nullable({ type: 'number', description: 'Margem de segurança (%)' })
+                                }
+                            }
+                        },
+                        grahamAviso: nullable({ type: 'string' })
+                    }
+                },
+                ValuationAtivo: {
+                    allOf: [
+                        ref('Valuation'),
+                        {
+                            type: 'object',
+                            properties: {
+                                ticker: { type: 'string' },
+                                fetchedAt: { type: 'string', format: 'date-time' },
+                                cacheHit: { type: 'boolean' }
+                            }
+                        }
+                    ]
+                },
+                Acao: {
+                    type: 'object',
+                    properties: {
+                        ticker: { type: 'string' },
+                        tipo: { type: 'string', enum: ['acao'] },
+                        fetchedAt: { type: 'string', format: 'date-time' },
+                        cacheHit: { type: 'boolean' },
+                        fontes: { type: 'array', items: ref('Fonte') },
+                        setor: nullable({ type: 'string' }),
+                        segmento: nullable({ type: 'string' }),
+                        perfilLimites: {
+                            type: 'object',
+                            properties: {
+                                chave: { type: 'string' },
+                                label: { type: 'string' },
+                                origem: { type: 'string' },
+                                criterio: nullable({ type: 'string' }),
+                                personalizado: { type: 'boolean' }
+                            }
+                        },
+                        indicadores: indicatorsSchema(ACAO_API_FIELDS),
+                        valuation: ref('Valuation'),
+                        qualidade: {
+                            type: 'object',
+                            description: 'Piotroski F-Score e Altman Z-Score dos demonstrativos (null sem dados suficientes)',
+                            properties: {
+                                piotroski: nullable({ type: 'object', additionalProperties: true }),
+                                altman: nullable({ type: 'object', additionalProperties: true }),
+                                aviso: nullable({ type: 'string' })
+                            }
+                        },
+                        demonstrativos: {
+                            type: 'object',
+                            properties: {
+                                anos: { type: 'array', items: { type: 'object', additionalProperties: true } },
+                                crescimento: { type: 'object', additionalProperties: true }
+                            }
+                        },
+                        proventos: { type: 'array', items: ref('Provento') }
+                    }
+                },
+                Fii: {
+                    type: 'object',
+                    properties: {
+                        ticker: { type: 'string' },
+                        tipo: { type: 'string', enum: ['fii'] },
+                        fetchedAt: { type: 'string', format: 'date-time' },
+                        cacheHit: { type: 'boolean' },
+                        fontes: { type: 'array', items: ref('Fonte') },
+                        indicadores: indicatorsSchema(FII_API_FIELDS),
+                        score: {
+                            type: 'object',
+                            properties: {
+                                valor: nullable({ type: 'number', minimum: 0, maximum: 10 }),
+                                classe: { type: 'string', enum: ['good', 'bad', 'neutral'] },
+                                perfil: { type: 'string' },
+                                perfilLabel: { type: 'string' },
+                                contribuicoes: { type: 'array', items: { type: 'object', additionalProperties: true } }
+                            }
+                        },
+                        proventos: { type: 'array', items: ref('Provento') }
+                    }
+                },
+                Historico: {
+                    type: 'object',
+                    properties: {
+                        ticker: { type: 'string' },
+                        tipo: { type: 'string', enum: ['acao', 'fii'] },
+                        datas: { type: 'array', items: { type: 'string', format: 'date' } },
+                        series: {
+                            type: 'object',
+                            description: `Ações: ${HISTORY_SERIES.acao.join(', ')}. FIIs: ${HISTORY_SERIES.fii.join(', ')}.`,
+                            additionalProperties: { type: 'array', items: nullable({ type: 'number' }) }
+                        }
+                    }
+                },
+                Uso: {
+                    type: 'object',
+                    properties: {
+                        chave: { type: 'object', properties: { nome: { type: 'string' }, prefixo: { type: 'string' } } },
+                        cotaDiaria: { type: 'integer' },
+                        usadasHoje: { type: 'integer' },
+                        restantes: { type: 'integer' },
+                        renovaEm: { type: 'string', format: 'date-time' }
+                    }
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,26 @@
+// --- SAÍDA TABULAR (CLI e exportações) ---
+// rows são objetos planos; columns define a ordem e quais campos entram
+
+const toCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+// CSV padrão (RFC 4180): vírgula como separador e aspas quando o valor tem vírgula, aspas ou quebra de linha
+export function toCsv(rows, columns) {
+    const escape = (value) => {
+        const cell = toCell(value);
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+    const lines = [columns.map(escape).join(',')];
+    for (const row of rows) lines.push(columns.map(col => escape(row[col])).join(','));
+    return lines.join('\n') + '\n';
+}
+
+// Tabela alinhada para o terminal
+export function toTable(rows, columns) {
+    const widths = columns.map(col => Math.max(col.length, ...rows.map(row => toCell(row[col]).length)));
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        line(columns),
+        line(widths.map(w => '-'.repeat(w))),
+        ...rows.map(row => line(columns.map(col => toCell(row[col]))))
+    ].join('\n') + '\n';
+}
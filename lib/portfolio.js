@@ -0,0 +1,259 @@
+import { pool } from './db.js';
+import { strToNumber } from './format.js';
+import { getAcaoData, getFiiData } from './investidor10.js';
+
+// --- CARTEIRA (compras/vendas por usuário) ---
+export const ASSET_TYPES = ['acao', 'fii'];
+export const OPERATIONS = ['compra', 'venda'];
+
+const round = (num, places = 2) => Math.round(num * 10 ** places) / 10 ** places;
+
+// Valida e normaliza o corpo de POST/PUT; devolve { error } ou { transaction }
+export function parseTransactionInput(body) {
+    const ticker = String(body.ticker || '').trim().toUpperCase();
+    const tipo = String(body.tipo || '').toLowerCase();
+    const operacao = String(body.operacao || '').toLowerCase();
+    const quantidade = Number(body.quantidade);
+    const preco = Number(body.preco);
+    const taxas = body.taxas === undefined || body.taxas === '' ? 0 : Number(body.taxas);
+    const data = String(body.data || '');
+
+    if (!/^[A-Z0-9]{4,11}$/.test(ticker)) return { error: 'Ticker inválido.' };
+    if (!ASSET_TYPES.includes(tipo)) return { error: "Tipo deve ser 'acao' ou 'fii'." };
+    if (!OPERATIONS.includes(operacao)) return { error: "Operação deve ser 'compra' ou 'venda'." };
+    if (!(quantidade > 0)) return { error: 'Quantidade deve ser maior que zero.' };
+    if (!(preco > 0)) return { error: 'Preço deve ser maior que zero.' };
+    if (!(taxas >= 0)) return { error: 'Taxas não podem ser negativas.' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data) || isNaN(Date.parse(data))) return { error: 'Data inválida (use AAAA-MM-DD).' };
+
+    return { transaction: { ticker, assetType: tipo, operation: operacao, quantity: quantidade, price: preco, fees: taxas, tradeDate: data } };
+}
+
+// Formato devolvido pela API (mesmos nomes em português do corpo de entrada)
+export function toTransactionResponse(row) {
+    return {
+        id: row.id,
+        ticker: row.ticker,
+        tipo: row.asset_type,
+        operacao: row.operation,
+        quantidade: row.quantity,
+        preco: row.price,
+        taxas: row.fees,
+        data: row.trade_date
+    };
+}
+
+// Eventos de linha do banco (portfolio_events) no mesmo formato das transações, para o replay
+const eventToReplayRow = (e) => ({
+    id: e.id, ticker: e.ticker, asset_type: e.asset_type, operation: e.event_type,
+    quantity: e.quantity, price: 0, fees: 0, value: e.value, trade_date: String(e.event_date), evento: true
+});
+
+/**
+ * Reprocessa as transações em ordem cronológica. Compras entram no preço médio junto
+ * com as taxas; vendas baixam a quantidade pelo preço médio e geram lucro realizado.
+ * Eventos (linhas de portfolio_events) ajustam a quantidade: desdobramento e bonificação
+ * somam cotas (a bonificação soma também o custo atribuído), grupamento tira; no mesmo
+ * dia entram depois dos negócios. Proventos em dinheiro não mexem na posição.
+ * Devolve { positions (Map por ticker), vendas: [{ data, ticker, tipo, quantidade,
+ * valorVenda, custo, taxas, lucro }] }. Lança erro se alguma venda deixar a posição negativa.
+ */
+export function replayTransactions(transactions, eventos = []) {
+    const sorted = [...transactions, ...eventos.map(eventToReplayRow)].sort((a, b) =>
+        String(a.trade_date).localeCompare(String(b.trade_date))
+        || Number(Boolean(a.evento)) - Number(Boolean(b.evento))
+        || (a.id || 0) - (b.id || 0));
+    const positions = new Map();
+    const vendas = [];
+
+    for (const t of sorted) {
+        if (t.evento && !['desdobramento', 'bonificacao', 'grupamento'].includes(t.operation)) continue;
+        const pos = positions.get(t.ticker) || {
+            ticker: t.ticker, tipo: t.asset_type, quantidade: 0, custo: 0, lucroRealizado: 0
+        };
+        const qty = Number(t.quantity);
+        const price = Number(t.price);
+        const fees = Number(t.fees) || 0;
+
+        if (t.operation === 'desdobramento' || t.operation === 'bonificacao') {
+            pos.quantidade += qty;
+            pos.custo += Number(t.value) || 0;
+        } else if (t.operation === 'grupamento') {
+            pos.quantidade = Math.max(0, pos.quantidade - qty);
+            if (pos.quantidade < 1e-9) { pos.quantidade = 0; pos.custo = 0; }
+        } else if (t.operation === 'compra') {
+            pos.quantidade += qty;
+            pos.custo += qty * price + fees;
+        } else {
+            if (qty > pos.quantidade + 1e-9) {
+                throw new Error(`Venda de ${qty} ${t.ticker} em ${t.trade_date} maior que a posição (${round(pos.quantidade, 6)}).`);
+            }
+            const precoMedio = pos.quantidade > 0 ? pos.custo / pos.quantidade : 0;
+            const lucro = qty * price - fees - qty * precoMedio;
+            pos.lucroRealizado += lucro;
+            vendas.push({
+                data: String(t.trade_date), ticker: t.ticker, tipo: pos.tipo, quantidade: qty,
+                valorVenda: qty * price, custo: qty * precoMedio, taxas: fees, lucro
+            });
+            pos.quantidade -= qty;
+            pos.custo -= qty * precoMedio;
+            if (pos.quantidade < 1e-9) { pos.quantidade = 0; pos.custo = 0; }
+        }
+        positions.set(t.ticker, pos);
+    }
+
+    return { positions, vendas };
+}
+
+// Posições atuais (abertas e zeradas) com preço médio e lucro realizado por ativo
+export function buildPositions(transactions, eventos = []) {
+    const { positions } = replayTransactions(transactions, eventos);
+    return Array.from(positions.values()).map(pos => ({
+        ticker: pos.ticker,
+        tipo: pos.tipo,
+        quantidade: round(pos.quantidade, 6),
+        precoMedio: pos.quantidade > 0 ? round(pos.custo / pos.quantidade, 4) : 0,
+        valorInvestido: round(pos.custo),
+        lucroRealizado: round(pos.lucroRealizado)
+    }));
+}
+
+// Cotação atual usando os mesmos scrapers de /buscar e /buscar-fii
+export async function fetchCurrentPrice(ticker, tipo) {
+    const { data } = tipo === 'fii' ? await getFiiData(ticker) : await getAcaoData(ticker);
+    return strToNumber(data.cotacao);
+}
+
+// Junta posições abertas com a cotação atual e calcula lucro/prejuízo por ativo e total
+export async function buildSummary(transactions, eventos = []) {
+    const positions = buildPositions(transactions, eventos);
+    const posicoes = [];
+    let lucroRealizadoTotal = 0;
+
+    // Uma cotação por vez: cada uma abre uma página do Puppeteer
+    for (const pos of positions) {
+        lucroRealizadoTotal += pos.lucroRealizado;
+        if (pos.quantidade <= 0) continue;
+        const cotacao = await fetchCurrentPrice(pos.ticker, pos.tipo);
+        const valorAtual = cotacao !== null ? round(cotacao * pos.quantidade) : null;
+        const lucro = valorAtual !== null ? round(valorAtual - pos.valorInvestido) : null;
+        posicoes.push({
+            ...pos,
+            cotacao,
+            valorAtual,
+            lucro,
+            lucroPercentual: lucro !== null && pos.valorInvestido > 0 ? round((lucro / pos.valorInvestido) * 100) : null
+        });
+    }
+
+    const valorInvestido = round(posicoes.reduce((acc, p) => acc + p.valorInvestido, 0));
+    const semCotacao = posicoes.filter(p => p.valorAtual === null).map(p => p.ticker);
+    const valorAtual = round(posicoes.reduce((acc, p) => acc + (p.valorAtual ?? p.valorInvestido), 0));
+    const lucro = round(valorAtual - valorInvestido);
+
+    return {
+        posicoes,
+        total: {
+            valorInvestido,
+            valorAtual,
+            lucro,
+            lucroPercentual: valorInvestido > 0 ? round((lucro / valorInvestido) * 100) : null,
+            lucroRealizado: round(lucroRealizadoTotal),
+            semCotacao
+        }
+    };
+}
+
+// --- ACESSO AO BANCO ---
+export async function listTransactions(userId) {
+    const [rows] = await pool.execute(
+        'SELECT * FROM transactions WHERE user_id = ? ORDER BY trade_date, id', [userId]
+    );
+    return rows;
+}
+
+export async function insertTransaction(userId, t) {
+    const [result] = await pool.execute(
+        `INSERT INTO transactions (user_id, ticker, asset_type, operation, quantity, price, fees, trade_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, t.ticker, t.assetType, t.operation, t.quantity, t.price, t.fees, t.tradeDate]
+    );
+    return result.insertId;
+}
+
+export async function updateTransaction(userId, id, t) {
+    const [result] = await pool.execute(
+        `UPDATE transactions SET ticker = ?, asset_type = ?, operation = ?, quantity = ?, price = ?, fees = ?, trade_date = ?
+         WHERE id = ? AND user_id = ?`,
+        [t.ticker, t.assetType, t.operation, t.quantity, t.price, t.fees, t.tradeDate, id, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+export async function deleteTransaction(userId, id) {
+    const [result] = await pool.execute('DELETE FROM transactions WHERE id = ? AND user_id = ?', [id, userId]);
+    return result.affectedRows > 0;
+}
+
+// Eventos importados da B3 (proventos, desdobramentos, bonificações, grupamentos)
+export async function listEvents(userId) {
+    const [rows] = await pool.execute(
+        'SELECT * FROM portfolio_events WHERE user_id = ? ORDER BY event_date, id', [userId]
+    );
+    return rows;
+}
+
+export function toEventResponse(row) {
+    return {
+        id: row.id,
+        ticker: row.ticker,
+        tipo: row.asset_type,
+        evento: row.event_type,
+        quantidade: row.quantity,
+        valor: row.value,
+        data: row.event_date
+    };
+}
+
+// Grava uma importação inteira numa transação do banco: ou entra tudo, ou nada
+export async function insertImport(userId, transacoes, eventos) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        for (const t of transacoes) {
+            await connection.execute(
+                `INSERT INTO transactions (user_id, ticker, asset_type, operation, quantity, price, fees, trade_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, t.ticker, t.assetType, t.operation, t.quantity, t.price, t.fees, t.tradeDate]
+            );
+        }
+        for (const e of eventos) {
+            await connection.execute(
+                `INSERT INTO portfolio_events (user_id, ticker, asset_type, event_type, quantity, value, event_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [userId, e.ticker, e.assetType, e.eventType, e.quantity, e.value, e.eventDate]
+            );
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Converte a entrada validada para o formato de linha do banco (para simular antes de gravar)
+export function toRow(id, t) {
+    return {
+        id, ticker: t.ticker, asset_type: t.assetType, operation: t.operation,
+        quantity: t.quantity, price: t.price, fees: t.fees, trade_date: t.tradeDate
+    };
+}
+
+export function toEventRow(id, e) {
+    return {
+        id, ticker: e.ticker, asset_type: e.assetType, event_type: e.eventType,
+        quantity: e.quantity, value: e.value, event_date: e.eventDate
+    };
+}
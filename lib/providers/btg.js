@@ -0,0 +1,39 @@
+// --- PROVEDOR BTG PACTUAL (recomendação de analistas) ---
+// Mesma estratégia da XP: leitura por rótulo. URL configurável por BTG_URL_TEMPLATE.
+export const btg = {
+    name: 'btg',
+    label: 'BTG Pactual',
+    timeoutMs: Number(process.env.PROVIDER_TIMEOUT_BTG_MS) || 20000,
+    url: (ticker) => (process.env.BTG_URL_TEMPLATE || 'https://content.btgpactual.com/research/ativo/{ticker}')
+        .replace('{ticker}', ticker.toLowerCase()),
+    waitFor: ['[class*="recommendation"], [class*="recomendacao"], main'],
+    criticalFields: ['btgRecomendacao', 'btgPrecoAlvo'],
+    selectors: {
+        btgRecomendacao: 'rótulo "Recomendação" / "Rating"',
+        btgPrecoAlvo: 'rótulo "Preço alvo" / "Target price"',
+        btgPotencial: 'rótulo "Potencial" / "Upside"'
+    },
+
+    parse: (doc = document) => {
+        const text = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+        const normalize = (str) => str.toLowerCase().replace(/[-:]/g, ' ').replace(/\s+/g, ' ').trim();
+
+        const findByLabel = (...labels) => {
+            const wanted = labels.map(normalize);
+            const nodes = Array.from(doc.querySelectorAll('dt, th, span, p, strong, h3, h4, h5, label, div'))
+                .filter(el => el.children.length === 0 && wanted.includes(normalize(text(el))));
+            for (const node of nodes) {
+                const sibling = node.nextElementSibling || node.parentElement?.nextElementSibling;
+                const value = text(sibling);
+                if (value) return value;
+            }
+            return null;
+        };
+
+        return {
+            btgRecomendacao: findByLabel('recomendação', 'recomendacao', 'rating'),
+            btgPrecoAlvo: findByLabel('preço alvo', 'preco alvo', 'target price'),
+            btgPotencial: findByLabel('potencial', 'upside', 'potencial de valorização')
+        };
+    }
+};
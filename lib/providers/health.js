@@ -0,0 +1,87 @@
+// --- SAÚDE DOS SELETORES (detecção de mudança de layout) ---
+// Cada provedor pode declarar:
+//   criticalFields  campos sem os quais a resposta é considerada incompleta
+//   selectors       { campo: 'seletor ou rótulo procurado' } dos campos acompanhados
+// Um campo que fica vazio em SELECTOR_BROKEN_AFTER páginas seguidas (de tickers
+// diferentes ou não) é marcado como quebrado e logado uma vez.
+const BROKEN_AFTER = Number(process.env.SELECTOR_BROKEN_AFTER) || 5;
+
+const isEmpty = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+
+let health = {};
+
+/**
+ * Confere o resultado do parse contra o schema do provedor.
+ * Devolve { ok, vazio, faltando, criticosFaltando }; vazio = nenhum campo encontrado
+ * (ticker inexistente ou página totalmente diferente).
+ */
+export function validateScrape(provider, data) {
+    const campos = Object.keys(provider.selectors || {});
+    const faltando = campos.filter(campo => isEmpty(data?.[campo]));
+    const criticosFaltando = (provider.criticalFields || []).filter(campo => isEmpty(data?.[campo]));
+    const vazio = !data || Object.values(data).every(isEmpty);
+    return { ok: criticosFaltando.length === 0, vazio, faltando, criticosFaltando };
+}
+
+const descricao = (provider, campo) => `${campo} (${provider.selectors?.[campo] || 'sem seletor declarado'})`;
+
+// Registra um scraping real (não chamar com dados do cache) e loga o que parou de casar
+export function recordSelectorHealth(provider, ticker, data, agora = new Date()) {
+    const validacao = validateScrape(provider, data);
+    const estado = (health[provider.name] ||= { paginas: 0, paginasVazias: 0, ultimaPaginaVazia: null, campos: {} });
+    estado.paginas++;
+
+    if (validacao.vazio) {
+        estado.paginasVazias++;
+        estado.ultimaPaginaVazia = { ticker, em: agora.toISOString() };
+        console.error(`⚠️ ${provider.label} ${ticker}: nenhum campo encontrado (ticker inexistente ou layout mudou).`);
+        return validacao;
+    }
+
+    for (const campo of Object.keys(provider.selectors || {})) {
+        const c = (estado.campos[campo] ||= { falhas: 0, falhasSeguidas: 0, ultimoSucesso: null, ultimaFalha: null });
+        if (validacao.faltando.includes(campo)) {
+            c.falhas++;
+            c.falhasSeguidas++;
+            c.ultimaFalha = { ticker, em: agora.toISOString() };
+            if (c.falhasSeguidas === BROKEN_AFTER) {
+                console.error(`🚨 ${provider.label}: ${descricao(provider, campo)} sem correspondência em ${BROKEN_AFTER} páginas seguidas. O layout pode ter mudado.`);
+            }
+        } else {
+            c.falhasSeguidas = 0;
+            c.ultimoSucesso = agora.toISOString();
+        }
+    }
+
+    if (validacao.criticosFaltando.length > 0) {
+        console.error(`⚠️ ${provider.label} ${ticker}: campos críticos ausentes: ${validacao.criticosFaltando.map(c => descricao(provider, c)).join(', ')}`);
+    }
+    return validacao;
+}
+
+/**
+ * Relatório por provedor: páginas lidas, páginas vazias, campos quebrados
+ * (falhas seguidas >= limite) e o histórico de cada campo acompanhado.
+ */
+export function getSelectorHealth(providers) {
+    const relatorio = {};
+    for (const provider of providers) {
+        const estado = health[provider.name];
+        if (!estado) continue;
+        const quebrados = Object.entries(estado.campos)
+            .filter(([, c]) => c.falhasSeguidas >= BROKEN_AFTER)
+            .map(([campo, c]) => ({ campo, seletor: provider.selectors?.[campo] || null, falhasSeguidas: c.falhasSeguidas, ultimoSucesso: c.ultimoSucesso }));
+        relatorio[provider.name] = {
+            paginas: estado.paginas,
+            paginasVazias: estado.paginasVazias,
+            ultimaPaginaVazia: estado.ultimaPaginaVazia,
+            quebrados,
+            campos: estado.campos
+        };
+    }
+    return relatorio;
+}
+
+export function resetSelectorHealth() {
+    health = {};
+}
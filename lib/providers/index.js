@@ -0,0 +1,123 @@
+import { withPage } from '../browser.js';
+import { cached } from '../cache.js';
+import { investidor10 } from './investidor10.js';
+import { xp } from './xp.js';
+import { btg } from './btg.js';
+import { investidor10Peers } from './peers.js';
+import { investidor10Fii } from './investidor10Fii.js';
+import { validateScrape, recordSelectorHealth, getSelectorHealth as getHealthOf } from './health.js';
+
+/**
+ * --- CAMADA DE PROVEDORES ---
+ * Cada provedor é um objeto com:
+ *   name       identificador curto (usado no cache e na atribuição de fonte)
+ *   label      nome para exibição
+ *   url(t)     página do ticker
+ *   waitFor    seletores que indicam que a página carregou (opcionais, sem erro se não aparecerem)
+ *   parse(doc) função autossuficiente que lê o DOM e devolve { campo: 'texto' | null }
+ *   cacheKey(t) chave do cache (opcional; padrão: o próprio ticker)
+ *   timeoutMs  tempo máximo do provedor com a página do pool em mãos (a fila não conta)
+ *   criticalFields / selectors  schema usado na detecção de mudança de layout (ver health.js)
+ * Para adicionar uma fonte nova basta criar o objeto e colocá-lo em ACAO_PROVIDERS.
+ */
+export const ACAO_PROVIDERS = [investidor10, xp, btg];
+
+export const ALL_PROVIDERS = [investidor10, investidor10Fii, xp, btg, investidor10Peers];
+
+export { investidor10, investidor10Fii, xp, btg, investidor10Peers, validateScrape };
+
+export const getSelectorHealth = () => getHealthOf(ALL_PROVIDERS);
+
+// Navegação comum a todos os provedores: página do pool (sem imagens/CSS), parse rodando no navegador
+export async function scrapeWithProvider(provider, ticker) {
+    try {
+        return await withPage(provider.name, async (page) => {
+            console.log(`🔍 Buscando ${ticker} (${provider.label})...`);
+            await page.goto(provider.url(ticker), { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+            await Promise.all((provider.waitFor || []).map(selector =>
+                page.waitForSelector(selector, { timeout: 30000 }).catch(() => {})
+            ));
+
+            const data = await page.evaluate(provider.parse);
+            recordSelectorHealth(provider, ticker, data);
+            return data;
+        }, { timeoutMs: provider.timeoutMs });
+    } catch(e) {
+        // Prazo esgotado sobe para fetchFromProviders marcar a fonte como 'timeout'
+        if (/tempo esgotado/.test(e.message)) throw e;
+        console.error(`❌ Erro scraping ${ticker} (${provider.label}):`, e.message);
+        return {};
+    }
+}
+
+// Roda o parse de um provedor sobre HTML salvo (testes com fixtures, depuração de layout)
+export async function parseHtml(provider, html) {
+    const { JSDOM } = await import('jsdom');
+    const dom = new JSDOM(html);
+    return provider.parse(dom.window.document);
+}
+
+const hasAnyValue = (data) => Boolean(data && Object.values(data).some(v => v !== null && v !== undefined && v !== ''));
+
+// Busca (com cache) um único provedor; options vai direto para cached() (ex.: { ttl })
+export function fetchProvider(provider, ticker, options = {}) {
+    const isValid = provider.isValid || hasAnyValue;
+    const chave = provider.cacheKey ? provider.cacheKey(ticker) : ticker;
+    return cached(provider.cacheType || provider.name, chave,
+        () => scrapeWithProvider(provider, ticker), isValid, options);
+}
+
+/**
+ * Consulta todos os provedores em paralelo (Promise.allSettled) e junta os campos.
+ * onRefresh(provider, entry) recebe as atualizações em segundo plano do cache vencido.
+ * Em caso de campo repetido vale o primeiro provedor da lista que trouxe valor.
+ * Devolve { data, sources, providers, fetchedAt, cacheHit }, onde sources diz de
+ * qual provedor veio cada campo e providers traz o status de cada fonte
+ * ('incompleto' + faltando quando a fonte respondeu sem algum campo crítico).
+ */
+export async function fetchFromProviders(ticker, providers = ACAO_PROVIDERS, { onRefresh } = {}) {
+    const started = Date.now();
+    const results = await Promise.allSettled(providers.map(provider =>
+        fetchProvider(provider, ticker, onRefresh ? { onRefresh: (entry) => onRefresh(provider, entry) } : {})
+    ));
+
+    const data = {};
+    const sources = {};
+    const status = [];
+    let fetchedAt = null;
+    let cacheHit = true;
+
+    results.forEach((result, i) => {
+        const provider = providers[i];
+        if (result.status === 'rejected') {
+            const timedOut = /tempo esgotado/.test(result.reason?.message || '');
+            status.push({ nome: provider.name, label: provider.label, status: timedOut ? 'timeout' : 'erro', erro: result.reason?.message });
+            return;
+        }
+        const { data: providerData, fetchedAt: providerFetchedAt, cacheHit: providerCacheHit } = result.value;
+        const ok = hasAnyValue(providerData);
+        const { criticosFaltando } = validateScrape(provider, providerData);
+        status.push({
+            nome: provider.name,
+            label: provider.label,
+            status: !ok ? 'vazio' : (criticosFaltando.length ? 'incompleto' : 'ok'),
+            ...(ok && criticosFaltando.length ? { faltando: criticosFaltando } : {}),
+            fetchedAt: providerFetchedAt,
+            cacheHit: providerCacheHit
+        });
+        if (!ok) return;
+
+        // O horário da resposta é o do dado mais antigo usado
+        if (!fetchedAt || providerFetchedAt < fetchedAt) fetchedAt = providerFetchedAt;
+        cacheHit = cacheHit && providerCacheHit;
+
+        for (const [key, value] of Object.entries(providerData)) {
+            if (value === null || value === undefined || value === '' || key in data) continue;
+            data[key] = value;
+            sources[key] = provider.name;
+        }
+    });
+
+    return { data, sources, providers: status, fetchedAt: fetchedAt || new Date(started), cacheHit };
+}
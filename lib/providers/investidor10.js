@@ -0,0 +1,149 @@
+// --- PROVEDOR INVESTIDOR10 (ações) ---
+// parse roda dentro do navegador (page.evaluate) e também sobre HTML salvo nos testes,
+// por isso não pode usar nada de fora da própria função.
+export const investidor10 = {
+    name: 'investidor10',
+    label: 'Investidor10',
+    cacheType: 'acao', // mesma entrada de cache usada por alertas e carteira
+    timeoutMs: Number(process.env.PROVIDER_TIMEOUT_I10_MS) || 90000,
+    url: (ticker) => `https://investidor10.com.br/acoes/${ticker.toLowerCase()}/`,
+    waitFor: ['#cards-ticker', '#table-indicators'],
+    isValid: (data) => Boolean(data && data.cotacao && data.cotacao !== '-'),
+    // LPA e VPA entram nos valuations de Graham; sem eles a página perde a maior parte da análise
+    criticalFields: ['cotacao', 'pl', 'pvp', 'dy', 'lpa', 'vpa'],
+    selectors: {
+        cotacao: '#cards-ticker ._card.cotacao',
+        dy: '#cards-ticker ._card.dy',
+        pl: '#table-indicators .cell "P/L"',
+        pvp: '#table-indicators .cell "P/VP"',
+        lpa: '#table-indicators .cell "LPA"',
+        vpa: '#table-indicators .cell "VPA"',
+        roe: '#table-indicators .cell "ROE"',
+        roic: '#table-indicators .cell "ROIC"',
+        roa: '#table-indicators .cell "ROA"',
+        margemLiquida: '#table-indicators .cell "Margem Líquida"',
+        margemBruta: '#table-indicators .cell "Margem Bruta"',
+        margemEbitda: '#table-indicators .cell "Margem EBITDA"',
+        cagrLucros: '#table-indicators .cell "CAGR Lucros 5 Anos"',
+        dividaLiquidaEbitda: '#table-indicators .cell "Dívida Líquida / EBITDA"',
+        dividaLiquidaPatrimonio: '#table-indicators .cell "Dívida Líquida / Patrimônio"',
+        liquidezCorrente: '#table-indicators .cell "Liquidez Corrente"',
+        payout: '#table-indicators .cell "Payout"',
+        giroAtivos: '#table-indicators .cell "Giro Ativos"',
+        setor: '.cell a[href*="/setores/"] "Setor"',
+        segmento: '.cell a[href*="/setores/"] "Segmento"',
+        dy5Anos: '.dy-history h3.box-span "DY médio em 5 anos"',
+        dividendos: '#table-dividends-history tbody tr',
+        demonstrativos: '#table-balance-results, #table-balance-sheet, #table-cash-flow'
+    },
+
+    parse: (doc = document) => {
+        const text = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+        const getTextFromTickerCard = (cardClass) => text(doc.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)) || null;
+
+        const findCellText = (label) => {
+            const normalizedLabel = label.toLowerCase().trim();
+            let spans = Array.from(doc.querySelectorAll('#table-indicators .cell span:first-child'));
+            let found = spans.find(s => text(s).toLowerCase() === normalizedLabel);
+            if (found) return text(found.closest('.cell')?.querySelector('.value span')) || null;
+
+            spans = Array.from(doc.querySelectorAll('.cell span:first-child'));
+            found = spans.find(s => text(s).toLowerCase() === normalizedLabel);
+            if (found) return text(found.closest('.cell')?.querySelector('.value span, .value')) || null;
+
+            return null;
+        };
+
+        const findLinkedCellText = (label) => {
+            const spans = Array.from(doc.querySelectorAll('.cell a[href*="/setores/"] span.title'));
+            const found = spans.find(s => text(s).toLowerCase() === label.toLowerCase());
+            return text(found?.closest('a')?.querySelector('.value')) || null;
+        };
+
+        // Link da página do setor/segmento (usado para achar concorrentes em /comparar)
+        const findLinkedCellHref = (label) => {
+            const spans = Array.from(doc.querySelectorAll('.cell a[href*="/setores/"] span.title'));
+            const found = spans.find(s => text(s).toLowerCase() === label.toLowerCase());
+            return found?.closest('a')?.getAttribute('href') || null;
+        };
+
+        const findDyMedio5Anos = () => {
+            const h3s = Array.from(doc.querySelectorAll('.dy-history h3.box-span'));
+            const found = h3s.find(h => text(h).includes('DY médio em 5 anos'));
+            return text(found?.querySelector('span')) || null;
+        };
+
+        // Histórico de proventos: uma linha por pagamento (Tipo | Data COM | Pagamento | Valor)
+        const readDividends = () => Array.from(doc.querySelectorAll('#table-dividends-history tbody tr')).map(tr => {
+            const cells = Array.from(tr.querySelectorAll('td')).map(td => text(td));
+            return { tipo: cells[0] || null, dataCom: cells[1] || null, pagamento: cells[2] || null, valor: cells[3] || null };
+        }).filter(d => d.pagamento && d.valor);
+
+        // Demonstrativos anuais (DRE, balanço e fluxo de caixa): anos no cabeçalho, uma conta por linha.
+        // Devolve [{ ano: '2024', receitaLiquida: 'R$ 490,83 B', ... }] do ano mais antigo ao mais novo
+        const CONTAS = {
+            'receita líquida': 'receitaLiquida',
+            'lucro bruto': 'lucroBruto',
+            'ebit': 'ebit',
+            'lucro líquido': 'lucroLiquido',
+            'fluxo de caixa operacional': 'fluxoCaixaOperacional',
+            'ativo total': 'ativoTotal',
+            'ativo circulante': 'ativoCirculante',
+            'passivo circulante': 'passivoCirculante',
+            'passivo não circulante': 'passivoNaoCirculante',
+            'patrimônio líquido': 'patrimonioLiquido',
+            'reservas de lucros': 'lucrosRetidos',
+            'lucros retidos': 'lucrosRetidos',
+            'número de ações': 'acoes'
+        };
+        const readStatements = () => {
+            const porAno = {};
+            for (const table of Array.from(doc.querySelectorAll('#table-balance-results, #table-balance-sheet, #table-cash-flow'))) {
+                const anos = Array.from(table.querySelectorAll('thead th')).map(th => (text(th).match(/\b(19|20)\d{2}\b/) || [])[0] || null);
+                for (const tr of Array.from(table.querySelectorAll('tbody tr'))) {
+                    const cells = Array.from(tr.querySelectorAll('td')).map(td => text(td));
+                    const campo = CONTAS[(cells[0] || '').toLowerCase()];
+                    if (!campo) continue;
+                    cells.forEach((valor, i) => {
+                        if (i === 0 || !anos[i] || !valor || valor === '-') return;
+                        (porAno[anos[i]] ||= { ano: anos[i] })[campo] = valor;
+                    });
+                }
+            }
+            return Object.values(porAno).sort((a, b) => a.ano.localeCompare(b.ano));
+        };
+
+        return {
+            cotacao: getTextFromTickerCard('cotacao'),
+            pvp: findCellText('p/vp'),
+            pl: findCellText('p/l'),
+            dy: getTextFromTickerCard('dy'),
+            vpa: findCellText('vpa'),
+            lpa: findCellText('lpa'),
+            roe: findCellText('roe'),
+            margemLiquida: findCellText('margem líquida'),
+            // dividaLiquidaEbit REMOVIDO
+            cagrLucros: findCellText('cagr lucros 5 anos'),
+            setor: findLinkedCellText('setor'),
+            segmento: findLinkedCellText('segmento'),
+            setorUrl: findLinkedCellHref('setor'),
+            segmentoUrl: findLinkedCellHref('segmento'),
+            dy5Anos: findDyMedio5Anos(),
+            // evEbitda REMOVIDO
+            // pEbitda REMOVIDO
+            // pAtivo REMOVIDO
+            margemBruta: findCellText('margem bruta'),
+            // margemEbit REMOVIDO
+            margemEbitda: findCellText('margem ebitda'),
+            roic: findCellText('roic'),
+            dividaLiquidaEbitda: findCellText('dívida líquida / ebitda'),
+            dividaLiquidaPatrimonio: findCellText('dívida líquida / patrimônio'),
+            liquidezCorrente: findCellText('liquidez corrente'),
+            payout: findCellText('payout'),
+            giroAtivos: findCellText('giro ativos'),
+            roa: findCellText('roa'),
+            dividendos: readDividends(),
+            demonstrativos: readStatements()
+        };
+    }
+};
@@ -0,0 +1,78 @@
+// --- PROVEDOR INVESTIDOR10 (FIIs) ---
+// Mesmas regras do provedor de ações: parse autossuficiente, roda no navegador e sobre fixtures.
+export const investidor10Fii = {
+    name: 'investidor10Fii',
+    label: 'Investidor10 (FII)',
+    cacheType: 'fii',
+    timeoutMs: Number(process.env.PROVIDER_TIMEOUT_I10_MS) || 90000,
+    url: (ticker) => `https://investidor10.com.br/fiis/${ticker.toLowerCase()}/`,
+    waitFor: ['#cards-ticker'],
+    isValid: (data) => Boolean(data && data.cotacao && data.cotacao !== '-'),
+    criticalFields: ['cotacao', 'pvp', 'dy', 'ultimoRendimento'],
+    selectors: {
+        cotacao: '#cards-ticker ._card.cotacao',
+        pvp: '#cards-ticker ._card.vp',
+        dy: '#cards-ticker ._card.dy',
+        liquidezDiaria: '#cards-ticker ._card.val',
+        ultimoRendimento: 'rótulo "Último rendimento"',
+        y1m: 'rótulo "Yield 1 mês"',
+        valorPatrimonial: 'rótulo "Valor patrimonial"',
+        vpa: 'rótulo "Val. patrimonial p/ cota"',
+        vacancia: 'rótulo "Vacância"',
+        numCotistas: 'rótulo "Numero de cotistas"',
+        cotasEmitidas: 'rótulo "Cotas emitidas"',
+        segmento: 'rótulo "Segmento"',
+        tipoFundo: 'rótulo "Tipo de fundo"',
+        tipoGestao: 'rótulo "Tipo de gestão"',
+        taxaAdm: 'rótulo "Taxa de administração"',
+        dividendos: '#table-dividends-history tbody tr'
+    },
+
+    parse: (doc = document) => {
+        const text = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+        const getTextFromTickerCard = (cardClass) => text(doc.querySelector(`#cards-ticker ._card.${cardClass} ._card-body span`)) || null;
+
+        // O Investidor10 usa três layouts de "rótulo: valor" na mesma página
+        const findTextByLabel = (label) => {
+            const normalizedLabel = label.toLowerCase().trim();
+            let spans = Array.from(doc.querySelectorAll('.desc .name'));
+            let found = spans.find(s => text(s).toLowerCase() === normalizedLabel);
+            if (found) return text(found.closest('.desc')?.querySelector('.value span')) || null;
+
+            spans = Array.from(doc.querySelectorAll('.content--info--item--title'));
+            found = spans.find(s => text(s).toLowerCase() === normalizedLabel);
+            if (found) return text(found.closest('.content--info--item')?.querySelector('.content--info--item--value')) || null;
+
+            spans = Array.from(doc.querySelectorAll('.cell span:first-child'));
+            found = spans.find(s => text(s).toLowerCase() === normalizedLabel);
+            if (found) return text(found.closest('.cell')?.querySelector('.value span, .value')) || null;
+
+            return null;
+        };
+
+        const readDividends = () => Array.from(doc.querySelectorAll('#table-dividends-history tbody tr')).map(tr => {
+            const cells = Array.from(tr.querySelectorAll('td')).map(td => text(td));
+            return { tipo: cells[0] || null, dataCom: cells[1] || null, pagamento: cells[2] || null, valor: cells[3] || null };
+        }).filter(d => d.pagamento && d.valor);
+
+        return {
+            cotacao: getTextFromTickerCard('cotacao'),
+            pvp: getTextFromTickerCard('vp'),
+            dy: getTextFromTickerCard('dy'),
+            liquidezDiaria: getTextFromTickerCard('val'),
+            ultimoRendimento: findTextByLabel('último rendimento'),
+            y1m: findTextByLabel('yield 1 mês'),
+            valorPatrimonial: findTextByLabel('valor patrimonial'),
+            vpa: findTextByLabel('val. patrimonial p/ cota'),
+            vacancia: findTextByLabel('vacância'),
+            numCotistas: findTextByLabel('numero de cotistas'),
+            cotasEmitidas: findTextByLabel('cotas emitidas'),
+            segmento: findTextByLabel('segmento'),
+            tipoFundo: findTextByLabel('tipo de fundo'),
+            tipoGestao: findTextByLabel('tipo de gestão'),
+            taxaAdm: findTextByLabel('taxa de administração'),
+            dividendos: readDividends()
+            // valorMercado REMOVIDO
+        };
+    }
+};
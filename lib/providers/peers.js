@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+// --- PROVEDOR DE CONCORRENTES (página de setor/segmento do Investidor10) ---
+// Diferente dos outros provedores, a "chave" aqui é a URL da página do segmento,
+// lida da própria página da ação (campos segmentoUrl/setorUrl).
+export const investidor10Peers = {
+    name: 'peers',
+    label: 'Investidor10 (setor)',
+    timeoutMs: Number(process.env.PROVIDER_TIMEOUT_I10_MS) || 90000,
+    url: (pageUrl) => pageUrl,
+    // A URL inteira não cabe em scrape_cache.cache_key (VARCHAR(40)): "peers:" + 32 hex do SHA-1
+    cacheKey: (pageUrl) => crypto.createHash('sha1').update(pageUrl).digest('hex').slice(0, 32),
+    waitFor: ['a[href*="/acoes/"]'],
+    isValid: (data) => Boolean(data && data.tickers && data.tickers.length > 0),
+    criticalFields: ['tickers'],
+    selectors: { tickers: 'a[href*="/acoes/"]' },
+
+    parse: (doc = document) => {
+        const tickers = [];
+        for (const a of Array.from(doc.querySelectorAll('a[href*="/acoes/"]'))) {
+            const match = (a.getAttribute('href') || '').match(/\/acoes\/([a-z0-9]{4,6}\d{1,2})\/?$/i);
+            if (match && !tickers.includes(match[1].toUpperCase())) tickers.push(match[1].toUpperCase());
+        }
+        return { tickers };
+    }
+};
@@ -0,0 +1,44 @@
+// --- PROVEDOR XP (recomendação de analistas) ---
+// A página de research da XP muda de layout com frequência; por isso a leitura é
+// por rótulo ("Recomendação", "Preço-alvo"...) e não por posição. A URL pode ser
+// trocada por XP_URL_TEMPLATE ({ticker} é substituído pelo código em minúsculas).
+export const xp = {
+    name: 'xp',
+    label: 'XP Investimentos',
+    timeoutMs: Number(process.env.PROVIDER_TIMEOUT_XP_MS) || 20000,
+    url: (ticker) => (process.env.XP_URL_TEMPLATE || 'https://conteudos.xpi.com.br/acoes/{ticker}/')
+        .replace('{ticker}', ticker.toLowerCase()),
+    waitFor: ['.recommendation, [class*="recomendacao"], main'],
+    criticalFields: ['xpiRecomendacao', 'xpiPrecoAlvo'],
+    selectors: {
+        xpiRecomendacao: 'rótulo "Recomendação"',
+        xpiPrecoAlvo: 'rótulo "Preço alvo" / "Preço objetivo"',
+        xpiPotencial: 'rótulo "Potencial" / "Upside"',
+        xpiRisco: 'rótulo "Risco"'
+    },
+
+    parse: (doc = document) => {
+        const text = (el) => (el ? (el.innerText ?? el.textContent ?? '').trim() : '');
+        const normalize = (str) => str.toLowerCase().replace(/[-:]/g, ' ').replace(/\s+/g, ' ').trim();
+
+        // Procura um elemento "folha" cujo texto é o rótulo e devolve o valor ao lado dele
+        const findByLabel = (...labels) => {
+            const wanted = labels.map(normalize);
+            const nodes = Array.from(doc.querySelectorAll('dt, th, span, p, strong, h3, h4, h5, label, div'))
+                .filter(el => el.children.length === 0 && wanted.includes(normalize(text(el))));
+            for (const node of nodes) {
+                const sibling = node.nextElementSibling || node.parentElement?.nextElementSibling;
+                const value = text(sibling);
+                if (value) return value;
+            }
+            return null;
+        };
+
+        return {
+            xpiRecomendacao: findByLabel('recomendação', 'recomendacao'),
+            xpiPrecoAlvo: findByLabel('preço alvo', 'preco alvo', 'preço objetivo'),
+            xpiPotencial: findByLabel('potencial', 'potencial de valorização', 'upside'),
+            xpiRisco: findByLabel('risco', 'nível de risco')
+        };
+    }
+};
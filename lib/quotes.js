@@ -0,0 +1,193 @@
+import { strToNumber } from './format.js';
+import { getAcaoData, getFiiData, hasCotacao } from './investidor10.js';
+
+// --- COTAÇÕES AO VIVO (Server-Sent Events em /cotacoes/stream) ---
+const minutes = (env, fallback) => (Number(process.env[env]) || fallback) * 60 * 1000;
+
+// Pregão da B3 no horário de Brasília; o padrão cobre também o horário de verão americano (até 18h).
+// Feriados contam como dia aberto: a cotação não muda e nada é enviado.
+const parseHora = (valor, fallback) => {
+    const [h, m] = (/^\d{1,2}:\d{2}$/.test(valor || '') ? valor : fallback).split(':').map(Number);
+    return h * 60 + m;
+};
+export const MARKET_HOURS = {
+    abertura: parseHora(process.env.B3_ABERTURA, '10:00'),
+    fechamento: parseHora(process.env.B3_FECHAMENTO, '18:00')
+};
+// Com o mercado aberto, uma rodada a cada QUOTE_INTERVAL_MIN; fechado, o intervalo dobra até QUOTE_CLOSED_MAX_MIN
+export const QUOTE_INTERVAL_MS = minutes('QUOTE_INTERVAL_MIN', 2);
+const QUOTE_CLOSED_MAX_MS = minutes('QUOTE_CLOSED_MAX_MIN', 60);
+// Comentário periódico para proxies (Render) não derrubarem a conexão parada
+const HEARTBEAT_MS = 25 * 1000;
+export const MAX_STREAM_TICKERS = 20;
+
+const DIAS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const relogioB3 = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Sao_Paulo', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+
+// { diaSemana: 0 (domingo) a 6, minutos desde a meia-noite } em Brasília
+function horaB3(date) {
+    const partes = Object.fromEntries(relogioB3.formatToParts(date).map(p => [p.type, p.value]));
+    return { diaSemana: DIAS[partes.weekday], minutos: Number(partes.hour) * 60 + Number(partes.minute) };
+}
+
+const diaUtil = (diaSemana) => diaSemana >= 1 && diaSemana <= 5;
+
+export function isMarketOpen(date = new Date()) {
+    const { diaSemana, minutos } = horaB3(date);
+    return diaUtil(diaSemana) && minutos >= MARKET_HOURS.abertura && minutos < MARKET_HOURS.fechamento;
+}
+
+// Quanto falta para a próxima abertura (0 se o mercado já está aberto)
+export function msUntilOpen(date = new Date()) {
+    if (isMarketOpen(date)) return 0;
+    const { diaSemana, minutos } = horaB3(date);
+    let dias = diaUtil(diaSemana) && minutos < MARKET_HOURS.abertura ? 0 : 1;
+    while (!diaUtil((diaSemana + dias) % 7)) dias++;
+    const faltam = dias * 1440 + MARKET_HOURS.abertura - minutos;
+    return faltam * 60 * 1000 - date.getSeconds() * 1000 - date.getMilliseconds();
+}
+
+/**
+ * Espera até a próxima rodada. Aberto: QUOTE_INTERVAL_MS. Fechado: o intervalo dobra a cada
+ * rodada seguida fora do pregão (rodadasFechado), até QUOTE_CLOSED_MAX_MS, sem passar da abertura.
+ */
+export function nextRefreshDelay(date = new Date(), rodadasFechado = 0) {
+    if (isMarketOpen(date)) return QUOTE_INTERVAL_MS;
+    const recuo = Math.min(QUOTE_INTERVAL_MS * 2 ** Math.max(rodadasFechado, 1), QUOTE_CLOSED_MAX_MS);
+    return Math.max(Math.min(recuo, msUntilOpen(date)), 1000);
+}
+
+// ?tickers=PETR4,VALE3&tipo=acao -> { ativos: [{ ticker, tipo }] } ou { error }
+export function parseStreamTickers(query = {}) {
+    const tipo = query.tipo === 'fii' ? 'fii' : 'acao';
+    const tickers = [...new Set(String(query.tickers || '').split(',').map(t => t.trim().toUpperCase()).filter(Boolean))];
+    if (tickers.length === 0) return { error: 'Informe ao menos um ticker.' };
+    if (tickers.length > MAX_STREAM_TICKERS) return { error: `Máximo de ${MAX_STREAM_TICKERS} tickers por conexão.` };
+    const invalido = tickers.find(t => !/^[A-Z0-9]{4,12}$/.test(t));
+    if (invalido) return { error: `Ticker inválido: ${invalido}` };
+    return { ativos: tickers.map(ticker => ({ ticker, tipo })) };
+}
+
+// No pregão o TTL cai para o intervalo das rodadas e o cache vencido não é servido como "ao vivo"
+export const liveQuoteOptions = (aberto) => (aberto ? { ttl: QUOTE_INTERVAL_MS, stale: false } : {});
+
+// Cotação atual pelo mesmo cache de /buscar
+export async function fetchLiveQuote(ticker, tipo, aberto = isMarketOpen()) {
+    const options = liveQuoteOptions(aberto);
+    const { data, fetchedAt } = tipo === 'fii' ? await getFiiData(ticker, options) : await getAcaoData(ticker, options);
+    if (!hasCotacao(data)) return null;
+    return { ticker: ticker.toUpperCase(), tipo, cotacao: data.cotacao, valor: strToNumber(data.cotacao), fetchedAt };
+}
+
+// --- CONEXÕES ---
+const streams = new Set();      // { res, chaves: Set<'acao:PETR4'> }
+const lastQuotes = new Map();   // 'acao:PETR4' -> última cotação enviada
+let quoteTimer = null;
+let heartbeatTimer = null;
+let quoteRunning = false;
+let rodadasFechado = 0;
+let proximaRodada = null;
+
+const chaveDe = ({ ticker, tipo }) => `${tipo}:${ticker}`;
+
+function sendEvent(res, evento, dados) {
+    res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+}
+
+const marketStatus = () => ({ aberto: isMarketOpen(), proximaAtualizacao: proximaRodada });
+
+/**
+ * Registra uma conexão SSE já aberta (cabeçalhos enviados pela rota). Manda na hora o estado
+ * do mercado e a última cotação conhecida de cada ativo. Devolve a função que cancela a inscrição.
+ */
+export function subscribeQuotes(res, ativos) {
+    const stream = { res, chaves: new Set(ativos.map(chaveDe)) };
+    streams.add(stream);
+    sendEvent(res, 'mercado', marketStatus());
+    for (const chave of stream.chaves) {
+        if (lastQuotes.has(chave)) sendEvent(res, 'cotacao', lastQuotes.get(chave));
+    }
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(() => streams.forEach(s => s.res.write(': ping\n\n')), HEARTBEAT_MS);
+        heartbeatTimer.unref();
+    }
+    scheduleQuotes();
+    return () => {
+        streams.delete(stream);
+        if (streams.size === 0) stopQuoteStream();
+    };
+}
+
+/**
+ * Uma rodada: busca cada ativo acompanhado uma vez só (em sequência, como os alertas) e
+ * envia a cotação apenas para quem o acompanha e apenas quando o preço mudou.
+ */
+export async function refreshQuotes(fetchQuote = fetchLiveQuote) {
+    const ativos = new Map();
+    for (const { chaves } of streams) {
+        for (const chave of chaves) {
+            const [tipo, ticker] = chave.split(':');
+            ativos.set(chave, { ticker, tipo });
+        }
+    }
+
+    let alteradas = 0;
+    for (const [chave, { ticker, tipo }] of ativos) {
+        let cotacao;
+        try {
+            cotacao = await fetchQuote(ticker, tipo);
+        } catch (e) {
+            console.error(`❌ Cotação ao vivo: erro ao buscar ${ticker}:`, e.message);
+            continue;
+        }
+        if (!cotacao || cotacao.valor === null || lastQuotes.get(chave)?.valor === cotacao.valor) continue;
+        const anterior = lastQuotes.get(chave)?.valor ?? null;
+        const evento = { ...cotacao, anterior };
+        lastQuotes.set(chave, evento);
+        alteradas++;
+        for (const stream of streams) {
+            if (stream.chaves.has(chave)) sendEvent(stream.res, 'cotacao', evento);
+        }
+    }
+    return { ativos: ativos.size, alteradas };
+}
+
+// --- AGENDADOR (só roda enquanto houver alguém conectado) ---
+function scheduleQuotes() {
+    if (quoteTimer || streams.size === 0) return;
+    const delay = nextRefreshDelay(new Date(), rodadasFechado);
+    proximaRodada = new Date(Date.now() + delay);
+    quoteTimer = setTimeout(runQuoteRound, delay);
+    quoteTimer.unref();
+}
+
+async function runQuoteRound() {
+    quoteTimer = null;
+    if (quoteRunning || streams.size === 0) return;
+    quoteRunning = true;
+    const aberto = isMarketOpen();
+    rodadasFechado = aberto ? 0 : rodadasFechado + 1;
+    try {
+        await refreshQuotes((ticker, tipo) => fetchLiveQuote(ticker, tipo, aberto));
+    } catch (e) {
+        console.error('❌ Erro na rodada de cotações:', e.message);
+    } finally {
+        quoteRunning = false;
+    }
+    scheduleQuotes();
+    streams.forEach(s => sendEvent(s.res, 'mercado', marketStatus()));
+}
+
+// Encerra timers e conexões (desligamento do servidor ou última conexão fechada)
+export function stopQuoteStream() {
+    if (quoteTimer) clearTimeout(quoteTimer);
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    quoteTimer = null;
+    heartbeatTimer = null;
+    proximaRodada = null;
+    rodadasFechado = 0;
+    for (const stream of streams) stream.res.end();
+    streams.clear();
+}
@@ -0,0 +1,80 @@
+// --- LIMITE DE TENTATIVAS (login, troca de senha e pedidos de redefinição) ---
+// Contadores em memória: reiniciar o servidor zera os bloqueios, como o cache padrão.
+const minutes = (env, fallback) => (Number(process.env[env]) || fallback) * 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+/**
+ * Limitador por chave com janela deslizante e bloqueio temporário.
+ * limites: { ip: { max, janelaMs, bloqueioMs }, email: {...} }; cada chamada recebe
+ * { ip, email } e só conta as dimensões que têm limite configurado.
+ * - check: bloqueado enquanto alguma das chaves estiver em bloqueio
+ * - fail: registra uma falha; ao chegar no máximo dentro da janela, bloqueia a chave
+ * - reset: esquece as chaves (ex.: só o e-mail depois de um login certo)
+ */
+export function createRateLimiter(limites, now = Date.now) {
+    const registros = new Map();   // 'email:fulano@x.com' -> { falhas: [timestamps], bloqueadoAte }
+
+    const chavesDe = (alvos) => Object.entries(alvos)
+        .filter(([tipo, valor]) => limites[tipo] && valor)
+        .map(([tipo, valor]) => ({ tipo, chave: `${tipo}:${String(valor).toLowerCase()}` }));
+
+    function registro(tipo, chave) {
+        const agora = now();
+        const atual = registros.get(chave) || { falhas: [], bloqueadoAte: 0 };
+        atual.falhas = atual.falhas.filter(t => agora - t < limites[tipo].janelaMs);
+        return atual;
+    }
+
+    function check(alvos) {
+        const agora = now();
+        let espera = 0;
+        for (const { chave } of chavesDe(alvos)) {
+            const bloqueadoAte = registros.get(chave)?.bloqueadoAte || 0;
+            if (bloqueadoAte > agora) espera = Math.max(espera, bloqueadoAte - agora);
+        }
+        return { bloqueado: espera > 0, retryAfterSeconds: Math.ceil(espera / 1000) };
+    }
+
+    function fail(alvos) {
+        const agora = now();
+        for (const { tipo, chave } of chavesDe(alvos)) {
+            const atual = registro(tipo, chave);
+            atual.falhas.push(agora);
+            if (atual.falhas.length >= limites[tipo].max) {
+                atual.bloqueadoAte = agora + limites[tipo].bloqueioMs;
+                atual.falhas = [];
+            }
+            registros.delete(chave);
+            registros.set(chave, atual);
+            if (registros.size > MAX_ENTRIES) registros.delete(registros.keys().next().value);
+        }
+        return check(alvos);
+    }
+
+    function reset(alvos) {
+        for (const { chave } of chavesDe(alvos)) registros.delete(chave);
+    }
+
+    return { check, fail, reset };
+}
+
+// Senha errada: 5 por e-mail ou 20 por IP em 15 min bloqueiam por 15 min
+export const loginLimiter = createRateLimiter({
+    email: { max: Number(process.env.LOGIN_MAX_FALHAS) || 5, janelaMs: minutes('LOGIN_JANELA_MIN', 15), bloqueioMs: minutes('LOGIN_BLOQUEIO_MIN', 15) },
+    ip: { max: Number(process.env.LOGIN_MAX_FALHAS_IP) || 20, janelaMs: minutes('LOGIN_JANELA_MIN', 15), bloqueioMs: minutes('LOGIN_BLOQUEIO_MIN', 15) }
+});
+
+// Pedidos de redefinição contam todos (evita usar o app para mandar e-mail em massa)
+export const resetLimiter = createRateLimiter({
+    email: { max: 3, janelaMs: minutes('RESET_JANELA_MIN', 60), bloqueioMs: minutes('RESET_JANELA_MIN', 60) },
+    ip: { max: 10, janelaMs: minutes('RESET_JANELA_MIN', 60), bloqueioMs: minutes('RESET_JANELA_MIN', 60) }
+});
+
+// Responde 429 com Retry-After; devolve true quando a requisição foi barrada
+export function rejectIfLimited(res, status) {
+    if (!status.bloqueado) return false;
+    const minutos = Math.max(1, Math.ceil(status.retryAfterSeconds / 60));
+    res.set('Retry-After', String(status.retryAfterSeconds));
+    res.status(429).json({ error: `Muitas tentativas. Tente novamente em ${minutos} min.` });
+    return true;
+}
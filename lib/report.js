@@ -0,0 +1,250 @@
+import { parseFieldValue, formatBRL } from './format.js';
+import { withPage } from './browser.js';
+import { getFiiData, hasCotacao } from './investidor10.js';
+import { fetchFromProviders } from './providers/index.js';
+import { buildAcaoResponse, buildFiiResponse } from './analysis.js';
+import { loadThresholdProfiles } from './thresholds.js';
+import { buildValuationReport } from './valuation.js';
+import { buildSummary } from './portfolio.js';
+import { toCsv } from './output.js';
+
+// --- RELATÓRIOS (PDF renderizado pelo Puppeteer e CSV) ---
+// Seções na mesma ordem e com os mesmos rótulos de index.html e fii.html
+const ACAO_SECTIONS = [
+    ['Múltiplos de Preço & Valor de Mercado', [['cotacao', 'Cotação Atual'], ['pl', 'P/L'], ['pvp', 'P/VP']]],
+    ['Dividendos & Proventos', [['dy', 'DY (12M)'], ['dy5Anos', 'DY Médio (5 Anos)'], ['payout', 'Payout']]],
+    ['Indicadores de Rentabilidade', [['roe', 'ROE'], ['roic', 'ROIC'], ['roa', 'ROA'], ['margemBruta', 'Margem Bruta'],
+        ['margemEbitda', 'Margem EBITDA'], ['margemLiquida', 'Margem Líquida']]],
+    ['Indicadores de Endividamento & Liquidez', [['dividaLiquidaPatrimonio', 'Dív. Líq./Patrimônio'],
+        ['dividaLiquidaEbitda', 'Dív. Líq./EBITDA'], ['liquidezCorrente', 'Liquidez Corrente']]],
+    ['Outros Indicadores', [['lpa', 'LPA (Lucro por Ação)'], ['vpa', 'VPA (Valor Patr. Ação)'],
+        ['cagrLucros', 'CAGR Lucros 5A'], ['giroAtivos', 'Giro Ativos']]],
+    ['Humor da Corretora (XP)', [['xpiRecomendacao', 'Recomendação (XP)'], ['xpiPrecoAlvo', 'Preço Alvo (XP)'],
+        ['xpiPotencial', 'Potencial (XP)'], ['xpiRisco', 'Risco (XP)']]],
+    ['Humor da Corretora (BTG)', [['btgRecomendacao', 'Recomendação (BTG)'], ['btgPrecoAlvo', 'Preço Alvo (BTG)'],
+        ['btgPotencial', 'Potencial (BTG)']]]
+];
+
+const FII_SECTIONS = [
+    ['Múltiplos de Preço & Mercado', [['cotacao', 'Cotação'], ['pvp', 'P/VP'], ['dy', 'DY (12 Meses)'], ['liquidezDiaria', 'Liquidez Diária']]],
+    ['Proventos & Cálculos', [['ultimoRendimento', 'Último Rendimento'], ['y1m', 'Yield 1 Mês'],
+        ['ebn', 'Cotas p/ R$1/mês (EBN)'], ['vn', 'Valor p/ R$1/mês (VN)']]],
+    ['Patrimônio & Cotistas', [['valorPatrimonial', 'Valor Patrimonial'], ['vpa', 'VPA (Valor Patr. Cota)'],
+        ['vacancia', 'Vacância'], ['numCotistas', 'Nº de Cotistas'], ['cotasEmitidas', 'Cotas Emitidas']]],
+    ['Informações do Fundo', [['segmento', 'Segmento'], ['tipoFundo', 'Tipo de Fundo'], ['tipoGestao', 'Tipo de Gestão'],
+        ['taxaAdm', 'Taxa de Adm.']]]
+];
+
+const PORTFOLIO_COLUMNS = [
+    ['ticker', 'Ativo'], ['tipo', 'Tipo'], ['quantidade', 'Quantidade'], ['precoMedio', 'Preço Médio'],
+    ['cotacao', 'Cotação'], ['valorInvestido', 'Investido'], ['valorAtual', 'Valor Atual'],
+    ['lucro', 'Lucro'], ['lucroPercentual', 'Lucro %'], ['lucroRealizado', 'Lucro Realizado']
+];
+
+export const REPORT_FORMATS = ['pdf', 'csv'];
+
+const escapeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Seções com cards { campo, label, value, class, bruto, numero }; XP/BTG só entram se houver recomendação.
+// numero é o valor_numerico do CSV, em reais nos montantes abreviados ("R$ 7,12 M")
+export function buildSections(definicoes, resposta, rawData) {
+    return definicoes
+        .map(([titulo, campos]) => ({
+            titulo,
+            itens: campos.map(([campo, label]) => ({
+                campo,
+                label,
+                value: resposta[campo]?.value ?? '-',
+                class: resposta[campo]?.class || 'neutral',
+                bruto: rawData[campo] ?? null,
+                numero: parseFieldValue(campo, rawData[campo] ?? resposta[campo]?.value)
+            }))
+        }))
+        .filter(secao => secao.itens.some(item => item.value && item.value !== '-'));
+}
+
+/**
+ * Relatório de um ativo com os mesmos dados de /buscar (ação) ou /buscar-fii,
+ * com os perfis de limites do usuário. Devolve null se o ativo não for encontrado.
+ */
+export async function buildAssetReport(ticker, tipo = 'acao', userId) {
+    const base = { ticker: ticker.toUpperCase(), tipo, geradoEm: new Date() };
+    if (tipo === 'fii') {
+        const { data, fetchedAt } = await getFiiData(ticker);
+        if (!hasCotacao(data)) return null;
+        const resposta = buildFiiResponse(ticker, data);
+        return {
+            ...base,
+            titulo: `Análise do FII ${base.ticker}`,
+            fetchedAt,
+            secoes: buildSections(FII_SECTIONS, resposta, data),
+            score: resposta.score
+        };
+    }
+    const [{ data, fetchedAt }, perfis] = await Promise.all([fetchFromProviders(ticker), loadThresholdProfiles(userId)]);
+    if (!hasCotacao(data)) return null;
+    const resposta = buildAcaoResponse(ticker, data, undefined, perfis);
+    const valuation = buildValuationReport(data);
+    return {
+        ...base,
+        titulo: `Análise de ${base.ticker}`,
+        fetchedAt,
+        setor: data.setor || null,
+        segmento: data.segmento || null,
+        secoes: [
+            ...buildSections(ACAO_SECTIONS, resposta, data),
+            {
+                titulo: 'Valuation (Fórmulas Calculadas)',
+                itens: valuation.modelos.map(m => ({
+                    campo: m.id, label: m.label, value: m.value, class: m.class, bruto: null, numero: m.valor,
+                    warning: m.graham ? resposta.grahamWarning : null
+                }))
+            }
+        ],
+        grahamWarning: resposta.grahamWarning,
+        valuation
+    };
+}
+
+export async function buildPortfolioReport(transactions, eventos = []) {
+    const resumo = await buildSummary(transactions, eventos);
+    return { titulo: 'Carteira', tipo: 'carteira', geradoEm: new Date(), resumo };
+}
+
+// --- CSV ---
+export function reportToCsv(report) {
+    if (report.tipo === 'carteira') {
+        const linhas = report.resumo.posicoes.map(p => ({ ...p }));
+        linhas.push({ ticker: 'TOTAL', ...report.resumo.total, semCotacao: undefined });
+        return toCsv(linhas, PORTFOLIO_COLUMNS.map(([campo]) => campo));
+    }
+    const linhas = report.secoes.flatMap(secao => secao.itens.map(item => ({
+        ticker: report.ticker,
+        secao: secao.titulo,
+        campo: item.campo,
+        indicador: item.label,
+        valor_bruto: item.bruto,
+        valor_exibido: item.value,
+        valor_numerico: item.numero,
+        classificacao: item.class
+    })));
+    return toCsv(linhas, ['ticker', 'secao', 'campo', 'indicador', 'valor_bruto', 'valor_exibido', 'valor_numerico', 'classificacao']);
+}
+
+// --- PDF ---
+// Gráfico de barras em SVG (sem Chart.js: o PDF é renderizado sem acesso à CDN)
+function valuationChartSvg(valuation) {
+    const barras = [
+        { label: 'Cotação Atual', valor: valuation.cotacao, cor: '#0052cc' },
+        ...valuation.modelos.filter(m => m.valor !== null)
+            .map(m => ({ label: m.label, valor: m.valor, cor: m.class === 'good' ? '#28a745' : '#dc3545' }))
+    ];
+    const max = Math.max(...barras.map(b => b.valor || 0));
+    if (!max) return '';
+    const altura = 28;
+    const rotulo = 230;
+    const largura = 420;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${rotulo + largura + 90}" height="${barras.length * altura + 10}">
+        ${barras.map((b, i) => {
+            const w = Math.max(1, (b.valor / max) * largura);
+            const y = i * altura + 5;
+            return `<text x="${rotulo - 8}" y="${y + 17}" text-anchor="end" font-size="11" fill="#333">${escapeHtml(b.label)}</text>
+            <rect x="${rotulo}" y="${y}" width="${w}" height="${altura - 8}" fill="${b.cor}" rx="3"></rect>
+            <text x="${rotulo + w + 6}" y="${y + 15}" font-size="11" fill="#333">${escapeHtml(formatBRL(b.valor))}</text>`;
+        }).join('')}
+    </svg>`;
+}
+
+const REPORT_CSS = `
+    body { font-family: Arial, Helvetica, sans-serif; color: #333; margin: 0; font-size: 12px; }
+    h1 { color: #0052cc; font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 14px; border-bottom: 2px solid #dde4ec; padding-bottom: 4px; margin: 22px 0 10px; }
+    .meta { color: #667; font-size: 11px; margin: 0 0 4px; }
+    .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+    .card { border: 1px solid #dde4ec; border-left: 4px solid #6c757d; border-radius: 6px; padding: 8px 10px; page-break-inside: avoid; }
+    .card.good { border-left-color: #28a745; }
+    .card.bad { border-left-color: #dc3545; }
+    .card .label { color: #667; font-size: 10px; }
+    .card .value { font-size: 15px; font-weight: bold; margin-top: 4px; }
+    .card.good .value, td.good { color: #28a745; }
+    .card.bad .value, td.bad { color: #dc3545; }
+    .warning { background: #fff8e1; border: 1px solid #ffc107; border-radius: 6px; padding: 8px 10px; margin: 10px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #dde4ec; padding: 5px 6px; text-align: left; }
+    th { background: #f4f7fa; }
+    footer { margin-top: 30px; color: #999; font-size: 9px; }
+`;
+
+function cardsHtml(secao) {
+    return `<h2>${escapeHtml(secao.titulo)}</h2>
+    <div class="grid">${secao.itens.map(item => `
+        <div class="card ${escapeHtml(item.class)}">
+            <div class="label">${escapeHtml(item.label)}${item.warning ? ' ⚠' : ''}</div>
+            <div class="value">${escapeHtml(item.value)}</div>
+        </div>`).join('')}
+    </div>`;
+}
+
+function portfolioHtml(resumo) {
+    const fmt = (campo, valor) => {
+        if (valor === null || valor === undefined) return '-';
+        if (['precoMedio', 'cotacao', 'valorInvestido', 'valorAtual', 'lucro', 'lucroRealizado'].includes(campo)) return formatBRL(valor);
+        if (campo === 'lucroPercentual') return `${String(valor).replace('.', ',')}%`;
+        return String(valor);
+    };
+    const classe = (p) => p.lucro === null ? '' : (p.lucro >= 0 ? 'good' : 'bad');
+    const t = resumo.total;
+    return `<div class="grid">
+            <div class="card"><div class="label">Investido</div><div class="value">${formatBRL(t.valorInvestido)}</div></div>
+            <div class="card"><div class="label">Valor Atual</div><div class="value">${formatBRL(t.valorAtual)}</div></div>
+            <div class="card ${t.lucro >= 0 ? 'good' : 'bad'}"><div class="label">Lucro</div><div class="value">${formatBRL(t.lucro)}${t.lucroPercentual !== null ? ` (${fmt('lucroPercentual', t.lucroPercentual)})` : ''}</div></div>
+        </div>
+        <h2>Posições</h2>
+        <table>
+            <thead><tr>${PORTFOLIO_COLUMNS.map(([, label]) => `<th>${label}</th>`).join('')}</tr></thead>
+            <tbody>${resumo.posicoes.map(p => `
+                <tr>${PORTFOLIO_COLUMNS.map(([campo]) => `<td class="${campo.startsWith('lucro') && campo !== 'lucroRealizado' ? classe(p) : ''}">${escapeHtml(fmt(campo, p[campo]))}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+        ${t.semCotacao.length ? `<p class="meta">Sem cotação (valor atual = investido): ${escapeHtml(t.semCotacao.join(', '))}</p>` : ''}`;
+}
+
+export function renderReportHtml(report) {
+    const gerado = new Date(report.geradoEm).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    const dados = report.fetchedAt ? ` · dados de ${new Date(report.fetchedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}` : '';
+    let corpo;
+    if (report.tipo === 'carteira') {
+        corpo = portfolioHtml(report.resumo);
+    } else {
+        const score = report.score && report.score.value !== null
+            ? `<h2>Score do FII (${escapeHtml(report.score.perfilLabel)})</h2>
+               <div class="grid"><div class="card ${escapeHtml(report.score.class)}"><div class="label">Score</div><div class="value">${report.score.value}/100</div></div></div>`
+            : '';
+        const valuationIdx = report.secoes.findIndex(s => s.titulo.startsWith('Valuation'));
+        corpo = `${report.setor ? `<p class="meta">${escapeHtml(report.setor)}${report.segmento ? ` · ${escapeHtml(report.segmento)}` : ''}</p>` : ''}
+            ${score}
+            ${report.secoes.map((secao, i) => i === valuationIdx
+                ? `${cardsHtml(secao)}
+                   ${report.grahamWarning ? `<div class="warning">⚠ ${escapeHtml(report.grahamWarning)}</div>` : ''}
+                   <div style="margin-top: 14px;">${valuationChartSvg(report.valuation)}</div>`
+                : cardsHtml(secao)).join('')}`;
+    }
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="UTF-8"><title>${escapeHtml(report.titulo)}</title><style>${REPORT_CSS}</style></head>
+<body>
+    <h1>${escapeHtml(report.titulo)}</h1>
+    <p class="meta">Gerado em ${gerado}${dados}</p>
+    ${corpo}
+    <footer>Indicadores de fontes públicas (Investidor10, XP, BTG). Não é recomendação de investimento.</footer>
+</body>
+</html>`;
+}
+
+// Usa o mesmo pool de páginas do scraping, então respeita o limite de concorrência
+export function renderPdf(html) {
+    return withPage('pdf', async (page) => {
+        await page.setContent(html, { waitUntil: 'load' });
+        return page.pdf({ format: 'A4', printBackground: true, margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' } });
+    }, { bloquearRecursos: false });
+}
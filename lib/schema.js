@@ -0,0 +1,215 @@
+// Tabelas do app, na ordem em que devem ser criadas (chaves estrangeiras dependem da ordem)
+export const MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Sessões de login: guardamos só o hash do token, nunca o token em si
+    `CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Redefinição de senha: token de uso único com validade, também guardado só como hash
+    `CREATE TABLE IF NOT EXISTS password_resets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Carteira: cada compra/venda do usuário; posições e preço médio são calculados a partir daqui
+    `CREATE TABLE IF NOT EXISTS transactions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        ticker VARCHAR(12) NOT NULL,
+        asset_type ENUM('acao', 'fii') NOT NULL,
+        operation ENUM('compra', 'venda') NOT NULL,
+        quantity DECIMAL(18, 6) NOT NULL,
+        price DECIMAL(18, 4) NOT NULL,
+        fees DECIMAL(18, 4) NOT NULL DEFAULT 0,
+        trade_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_transactions_user (user_id, ticker),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Watchlists: listas nomeadas de ativos por usuário, com regras de alerta por lista
+    `CREATE TABLE IF NOT EXISTS watchlists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS watchlist_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        watchlist_id INT NOT NULL,
+        ticker VARCHAR(12) NOT NULL,
+        asset_type ENUM('acao', 'fii') NOT NULL,
+        UNIQUE KEY uq_watchlist_ticker (watchlist_id, ticker),
+        FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS alert_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        watchlist_id INT NOT NULL,
+        rule_type VARCHAR(30) NOT NULL,
+        threshold DECIMAL(18, 4) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE
+    )`,
+
+    // Último estado de cada regra por ticker: só notificamos quando a condição passa a valer
+    `CREATE TABLE IF NOT EXISTS alert_states (
+        rule_id INT NOT NULL,
+        ticker VARCHAR(12) NOT NULL,
+        triggered BOOLEAN NOT NULL DEFAULT FALSE,
+        checked_at DATETIME NOT NULL,
+        PRIMARY KEY (rule_id, ticker),
+        FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        ticker VARCHAR(12) NULL,
+        message VARCHAR(500) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        read_at DATETIME NULL,
+        INDEX idx_notifications_user (user_id, created_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Backend persistente opcional do cache de scraping (CACHE_BACKEND=mysql)
+    `CREATE TABLE IF NOT EXISTS scrape_cache (
+        cache_key VARCHAR(40) PRIMARY KEY,
+        data JSON NOT NULL,
+        fetched_at DATETIME(3) NOT NULL
+    )`,
+
+    // Histórico: um snapshot numérico por ativo por dia (a última busca do dia prevalece)
+    `CREATE TABLE IF NOT EXISTS indicator_snapshots (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        ticker VARCHAR(12) NOT NULL,
+        asset_type ENUM('acao', 'fii') NOT NULL,
+        snapshot_date DATE NOT NULL,
+        data JSON NOT NULL,
+        fetched_at DATETIME NOT NULL,
+        UNIQUE KEY uq_snapshot_day (ticker, asset_type, snapshot_date)
+    )`,
+
+    // Demonstrativos anuais por ativo (DRE, balanço, fluxo de caixa); guarda os anos que saem da página
+    `CREATE TABLE IF NOT EXISTS financial_statements (
+        ticker VARCHAR(12) NOT NULL,
+        fiscal_year SMALLINT NOT NULL,
+        data JSON NOT NULL,
+        fetched_at DATETIME NOT NULL,
+        PRIMARY KEY (ticker, fiscal_year)
+    )`,
+
+    // Eventos da carteira importados da B3: proventos (valor recebido) e eventos que mudam a quantidade
+    `CREATE TABLE IF NOT EXISTS portfolio_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        ticker VARCHAR(12) NOT NULL,
+        asset_type ENUM('acao', 'fii') NOT NULL,
+        event_type ENUM('dividendo', 'jcp', 'rendimento', 'desdobramento', 'bonificacao', 'grupamento') NOT NULL,
+        quantity DECIMAL(18, 6) NOT NULL DEFAULT 0,
+        value DECIMAL(18, 2) NOT NULL DEFAULT 0,
+        event_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_events_user (user_id, event_date),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Limites dos indicadores por setor/segmento: perfis embutidos (seed em lib/thresholds.js)
+    `CREATE TABLE IF NOT EXISTS threshold_profiles (
+        profile_key VARCHAR(30) PRIMARY KEY,
+        label VARCHAR(100) NOT NULL,
+        sectors JSON NOT NULL,
+        segments JSON NOT NULL,
+        thresholds JSON NOT NULL,
+        graham_reliable BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+
+    // Ajustes de cada usuário sobre um perfil (só os indicadores alterados)
+    `CREATE TABLE IF NOT EXISTS user_threshold_overrides (
+        user_id INT NOT NULL,
+        profile_key VARCHAR(30) NOT NULL,
+        thresholds JSON NOT NULL,
+        graham_reliable BOOLEAN NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, profile_key),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (profile_key) REFERENCES threshold_profiles(profile_key) ON DELETE CASCADE
+    )`,
+
+    // IR: prejuízos a compensar de antes do app, informados pelo usuário (um valor por categoria)
+    `CREATE TABLE IF NOT EXISTS tax_carryover (
+        user_id INT NOT NULL,
+        category ENUM('acao', 'fii') NOT NULL,
+        amount DECIMAL(18, 2) NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, category),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Chaves da API pública (/api/v1): só o hash fica no banco; o prefixo identifica a chave na tela
+    `CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        daily_quota INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Requisições por chave e por dia (data de São Paulo), para a cota diária
+    `CREATE TABLE IF NOT EXISTS api_usage (
+        api_key_id INT NOT NULL,
+        usage_date DATE NOT NULL,
+        requests INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (api_key_id, usage_date),
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+    )`,
+
+    // Aprenda: melhor e última nota de cada quiz; passed_at = primeira aprovação
+    `CREATE TABLE IF NOT EXISTS learning_quiz_results (
+        user_id INT NOT NULL,
+        quiz_id VARCHAR(40) NOT NULL,
+        best_score INT NOT NULL,
+        last_score INT NOT NULL,
+        total INT NOT NULL,
+        attempts INT NOT NULL DEFAULT 1,
+        passed_at DATETIME NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, quiz_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Aprenda: verbetes do glossário já abertos (na página ou na ajuda dos cards)
+    `CREATE TABLE IF NOT EXISTS learning_terms_read (
+        user_id INT NOT NULL,
+        term_key VARCHAR(40) NOT NULL,
+        read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, term_key),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+];
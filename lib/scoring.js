@@ -0,0 +1,129 @@
+import { strToNumber, parseAmount } from './format.js';
+
+// --- CLASSIFICAÇÃO E SCORE DE FIIs ---
+// Indicadores pontuados: direção (maior ou menor é melhor), peso no score e como ler o texto do scraping
+export const FII_INDICATORS = {
+    dy: { label: 'DY (12M)', melhor: 'maior', peso: 3, unidade: '%' },
+    y1m: { label: 'Yield 1 Mês', melhor: 'maior', peso: 1, unidade: '%' },
+    pvp: { label: 'P/VP', melhor: 'menor', peso: 3, unidade: '' },
+    vacancia: { label: 'Vacância', melhor: 'menor', peso: 2, unidade: '%' },
+    taxaAdm: { label: 'Taxa de Adm.', melhor: 'menor', peso: 1, unidade: '%' },
+    liquidezDiaria: { label: 'Liquidez Diária', melhor: 'maior', peso: 1, unidade: 'R$', parse: parseAmount },
+    numCotistas: { label: 'Nº de Cotistas', melhor: 'maior', peso: 1, unidade: '', parse: parseAmount }
+};
+
+// Limites por segmento: { bom, ruim }; entre os dois fica neutro. null = não se aplica ao segmento
+const LIQUIDEZ = { bom: 1000000, ruim: 200000 };
+const COTISTAS = { bom: 50000, ruim: 5000 };
+
+export const FII_PROFILES = {
+    papel: {
+        label: 'Papel (CRI)',
+        dy: { bom: 11, ruim: 9 }, y1m: { bom: 0.9, ruim: 0.75 }, pvp: { bom: 0.98, ruim: 1.05 },
+        vacancia: null, taxaAdm: { bom: 1.0, ruim: 1.3 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    },
+    fof: {
+        label: 'Fundo de Fundos',
+        // FoF acima do patrimônio paga taxa dupla sem desconto nas cotas que carrega
+        dy: { bom: 9, ruim: 7 }, y1m: { bom: 0.75, ruim: 0.58 }, pvp: { bom: 0.9, ruim: 1.0 },
+        vacancia: null, taxaAdm: { bom: 0.8, ruim: 1.2 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    },
+    logistica: {
+        label: 'Logística',
+        dy: { bom: 8, ruim: 6 }, y1m: { bom: 0.67, ruim: 0.5 }, pvp: { bom: 0.95, ruim: 1.1 },
+        vacancia: { bom: 5, ruim: 12 }, taxaAdm: { bom: 0.8, ruim: 1.2 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    },
+    shopping: {
+        label: 'Shoppings',
+        dy: { bom: 8, ruim: 6 }, y1m: { bom: 0.67, ruim: 0.5 }, pvp: { bom: 0.9, ruim: 1.05 },
+        vacancia: { bom: 4, ruim: 10 }, taxaAdm: { bom: 0.8, ruim: 1.2 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    },
+    lajes: {
+        label: 'Lajes Corporativas',
+        dy: { bom: 8, ruim: 6 }, y1m: { bom: 0.67, ruim: 0.5 }, pvp: { bom: 0.8, ruim: 1.0 },
+        vacancia: { bom: 10, ruim: 25 }, taxaAdm: { bom: 0.8, ruim: 1.2 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    },
+    // Híbridos, renda urbana e tudo que não se encaixa acima; P/VP mantém o corte antigo de > 1,05 ruim
+    tijolo: {
+        label: 'Tijolo / Outros',
+        dy: { bom: 8, ruim: 6 }, y1m: { bom: 0.67, ruim: 0.5 }, pvp: { bom: 0.99, ruim: 1.05 },
+        vacancia: { bom: 5, ruim: 15 }, taxaAdm: { bom: 0.8, ruim: 1.2 }, liquidezDiaria: LIQUIDEZ, numCotistas: COTISTAS
+    }
+};
+
+// Score >= bom fica verde, <= ruim fica vermelho
+export const FII_SCORE_FAIXAS = { bom: 65, ruim: 35 };
+
+// Texto de segmento/tipo do Investidor10 -> perfil de limites
+export function resolveFiiProfile(segmento, tipoFundo) {
+    const texto = `${segmento || ''} ${tipoFundo || ''}`.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (/fundo de fundos|\bfof\b/.test(texto)) return 'fof';
+    if (/papel|papeis|titulos|receb|\bcri\b|val\. mob/.test(texto)) return 'papel';
+    if (/logist|galp|industri/.test(texto)) return 'logistica';
+    if (/shopping/.test(texto)) return 'shopping';
+    if (/laje|escritori|corporativ/.test(texto)) return 'lajes';
+    return 'tijolo';
+}
+
+export const formatLimit = (valor, unidade) => {
+    if (unidade === 'R$') return `R$ ${(valor / 1e6).toLocaleString('pt-BR')} M`;
+    return `${String(valor).replace('.', ',')}${unidade}`;
+};
+
+export function classifyFiiIndicator(campo, valor, perfil) {
+    const limites = FII_PROFILES[perfil]?.[campo];
+    if (!limites || valor === null) return 'neutral';
+    const { melhor } = FII_INDICATORS[campo];
+    if (melhor === 'maior') return valor >= limites.bom ? 'good' : (valor < limites.ruim ? 'bad' : 'neutral');
+    return valor <= limites.bom ? 'good' : (valor > limites.ruim ? 'bad' : 'neutral');
+}
+
+/**
+ * Score de 0 a 100 (50 = neutro). Cada indicador com dado soma ou subtrai seu peso;
+ * indicadores sem dado ou que não se aplicam ao segmento ficam de fora da conta.
+ * Devolve { valor, classe, perfil, perfilLabel, classes, contribuicoes }.
+ */
+export function scoreFii(rawData) {
+    const perfil = resolveFiiProfile(rawData.segmento, rawData.tipoFundo);
+    const limitesPerfil = FII_PROFILES[perfil];
+    const classes = {};
+    const contribuicoes = [];
+    let soma = 0;
+    let pesoTotal = 0;
+
+    for (const [campo, ind] of Object.entries(FII_INDICATORS)) {
+        const valor = (ind.parse || strToNumber)(rawData[campo]);
+        const classe = classifyFiiIndicator(campo, valor, perfil);
+        classes[campo] = classe;
+        const limites = limitesPerfil[campo];
+        if (!limites || valor === null) continue;
+
+        const pontos = classe === 'good' ? ind.peso : (classe === 'bad' ? -ind.peso : 0);
+        soma += pontos;
+        pesoTotal += ind.peso;
+        const [sinalBom, sinalRuim] = ind.melhor === 'maior' ? ['≥', '<'] : ['≤', '>'];
+        contribuicoes.push({
+            campo,
+            label: ind.label,
+            valor: rawData[campo],
+            classe,
+            pontos,
+            peso: ind.peso,
+            motivo: classe === 'good'
+                ? `${sinalBom} ${formatLimit(limites.bom, ind.unidade)} (bom para ${limitesPerfil.label})`
+                : classe === 'bad'
+                    ? `${sinalRuim} ${formatLimit(limites.ruim, ind.unidade)} (ruim para ${limitesPerfil.label})`
+                    : `entre ${formatLimit(limites.bom, ind.unidade)} e ${formatLimit(limites.ruim, ind.unidade)}`
+        });
+    }
+
+    const valor = pesoTotal ? Math.round(50 + (50 * soma) / pesoTotal) : null;
+    return {
+        valor,
+        classe: valor === null ? 'neutral' : (valor >= FII_SCORE_FAIXAS.bom ? 'good' : (valor <= FII_SCORE_FAIXAS.ruim ? 'bad' : 'neutral')),
+        perfil,
+        perfilLabel: limitesPerfil.label,
+        classes,
+        contribuicoes
+    };
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { getAcaoData, getFiiData, hasCotacao } from './investidor10.js';
+import { buildAcaoResponse, buildFiiResponse } from './analysis.js';
+import { buildSnapshot } from './history.js';
+import { loadThresholdProfiles } from './thresholds.js';
+import { UNIVERSES } from './universes.js';
+
+// --- SCREENER ---
+// Campos filtráveis/ordenáveis por tipo de ativo (valores numéricos, os mesmos do histórico)
+export const SCREENER_FIELDS = {
+    acao: {
+        cotacao: 'Cotação', pl: 'P/L', pvp: 'P/VP', dy: 'DY', dy5Anos: 'DY 5A', payout: 'Payout',
+        roe: 'ROE', roic: 'ROIC', roa: 'ROA', margemBruta: 'Margem Bruta', margemEbitda: 'Margem EBITDA',
+        margemLiquida: 'Margem Líquida', dividaLiquidaEbitda: 'Dív.Líq./EBITDA',
+        dividaLiquidaPatrimonio: 'Dív.Líq./PL', liquidezCorrente: 'Liquidez Corrente',
+        cagrLucros: 'CAGR Lucros 5A', lpa: 'LPA', vpa: 'VPA', giroAtivos: 'Giro Ativos',
+        valorJusto: 'Valor Justo (Graham)', valorRevisado: 'Graham Rev.', precoTeto: 'Preço Teto (Bazin)',
+        bazin5Y: 'Bazin 5A'
+    },
+    fii: {
+        cotacao: 'Cotação', pvp: 'P/VP', dy: 'DY', ultimoRendimento: 'Último Rendimento', y1m: 'Yield 1 Mês',
+        vacancia: 'Vacância', taxaAdm: 'Taxa de Adm.', numCotistas: 'Nº de Cotistas', liquidezDiaria: 'Liquidez Diária'
+    }
+};
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b
+};
+
+const MAX_TICKERS = 200;
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const delayMs = () => Number(process.env.SCREENER_DELAY_MS) || 2000;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Valida os parâmetros do screener. Filtros têm a forma { campo, operador, valor },
+ * onde valor é um número ou o nome de outro campo (ex.: cotacao < valorJusto).
+ * Devolve { error } ou { params: { tipo, tickers, filtros, ordenarPor, ordem } }.
+ */
+export function parseScreenerInput(body) {
+    let tipo;
+    let tickers;
+    if (body.universo && body.universo !== 'personalizado') {
+        const universe = UNIVERSES[body.universo];
+        if (!universe) return { error: 'Universo desconhecido.' };
+        tipo = universe.tipo;
+        tickers = universe.tickers;
+    } else {
+        tipo = body.tipo === 'fii' ? 'fii' : 'acao';
+        const list = Array.isArray(body.tickers) ? body.tickers : String(body.tickers || '').split(/[\s,;]+/);
+        tickers = [...new Set(list.map(t => String(t).trim().toUpperCase()).filter(Boolean))];
+        if (tickers.length === 0) return { error: 'Informe ao menos um ticker.' };
+        if (tickers.some(t => !/^[A-Z0-9]{4,11}$/.test(t))) return { error: 'Lista contém ticker inválido.' };
+    }
+    if (tickers.length > MAX_TICKERS) return { error: `Máximo de ${MAX_TICKERS} tickers por execução.` };
+
+    const fields = SCREENER_FIELDS[tipo];
+    const filtros = [];
+    for (const f of body.filtros || []) {
+        if (!fields[f.campo]) return { error: `Campo de filtro inválido: ${f.campo}` };
+        if (!OPERATORS[f.operador]) return { error: `Operador inválido: ${f.operador}` };
+        const valor = typeof f.valor === 'string' && fields[f.valor] ? f.valor : Number(f.valor);
+        if (typeof valor === 'number' && !Number.isFinite(valor)) return { error: `Valor inválido para ${f.campo}.` };
+        filtros.push({ campo: f.campo, operador: f.operador, valor });
+    }
+
+    const ordenarPor = fields[body.ordenarPor] ? body.ordenarPor : 'score';
+    const ordem = body.ordem === 'asc' ? 'asc' : 'desc';
+    return { params: { tipo, tickers, filtros, ordenarPor, ordem } };
+}
+
+// Um ativo passa se todos os filtros valem; campo sem valor reprova
+export function matchesFilters(valores, filtros) {
+    return filtros.every(({ campo, operador, valor }) => {
+        const left = valores[campo];
+        const right = typeof valor === 'string' ? valores[valor] : valor;
+        if (left === null || left === undefined || right === null || right === undefined) return false;
+        return OPERATORS[operador](left, right);
+    });
+}
+
+// Linha do ranking: valores numéricos + classes good/bad já usadas nos cards (classifyIndicator/classifyValuation),
+// com os perfis de limites do dono do job nas ações
+export function buildScreenerRow(ticker, tipo, rawData, perfis) {
+    const response = tipo === 'fii' ? buildFiiResponse(ticker, rawData) : buildAcaoResponse(ticker, rawData, undefined, perfis);
+    const snapshot = buildSnapshot(tipo, rawData);
+    const valores = {};
+    const classes = {};
+    for (const campo of Object.keys(SCREENER_FIELDS[tipo])) {
+        valores[campo] = snapshot[campo] ?? null;
+        classes[campo] = response[campo]?.class || 'neutral';
+    }
+    const classList = Object.values(classes);
+    const score = classList.filter(c => c === 'good').length - classList.filter(c => c === 'bad').length;
+    return { ticker: ticker.toUpperCase(), setor: rawData.setor || rawData.segmento || null, valores, classes, score };
+}
+
+export function rankRows(rows, ordenarPor = 'score', ordem = 'desc') {
+    const value = (row) => ordenarPor === 'score' ? row.score : row.valores[ordenarPor];
+    const dir = ordem === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (va === null || va === undefined) return 1;
+        if (vb === null || vb === undefined) return -1;
+        return (va - vb) * dir || b.score - a.score;
+    });
+}
+
+// --- JOBS (em memória; cada ticker custa uma página do Puppeteer) ---
+const jobs = new Map();
+
+function publicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        tipo: job.params.tipo,
+        total: job.params.tickers.length,
+        processados: job.processados,
+        encontrados: job.resultados.length,
+        falhas: job.falhas,
+        filtros: job.params.filtros,
+        ordenarPor: job.params.ordenarPor,
+        iniciadoEm: job.startedAt,
+        concluidoEm: job.finishedAt,
+        resultados: rankRows(job.resultados, job.params.ordenarPor, job.params.ordem)
+    };
+}
+
+function cleanupJobs() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && now - job.finishedAt.getTime() > JOB_RETENTION_MS) jobs.delete(id);
+    }
+}
+
+async function runJob(job) {
+    const fetchData = job.params.tipo === 'fii' ? getFiiData : getAcaoData;
+    const perfis = job.params.tipo === 'fii' ? undefined : await loadThresholdProfiles(job.userId);
+    for (const ticker of job.params.tickers) {
+        if (job.cancelled) break;
+        try {
+            const { data, cacheHit } = await fetchData(ticker);
+            if (hasCotacao(data)) {
+                const row = buildScreenerRow(ticker, job.params.tipo, data, perfis);
+                if (matchesFilters(row.valores, job.params.filtros)) job.resultados.push(row);
+            } else {
+                job.falhas.push(ticker);
+            }
+            // Só espera entre scrapings reais; respostas do cache não pesam no site nem na memória
+            if (!cacheHit) await sleep(delayMs());
+        } catch (e) {
+            job.falhas.push(ticker);
+        }
+        job.processados++;
+    }
+    job.status = job.cancelled ? 'cancelado' : 'concluido';
+    job.finishedAt = new Date();
+    console.log(`📊 Screener ${job.id}: ${job.status}, ${job.resultados.length}/${job.processados} ativos aprovados.`);
+}
+
+export function startScreenerJob(userId, params) {
+    cleanupJobs();
+    const running = [...jobs.values()].find(j => j.userId === userId && j.status === 'executando');
+    if (running) return { error: 'Já existe um screener em execução.', job: publicJob(running) };
+
+    const job = {
+        id: crypto.randomUUID(), userId, params, status: 'executando',
+        processados: 0, resultados: [], falhas: [], cancelled: false,
+        startedAt: new Date(), finishedAt: null
+    };
+    jobs.set(job.id, job);
+    runJob(job).catch(e => {
+        job.status = 'erro';
+        job.finishedAt = new Date();
+        console.error(`❌ Screener ${job.id}:`, e.message);
+    });
+    return { job: publicJob(job) };
+}
+
+export function getScreenerJob(userId, id) {
+    const job = jobs.get(id);
+    return job && job.userId === userId ? publicJob(job) : null;
+}
+
+export function cancelScreenerJob(userId, id) {
+    const job = jobs.get(id);
+    if (!job || job.userId !== userId) return false;
+    job.cancelled = true;
+    return true;
+}
@@ -0,0 +1,212 @@
+import { pool } from './db.js';
+import { strToNumber, parseAmount } from './format.js';
+import { resolveThresholdProfile } from './thresholds.js';
+
+// --- DEMONSTRATIVOS ANUAIS, CRESCIMENTO E SCORES DE QUALIDADE (Piotroski, Altman) ---
+// Contas lidas da página (lib/providers/investidor10.js) e guardadas por ano em financial_statements
+export const STATEMENT_FIELDS = {
+    receitaLiquida: 'Receita Líquida',
+    lucroBruto: 'Lucro Bruto',
+    ebit: 'EBIT',
+    lucroLiquido: 'Lucro Líquido',
+    fluxoCaixaOperacional: 'Fluxo de Caixa Operacional',
+    ativoTotal: 'Ativo Total',
+    ativoCirculante: 'Ativo Circulante',
+    passivoCirculante: 'Passivo Circulante',
+    passivoNaoCirculante: 'Passivo Não Circulante',
+    passivo: 'Passivo Total',
+    patrimonioLiquido: 'Patrimônio Líquido',
+    lucrosRetidos: 'Lucros Retidos',
+    acoes: 'Número de Ações'
+};
+
+// Séries de crescimento ano contra ano devolvidas no relatório
+export const GROWTH_FIELDS = ['receitaLiquida', 'lucroLiquido', 'fluxoCaixaOperacional', 'patrimonioLiquido'];
+
+// Perfis em que Piotroski e Altman perdem o sentido (balanço de banco e seguradora tem outra estrutura)
+const PERFIS_FINANCEIROS = new Set(['bancos', 'seguradoras', 'financeiro']);
+
+const round = (num, places = 2) => (num === null || num === undefined ? null : Math.round(num * 10 ** places) / 10 ** places);
+const toAmount = (valor) => (typeof valor === 'number' ? valor : (typeof valor === 'string' ? parseAmount(valor) : null));
+const ratio = (a, b) => (a === null || b === null || b === 0 ? null : a / b);
+
+/**
+ * Linhas do scraping ({ ano: '2024', receitaLiquida: 'R$ 490,83 B' }) ou do banco (já numéricas)
+ * -> [{ ano: 2024, receitaLiquida: 490830000000, ..., passivo }] do mais antigo ao mais novo.
+ * Passivo = circulante + não circulante; sem as duas partes, ativo total - patrimônio líquido.
+ */
+export function normalizeStatements(linhas = []) {
+    const porAno = new Map();
+    for (const linha of Array.isArray(linhas) ? linhas : []) {
+        const ano = Number(linha?.ano);
+        if (!Number.isInteger(ano)) continue;
+        const item = { ano };
+        for (const campo of Object.keys(STATEMENT_FIELDS)) {
+            item[campo] = campo === 'acoes' && typeof linha[campo] === 'string' ? strToNumber(linha[campo]) : toAmount(linha[campo]);
+        }
+        if (item.passivo === null) {
+            if (item.passivoCirculante !== null && item.passivoNaoCirculante !== null) item.passivo = item.passivoCirculante + item.passivoNaoCirculante;
+            else if (item.ativoTotal !== null && item.patrimonioLiquido !== null) item.passivo = item.ativoTotal - item.patrimonioLiquido;
+        }
+        porAno.set(ano, item);
+    }
+    return [...porAno.values()].sort((a, b) => a.ano - b.ano);
+}
+
+// Guardados + recém-lidos; no mesmo ano vale o dado novo, campo a campo
+export function mergeStatements(guardados, novos) {
+    const porAno = new Map(guardados.map(a => [a.ano, a]));
+    for (const novo of novos) {
+        const antigo = porAno.get(novo.ano) || {};
+        const campos = Object.fromEntries(Object.entries(novo).filter(([, v]) => v !== null && v !== undefined));
+        porAno.set(novo.ano, { ...antigo, ...campos });
+    }
+    return normalizeStatements([...porAno.values()]);
+}
+
+// { receitaLiquida: [{ ano, valor, crescimento (%) }], ... }; crescimento só sobre base positiva
+export function computeGrowthSeries(anos) {
+    const series = {};
+    for (const campo of GROWTH_FIELDS) {
+        series[campo] = anos.map((a, i) => {
+            const anterior = i > 0 ? anos[i - 1][campo] : null;
+            const crescimento = a[campo] !== null && anterior > 0 ? round((a[campo] / anterior - 1) * 100) : null;
+            return { ano: a.ano, valor: a[campo], crescimento };
+        });
+    }
+    return series;
+}
+
+// Proporção de critérios atendidos: >= bom fica verde, <= ruim fica vermelho
+export const PIOTROSKI_FAIXAS = { bom: 0.7, ruim: 0.35 };
+
+// Zonas do Altman (Z com valor de mercado, Zlinha = Z' contábil): abaixo de perigo = risco de insolvência, acima de seguro = folga
+export const ALTMAN_ZONAS = {
+    Z: { perigo: 1.81, seguro: 2.99 },
+    Zlinha: { perigo: 1.23, seguro: 2.9 }
+};
+
+/**
+ * Piotroski F-Score do ano mais recente contra o anterior: 9 critérios de 1 ponto
+ * (rentabilidade, alavancagem/liquidez e eficiência). Critério sem dado fica de fora
+ * e reduz o máximo. ROA e giro usam o ativo do próprio ano.
+ * Devolve { ano, pontos, maximo, classe, criterios: [{ criterio, label, ok }] } ou null.
+ */
+export function computePiotroski(anos) {
+    if (anos.length < 2) return null;
+    const atual = anos[anos.length - 1];
+    const anterior = anos[anos.length - 2];
+    const roa = (a) => ratio(a.lucroLiquido, a.ativoTotal);
+    const alavancagem = (a) => ratio(a.passivoNaoCirculante, a.ativoTotal);
+    const liquidez = (a) => ratio(a.ativoCirculante, a.passivoCirculante);
+    const margemBruta = (a) => ratio(a.lucroBruto, a.receitaLiquida);
+    const giro = (a) => ratio(a.receitaLiquida, a.ativoTotal);
+    const compara = (x, y, fn) => (x === null || y === null ? null : fn(x, y));
+
+    const criterios = [
+        ['roaPositivo', 'Lucro líquido positivo (ROA > 0)', compara(roa(atual), 0, (x, y) => x > y)],
+        ['fcoPositivo', 'Fluxo de caixa operacional positivo', compara(atual.fluxoCaixaOperacional, 0, (x, y) => x > y)],
+        ['roaCrescente', 'ROA maior que no ano anterior', compara(roa(atual), roa(anterior), (x, y) => x > y)],
+        ['qualidadeLucro', 'Caixa operacional maior que o lucro', compara(atual.fluxoCaixaOperacional, atual.lucroLiquido, (x, y) => x > y)],
+        ['alavancagemMenor', 'Dívida de longo prazo / ativo menor', compara(alavancagem(atual), alavancagem(anterior), (x, y) => x < y)],
+        ['liquidezMaior', 'Liquidez corrente maior', compara(liquidez(atual), liquidez(anterior), (x, y) => x > y)],
+        ['semDiluicao', 'Sem emissão de ações', compara(atual.acoes, anterior.acoes, (x, y) => x <= y)],
+        ['margemMaior', 'Margem bruta maior', compara(margemBruta(atual), margemBruta(anterior), (x, y) => x > y)],
+        ['giroMaior', 'Giro do ativo maior', compara(giro(atual), giro(anterior), (x, y) => x > y)]
+    ].map(([criterio, label, ok]) => ({ criterio, label, ok }));
+
+    const avaliados = criterios.filter(c => c.ok !== null);
+    if (avaliados.length === 0) return null;
+    const pontos = avaliados.filter(c => c.ok).length;
+    const proporcao = pontos / avaliados.length;
+    return {
+        ano: atual.ano,
+        pontos,
+        maximo: avaliados.length,
+        classe: proporcao >= PIOTROSKI_FAIXAS.bom ? 'good' : (proporcao <= PIOTROSKI_FAIXAS.ruim ? 'bad' : 'neutral'),
+        criterios
+    };
+}
+
+/**
+ * Altman Z-Score do ano mais recente. Com valor de mercado (cotação x ações) usa o modelo
+ * original: Z = 1,2 X1 + 1,4 X2 + 3,3 X3 + 0,6 X4 + 1,0 X5 (zonas 1,81 / 2,99). Sem cotação,
+ * o Z' com patrimônio contábil: 0,717 X1 + 0,847 X2 + 3,107 X3 + 0,420 X4 + 0,998 X5 (1,23 / 2,90).
+ * X1 capital de giro, X2 lucros retidos, X3 EBIT e X5 receita sobre o ativo; X4 patrimônio / passivo.
+ */
+export function computeAltman(anos, cotacao = null) {
+    const atual = anos[anos.length - 1];
+    if (!atual || !(atual.ativoTotal > 0) || !(atual.passivo > 0)) return null;
+    const { ativoTotal: ativo } = atual;
+    const valorMercado = cotacao > 0 && atual.acoes > 0 ? cotacao * atual.acoes : null;
+    const capitalGiro = atual.ativoCirculante !== null && atual.passivoCirculante !== null
+        ? atual.ativoCirculante - atual.passivoCirculante : null;
+
+    const x = {
+        x1: ratio(capitalGiro, ativo),
+        x2: ratio(atual.lucrosRetidos, ativo),
+        x3: ratio(atual.ebit, ativo),
+        x4: ratio(valorMercado ?? atual.patrimonioLiquido, atual.passivo),
+        x5: ratio(atual.receitaLiquida, ativo)
+    };
+    if (Object.values(x).some(v => v === null)) return null;
+
+    const mercado = valorMercado !== null;
+    const [pesos, limites] = mercado
+        ? [[1.2, 1.4, 3.3, 0.6, 1.0], ALTMAN_ZONAS.Z]
+        : [[0.717, 0.847, 3.107, 0.42, 0.998], ALTMAN_ZONAS.Zlinha];
+    const z = [x.x1, x.x2, x.x3, x.x4, x.x5].reduce((acc, v, i) => acc + v * pesos[i], 0);
+    const zona = z > limites.seguro ? 'segura' : (z < limites.perigo ? 'perigo' : 'cinzenta');
+    return {
+        ano: atual.ano,
+        modelo: mercado ? 'Z' : 'Z\'',
+        z: round(z),
+        zona,
+        classe: zona === 'segura' ? 'good' : (zona === 'perigo' ? 'bad' : 'neutral'),
+        limites,
+        componentes: Object.fromEntries(Object.entries(x).map(([k, v]) => [k, round(v, 4)]))
+    };
+}
+
+// Relatório completo para /buscar: anos, crescimento, Piotroski, Altman e aviso para financeiras
+export function buildStatementsReport(anos, { cotacao = null, setor = null, segmento = null } = {}) {
+    const { chave } = resolveThresholdProfile(setor, segmento);
+    return {
+        anos,
+        crescimento: computeGrowthSeries(anos),
+        piotroski: computePiotroski(anos),
+        altman: computeAltman(anos, typeof cotacao === 'string' ? strToNumber(cotacao) : cotacao),
+        aviso: PERFIS_FINANCEIROS.has(chave) && anos.length
+            ? 'Piotroski e Altman foram pensados para empresas não financeiras; use com cautela neste setor.'
+            : null
+    };
+}
+
+// --- ACESSO AO BANCO ---
+export async function saveStatements(ticker, anos, fetchedAt = new Date()) {
+    for (const { ano, ...contas } of anos) {
+        await pool.execute(
+            `INSERT INTO financial_statements (ticker, fiscal_year, data, fetched_at) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE data = VALUES(data), fetched_at = VALUES(fetched_at)`,
+            [ticker.toUpperCase(), ano, JSON.stringify(contas), new Date(fetchedAt)]
+        );
+    }
+}
+
+// Grava sem travar a resposta da rota, como o histórico de indicadores
+export function recordStatements(ticker, anos, fetchedAt) {
+    if (anos.length === 0) return;
+    saveStatements(ticker, anos, fetchedAt)
+        .catch(e => console.error(`⚠️ Erro ao gravar demonstrativos de ${ticker}:`, e.message));
+}
+
+// Anos já guardados (inclusive os que saíram da página); números, do mais antigo ao mais novo
+export async function loadStatements(ticker) {
+    const [rows] = await pool.execute(
+        'SELECT fiscal_year, data FROM financial_statements WHERE ticker = ? ORDER BY fiscal_year', [ticker.toUpperCase()]
+    );
+    return normalizeStatements(rows.map(row => ({
+        ano: row.fiscal_year,
+        ...(typeof row.data === 'string' ? JSON.parse(row.data) : row.data)
+    })));
+}
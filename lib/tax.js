@@ -0,0 +1,221 @@
+import { pool } from './db.js';
+import { replayTransactions } from './portfolio.js';
+
+// --- IMPOSTO DE RENDA SOBRE GANHO DE CAPITAL (ações e FIIs, operações comuns) ---
+// Day trade não é separado: toda venda é tratada como operação comum (swing trade).
+export const TAX_RULES = {
+    acao: { label: 'Ações', aliquota: 0.15, limiteIsencao: 20000 },
+    fii: { label: 'FIIs', aliquota: 0.20, limiteIsencao: null }
+};
+export const TAX_CATEGORIES = Object.keys(TAX_RULES);
+
+// DARF 6015 (ganhos líquidos em bolsa); abaixo de R$ 10 não se paga e o valor soma no mês seguinte
+export const DARF_CODIGO = '6015';
+export const DARF_MINIMO = 10;
+
+// Bens e Direitos (IRPF): grupo/código de cada tipo de ativo
+const BENS_CODIGOS = {
+    acao: { grupo: '03', codigo: '01', descricao: 'Participações Societárias - Ações (inclusive as listadas em bolsa)' },
+    fii: { grupo: '07', codigo: '03', descricao: 'Fundos - Fundos de Investimento Imobiliário (FII)' }
+};
+
+const round = (num, places = 2) => Math.round(num * 10 ** places) / 10 ** places;
+const formatMoney = (num) => num.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Último dia útil (seg-sex, sem feriados) do mês seguinte ao da apuração: "2025-03" -> "2025-04-30"
+export function darfDueDate(mes) {
+    const [ano, m] = mes.split('-').map(Number);
+    const data = new Date(Date.UTC(ano, m + 1, 0));
+    while ([0, 6].includes(data.getUTCDay())) data.setUTCDate(data.getUTCDate() - 1);
+    return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Apuração mensal a partir das transações (linhas do banco).
+ * Para cada mês com venda e cada categoria: total vendido, lucro líquido (já com taxas
+ * e pelo preço médio), parcela isenta (ações com vendas até R$ 20 mil no mês),
+ * prejuízo compensado, base de cálculo e imposto. Prejuízos se acumulam por categoria
+ * e só abatem lucros tributáveis da mesma categoria.
+ * prejuizoInicial: { acao, fii } de anos anteriores ao uso do app; eventos ajustam o preço médio
+ * (desdobramentos, bonificações e grupamentos).
+ */
+export function computeMonthlyTax(transactions, prejuizoInicial = {}, eventos = []) {
+    const { vendas } = replayTransactions(transactions, eventos);
+    const porMes = new Map();
+    for (const venda of vendas) {
+        const mes = venda.data.slice(0, 7);
+        if (!porMes.has(mes)) porMes.set(mes, []);
+        porMes.get(mes).push(venda);
+    }
+
+    const prejuizo = Object.fromEntries(TAX_CATEGORIES.map(c => [c, Number(prejuizoInicial[c]) || 0]));
+    let darfPendente = 0;
+    const meses = [];
+
+    for (const mes of [...porMes.keys()].sort()) {
+        const operacoes = porMes.get(mes);
+        const linha = { mes };
+        let impostoMes = 0;
+
+        for (const categoria of TAX_CATEGORIES) {
+            const regra = TAX_RULES[categoria];
+            const ops = operacoes.filter(v => v.tipo === categoria);
+            const totalVendas = ops.reduce((acc, v) => acc + v.valorVenda, 0);
+            const lucro = ops.reduce((acc, v) => acc + v.lucro, 0);
+            const isento = regra.limiteIsencao !== null && totalVendas <= regra.limiteIsencao && lucro > 0;
+            let prejuizoCompensado = 0;
+            let baseCalculo = 0;
+
+            if (lucro < 0) {
+                prejuizo[categoria] += -lucro;
+            } else if (!isento) {
+                prejuizoCompensado = Math.min(prejuizo[categoria], lucro);
+                prejuizo[categoria] -= prejuizoCompensado;
+                baseCalculo = lucro - prejuizoCompensado;
+            }
+            const imposto = round(baseCalculo * regra.aliquota);
+            impostoMes += imposto;
+
+            linha[categoria] = {
+                totalVendas: round(totalVendas),
+                lucro: round(lucro),
+                lucroIsento: isento ? round(lucro) : 0,
+                prejuizoCompensado: round(prejuizoCompensado),
+                baseCalculo: round(baseCalculo),
+                aliquota: regra.aliquota,
+                imposto,
+                prejuizoAcumulado: round(prejuizo[categoria]),
+                operacoes: ops.map(v => ({
+                    data: v.data, ticker: v.ticker, quantidade: v.quantidade,
+                    valorVenda: round(v.valorVenda), custo: round(v.custo), taxas: round(v.taxas), lucro: round(v.lucro)
+                }))
+            };
+        }
+
+        const total = round(impostoMes + darfPendente);
+        const acumuladoAnterior = round(darfPendente);
+        let situacao = 'sem imposto';
+        if (total >= DARF_MINIMO) {
+            situacao = 'pagar';
+            darfPendente = 0;
+        } else if (total > 0) {
+            situacao = 'abaixo do mínimo';
+            darfPendente = total;
+        }
+        linha.darf = {
+            codigo: DARF_CODIGO,
+            impostoMes: round(impostoMes),
+            acumuladoAnterior,
+            valor: situacao === 'pagar' ? total : 0,
+            vencimento: situacao === 'pagar' ? darfDueDate(mes) : null,
+            situacao
+        };
+        meses.push(linha);
+    }
+
+    return {
+        meses,
+        prejuizoAcumulado: Object.fromEntries(TAX_CATEGORIES.map(c => [c, round(prejuizo[c])])),
+        darfPendente: round(darfPendente)
+    };
+}
+
+// Meses de um ano da apuração completa + totais para a declaração anual
+export function summarizeTaxYear(apuracao, ano) {
+    const meses = apuracao.meses.filter(m => m.mes.startsWith(`${ano}-`));
+    const soma = (fn) => round(meses.reduce((acc, m) => acc + fn(m), 0));
+    return {
+        ano,
+        meses,
+        totais: {
+            vendasAcoes: soma(m => m.acao.totalVendas),
+            vendasFiis: soma(m => m.fii.totalVendas),
+            // Vai em "Rendimentos Isentos e Não Tributáveis" (ganhos líquidos em ações até R$ 20 mil/mês)
+            lucroIsentoAcoes: soma(m => m.acao.lucroIsento),
+            imposto: soma(m => m.acao.imposto + m.fii.imposto),
+            darfs: soma(m => m.darf.valor)
+        },
+        prejuizoAcumulado: apuracao.prejuizoAcumulado,
+        darfPendente: apuracao.darfPendente
+    };
+}
+
+/**
+ * Bens e Direitos: posição em 31/12 do ano anterior e do ano pedido, pelo custo de
+ * aquisição (preço médio com taxas), que é o valor declarado no IRPF.
+ */
+export function buildBensDireitos(transactions, ano, eventos = []) {
+    const ate = (data) => [
+        transactions.filter(t => String(t.trade_date) <= data),
+        eventos.filter(e => String(e.event_date) <= data)
+    ];
+    const { positions: anteriores } = replayTransactions(...ate(`${ano - 1}-12-31`));
+    const { positions: atuais } = replayTransactions(...ate(`${ano}-12-31`));
+
+    const tickers = [...new Set([...anteriores.keys(), ...atuais.keys()])].sort();
+    const itens = [];
+    for (const ticker of tickers) {
+        const antes = anteriores.get(ticker);
+        const agora = atuais.get(ticker);
+        if (!(antes?.quantidade > 0) && !(agora?.quantidade > 0)) continue;
+        const tipo = (agora || antes).tipo;
+        const quantidade = agora?.quantidade > 0 ? round(agora.quantidade, 6) : 0;
+        const precoMedio = quantidade > 0 ? agora.custo / agora.quantidade : 0;
+        const unidade = tipo === 'fii' ? 'cotas do FII' : 'ações de';
+        itens.push({
+            ticker,
+            tipo,
+            ...BENS_CODIGOS[tipo],
+            quantidade,
+            precoMedio: round(precoMedio, 4),
+            discriminacao: quantidade > 0
+                ? `${quantidade.toLocaleString('pt-BR')} ${unidade} ${ticker}, ao custo médio de R$ ${formatMoney(precoMedio)} por unidade. CNPJ: informe o da empresa/fundo.`
+                : `Posição em ${ticker} vendida integralmente em ${ano}.`,
+            situacaoAnterior: round(antes?.quantidade > 0 ? antes.custo : 0),
+            situacaoAtual: round(quantidade > 0 ? agora.custo : 0)
+        });
+    }
+    return {
+        ano,
+        itens,
+        totalAnterior: round(itens.reduce((acc, i) => acc + i.situacaoAnterior, 0)),
+        totalAtual: round(itens.reduce((acc, i) => acc + i.situacaoAtual, 0))
+    };
+}
+
+export function parseTaxYear(query, hoje = new Date()) {
+    const ano = query.ano === undefined || query.ano === '' ? hoje.getFullYear() : Number(query.ano);
+    if (!Number.isInteger(ano) || ano < 2000 || ano > hoje.getFullYear()) return { error: 'Ano inválido.' };
+    return { ano };
+}
+
+// Valida { acao, fii } do PUT de prejuízos anteriores; devolve { error } ou { prejuizos }
+export function parseCarryoverInput(body) {
+    const prejuizos = {};
+    for (const categoria of TAX_CATEGORIES) {
+        const raw = body[categoria];
+        const valor = raw === undefined || raw === '' ? 0 : Number(String(raw).replace(',', '.'));
+        if (!Number.isFinite(valor) || valor < 0) return { error: `Prejuízo de ${TAX_RULES[categoria].label} inválido.` };
+        prejuizos[categoria] = round(valor);
+    }
+    return { prejuizos };
+}
+
+// --- ACESSO AO BANCO ---
+// Prejuízos a compensar de antes do app (informados pelo usuário, um valor por categoria)
+export async function getCarryover(userId) {
+    const [rows] = await pool.execute('SELECT category, amount FROM tax_carryover WHERE user_id = ?', [userId]);
+    const prejuizos = Object.fromEntries(TAX_CATEGORIES.map(c => [c, 0]));
+    for (const row of rows) prejuizos[row.category] = Number(row.amount);
+    return prejuizos;
+}
+
+export async function saveCarryover(userId, prejuizos) {
+    for (const categoria of TAX_CATEGORIES) {
+        await pool.execute(
+            `INSERT INTO tax_carryover (user_id, category, amount) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE amount = VALUES(amount)`,
+            [userId, categoria, prejuizos[categoria]]
+        );
+    }
+}
@@ -0,0 +1,241 @@
+import { pool } from './db.js';
+
+// --- LIMITES DOS INDICADORES DE AÇÕES POR SETOR/SEGMENTO ---
+// Cada indicador classificado tem uma direção:
+//   maior  bom se valor >= bom, ruim se valor < ruim
+//   menor  bom se valor <= bom, ruim se valor > ruim
+//   faixa  bom entre min e max, ruim acima de ruim (payout)
+// positivo: valores <= 0 ficam neutros (P/L de empresa com prejuízo não é "barato")
+export const ACAO_INDICATORS = {
+    pl: { label: 'P/L', melhor: 'menor', positivo: true, unidade: '' },
+    pvp: { label: 'P/VP', melhor: 'menor', unidade: '' },
+    dy: { label: 'DY (12M)', melhor: 'maior', unidade: '%' },
+    payout: { label: 'Payout', melhor: 'faixa', unidade: '%' },
+    roe: { label: 'ROE', melhor: 'maior', unidade: '%' },
+    roic: { label: 'ROIC', melhor: 'maior', unidade: '%' },
+    margemLiquida: { label: 'Margem Líquida', melhor: 'maior', unidade: '%' },
+    margemEbitda: { label: 'Margem EBITDA', melhor: 'maior', unidade: '%' },
+    dividaLiquidaEbitda: { label: 'Dív. Líq./EBITDA', melhor: 'menor', unidade: '' },
+    liquidezCorrente: { label: 'Liquidez Corrente', melhor: 'maior', unidade: '' },
+    cagrLucros: { label: 'CAGR Lucros 5A', melhor: 'maior', unidade: '%' },
+    potencial: { label: 'Potencial (analistas)', melhor: 'maior', unidade: '%' },
+    risco: { label: 'Risco (XP)', melhor: 'menor', unidade: '' }
+};
+
+const PADRAO = {
+    pl: { bom: 10, ruim: 20 },
+    pvp: { bom: 1.0, ruim: 1.5 },
+    dy: { bom: 6, ruim: 4 },
+    payout: { min: 25, max: 75, ruim: 100 },
+    roe: { bom: 15, ruim: 8 },
+    roic: { bom: 10, ruim: 5 },
+    margemLiquida: { bom: 15, ruim: 5 },
+    margemEbitda: { bom: 20, ruim: 10 },
+    dividaLiquidaEbitda: { bom: 2.0, ruim: 4.0 },
+    liquidezCorrente: { bom: 1.5, ruim: 1.0 },
+    cagrLucros: { bom: 10, ruim: 5 },
+    potencial: { bom: 15, ruim: 0 },
+    risco: { bom: 25, ruim: 50 }
+};
+
+/**
+ * Perfis embutidos (gravados em threshold_profiles na subida do servidor). O perfil vale
+ * para os segmentos e setores listados, com o segmento tendo precedência; null num
+ * indicador = não se aplica (fica neutro). grahamConfiavel = false mostra o aviso de Graham.
+ */
+export const DEFAULT_THRESHOLD_PROFILES = {
+    padrao: {
+        label: 'Padrão',
+        setores: [], segmentos: [],
+        grahamConfiavel: true,
+        limites: PADRAO
+    },
+    // Banco não tem EBITDA nem dívida líquida no sentido usual; P/VP e ROE é que contam
+    bancos: {
+        label: 'Bancos',
+        setores: [], segmentos: ['Bancos', 'Intermediários Financeiros'],
+        grahamConfiavel: false,
+        limites: {
+            ...PADRAO,
+            pl: { bom: 8, ruim: 12 }, pvp: { bom: 1.2, ruim: 2.0 }, dy: { bom: 7, ruim: 4 },
+            payout: { min: 40, max: 80, ruim: 100 }, roe: { bom: 16, ruim: 10 },
+            roic: null, margemLiquida: null, margemEbitda: null, dividaLiquidaEbitda: null, liquidezCorrente: null
+        }
+    },
+    seguradoras: {
+        label: 'Seguradoras',
+        setores: [], segmentos: ['Seguradoras', 'Previdência e Seguros', 'Corretoras de Seguros'],
+        grahamConfiavel: false,
+        limites: {
+            ...PADRAO,
+            pl: { bom: 10, ruim: 15 }, pvp: { bom: 2.0, ruim: 4.0 }, dy: { bom: 7, ruim: 4 },
+            payout: { min: 40, max: 90, ruim: 110 }, roe: { bom: 18, ruim: 10 },
+            roic: null, margemEbitda: null, dividaLiquidaEbitda: null, liquidezCorrente: null
+        }
+    },
+    // Holdings, serviços financeiros e imobiliárias listadas no setor financeiro
+    financeiro: {
+        label: 'Financeiro (outros)',
+        setores: ['Financeiro e Outros', 'Financeiro'], segmentos: [],
+        grahamConfiavel: false,
+        limites: { ...PADRAO, margemEbitda: null, liquidezCorrente: null }
+    },
+    // Energia e saneamento: margens altas, dívida maior e previsível, lucro distribuído
+    utilidades: {
+        label: 'Utilidade Pública',
+        setores: ['Utilidade Pública'], segmentos: ['Energia Elétrica', 'Água e Saneamento', 'Gás'],
+        grahamConfiavel: true,
+        limites: {
+            ...PADRAO,
+            pl: { bom: 12, ruim: 20 }, dy: { bom: 7, ruim: 5 }, payout: { min: 40, max: 95, ruim: 120 },
+            roic: { bom: 8, ruim: 4 }, margemEbitda: { bom: 35, ruim: 20 },
+            dividaLiquidaEbitda: { bom: 3.0, ruim: 4.5 }, liquidezCorrente: { bom: 1.0, ruim: 0.7 }
+        }
+    },
+    // Crescimento pesa mais que dividendos; múltiplos maiores são normais
+    tecnologia: {
+        label: 'Tecnologia',
+        setores: ['Tecnologia da Informação'], segmentos: ['Software e Dados', 'Programas e Serviços'],
+        grahamConfiavel: false,
+        limites: {
+            ...PADRAO,
+            pl: { bom: 20, ruim: 40 }, pvp: { bom: 3.0, ruim: 8.0 }, dy: { bom: 3, ruim: 0.5 }, payout: null,
+            roe: { bom: 18, ruim: 8 }, margemEbitda: { bom: 25, ruim: 10 },
+            dividaLiquidaEbitda: { bom: 1.0, ruim: 3.0 }, cagrLucros: { bom: 15, ruim: 5 }
+        }
+    }
+};
+
+const normalizar = (texto) => String(texto ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+/**
+ * Escolhe o perfil pelo setor/segmento do scraping: primeiro um perfil que liste o
+ * segmento, depois o setor, senão o padrão. Devolve { chave, origem, criterio }.
+ */
+export function resolveThresholdProfile(setor, segmento, profiles = DEFAULT_THRESHOLD_PROFILES) {
+    const entradas = Object.entries(profiles);
+    const seg = normalizar(segmento);
+    const set = normalizar(setor);
+    const porSegmento = seg && entradas.find(([, p]) => p.segmentos.some(s => normalizar(s) === seg));
+    if (porSegmento) return { chave: porSegmento[0], origem: 'segmento', criterio: segmento };
+    const porSetor = set && entradas.find(([, p]) => p.setores.some(s => normalizar(s) === set));
+    if (porSetor) return { chave: porSetor[0], origem: 'setor', criterio: setor };
+    return { chave: 'padrao', origem: 'padrao', criterio: null };
+}
+
+export function classifyThreshold(indicador, valor, limites) {
+    const ind = ACAO_INDICATORS[indicador];
+    const limite = limites?.[indicador];
+    if (!ind || !limite || valor === null || valor === undefined) return 'neutral';
+    if (ind.positivo && valor <= 0) return 'neutral';
+    if (ind.melhor === 'faixa') return valor >= limite.min && valor <= limite.max ? 'good' : (valor > limite.ruim ? 'bad' : 'neutral');
+    if (ind.melhor === 'maior') return valor >= limite.bom ? 'good' : (valor < limite.ruim ? 'bad' : 'neutral');
+    return valor <= limite.bom ? 'good' : (valor > limite.ruim ? 'bad' : 'neutral');
+}
+
+// Perfil base + ajustes do usuário (só os indicadores alterados)
+export function mergeThresholdProfile(base, override) {
+    if (!override) return { ...base, personalizado: false };
+    return {
+        ...base,
+        grahamConfiavel: override.grahamConfiavel ?? base.grahamConfiavel,
+        limites: { ...base.limites, ...override.limites },
+        personalizado: true
+    };
+}
+
+const toNumber = (raw) => raw === '' || raw === null || raw === undefined ? NaN : Number(String(raw).replace(',', '.'));
+
+/**
+ * Valida o PUT de um perfil: { limites: { pl: { bom, ruim }, payout: { min, max, ruim },
+ * roic: null, ... }, grahamConfiavel }. Só os indicadores enviados diferem do perfil embutido;
+ * null desliga a classificação do indicador. Devolve { error } ou { override }.
+ */
+export function parseThresholdInput(body) {
+    const entrada = body?.limites;
+    if (!entrada || typeof entrada !== 'object' || Array.isArray(entrada)) return { error: 'Informe os limites.' };
+    const limites = {};
+    for (const [campo, valor] of Object.entries(entrada)) {
+        // hasOwn: "toString" ou "constructor" não podem passar como indicador
+        const ind = Object.hasOwn(ACAO_INDICATORS, campo) ? ACAO_INDICATORS[campo] : null;
+        if (!ind) return { error: `Indicador desconhecido: ${campo}.` };
+        if (valor === null) { limites[campo] = null; continue; }
+
+        const chaves = ind.melhor === 'faixa' ? ['min', 'max', 'ruim'] : ['bom', 'ruim'];
+        const limite = Object.fromEntries(chaves.map(k => [k, toNumber(valor?.[k])]));
+        if (chaves.some(k => !Number.isFinite(limite[k]))) return { error: `${ind.label}: preencha ${chaves.join(', ')}.` };
+        if (ind.melhor === 'faixa' && !(limite.min <= limite.max && limite.max <= limite.ruim)) {
+            return { error: `${ind.label}: use mínimo <= máximo <= ruim.` };
+        }
+        if (ind.melhor === 'maior' && limite.bom < limite.ruim) return { error: `${ind.label}: o limite bom deve ser maior ou igual ao ruim.` };
+        if (ind.melhor === 'menor' && limite.bom > limite.ruim) return { error: `${ind.label}: o limite bom deve ser menor ou igual ao ruim.` };
+        limites[campo] = limite;
+    }
+    const { grahamConfiavel } = body;
+    if (grahamConfiavel !== undefined && grahamConfiavel !== null && typeof grahamConfiavel !== 'boolean') {
+        return { error: 'grahamConfiavel deve ser true ou false.' };
+    }
+    return { override: { limites, grahamConfiavel: grahamConfiavel ?? null } };
+}
+
+// --- ACESSO AO BANCO ---
+const parseJson = (valor) => typeof valor === 'string' ? JSON.parse(valor) : valor;
+
+// Grava os perfis embutidos que ainda não existem; um perfil editado direto no banco não é sobrescrito
+export async function seedThresholdProfiles() {
+    for (const [chave, p] of Object.entries(DEFAULT_THRESHOLD_PROFILES)) {
+        await pool.execute(
+            `INSERT IGNORE INTO threshold_profiles (profile_key, label, sectors, segments, thresholds, graham_reliable)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [chave, p.label, JSON.stringify(p.setores), JSON.stringify(p.segmentos), JSON.stringify(p.limites), p.grahamConfiavel]
+        );
+    }
+}
+
+async function loadBaseProfiles() {
+    const [rows] = await pool.execute('SELECT * FROM threshold_profiles ORDER BY profile_key');
+    // Banco ainda sem seed: usa os perfis do código
+    if (rows.length === 0) return DEFAULT_THRESHOLD_PROFILES;
+    return Object.fromEntries(rows.map(row => [row.profile_key, {
+        label: row.label,
+        setores: parseJson(row.sectors),
+        segmentos: parseJson(row.segments),
+        grahamConfiavel: Boolean(row.graham_reliable),
+        limites: parseJson(row.thresholds)
+    }]));
+}
+
+/**
+ * Perfis efetivos de um usuário: os do banco com os ajustes do usuário aplicados.
+ * Cada perfil vem com personalizado e padrao (a versão sem ajustes, para o "restaurar").
+ */
+export async function loadThresholdProfiles(userId) {
+    const base = await loadBaseProfiles();
+    const [rows] = await pool.execute(
+        'SELECT profile_key, thresholds, graham_reliable FROM user_threshold_overrides WHERE user_id = ?', [userId]
+    );
+    const overrides = Object.fromEntries(rows.map(row => [row.profile_key, {
+        limites: parseJson(row.thresholds),
+        grahamConfiavel: row.graham_reliable === null ? null : Boolean(row.graham_reliable)
+    }]));
+    return Object.fromEntries(Object.entries(base).map(([chave, p]) => [
+        chave,
+        { ...mergeThresholdProfile(p, overrides[chave]), padrao: { limites: p.limites, grahamConfiavel: p.grahamConfiavel } }
+    ]));
+}
+
+// Substitui os ajustes do usuário no perfil (o que não vier fica com o valor embutido)
+export async function saveThresholdOverride(userId, chave, override) {
+    await pool.execute(
+        `INSERT INTO user_threshold_overrides (user_id, profile_key, thresholds, graham_reliable) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE thresholds = VALUES(thresholds), graham_reliable = VALUES(graham_reliable)`,
+        [userId, chave, JSON.stringify(override.limites), override.grahamConfiavel]
+    );
+}
+
+export async function deleteThresholdOverride(userId, chave) {
+    const [result] = await pool.execute(
+        'DELETE FROM user_threshold_overrides WHERE user_id = ? AND profile_key = ?', [userId, chave]
+    );
+    return result.affectedRows > 0;
+}
@@ -0,0 +1,30 @@
+// --- UNIVERSOS DE TICKERS DO SCREENER ---
+// Composições aproximadas das carteiras teóricas; atualizar quando a B3 rebalancear.
+export const UNIVERSES = {
+    ibov: {
+        label: 'Ibovespa',
+        tipo: 'acao',
+        tickers: [
+            'ABEV3', 'ALOS3', 'ASAI3', 'AZUL4', 'AZZA3', 'B3SA3', 'BBAS3', 'BBDC3', 'BBDC4', 'BBSE3',
+            'BEEF3', 'BPAC11', 'BRAP4', 'BRAV3', 'BRFS3', 'BRKM5', 'CMIG4', 'CMIN3', 'COGN3', 'CPFE3',
+            'CPLE6', 'CRFB3', 'CSAN3', 'CSNA3', 'CVCB3', 'CXSE3', 'CYRE3', 'DIRR3', 'EGIE3', 'ELET3',
+            'ELET6', 'EMBR3', 'ENEV3', 'ENGI11', 'EQTL3', 'FLRY3', 'GGBR4', 'GOAU4', 'HAPV3', 'HYPE3',
+            'IGTI11', 'IRBR3', 'ISAE4', 'ITSA4', 'ITUB4', 'KLBN11', 'LREN3', 'MGLU3', 'MOTV3', 'MRFG3',
+            'MRVE3', 'MULT3', 'NTCO3', 'PCAR3', 'PETR3', 'PETR4', 'PETZ3', 'POMO4', 'PRIO3', 'PSSA3',
+            'RADL3', 'RAIL3', 'RAIZ4', 'RDOR3', 'RECV3', 'RENT3', 'SANB11', 'SBSP3', 'SLCE3', 'SMFT3',
+            'SMTO3', 'STBP3', 'SUZB3', 'TAEE11', 'TIMS3', 'TOTS3', 'UGPA3', 'USIM5', 'VALE3', 'VAMO3',
+            'VBBR3', 'VIVA3', 'VIVT3', 'WEGE3', 'YDUQ3'
+        ]
+    },
+    ifix: {
+        label: 'IFIX',
+        tipo: 'fii',
+        tickers: [
+            'AFHI11', 'ALZR11', 'BCFF11', 'BRCO11', 'BRCR11', 'BTAL11', 'BTCI11', 'BTLG11', 'CPTS11', 'CVBI11',
+            'GARE11', 'GGRC11', 'HCTR11', 'HFOF11', 'HGBS11', 'HGCR11', 'HGLG11', 'HGRE11', 'HGRU11', 'HSML11',
+            'IRDM11', 'JSRE11', 'KNCR11', 'KNHY11', 'KNIP11', 'KNRI11', 'KNSC11', 'LVBI11', 'MALL11', 'MCCI11',
+            'MXRF11', 'PATL11', 'PVBI11', 'RBRF11', 'RBRP11', 'RBRR11', 'RBRY11', 'RECR11', 'RECT11', 'RZTR11',
+            'TGAR11', 'TRXF11', 'VGHF11', 'VGIP11', 'VILG11', 'VINO11', 'VISC11', 'XPCI11', 'XPLG11', 'XPML11'
+        ]
+    }
+};
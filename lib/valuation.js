@@ -0,0 +1,137 @@
+import { strToNumber, formatBRL } from './format.js';
+
+// --- MOTOR DE VALUATION ---
+// Premissas ajustáveis pelo usuário (todas em %, menos o multiplicador de Graham e os anos do DCF).
+// growth null = usa o CAGR de lucros 5A do ativo (5% se não houver CAGR positivo).
+export const VALUATION_PARAMS = {
+    bazinYield: { label: 'Yield mínimo Bazin (%)', padrao: 6, min: 0.5, max: 30 },
+    grahamMultiplier: { label: 'Multiplicador Graham (P/L × P/VP)', padrao: 22.5, min: 1, max: 100 },
+    bondYieldBase: { label: 'Yield base Graham revisado (%)', padrao: 4.4, min: 0.1, max: 30 },
+    bondYield: { label: 'Yield atual de título AAA (%)', padrao: 5.5, min: 0.1, max: 30 },
+    growth: { label: 'Crescimento g (%)', padrao: null, min: -20, max: 50 },
+    discountRate: { label: 'Taxa de desconto k (%)', padrao: 12, min: 1, max: 50 },
+    terminalGrowth: { label: 'Crescimento na perpetuidade (%)', padrao: 3, min: -5, max: 20 },
+    dcfYears: { label: 'Anos do 1º estágio (DCF)', padrao: 5, min: 1, max: 20, inteiro: true }
+};
+
+export const DEFAULT_VALUATION_PARAMS = Object.fromEntries(
+    Object.entries(VALUATION_PARAMS).map(([key, def]) => [key, def.padrao])
+);
+
+const pct = (num) => `${String(num).replace('.', ',')}%`;
+
+// Modelos na ordem em que aparecem nos cards e no gráfico; o label reflete as premissas usadas
+export const VALUATION_MODELS = [
+    { id: 'precoTeto', label: (p) => `Preço Teto (Bazin ${pct(p.bazinYield)} - 12M)` },
+    { id: 'bazin5Y', label: (p) => `Preço Teto (Bazin ${pct(p.bazinYield)} - 5Y)` },
+    { id: 'valorJusto', label: () => 'Valor Justo (Graham)', graham: true },
+    { id: 'valorRevisado', label: () => 'Valor Justo (Graham Rev.)', graham: true },
+    { id: 'gordon', label: () => 'Gordon (Desconto de Dividendos)' },
+    { id: 'dcf', label: (p) => `DCF 2 Estágios (${p.dcfYears} anos)` },
+    { id: 'lynch', label: () => 'Valor Justo (Peter Lynch)' }
+];
+
+/**
+ * Valida premissas vindas de query string ou body. Campos ausentes ou vazios ficam no padrão.
+ * Devolve { error } ou { params }.
+ */
+export function parseValuationParams(input = {}) {
+    const params = { ...DEFAULT_VALUATION_PARAMS };
+    for (const [key, def] of Object.entries(VALUATION_PARAMS)) {
+        const raw = input[key];
+        if (raw === undefined || raw === null || raw === '') continue;
+        // Aceita "8,5" e "8.5"
+        const num = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+        if (!Number.isFinite(num)) return { error: `Valor inválido para ${def.label}.` };
+        if (num < def.min || num > def.max) return { error: `${def.label} deve ficar entre ${def.min} e ${def.max}.` };
+        if (def.inteiro && !Number.isInteger(num)) return { error: `${def.label} deve ser um número inteiro.` };
+        params[key] = num;
+    }
+    if (params.discountRate <= params.terminalGrowth) {
+        return { error: 'A taxa de desconto precisa ser maior que o crescimento na perpetuidade.' };
+    }
+    return { params };
+}
+
+// Crescimento usado por Graham revisado, DCF e Lynch
+export function resolveGrowth(rawData, params = DEFAULT_VALUATION_PARAMS) {
+    if (params.growth !== null && params.growth !== undefined) return params.growth;
+    const cagr = strToNumber(rawData.cagrLucros);
+    return (cagr !== null && cagr > 0) ? cagr : 5.0;
+}
+
+// Gordon: P = D1 / (k - g), com D1 = dividendo dos últimos 12M crescido um ano
+function gordonValue(dpa, params) {
+    const k = params.discountRate / 100;
+    const g = params.terminalGrowth / 100;
+    if (!dpa || dpa <= 0 || k <= g) return null;
+    return (dpa * (1 + g)) / (k - g);
+}
+
+// DCF simplificado: LPA como fluxo por ação, crescendo g por N anos e depois na perpetuidade
+function twoStageDcf(lpa, growth, params) {
+    const k = params.discountRate / 100;
+    const g1 = growth / 100;
+    const g2 = params.terminalGrowth / 100;
+    if (!lpa || lpa <= 0 || k <= g2) return null;
+    let presentValue = 0;
+    let fluxo = lpa;
+    for (let ano = 1; ano <= params.dcfYears; ano++) {
+        fluxo *= 1 + g1;
+        presentValue += fluxo / Math.pow(1 + k, ano);
+    }
+    const terminal = (fluxo * (1 + g2)) / (k - g2);
+    return presentValue + terminal / Math.pow(1 + k, params.dcfYears);
+}
+
+/**
+ * Valuations em número (R$ por ação) a partir dos dados brutos; null quando o modelo não se aplica
+ * (lucro negativo, sem dividendos, crescimento <= 0 no Lynch...).
+ */
+export function computeValuations(rawData, params = DEFAULT_VALUATION_PARAMS) {
+    const cotacao = strToNumber(rawData.cotacao);
+    const vpa = strToNumber(rawData.vpa);
+    const lpa = strToNumber(rawData.lpa);
+    const dy = strToNumber(rawData.dy);
+    const dy5Anos = strToNumber(rawData.dy5Anos);
+    const g = resolveGrowth(rawData, params);
+    const bazinYield = params.bazinYield / 100;
+
+    const dpa = (cotacao && dy && dy > 0) ? cotacao * (dy / 100) : null;
+    const dpa5Anos = (cotacao && dy5Anos && dy5Anos > 0) ? cotacao * (dy5Anos / 100) : null;
+    const lucroPositivo = lpa !== null && lpa > 0;
+
+    return {
+        precoTeto: dpa ? dpa / bazinYield : null,
+        bazin5Y: dpa5Anos ? dpa5Anos / bazinYield : null,
+        valorJusto: (lucroPositivo && vpa && vpa > 0) ? Math.sqrt(params.grahamMultiplier * lpa * vpa) : null,
+        valorRevisado: lucroPositivo ? (lpa * (8.5 + 2 * g) * params.bondYieldBase) / params.bondYield : null,
+        gordon: gordonValue(dpa, params),
+        dcf: lucroPositivo ? twoStageDcf(lpa, g, params) : null,
+        // Lynch: P/L justo igual à taxa de crescimento (PEG = 1)
+        lynch: (lucroPositivo && g > 0) ? lpa * g : null
+    };
+}
+
+/**
+ * Relatório usado por /buscar e /valuation/:ticker: premissas aplicadas e, para cada modelo,
+ * valor, classe (good se a cotação está abaixo) e margem de segurança em %.
+ */
+export function buildValuationReport(rawData, params = DEFAULT_VALUATION_PARAMS) {
+    const cotacao = strToNumber(rawData.cotacao);
+    const valores = computeValuations(rawData, params);
+    const modelos = VALUATION_MODELS.map(({ id, label, graham }) => {
+        const valor = valores[id] !== null && valores[id] > 0 ? Math.round(valores[id] * 100) / 100 : null;
+        const valido = cotacao !== null && valor !== null;
+        return {
+            id,
+            label: label(params),
+            valor,
+            value: valor !== null ? formatBRL(valor) : '-',
+            class: valido ? (cotacao < valor ? 'good' : 'bad') : 'neutral',
+            margem: valido ? Math.round(((valor / cotacao) - 1) * 10000) / 100 : null,
+            ...(graham ? { graham: true } : {})
+        };
+    });
+    return { cotacao, crescimento: resolveGrowth(rawData, params), parametros: params, modelos };
+}
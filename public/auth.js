@@ -0,0 +1,30 @@
+// --- SESSÃO (compartilhado pelas páginas protegidas) ---
+
+// Pergunta ao servidor se a sessão (cookie) ainda vale; se não, manda para o login
+async function verificarSessao() {
+    try {
+        const res = await fetch('/sessao');
+        if (!res.ok) throw new Error('Sessão inválida');
+        const data = await res.json();
+        return data.user;
+    } catch (error) {
+        window.location.href = '/login.html';
+        return null;
+    }
+}
+
+// fetch que volta para o login quando a sessão expira no meio do uso
+async function fetchAutenticado(url, options = {}) {
+    const res = await fetch(url, options);
+    if (res.status === 401) {
+        window.location.href = '/login.html';
+        throw new Error('Sessão expirada');
+    }
+    return res;
+}
+
+// Função de Logout
+async function sair() {
+    try { await fetch('/logout', { method: 'POST' }); } catch (e) {}
+    window.location.href = '/login.html';
+}
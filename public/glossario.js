@@ -0,0 +1,78 @@
+// --- AJUDA DOS CARDS (compartilhado por index.html e fii.html) ---
+// O id do card ("card-pl") dá o campo do verbete em /aprenda/glossario/:campo.
+// A página atualiza contextoAjuda depois de cada busca (tipo do ativo e perfil de limites).
+let contextoAjuda = { tipo: 'acao', perfil: null };
+
+const ROTULOS_CLASSE = { good: 'Por que ficou verde', bad: 'Por que ficou vermelho', neutral: 'Por que ficou neutro' };
+
+function escaparHtml(texto) {
+    return String(texto ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Botão "?" do cabeçalho do card
+function ajudaBotao(campo) {
+    return `<button type="button" class="ajuda-btn" title="O que é este indicador?" onclick="abrirAjuda('${campo}')">?</button>`;
+}
+
+function dialogoAjuda() {
+    let dialogo = document.getElementById('ajuda-dialog');
+    if (!dialogo) {
+        document.body.insertAdjacentHTML('beforeend', '<dialog id="ajuda-dialog" class="ajuda-dialog"><div id="ajuda-conteudo"></div></dialog>');
+        dialogo = document.getElementById('ajuda-dialog');
+        // Clique fora do conteúdo fecha
+        dialogo.addEventListener('click', (e) => { if (e.target === dialogo) dialogo.close(); });
+    }
+    return dialogo;
+}
+
+// Limites de um tipo de ativo: regra geral e o texto de cada perfil
+function renderLimitesVerbete(limites) {
+    if (!limites) return '';
+    return `
+        <p><strong>Como o card ganha cor:</strong> ${escaparHtml(limites.regra)}</p>
+        ${limites.observacao ? `<p>${escaparHtml(limites.observacao)}</p>` : ''}
+        ${limites.perfis.length ? `<ul>${limites.perfis.map(p => `
+            <li><strong>${escaparHtml(p.label)}</strong>${p.personalizado ? ' (ajustado)' : ''}: ${escaparHtml(p.texto)}</li>`).join('')}
+        </ul>` : ''}`;
+}
+
+async function abrirAjuda(campo) {
+    const dialogo = dialogoAjuda();
+    const conteudo = document.getElementById('ajuda-conteudo');
+    conteudo.innerHTML = '<p>Carregando...</p>';
+    if (!dialogo.open) dialogo.showModal();
+
+    // Valor e cotação exibidos agora (podem ter mudado com a cotação ao vivo)
+    const lerCard = (id) => document.querySelector(`#${id} .value`)?.textContent.trim();
+    const params = new URLSearchParams({ tipo: contextoAjuda.tipo });
+    if (contextoAjuda.perfil) params.set('perfil', contextoAjuda.perfil);
+    const valor = lerCard(`card-${campo}`);
+    if (valor !== undefined) params.set('valor', valor);
+    const cotacao = lerCard('card-cotacao');
+    if (cotacao) params.set('cotacao', cotacao);
+
+    try {
+        const res = await fetchAutenticado(`/aprenda/glossario/${encodeURIComponent(campo)}?${params}`);
+        const verbete = await res.json();
+        if (!res.ok) throw new Error(verbete.error || 'Verbete indisponível');
+        const { explicacao } = verbete;
+        conteudo.innerHTML = `
+            <h3>${escaparHtml(verbete.termo)}</h3>
+            <p>${escaparHtml(verbete.definicao)}</p>
+            ${verbete.formula ? `<p><strong>Fórmula:</strong> <span class="formula">${escaparHtml(verbete.formula)}</span></p>` : ''}
+            ${explicacao ? `
+                <div class="ajuda-explicacao ${explicacao.classe}">
+                    <strong>${ROTULOS_CLASSE[explicacao.classe]}:</strong> ${escaparHtml(explicacao.motivo)}
+                </div>` : ''}
+            ${renderLimitesVerbete(verbete.limites[contextoAjuda.tipo])}
+            <p>${escaparHtml(verbete.comoLer)}</p>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 20px;">
+                <a href="secaoEducativa.html#${verbete.chave}">Ver no glossário e nos quizzes</a>
+                <button type="button" onclick="document.getElementById('ajuda-dialog').close()">Fechar</button>
+            </div>`;
+    } catch (error) {
+        conteudo.innerHTML = `
+            <div class="error-message">Erro ao carregar a ajuda: ${escaparHtml(error.message)}</div>
+            <button type="button" onclick="document.getElementById('ajuda-dialog').close()">Fechar</button>`;
+    }
+}
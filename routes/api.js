@@ -0,0 +1,104 @@
+import express from 'express';
+import { getAcaoData, getFiiData, hasCotacao } from '../lib/investidor10.js';
+import { loadAcaoAnalysis, getGrahamWarning } from '../lib/analysis.js';
+import { buildValuationReport, parseValuationParams } from '../lib/valuation.js';
+import { loadThresholdProfiles } from '../lib/thresholds.js';
+import { recordSnapshot, snapshotOnRefresh, getHistory } from '../lib/history.js';
+import { sendApiError, toApiAcao, toApiFii, toApiValuation } from '../lib/api.js';
+import { requireApiKey } from '../lib/apikeys.js';
+import { buildOpenApiSpec } from '../lib/openapi.js';
+
+// --- API PÚBLICA v1 (montada em /api/v1) ---
+// Só GET, autenticação por chave (lib/apikeys.js) e erros sempre em { error: { code, message } }
+export const apiRouter = express.Router();
+
+const TICKER = /^[A-Z0-9]{4,12}$/;
+
+// Documento público: dá para explorar a API antes de criar uma chave
+apiRouter.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec(req.baseUrl));
+});
+
+apiRouter.use(requireApiKey);
+
+apiRouter.param('ticker', (req, res, next, ticker) => {
+    const normalizado = String(ticker).toUpperCase();
+    if (!TICKER.test(normalizado)) return sendApiError(res, 400, 'invalid_ticker', `Ticker inválido: ${ticker}.`);
+    req.ticker = normalizado;
+    next();
+});
+
+apiRouter.get('/acoes/:ticker', async (req, res) => {
+    try {
+        const analise = await loadAcaoAnalysis(req.ticker, req.user.id);
+        if (!analise) return sendApiError(res, 404, 'not_found', `Ação ${req.ticker} não encontrada.`);
+        res.json(toApiAcao(req.ticker, analise));
+    } catch (error) {
+        console.error('❌ Erro na API (ação):', error.message);
+        sendApiError(res, 502, 'upstream_error', 'Erro ao buscar dados da ação.');
+    }
+});
+
+apiRouter.get('/acoes/:ticker/valuation', async (req, res) => {
+    const { error, params } = parseValuationParams(req.query);
+    if (error) return sendApiError(res, 400, 'invalid_parameter', error);
+    try {
+        const [{ data, fetchedAt, cacheHit }, perfis] = await Promise.all([
+            getAcaoData(req.ticker),
+            loadThresholdProfiles(req.user.id)
+        ]);
+        if (!hasCotacao(data)) return sendApiError(res, 404, 'not_found', `Ação ${req.ticker} não encontrada.`);
+        res.json({
+            ticker: req.ticker,
+            fetchedAt,
+            cacheHit,
+            ...toApiValuation(buildValuationReport(data, params)),
+            grahamAviso: getGrahamWarning(data, perfis)
+        });
+    } catch (error) {
+        console.error('❌ Erro na API (valuation):', error.message);
+        sendApiError(res, 502, 'upstream_error', 'Erro ao calcular valuation.');
+    }
+});
+
+apiRouter.get('/fiis/:ticker', async (req, res) => {
+    try {
+        const { data, fetchedAt, cacheHit } = await getFiiData(req.ticker, snapshotOnRefresh(req.ticker, 'fii'));
+        if (!hasCotacao(data)) return sendApiError(res, 404, 'not_found', `FII ${req.ticker} não encontrado.`);
+        recordSnapshot(req.ticker, 'fii', data, fetchedAt);
+        res.json(toApiFii(req.ticker, { data, fetchedAt, cacheHit }));
+    } catch (error) {
+        console.error('❌ Erro na API (FII):', error.message);
+        sendApiError(res, 502, 'upstream_error', 'Erro ao buscar dados do FII.');
+    }
+});
+
+apiRouter.get('/historico/:ticker', async (req, res) => {
+    const { tipo = 'acao', dias = '365' } = req.query;
+    if (!['acao', 'fii'].includes(tipo)) return sendApiError(res, 400, 'invalid_parameter', 'tipo deve ser "acao" ou "fii".');
+    const numDias = Number(dias);
+    if (!Number.isInteger(numDias) || numDias < 1 || numDias > 3650) {
+        return sendApiError(res, 400, 'invalid_parameter', 'dias deve ser um inteiro entre 1 e 3650.');
+    }
+    try {
+        res.json(await getHistory(req.ticker, tipo, numDias));
+    } catch (error) {
+        console.error('❌ Erro na API (histórico):', error.message);
+        sendApiError(res, 500, 'internal_error', 'Erro ao buscar histórico.');
+    }
+});
+
+apiRouter.get('/uso', (req, res) => {
+    const { nome, prefixo, cotaDiaria, usadasHoje, renovaEm } = req.apiKey;
+    res.json({
+        chave: { nome, prefixo },
+        cotaDiaria,
+        usadasHoje,
+        restantes: Math.max(cotaDiaria - usadasHoje, 0),
+        renovaEm: renovaEm.toISOString()
+    });
+});
+
+apiRouter.use((req, res) => {
+    sendApiError(res, 404, 'not_found', `Recurso não encontrado: ${req.method} ${req.baseUrl}${req.path}.`);
+});
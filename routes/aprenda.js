@@ -0,0 +1,79 @@
+import express from 'express';
+import { loadThresholdProfiles } from '../lib/thresholds.js';
+import { GLOSSARY, GLOSSARY_TIPOS, resolveGlossaryKey, searchGlossary, buildGlossaryEntry } from '../lib/glossary.js';
+import { listQuizzes, findQuiz, gradeQuiz, saveQuizResult, markTermRead, loadProgress } from '../lib/learning.js';
+
+// --- ROTAS DA SEÇÃO APRENDA (montadas em /aprenda, sempre com requireAuth) ---
+export const aprendaRouter = express.Router();
+
+// null = sem filtro; undefined = tipo inválido
+const parseTipo = (tipo) => {
+    if (tipo === undefined || tipo === '') return null;
+    return GLOSSARY_TIPOS.includes(tipo) ? tipo : undefined;
+};
+
+// ?q= busca sem acento; ?tipo=acao|fii filtra
+aprendaRouter.get('/glossario', (req, res) => {
+    const tipo = parseTipo(req.query.tipo);
+    if (tipo === undefined) return res.status(400).json({ error: 'tipo deve ser "acao" ou "fii".' });
+    const termos = searchGlossary(String(req.query.q || '').slice(0, 100), tipo);
+    res.json({ termos, total: Object.keys(GLOSSARY).length });
+});
+
+/**
+ * Verbete pelo campo da resposta de /buscar ou /buscar-fii (xpiPotencial -> potencial).
+ * Vindo de um card: tipo, perfil (perfilLimites.chave ou score.perfil), valor e cotacao
+ * exibidos, para explicar a cor. Abrir o verbete conta como lido no progresso.
+ */
+aprendaRouter.get('/glossario/:campo', async (req, res) => {
+    const chave = resolveGlossaryKey(req.params.campo);
+    if (!chave) return res.status(404).json({ error: `Termo não encontrado no glossário: ${req.params.campo}.` });
+    const tipo = parseTipo(req.query.tipo);
+    if (tipo === undefined) return res.status(400).json({ error: 'tipo deve ser "acao" ou "fii".' });
+    const texto = (v) => (v === undefined ? undefined : String(v).slice(0, 60));
+
+    try {
+        const usaPerfisAcao = GLOSSARY[chave].tipos.includes('acao') && tipo !== 'fii';
+        const perfis = usaPerfisAcao ? await loadThresholdProfiles(req.user.id) : undefined;
+        const verbete = buildGlossaryEntry(chave, {
+            tipo,
+            perfis,
+            perfil: req.query.perfil ? String(req.query.perfil) : null,
+            valor: texto(req.query.valor),
+            cotacao: texto(req.query.cotacao) ?? null
+        });
+        markTermRead(req.user.id, chave).catch(err => console.error('❌ Erro ao registrar verbete lido:', err.message));
+        res.json(verbete);
+    } catch (error) {
+        console.error('❌ Erro ao carregar verbete:', error.message);
+        res.status(500).json({ error: 'Erro ao carregar o verbete.' });
+    }
+});
+
+aprendaRouter.get('/quizzes', (req, res) => {
+    res.json(listQuizzes());
+});
+
+// Corpo: { respostas: [índice da opção escolhida em cada pergunta] }
+aprendaRouter.post('/quizzes/:id', async (req, res) => {
+    const quiz = findQuiz(req.params.id);
+    if (!quiz) return res.status(404).json({ error: 'Quiz não encontrado.' });
+    const resultado = gradeQuiz(quiz, req.body?.respostas);
+    if (resultado.error) return res.status(400).json({ error: resultado.error });
+    try {
+        await saveQuizResult(req.user.id, resultado);
+        res.json(resultado);
+    } catch (error) {
+        console.error('❌ Erro ao salvar quiz:', error.message);
+        res.status(500).json({ error: 'Erro ao salvar o resultado do quiz.' });
+    }
+});
+
+aprendaRouter.get('/progresso', async (req, res) => {
+    try {
+        res.json(await loadProgress(req.user.id));
+    } catch (error) {
+        console.error('❌ Erro ao carregar progresso:', error.message);
+        res.status(500).json({ error: 'Erro ao carregar o progresso.' });
+    }
+});
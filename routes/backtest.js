@@ -0,0 +1,64 @@
+import express from 'express';
+import { getAcaoData } from '../lib/investidor10.js';
+import {
+    parseBacktestParams, parsePriceCsv, parseBenchmarkCsv, runBacktest, loadSnapshotPrices, attachDividends
+} from '../lib/backtest.js';
+
+// --- BACKTEST (montadas em /backtest, sempre com requireAuth, antes do parser JSON global) ---
+export const backtestRouter = express.Router();
+// Os CSVs de preços vão no corpo: limite maior que o padrão de 100 kB
+backtestRouter.use(express.json({ limit: '5mb' }));
+
+const TICKER = /^[A-Z0-9]{4,12}$/;
+
+/**
+ * Corpo JSON: fonte 'csv' (csv com os preços) ou 'historico' (ticker, com os snapshots guardados),
+ * indiceCsv opcional e as premissas de parseBacktestParams. Os CSVs vão como texto, lidos na página.
+ */
+backtestRouter.post('/', async (req, res) => {
+    const body = req.body || {};
+    const { error, params } = parseBacktestParams(body);
+    if (error) return res.status(400).json({ error });
+    const fonte = body.fonte === 'historico' ? 'historico' : 'csv';
+    const avisos = [];
+
+    try {
+        let pontos;
+        let indice = null;
+        let ticker = null;
+        if (fonte === 'historico') {
+            ticker = String(body.ticker || '').trim().toUpperCase();
+            if (!TICKER.test(ticker)) return res.status(400).json({ error: 'Informe um ticker válido.' });
+            pontos = await loadSnapshotPrices(ticker);
+            if (pontos.length < 2) {
+                return res.status(404).json({ error: `Histórico insuficiente de ${ticker}: o app guarda um ponto por dia em que o ativo é buscado. Envie um CSV de preços.` });
+            }
+            // Proventos recentes da página do ativo; sem eles o backtest roda só com o preço
+            try {
+                const { data } = await getAcaoData(ticker);
+                pontos = attachDividends(pontos, data.dividendos);
+            } catch (e) {
+                avisos.push('Não foi possível buscar os proventos do ativo agora.');
+            }
+        } else {
+            const precos = parsePriceCsv(body.csv);
+            if (precos.error) return res.status(400).json({ error: precos.error });
+            pontos = precos.pontos;
+            if (precos.indice.length) indice = precos.indice;
+            if (body.ticker && TICKER.test(String(body.ticker).trim().toUpperCase())) ticker = String(body.ticker).trim().toUpperCase();
+        }
+
+        if (body.indiceCsv) {
+            const lido = parseBenchmarkCsv(body.indiceCsv);
+            if (lido.error) return res.status(400).json({ error: lido.error });
+            indice = lido.serie;
+        }
+
+        const resultado = runBacktest(pontos, params, indice);
+        if (resultado.error) return res.status(400).json({ error: resultado.error });
+        res.json({ ticker, fonte, ...resultado, avisos: [...avisos, ...resultado.avisos] });
+    } catch (error) {
+        console.error('❌ Erro no backtest:', error.message);
+        res.status(500).json({ error: 'Erro ao rodar o backtest.' });
+    }
+});
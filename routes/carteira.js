@@ -0,0 +1,133 @@
+import express from 'express';
+import {
+    parseTransactionInput, toTransactionResponse, toEventResponse, buildPositions, buildSummary, toRow, toEventRow,
+    listTransactions, listEvents, insertTransaction, updateTransaction, deleteTransaction, insertImport
+} from '../lib/portfolio.js';
+import { parseIncomeParams, projectIncome } from '../lib/income.js';
+import { buildImportPreview, prepareImport } from '../lib/importer.js';
+
+// --- ROTAS DA CARTEIRA (montadas em /carteira, sempre com requireAuth) ---
+export const carteiraRouter = express.Router();
+
+// Recalcula as posições com a alteração aplicada; devolve a mensagem de erro se alguma ficar negativa
+function checkPositions(rows, eventos = []) {
+    try {
+        buildPositions(rows, eventos);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+carteiraRouter.get('/transacoes', async (req, res) => {
+    try {
+        const rows = await listTransactions(req.user.id);
+        res.json(rows.map(toTransactionResponse));
+    } catch (error) { res.status(500).json({ error: 'Erro ao listar transações.' }); }
+});
+
+carteiraRouter.post('/transacoes', async (req, res) => {
+    const { error, transaction } = parseTransactionInput(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        const conflict = checkPositions([...rows, toRow(Number.MAX_SAFE_INTEGER, transaction)], eventos);
+        if (conflict) return res.status(400).json({ error: conflict });
+        const id = await insertTransaction(req.user.id, transaction);
+        res.status(201).json(toTransactionResponse(toRow(id, transaction)));
+    } catch (error) { res.status(500).json({ error: 'Erro ao salvar transação.' }); }
+});
+
+carteiraRouter.put('/transacoes/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    const { error, transaction } = parseTransactionInput(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        if (!rows.some(r => r.id === id)) return res.status(404).json({ error: 'Transação não encontrada.' });
+        const conflict = checkPositions(rows.map(r => r.id === id ? toRow(id, transaction) : r), eventos);
+        if (conflict) return res.status(400).json({ error: conflict });
+        await updateTransaction(req.user.id, id, transaction);
+        res.json(toTransactionResponse(toRow(id, transaction)));
+    } catch (error) { res.status(500).json({ error: 'Erro ao atualizar transação.' }); }
+});
+
+carteiraRouter.delete('/transacoes/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        if (!rows.some(r => r.id === id)) return res.status(404).json({ error: 'Transação não encontrada.' });
+        const conflict = checkPositions(rows.filter(r => r.id !== id), eventos);
+        if (conflict) return res.status(400).json({ error: conflict });
+        await deleteTransaction(req.user.id, id);
+        res.json({ message: 'Transação removida.' });
+    } catch (error) { res.status(500).json({ error: 'Erro ao remover transação.' }); }
+});
+
+carteiraRouter.get('/resumo', async (req, res) => {
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        res.json(await buildSummary(rows, eventos));
+    } catch (error) {
+        console.error('❌ Erro no resumo da carteira:', error.message);
+        res.status(500).json({ error: 'Erro ao calcular a carteira.' });
+    }
+});
+
+// Calendário de proventos dos próximos 12 meses + simulação de reinvestimento (?anos=10&aporte=500&reinvestir=true)
+carteiraRouter.get('/renda', async (req, res) => {
+    const { error, params } = parseIncomeParams(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        res.json(await projectIncome(rows, params, eventos));
+    } catch (error) {
+        console.error('❌ Erro na projeção de renda:', error.message);
+        res.status(500).json({ error: 'Erro ao projetar a renda da carteira.' });
+    }
+});
+
+carteiraRouter.get('/eventos', async (req, res) => {
+    try {
+        const eventos = await listEvents(req.user.id);
+        res.json(eventos.map(toEventResponse));
+    } catch (error) { res.status(500).json({ error: 'Erro ao listar eventos.' }); }
+});
+
+// --- IMPORTAÇÃO (extratos da B3 / corretora; montadas em /carteira/importacao, antes do parser JSON global) ---
+export const importacaoRouter = express.Router();
+
+// Passo 1: o arquivo vem cru no corpo (CSV ou XLSX); nada é gravado, só devolvemos a prévia
+importacaoRouter.post('/previa', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: 'Envie o arquivo CSV ou XLSX.' });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        const previa = await buildImportPreview(req.body, rows, eventos);
+        if (previa.error) return res.status(400).json({ error: previa.error });
+        res.json(previa);
+    } catch (error) {
+        console.error('❌ Erro na prévia de importação:', error.message);
+        res.status(500).json({ error: 'Erro ao ler o arquivo.' });
+    }
+});
+
+// Passo 2: o usuário confirma os itens da prévia (já com o tipo corrigido, se for o caso)
+importacaoRouter.post('/confirmar', express.json({ limit: '2mb' }), async (req, res) => {
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        const importacao = prepareImport(req.body, rows, eventos);
+        if (importacao.error) return res.status(400).json({ error: importacao.error });
+        const novosEventos = importacao.eventos.map((e, i) => toEventRow(Number.MAX_SAFE_INTEGER - importacao.eventos.length + i, e));
+        const conflict = checkPositions([...rows, ...importacao.linhas], [...eventos, ...novosEventos]);
+        if (conflict) return res.status(400).json({ error: `${conflict} Importe também as operações anteriores desse ativo.` });
+        await insertImport(req.user.id, importacao.transacoes, importacao.eventos);
+        res.status(201).json({
+            transacoes: importacao.transacoes.length,
+            eventos: importacao.eventos.length,
+            duplicadas: importacao.duplicadas
+        });
+    } catch (error) {
+        console.error('❌ Erro ao importar:', error.message);
+        res.status(500).json({ error: 'Erro ao gravar a importação.' });
+    }
+});
@@ -0,0 +1,132 @@
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { getSessionToken, clearSessionCookie, revokeUserSessions } from '../lib/auth.js';
+import {
+    validatePassword, isValidEmail, requestPasswordReset, findPasswordReset, consumePasswordReset,
+    findUserById, updatePassword, deleteAccount
+} from '../lib/account.js';
+import { loginLimiter, resetLimiter, rejectIfLimited } from '../lib/ratelimit.js';
+import { parseApiKeyName, createApiKey, listApiKeys, revokeApiKey } from '../lib/apikeys.js';
+
+// Base dos links enviados por e-mail; nunca vem do cabeçalho Host da requisição
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// --- REDEFINIÇÃO DE SENHA (montadas em /senha, sem login) ---
+export const senhaRouter = express.Router();
+
+// Responde igual tendo ou não cadastro; o envio roda em segundo plano
+senhaRouter.post('/esqueci', (req, res) => {
+    const { email } = req.body || {};
+    if (!isValidEmail(email)) return res.status(400).json({ error: 'Informe um e-mail válido.' });
+    const alvo = { ip: req.ip, email };
+    if (rejectIfLimited(res, resetLimiter.check(alvo))) return;
+    resetLimiter.fail(alvo);
+    requestPasswordReset(email, appUrl())
+        .catch(e => console.error('❌ Erro ao enviar redefinição de senha:', e.message));
+    res.json({ message: 'Se o e-mail tiver cadastro, enviaremos um link para redefinir a senha.' });
+});
+
+senhaRouter.post('/redefinir', async (req, res) => {
+    const { token, password } = req.body || {};
+    try {
+        const pedido = await findPasswordReset(token);
+        if (!pedido) return res.status(400).json({ error: 'Link inválido ou expirado. Peça uma nova redefinição.' });
+        const erroSenha = validatePassword(password, pedido.email);
+        if (erroSenha) return res.status(400).json({ error: erroSenha });
+        if (!await consumePasswordReset(token)) return res.status(400).json({ error: 'Link inválido ou expirado. Peça uma nova redefinição.' });
+
+        await updatePassword(pedido.userId, password);
+        await revokeUserSessions(pedido.userId);
+        loginLimiter.reset({ email: pedido.email });
+        res.json({ message: 'Senha redefinida. Entre com a nova senha.' });
+    } catch (error) {
+        console.error('❌ Erro ao redefinir senha:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
+
+// --- CONTA DO USUÁRIO LOGADO (montadas em /conta, sempre com requireAuth) ---
+export const contaRouter = express.Router();
+
+// Confere a senha atual com o mesmo limite de tentativas do login; responde e devolve null se falhar.
+// 403 e não 401: o 401 faria a página mandar para o login (public/auth.js)
+async function conferirSenha(req, res, senha) {
+    const alvo = { ip: req.ip, email: req.user.email };
+    if (rejectIfLimited(res, loginLimiter.check(alvo))) return null;
+    const user = await findUserById(req.user.id);
+    if (!user) {
+        res.status(404).json({ error: 'Conta não encontrada.' });
+        return null;
+    }
+    if (typeof senha !== 'string' || !await bcrypt.compare(senha, user.password_hash)) {
+        if (!rejectIfLimited(res, loginLimiter.fail(alvo))) res.status(403).json({ error: 'Senha atual incorreta.' });
+        return null;
+    }
+    loginLimiter.reset({ email: req.user.email });
+    return user;
+}
+
+// Troca a senha e derruba as outras sessões (a atual continua logada)
+contaRouter.put('/senha', async (req, res) => {
+    const { senhaAtual, novaSenha } = req.body || {};
+    const erroSenha = validatePassword(novaSenha, req.user.email);
+    if (erroSenha) return res.status(400).json({ error: erroSenha });
+    if (novaSenha === senhaAtual) return res.status(400).json({ error: 'A nova senha deve ser diferente da atual.' });
+    try {
+        if (!await conferirSenha(req, res, senhaAtual)) return;
+        await updatePassword(req.user.id, novaSenha);
+        await revokeUserSessions(req.user.id, getSessionToken(req));
+        res.json({ message: 'Senha alterada. Outras sessões abertas foram encerradas.' });
+    } catch (error) {
+        console.error('❌ Erro ao trocar senha:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
+
+// Exclui a conta e, em cascata, todos os dados do usuário
+contaRouter.delete('/', async (req, res) => {
+    const { senha } = req.body || {};
+    try {
+        if (!await conferirSenha(req, res, senha)) return;
+        await deleteAccount(req.user.id);
+        clearSessionCookie(res);
+        res.json({ message: 'Conta excluída.' });
+    } catch (error) {
+        console.error('❌ Erro ao excluir conta:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
+
+// --- CHAVES DA API PÚBLICA (/api/v1) ---
+contaRouter.get('/chaves', async (req, res) => {
+    try {
+        res.json(await listApiKeys(req.user.id));
+    } catch (error) {
+        console.error('❌ Erro ao listar chaves de API:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
+
+// A chave completa só vai nesta resposta; depois disso fica só o prefixo
+contaRouter.post('/chaves', async (req, res) => {
+    const { error, nome } = parseApiKeyName(req.body?.nome);
+    if (error) return res.status(400).json({ error });
+    try {
+        const chave = await createApiKey(req.user.id, nome);
+        if (chave.error) return res.status(400).json({ error: chave.error });
+        res.status(201).json(chave);
+    } catch (error) {
+        console.error('❌ Erro ao criar chave de API:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
+
+contaRouter.delete('/chaves/:id', async (req, res) => {
+    try {
+        if (!await revokeApiKey(req.user.id, req.params.id)) return res.status(404).json({ error: 'Chave não encontrada.' });
+        res.json({ message: 'Chave revogada.' });
+    } catch (error) {
+        console.error('❌ Erro ao revogar chave de API:', error.message);
+        res.status(500).json({ error: 'Erro no servidor.' });
+    }
+});
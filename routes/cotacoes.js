@@ -0,0 +1,25 @@
+import express from 'express';
+import { parseStreamTickers, subscribeQuotes } from '../lib/quotes.js';
+
+// --- COTAÇÕES AO VIVO (montadas em /cotacoes, sempre com requireAuth) ---
+export const cotacoesRouter = express.Router();
+
+// EventSource: GET /cotacoes/stream?tickers=PETR4,VALE3&tipo=acao
+// Eventos: "cotacao" quando o preço muda e "mercado" com o estado do pregão e a próxima rodada
+cotacoesRouter.get('/stream', (req, res) => {
+    const { error, ativos } = parseStreamTickers(req.query);
+    if (error) return res.status(400).json({ error });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Reconexão automática do navegador depois de 15 s se a conexão cair
+    res.write('retry: 15000\n\n');
+
+    const cancelar = subscribeQuotes(res, ativos);
+    req.on('close', cancelar);
+});
@@ -0,0 +1,52 @@
+import express from 'express';
+import { listTransactions, listEvents } from '../lib/portfolio.js';
+import {
+    computeMonthlyTax, summarizeTaxYear, buildBensDireitos, parseTaxYear,
+    parseCarryoverInput, getCarryover, saveCarryover
+} from '../lib/tax.js';
+
+// --- ROTAS DE IMPOSTO DE RENDA (montadas em /ir, sempre com requireAuth) ---
+export const irRouter = express.Router();
+
+// Apuração mensal e DARFs do ano (?ano=2025); a compensação de prejuízos considera todo o histórico
+irRouter.get('/apuracao', async (req, res) => {
+    const { error, ano } = parseTaxYear(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [rows, eventos, prejuizos] = await Promise.all([
+            listTransactions(req.user.id), listEvents(req.user.id), getCarryover(req.user.id)
+        ]);
+        res.json({ ...summarizeTaxYear(computeMonthlyTax(rows, prejuizos, eventos), ano), prejuizoInicial: prejuizos });
+    } catch (error) {
+        console.error('❌ Erro na apuração de IR:', error.message);
+        res.status(500).json({ error: 'Erro ao calcular o imposto.' });
+    }
+});
+
+// Posições em 31/12 para a ficha Bens e Direitos (?ano=2025)
+irRouter.get('/bens-direitos', async (req, res) => {
+    const { error, ano } = parseTaxYear(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        res.json(buildBensDireitos(rows, ano, eventos));
+    } catch (error) {
+        console.error('❌ Erro em Bens e Direitos:', error.message);
+        res.status(500).json({ error: 'Erro ao montar Bens e Direitos.' });
+    }
+});
+
+irRouter.get('/prejuizos', async (req, res) => {
+    try {
+        res.json(await getCarryover(req.user.id));
+    } catch (error) { res.status(500).json({ error: 'Erro ao buscar prejuízos.' }); }
+});
+
+irRouter.put('/prejuizos', async (req, res) => {
+    const { error, prejuizos } = parseCarryoverInput(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        await saveCarryover(req.user.id, prejuizos);
+        res.json(prejuizos);
+    } catch (error) { res.status(500).json({ error: 'Erro ao salvar prejuízos.' }); }
+});
@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+    ACAO_INDICATORS, loadThresholdProfiles, parseThresholdInput, saveThresholdOverride, deleteThresholdOverride
+} from '../lib/thresholds.js';
+
+// --- ROTAS DOS LIMITES DE INDICADORES (montadas em /limites, sempre com requireAuth) ---
+export const limitesRouter = express.Router();
+
+const toProfileResponse = (chave, p) => ({
+    chave, label: p.label, setores: p.setores, segmentos: p.segmentos,
+    grahamConfiavel: p.grahamConfiavel, limites: p.limites, personalizado: p.personalizado, padrao: p.padrao
+});
+
+// Perfis com os ajustes do usuário e a definição dos indicadores (direção e unidade)
+limitesRouter.get('/', async (req, res) => {
+    try {
+        const perfis = await loadThresholdProfiles(req.user.id);
+        res.json({
+            indicadores: ACAO_INDICATORS,
+            perfis: Object.entries(perfis).map(([chave, p]) => toProfileResponse(chave, p))
+        });
+    } catch (error) {
+        console.error('❌ Erro ao carregar limites:', error.message);
+        res.status(500).json({ error: 'Erro ao carregar os limites.' });
+    }
+});
+
+limitesRouter.put('/:perfil', async (req, res) => {
+    const { error, override } = parseThresholdInput(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+        const perfis = await loadThresholdProfiles(req.user.id);
+        if (!Object.hasOwn(perfis, req.params.perfil)) return res.status(404).json({ error: 'Perfil não encontrado.' });
+        await saveThresholdOverride(req.user.id, req.params.perfil, override);
+        const atualizados = await loadThresholdProfiles(req.user.id);
+        res.json(toProfileResponse(req.params.perfil, atualizados[req.params.perfil]));
+    } catch (error) {
+        console.error('❌ Erro ao salvar limites:', error.message);
+        res.status(500).json({ error: 'Erro ao salvar os limites.' });
+    }
+});
+
+// Volta o perfil aos limites embutidos
+limitesRouter.delete('/:perfil', async (req, res) => {
+    try {
+        const removido = await deleteThresholdOverride(req.user.id, req.params.perfil);
+        if (!removido) return res.status(404).json({ error: 'Perfil sem ajustes.' });
+        res.json({ message: 'Limites restaurados.' });
+    } catch (error) {
+        console.error('❌ Erro ao restaurar limites:', error.message);
+        res.status(500).json({ error: 'Erro ao restaurar os limites.' });
+    }
+});
@@ -0,0 +1,60 @@
+import express from 'express';
+import { listTransactions, listEvents } from '../lib/portfolio.js';
+import {
+    REPORT_FORMATS, buildAssetReport, buildPortfolioReport, reportToCsv, renderReportHtml, renderPdf
+} from '../lib/report.js';
+
+// --- ROTAS DE RELATÓRIO (montadas em /relatorio, sempre com requireAuth) ---
+export const relatorioRouter = express.Router();
+
+// O ticker vai para o scraping e para o nome do arquivo no Content-Disposition
+const TICKER = /^[A-Z0-9]{4,12}$/;
+
+async function sendReport(res, report, format, nomeArquivo) {
+    const data = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}-${data}.csv"`);
+        // BOM para o Excel abrir acentos corretamente
+        return res.send('\uFEFF' + reportToCsv(report));
+    }
+    const pdf = await renderPdf(renderReportHtml(report));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}-${data}.pdf"`);
+    res.send(Buffer.from(pdf));
+}
+
+function parseFormat(req) {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    return REPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Registrada antes de /:ticker para "carteira" não ser lido como ticker
+relatorioRouter.get('/carteira', async (req, res) => {
+    const format = parseFormat(req);
+    if (!format) return res.status(400).json({ error: `Formato inválido. Use ${REPORT_FORMATS.join(' ou ')}.` });
+    try {
+        const [rows, eventos] = await Promise.all([listTransactions(req.user.id), listEvents(req.user.id)]);
+        await sendReport(res, await buildPortfolioReport(rows, eventos), format, 'carteira');
+    } catch (error) {
+        console.error('❌ Erro no relatório da carteira:', error.message);
+        res.status(500).json({ error: 'Erro ao gerar relatório.' });
+    }
+});
+
+// ?format=pdf|csv&tipo=acao|fii
+relatorioRouter.get('/:ticker', async (req, res) => {
+    const format = parseFormat(req);
+    if (!format) return res.status(400).json({ error: `Formato inválido. Use ${REPORT_FORMATS.join(' ou ')}.` });
+    const ticker = String(req.params.ticker).toUpperCase();
+    if (!TICKER.test(ticker)) return res.status(400).json({ error: `Ticker inválido: ${req.params.ticker}.` });
+    const tipo = req.query.tipo === 'fii' ? 'fii' : 'acao';
+    try {
+        const report = await buildAssetReport(ticker, tipo, req.user.id);
+        if (!report) return res.status(404).json({ error: 'Ativo não encontrado ou erro ao ler página.' });
+        await sendReport(res, report, format, report.ticker);
+    } catch (error) {
+        console.error('❌ Erro no relatório:', error.message);
+        res.status(500).json({ error: 'Erro ao gerar relatório.' });
+    }
+});
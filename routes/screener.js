@@ -0,0 +1,36 @@
+import express from 'express';
+import { UNIVERSES } from '../lib/universes.js';
+import {
+    SCREENER_FIELDS, parseScreenerInput, startScreenerJob, getScreenerJob, cancelScreenerJob
+} from '../lib/screener.js';
+
+// --- ROTAS DO SCREENER (montadas em /screener, sempre com requireAuth) ---
+export const screenerRouter = express.Router();
+
+// Universos e campos disponíveis (para montar o formulário)
+screenerRouter.get('/opcoes', (req, res) => {
+    res.json({
+        universos: Object.entries(UNIVERSES).map(([id, u]) => ({ id, label: u.label, tipo: u.tipo, quantidade: u.tickers.length })),
+        campos: SCREENER_FIELDS
+    });
+});
+
+// Inicia o job e responde na hora; o progresso é consultado em GET /screener/:id
+screenerRouter.post('/', (req, res) => {
+    const { error, params } = parseScreenerInput(req.body);
+    if (error) return res.status(400).json({ error });
+    const started = startScreenerJob(req.user.id, params);
+    if (started.error) return res.status(409).json({ error: started.error, job: started.job });
+    res.status(202).json(started.job);
+});
+
+screenerRouter.get('/:id', (req, res) => {
+    const job = getScreenerJob(req.user.id, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Screener não encontrado.' });
+    res.json(job);
+});
+
+screenerRouter.delete('/:id', (req, res) => {
+    if (!cancelScreenerJob(req.user.id, req.params.id)) return res.status(404).json({ error: 'Screener não encontrado.' });
+    res.json({ message: 'Screener cancelado.' });
+});
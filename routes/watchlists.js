@@ -0,0 +1,134 @@
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { ALERT_RULES } from '../lib/alerts.js';
+import { ASSET_TYPES } from '../lib/portfolio.js';
+
+// --- ROTAS DE WATCHLISTS (montadas em /watchlists, sempre com requireAuth) ---
+export const watchlistsRouter = express.Router();
+
+async function findOwnWatchlist(userId, id) {
+    const [rows] = await pool.execute('SELECT * FROM watchlists WHERE id = ? AND user_id = ?', [id, userId]);
+    return rows[0] || null;
+}
+
+// Tipos de regra disponíveis (para montar o formulário)
+watchlistsRouter.get('/regras', (req, res) => {
+    res.json(Object.entries(ALERT_RULES).map(([tipo, r]) => ({
+        tipo, label: r.label, ativos: r.tipos, limitePadrao: r.defaultThreshold ?? null
+    })));
+});
+
+watchlistsRouter.get('/', async (req, res) => {
+    try {
+        const [lists] = await pool.execute('SELECT id, name FROM watchlists WHERE user_id = ? ORDER BY name', [req.user.id]);
+        const [items] = await pool.execute(
+            `SELECT i.watchlist_id, i.ticker, i.asset_type FROM watchlist_items i
+             JOIN watchlists w ON w.id = i.watchlist_id WHERE w.user_id = ? ORDER BY i.ticker`, [req.user.id]
+        );
+        const [rules] = await pool.execute(
+            `SELECT r.id, r.watchlist_id, r.rule_type, r.threshold FROM alert_rules r
+             JOIN watchlists w ON w.id = r.watchlist_id WHERE w.user_id = ? ORDER BY r.id`, [req.user.id]
+        );
+        res.json(lists.map(w => ({
+            id: w.id,
+            nome: w.name,
+            ativos: items.filter(i => i.watchlist_id === w.id).map(i => ({ ticker: i.ticker, tipo: i.asset_type })),
+            alertas: rules.filter(r => r.watchlist_id === w.id).map(r => ({
+                id: r.id, tipo: r.rule_type, limite: r.threshold, label: ALERT_RULES[r.rule_type]?.label || r.rule_type
+            }))
+        })));
+    } catch (error) { res.status(500).json({ error: 'Erro ao listar watchlists.' }); }
+});
+
+watchlistsRouter.post('/', async (req, res) => {
+    const nome = String(req.body.nome || '').trim();
+    if (!nome || nome.length > 100) return res.status(400).json({ error: 'Nome da lista obrigatório (até 100 caracteres).' });
+    try {
+        const [result] = await pool.execute('INSERT INTO watchlists (user_id, name) VALUES (?, ?)', [req.user.id, nome]);
+        res.status(201).json({ id: result.insertId, nome, ativos: [], alertas: [] });
+    } catch (error) { res.status(500).json({ error: 'Erro ao criar watchlist.' }); }
+});
+
+watchlistsRouter.delete('/:id', async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM watchlists WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Watchlist não encontrada.' });
+        res.json({ message: 'Watchlist removida.' });
+    } catch (error) { res.status(500).json({ error: 'Erro ao remover watchlist.' }); }
+});
+
+watchlistsRouter.post('/:id/ativos', async (req, res) => {
+    const ticker = String(req.body.ticker || '').trim().toUpperCase();
+    const tipo = String(req.body.tipo || 'acao').toLowerCase();
+    if (!/^[A-Z0-9]{4,11}$/.test(ticker)) return res.status(400).json({ error: 'Ticker inválido.' });
+    if (!ASSET_TYPES.includes(tipo)) return res.status(400).json({ error: "Tipo deve ser 'acao' ou 'fii'." });
+    try {
+        if (!await findOwnWatchlist(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist não encontrada.' });
+        await pool.execute(
+            'INSERT IGNORE INTO watchlist_items (watchlist_id, ticker, asset_type) VALUES (?, ?, ?)',
+            [req.params.id, ticker, tipo]
+        );
+        res.status(201).json({ ticker, tipo });
+    } catch (error) { res.status(500).json({ error: 'Erro ao adicionar ativo.' }); }
+});
+
+watchlistsRouter.delete('/:id/ativos/:ticker', async (req, res) => {
+    try {
+        if (!await findOwnWatchlist(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist não encontrada.' });
+        await pool.execute(
+            'DELETE FROM watchlist_items WHERE watchlist_id = ? AND ticker = ?',
+            [req.params.id, req.params.ticker.toUpperCase()]
+        );
+        res.json({ message: 'Ativo removido.' });
+    } catch (error) { res.status(500).json({ error: 'Erro ao remover ativo.' }); }
+});
+
+watchlistsRouter.post('/:id/alertas', async (req, res) => {
+    const tipo = String(req.body.tipo || '');
+    const rule = ALERT_RULES[tipo];
+    if (!rule) return res.status(400).json({ error: 'Tipo de alerta inválido.' });
+    let limite = null;
+    if (rule.defaultThreshold !== undefined) {
+        limite = req.body.limite === undefined || req.body.limite === '' ? rule.defaultThreshold : Number(req.body.limite);
+        if (!Number.isFinite(limite)) return res.status(400).json({ error: 'Limite inválido.' });
+    }
+    try {
+        if (!await findOwnWatchlist(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist não encontrada.' });
+        const [result] = await pool.execute(
+            'INSERT INTO alert_rules (watchlist_id, rule_type, threshold) VALUES (?, ?, ?)',
+            [req.params.id, tipo, limite]
+        );
+        res.status(201).json({ id: result.insertId, tipo, limite, label: rule.label });
+    } catch (error) { res.status(500).json({ error: 'Erro ao criar alerta.' }); }
+});
+
+watchlistsRouter.delete('/:id/alertas/:ruleId', async (req, res) => {
+    try {
+        if (!await findOwnWatchlist(req.user.id, req.params.id)) return res.status(404).json({ error: 'Watchlist não encontrada.' });
+        await pool.execute('DELETE FROM alert_rules WHERE id = ? AND watchlist_id = ?', [req.params.ruleId, req.params.id]);
+        res.json({ message: 'Alerta removido.' });
+    } catch (error) { res.status(500).json({ error: 'Erro ao remover alerta.' }); }
+});
+
+// --- NOTIFICAÇÕES (montadas em /notificacoes) ---
+export const notificacoesRouter = express.Router();
+
+notificacoesRouter.get('/', async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT id, ticker, message, created_at, read_at FROM notifications
+             WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 50`, [req.user.id]
+        );
+        res.json({
+            naoLidas: rows.filter(r => !r.read_at).length,
+            itens: rows.map(r => ({ id: r.id, ticker: r.ticker, mensagem: r.message, data: r.created_at, lida: Boolean(r.read_at) }))
+        });
+    } catch (error) { res.status(500).json({ error: 'Erro ao listar notificações.' }); }
+});
+
+notificacoesRouter.post('/lidas', async (req, res) => {
+    try {
+        await pool.execute('UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL', [req.user.id]);
+        res.json({ message: 'Notificações marcadas como lidas.' });
+    } catch (error) { res.status(500).json({ error: 'Erro ao atualizar notificações.' }); }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePassword, isValidEmail, buildResetEmail } from '../lib/account.js';
+import { createRateLimiter } from '../lib/ratelimit.js';
+import { createMemoryMailer, setMailer, sendMail, createConsoleMailer } from '../lib/mailer.js';
+
+const MIN = 60 * 1000;
+
+test('política de senha no cadastro', () => {
+    assert.match(validatePassword(''), /Informe/);
+    assert.match(validatePassword('abc123'), /8 caracteres/);
+    assert.match(validatePassword('somenteletras'), /letras e números/);
+    assert.match(validatePassword('12345678901'), /letras e números/);
+    assert.match(validatePassword('Senha123'), /comum/);
+    assert.match(validatePassword('maria.silva2024', 'maria.silva@email.com'), /e-mail/);
+    assert.match(validatePassword('á1'.repeat(30)), /72 bytes/);
+    assert.equal(validatePassword('cavalo correto 42', 'maria@email.com'), null);
+    assert.equal(isValidEmail('maria@email.com'), true);
+    assert.equal(isValidEmail('maria email.com'), false);
+});
+
+test('bloqueia o e-mail depois de 5 falhas e libera quando o bloqueio vence', () => {
+    let agora = 0;
+    const limiter = createRateLimiter({
+        email: { max: 5, janelaMs: 15 * MIN, bloqueioMs: 15 * MIN },
+        ip: { max: 20, janelaMs: 15 * MIN, bloqueioMs: 15 * MIN }
+    }, () => agora);
+    const alvo = { ip: '10.0.0.1', email: 'Maria@Email.com' };
+
+    for (let i = 0; i < 4; i++) assert.equal(limiter.fail(alvo).bloqueado, false);
+    const bloqueio = limiter.fail(alvo);
+    assert.equal(bloqueio.bloqueado, true);
+    assert.equal(bloqueio.retryAfterSeconds, 15 * 60);
+    // Mesmo e-mail com outra caixa e de outro IP continua bloqueado
+    assert.equal(limiter.check({ ip: '10.0.0.2', email: 'maria@email.com' }).bloqueado, true);
+    assert.equal(limiter.check({ ip: '10.0.0.1', email: 'joao@email.com' }).bloqueado, false);
+
+    agora += 15 * MIN;
+    assert.equal(limiter.check(alvo).bloqueado, false);
+});
+
+test('falhas fora da janela não somam; IP bloqueia mesmo trocando de e-mail', () => {
+    let agora = 0;
+    const limiter = createRateLimiter({
+        email: { max: 3, janelaMs: 10 * MIN, bloqueioMs: 5 * MIN },
+        ip: { max: 4, janelaMs: 10 * MIN, bloqueioMs: 30 * MIN }
+    }, () => agora);
+
+    limiter.fail({ email: 'a@x.com' });
+    limiter.fail({ email: 'a@x.com' });
+    agora += 11 * MIN;
+    assert.equal(limiter.fail({ email: 'a@x.com' }).bloqueado, false);
+
+    ['b', 'c', 'd'].forEach(u => limiter.fail({ ip: '1.1.1.1', email: `${u}@x.com` }));
+    const ip = limiter.fail({ ip: '1.1.1.1', email: 'e@x.com' });
+    assert.deepEqual(ip, { bloqueado: true, retryAfterSeconds: 30 * 60 });
+    assert.equal(limiter.check({ ip: '1.1.1.1', email: 'novo@x.com' }).bloqueado, true);
+
+    // Login certo zera só o e-mail
+    limiter.reset({ email: 'a@x.com' });
+    assert.equal(limiter.check({ email: 'a@x.com' }).bloqueado, false);
+});
+
+test('o link de redefinição vai pelo mailer configurado', async () => {
+    const mailer = createMemoryMailer();
+    setMailer(mailer);
+    try {
+        const token = 'ab'.repeat(32);
+        await sendMail(buildResetEmail('maria@email.com', `http://localhost:3000/redefinir.html?token=${token}`, new Date('2026-10-19T15:30:00Z')));
+        assert.equal(mailer.enviados.length, 1);
+        const [mensagem] = mailer.enviados;
+        assert.equal(mensagem.to, 'maria@email.com');
+        assert.match(mensagem.text, new RegExp(`redefinir\\.html\\?token=${token}`));
+        assert.match(mensagem.text, /19\/10\/2026.*12:30/);
+    } finally {
+        setMailer(createConsoleMailer());
+    }
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { toApiAcao, toApiFii, sendApiError, ACAO_API_FIELDS, FII_API_FIELDS } from '../lib/api.js';
+import { buildOpenApiSpec } from '../lib/openapi.js';
+import { extractApiKey, generateApiKey, usageDate, quotaResetAt } from '../lib/apikeys.js';
+import { DEFAULT_THRESHOLD_PROFILES } from '../lib/thresholds.js';
+import { VALUATION_PARAMS } from '../lib/valuation.js';
+
+const expected = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const FETCHED_AT = '2026-10-16T14:00:00.000Z';
+
+test('ação: indicadores numéricos com unidade, classe e fonte', async () => {
+    const data = await expected('investidor10-acao.expected.json');
+    const sources = Object.fromEntries(Object.keys(data).map(campo => [campo, 'investidor10']));
+    const providers = [
+        { nome: 'investidor10', label: 'Investidor10', status: 'ok', fetchedAt: FETCHED_AT, cacheHit: false },
+        { nome: 'xp', label: 'XP', status: 'timeout', erro: 'tempo esgotado' }
+    ];
+    const acao = toApiAcao('prio3', { data, sources, providers, fetchedAt: FETCHED_AT, cacheHit: false, perfis: DEFAULT_THRESHOLD_PROFILES });
+
+    assert.equal(acao.ticker, 'PRIO3');
+    assert.equal(acao.tipo, 'acao');
+    assert.deepEqual(Object.keys(acao.indicadores), Object.keys(ACAO_API_FIELDS));
+    assert.deepEqual(acao.indicadores.cotacao, { valor: 37.5, unidade: 'BRL', classe: 'neutral', fonte: 'investidor10' });
+    assert.deepEqual(acao.indicadores.dy, { valor: 12.4, unidade: '%', classe: 'good', fonte: 'investidor10' });
+    assert.equal(acao.indicadores.pl.unidade, 'x');
+    assert.equal(acao.indicadores.pl.valor, 4.8);
+    // Sem dado de corretora: valor nulo e sem fonte
+    assert.deepEqual(acao.indicadores.xpiPrecoAlvo, { valor: null, unidade: 'BRL', classe: 'neutral', fonte: null });
+    assert.deepEqual(acao.fontes[1], { nome: 'xp', label: 'XP', status: 'timeout', fetchedAt: null, cacheHit: null, erro: 'tempo esgotado' });
+    assert.equal(acao.perfilLimites.chave, 'padrao');
+
+    const bazin = acao.valuation.modelos.find(m => m.id === 'precoTeto');
+    assert.equal(typeof bazin.valor, 'number');
+    assert.equal(bazin.unidade, 'BRL');
+    assert.equal(acao.valuation.cotacao, 37.5);
+    assert.deepEqual(acao.proventos[1], { tipo: 'JSCP', dataCom: '2025-06-02', pagamento: '2025-07-20', valor: 0.21, unidade: 'BRL' });
+});
+
+test('FII: montantes por extenso viram número e o score vem tipado', async () => {
+    const data = await expected('investidor10-fii.expected.json');
+    const fii = toApiFii('hglg11', { data, fetchedAt: FETCHED_AT, cacheHit: true });
+
+    assert.equal(fii.ticker, 'HGLG11');
+    assert.equal(fii.indicadores.valorPatrimonial.valor, 5420000000);
+    assert.equal(fii.indicadores.liquidezDiaria.valor, 7120000);
+    assert.equal(fii.indicadores.numCotistas.valor, 392105);
+    assert.equal(fii.indicadores.taxaAdm.valor, 0.6);
+    assert.deepEqual(fii.indicadores.segmento, { valor: 'Logística', unidade: 'texto', classe: 'neutral', fonte: 'investidor10Fii' });
+    // EBN é derivado da cotação e do rendimento: ceil(158,20 / 1,10)
+    assert.deepEqual(fii.indicadores.ebn, { valor: 144, unidade: 'un', classe: 'neutral', fonte: 'calculado' });
+    assert.equal(typeof fii.score.valor, 'number');
+    assert.ok(['good', 'bad', 'neutral'].includes(fii.score.classe));
+    assert.equal(fii.proventos[0].dataCom, '2025-07-31');
+});
+
+test('erros sempre em { error: { code, message } }', () => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    sendApiError(res, 429, 'quota_exceeded', 'Cota esgotada.', { renovaEm: '2026-10-17T03:00:00.000Z' });
+    assert.equal(res.statusCode, 429);
+    assert.deepEqual(res.body, { error: { code: 'quota_exceeded', message: 'Cota esgotada.', detalhes: { renovaEm: '2026-10-17T03:00:00.000Z' } } });
+    sendApiError(res, 404, 'not_found', 'Não achei.');
+    assert.deepEqual(res.body, { error: { code: 'not_found', message: 'Não achei.' } });
+});
+
+test('chaves: formato, cabeçalhos aceitos e virada da cota em São Paulo', () => {
+    const { chave, prefixo, hash } = generateApiKey();
+    assert.match(chave, /^im_[a-f0-9]{48}$/);
+    assert.ok(chave.startsWith(prefixo));
+    assert.equal(hash.length, 64);
+    assert.notEqual(hash, chave);
+
+    assert.equal(extractApiKey({ headers: { authorization: `Bearer ${chave}` } }), chave);
+    assert.equal(extractApiKey({ headers: { 'x-api-key': ` ${chave} ` } }), chave);
+    assert.equal(extractApiKey({ headers: { authorization: 'Basic abc' } }), null);
+
+    // 01:30 UTC ainda é o dia anterior em São Paulo
+    const madrugada = new Date('2026-10-17T01:30:00Z');
+    assert.equal(usageDate(madrugada), '2026-10-16');
+    assert.equal(quotaResetAt(madrugada).toISOString(), '2026-10-17T03:00:00.000Z');
+});
+
+test('OpenAPI gerado a partir dos campos da API', () => {
+    const spec = buildOpenApiSpec('/api/v1');
+    assert.equal(spec.openapi, '3.0.3');
+    assert.deepEqual(spec.servers, [{ url: '/api/v1' }]);
+    assert.deepEqual(Object.keys(spec.paths).sort(), ['/acoes/{ticker}', '/acoes/{ticker}/valuation', '/fiis/{ticker}', '/historico/{ticker}', '/uso']);
+    assert.deepEqual(Object.keys(spec.components.securitySchemes).sort(), ['apiKey', 'bearer']);
+
+    const { schemas } = spec.components;
+    assert.deepEqual(Object.keys(schemas.Acao.properties.indicadores.properties), Object.keys(ACAO_API_FIELDS));
+    assert.deepEqual(Object.keys(schemas.Fii.properties.indicadores.properties), Object.keys(FII_API_FIELDS));
+    assert.deepEqual(schemas.Fii.properties.indicadores.properties.vacancia.properties.unidade.enum, ['%']);
+    assert.deepEqual(schemas.Erro.properties.error.required, ['code', 'message']);
+
+    const premissas = spec.paths['/acoes/{ticker}/valuation'].get.parameters.filter(p => p.in === 'query').map(p => p.name);
+    assert.deepEqual(premissas, Object.keys(VALUATION_PARAMS));
+
+    // Toda referência aponta para algo que existe no documento
+    const refs = JSON.stringify(spec).match(/#\/components\/[a-zA-Z]+\/[A-Za-z0-9]+/g);
+    for (const r of refs) {
+        const [, , secao, nome] = r.split('/');
+        assert.ok(spec.components[secao][nome], `referência quebrada: ${r}`);
+    }
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseBacktestParams, parsePriceCsv, parseBenchmarkCsv, referenceSeries, runBacktest, attachDividends
+} from '../lib/backtest.js';
+
+const { params: PADRAO } = parseBacktestParams({ capitalInicial: 1000 });
+
+const serie = [
+    { data: '2024-01-01', preco: 12, valorJusto: 10 },
+    { data: '2024-01-02', preco: 9, valorJusto: 10 },
+    { data: '2024-01-03', preco: 9.5, valorJusto: 10, dividendo: 0.5 },
+    { data: '2024-01-04', preco: 11, valorJusto: 10 },
+    { data: '2024-01-05', preco: 8, valorJusto: 10 },
+    { data: '2024-01-06', preco: 8, valorJusto: 10 }
+];
+
+test('sinal de um pregão executa no fechamento do seguinte; proventos só posicionado', () => {
+    const r = runBacktest(serie, PADRAO);
+    assert.deepEqual(r.operacoes, [
+        { data: '2024-01-03', tipo: 'compra', preco: 9.5, quantidade: 105, referencia: 10 },
+        { data: '2024-01-05', tipo: 'venda', preco: 8, quantidade: 105, referencia: 10 },
+        { data: '2024-01-06', tipo: 'compra', preco: 8, quantidade: 111, referencia: 10 }
+    ]);
+    assert.deepEqual(r.curvas.estrategia, [1000, 1000, 1052.5, 1210, 895, 895]);
+    assert.equal(r.resultados.estrategia.proventos, 52.5);
+    assert.equal(r.resultados.estrategia.retornoTotal, -10.5);
+    // Pico de 1210 para 895
+    assert.equal(r.resultados.estrategia.maxDrawdown, -26.03);
+    assert.equal(r.resultados.estrategia.posicaoAberta, true);
+
+    // Comprar e segurar: 83 ações a 12, R$ 41,50 de proventos
+    assert.equal(r.resultados.buyHold.proventos, 41.5);
+    assert.equal(r.resultados.buyHold.valorFinal, 709.5);
+    assert.equal(r.curvas.indice, null);
+    assert.ok(r.avisos.some(a => /Sem índice/.test(a)));
+});
+
+test('venda executada na data com sai sem o provento do dia', () => {
+    const r = runBacktest([
+        { data: '2024-01-01', preco: 9, valorJusto: 10 },
+        { data: '2024-01-02', preco: 9, valorJusto: 10 },
+        { data: '2024-01-03', preco: 11, valorJusto: 10 },
+        { data: '2024-01-04', preco: 11, valorJusto: 10, dividendo: 1 }
+    ], PADRAO);
+    assert.deepEqual(r.operacoes.map(o => [o.data, o.tipo, o.quantidade]), [['2024-01-02', 'compra', 111], ['2024-01-04', 'venda', 111]]);
+    assert.equal(r.resultados.estrategia.proventos, 0);
+    // R$ 1 de sobra + 111 × 11 da venda (o preço de fechamento ainda inclui o provento)
+    assert.deepEqual(r.curvas.estrategia.slice(-1), [1222]);
+});
+
+test('compra executada na data com recebe o provento do dia', () => {
+    const r = runBacktest([
+        { data: '2024-01-01', preco: 9, valorJusto: 10 },
+        { data: '2024-01-02', preco: 9, valorJusto: 10, dividendo: 1 },
+        { data: '2024-01-03', preco: 9, valorJusto: 10 }
+    ], PADRAO);
+    assert.deepEqual(r.operacoes.map(o => [o.data, o.tipo, o.quantidade]), [['2024-01-02', 'compra', 111]]);
+    assert.equal(r.resultados.estrategia.proventos, 111);
+    // R$ 1 de sobra + 111 de proventos + 111 × 9
+    assert.deepEqual(r.curvas.estrategia, [1000, 1111, 1111]);
+});
+
+test('referências: Graham por LPA/VPA, Bazin pelo DY ou pelos proventos de 12 meses', () => {
+    const graham = referenceSeries([{ data: '2024-01-01', preco: 20, lpa: 2, vpa: 10 }, { data: '2024-01-02', preco: 20, lpa: -1, vpa: 10 }], 'graham', PADRAO);
+    assert.equal(Math.round(graham[0] * 1000) / 1000, 21.213);
+    assert.equal(graham[1], null);
+
+    assert.deepEqual(referenceSeries([{ data: '2024-01-01', preco: 10, dy: 6 }], 'bazin', PADRAO), [10]);
+
+    const mensal = ['2023-01-01', '2023-03-01', '2023-12-01', '2024-01-01', '2024-03-01']
+        .map(data => ({ data, preco: 15, ...(data === '2023-03-01' ? { dividendo: 1.2 } : {}) }));
+    // Só depois de um ano de série; em mar/2024 o provento de mar/2023 saiu da janela
+    assert.deepEqual(referenceSeries(mensal, 'bazin', PADRAO).map(v => v && Math.round(v * 100) / 100), [null, null, null, 20, null]);
+});
+
+test('índice alinhado pela data e período filtrado', () => {
+    const indice = [
+        { data: '2023-12-29', valor: 100 },
+        { data: '2024-01-03', valor: 110 },
+        { data: '2024-01-06', valor: 90 }
+    ];
+    const r = runBacktest(serie, PADRAO, indice);
+    assert.deepEqual(r.curvas.indice, [1000, 1000, 1100, 1100, 1100, 900]);
+    assert.deepEqual(r.resultados.indice, { valorFinal: 900, retornoTotal: -10, cagr: r.resultados.indice.cagr, maxDrawdown: -18.18 });
+
+    const tarde = runBacktest(serie, PADRAO, [{ data: '2024-02-01', valor: 100 }, { data: '2024-02-02', valor: 101 }]);
+    assert.equal(tarde.resultados.indice, null);
+    assert.ok(tarde.avisos.some(a => /não cobre o início/.test(a)));
+
+    const periodo = runBacktest(serie, { ...PADRAO, inicio: '2024-01-04', fim: '2024-01-06' });
+    assert.deepEqual(periodo.periodo, { inicio: '2024-01-04', fim: '2024-01-06', pregoes: 3 });
+    assert.match(runBacktest(serie, { ...PADRAO, capitalInicial: 5 }).error, /capital inicial/);
+});
+
+test('CSV de preços com ; e colunas opcionais; índice no formato do Investing', () => {
+    const precos = parsePriceCsv([
+        'Data;Fechamento;Dividendo;LPA;VPA;Ibovespa',
+        '03/01/2024;R$ 38,10;;4,20;30,00;132.000,00',
+        '02/01/2024;R$ 37,50;0,46;4,20;30,00;131.500,00',
+        ';;;;;',
+        'total;-;;;;'
+    ].join('\n'));
+    assert.deepEqual(precos.pontos, [
+        { data: '2024-01-02', preco: 37.5, dividendo: 0.46, lpa: 4.2, vpa: 30 },
+        { data: '2024-01-03', preco: 38.1, lpa: 4.2, vpa: 30 }
+    ]);
+    assert.deepEqual(precos.indice.map(p => p.valor), [131500, 132000]);
+
+    const indice = parseBenchmarkCsv('"Data","Último","Abertura","Vol.","Var%"\n"03.01.2024","132.000,00","131.000,00","9,1M","0,38%"\n"02.01.2024","131.500,00","130.000,00","8,7M","-1,20%"');
+    assert.deepEqual(indice.serie, [{ data: '2024-01-02', valor: 131500 }, { data: '2024-01-03', valor: 132000 }]);
+
+    assert.match(parsePriceCsv('Data;Volume\n02/01/2024;100\n03/01/2024;200').error, /Data e Fechamento/);
+    assert.match(parsePriceCsv('Data;Fechamento').error, /ao menos dois/);
+});
+
+test('premissas validadas e proventos do scraping na data com', () => {
+    assert.match(parseBacktestParams({ estrategia: 'lynch' }).error, /Estratégia inválida/);
+    assert.match(parseBacktestParams({ margemCompra: '95' }).error, /entre 0 e 90/);
+    assert.match(parseBacktestParams({ bazinYield: '0' }).error, /Bazin/);
+    assert.match(parseBacktestParams({ inicio: '2024-05-01', fim: '2024-01-01' }).error, /antes do fim/);
+    assert.deepEqual(parseBacktestParams({ custoOperacao: '0,5', inicio: '01/02/2024' }).params, {
+        estrategia: 'graham', capitalInicial: 10000, margemCompra: 0, margemVenda: 0, custoOperacao: 0.5,
+        inicio: '2024-02-01', fim: null, bazinYield: 6, grahamMultiplier: 22.5
+    });
+
+    const pontos = attachDividends(
+        [{ data: '2025-06-01', preco: 30 }, { data: '2025-06-10', preco: 31 }],
+        [
+            { dataCom: '02/06/2025', valor: '0,46' },
+            { dataCom: '02/06/2025', valor: '0,21' },
+            { dataCom: '02/01/2025', valor: '1,00' }
+        ]
+    );
+    assert.equal(pontos[0].dividendo, undefined);
+    assert.equal(Math.round(pontos[1].dividendo * 100) / 100, 0.67);
+});
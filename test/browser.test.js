@@ -0,0 +1,126 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPagePool, isRetryableError } from '../lib/browser.js';
+
+// O pool loga retries e reinícios; no runner isso só polui a saída
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const timeoutError = () => Object.assign(new Error('Navigation timeout of 60000 ms exceeded'), { name: 'TimeoutError' });
+
+function fakePool(opcoes = {}) {
+    const estado = { abertas: 0, maxAbertas: 0, fechadas: 0, reinicios: 0 };
+    const pool = createPagePool({
+        maxPages: 2, retries: 2, backoffMs: 1, restartAfter: 3,
+        openPage: async () => {
+            estado.abertas++;
+            estado.maxAbertas = Math.max(estado.maxAbertas, estado.abertas);
+            let fechada = false;
+            let aoFechar;
+            return {
+                isClosed: () => fechada,
+                // Resolve quando a página é fechada (no puppeteer, o que estava rodando falha com "Target closed")
+                fechamento: new Promise(resolve => { aoFechar = resolve; }),
+                close: async () => { fechada = true; estado.abertas--; estado.fechadas++; aoFechar(); }
+            };
+        },
+        restart: async () => { estado.reinicios++; },
+        ...opcoes
+    });
+    return { pool, estado };
+}
+
+test('limita páginas simultâneas e enfileira o excedente', async () => {
+    const { pool, estado } = fakePool();
+    const liberar = [];
+    const execucoes = [1, 2, 3, 4].map(n => pool.run('fii', () => new Promise(resolve => liberar.push(() => resolve(n)))));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(estado.abertas, 2);
+    assert.equal(pool.metrics().fila, 2);
+    while (liberar.length || estado.fechadas < 4) {
+        liberar.shift()?.();
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.deepEqual(await Promise.all(execucoes), [1, 2, 3, 4]);
+    assert.equal(estado.maxAbertas, 2);
+    assert.equal(estado.fechadas, 4);
+    const m = pool.metrics();
+    assert.equal(m.fila, 0);
+    assert.equal(m.paginasAtivas, 0);
+    assert.equal(m.sucessos, 4);
+    assert.equal(m.porTipo.fii.sucessos, 4);
+});
+
+test('repete em timeout e fecha a página de cada tentativa', async () => {
+    const { pool, estado } = fakePool();
+    let tentativas = 0;
+    const resultado = await pool.run('xp', async () => {
+        tentativas++;
+        if (tentativas < 3) throw timeoutError();
+        return 'ok';
+    });
+    assert.equal(resultado, 'ok');
+    assert.equal(estado.fechadas, 3);
+    const m = pool.metrics();
+    assert.equal(m.retries, 2);
+    assert.equal(m.timeouts, 2);
+    assert.equal(m.falhasSeguidas, 0);
+});
+
+test('novas tentativas de um pedido não contam para o reinício do navegador', async () => {
+    const { pool, estado } = fakePool();
+    await assert.rejects(pool.run('xp', async () => { throw timeoutError(); }));
+    assert.equal(estado.reinicios, 0);
+    const m = pool.metrics();
+    assert.equal(m.falhas, 3);
+    assert.equal(m.retries, 2);
+    assert.equal(m.falhasSeguidas, 1);
+    assert.equal(m.porTipo.xp.falhas, 1);
+});
+
+test('erro que não é transitório não é repetido', async () => {
+    const { pool } = fakePool();
+    let tentativas = 0;
+    await assert.rejects(pool.run('btg', async () => { tentativas++; throw new Error('seletor mudou'); }), /seletor mudou/);
+    assert.equal(tentativas, 1);
+    assert.equal(pool.metrics().falhas, 1);
+});
+
+test('reinicia o navegador depois de falhas seguidas', async () => {
+    const { pool, estado } = fakePool({ retries: 0 });
+    for (let i = 0; i < 3; i++) await assert.rejects(pool.run('investidor10', async () => { throw timeoutError(); }));
+    assert.equal(estado.reinicios, 1);
+    assert.equal(pool.metrics().reinicios, 1);
+    assert.equal(pool.metrics().falhasSeguidas, 0);
+});
+
+test('prazo só conta com a página em mãos e o job esgotado libera a vaga', async () => {
+    const { pool, estado } = fakePool({ maxPages: 1 });
+    // Na fila por mais tempo que o próprio prazo, sem estourar
+    const primeiro = pool.run('investidor10', () => sleep(60).then(() => 'i10'));
+    const segundo = pool.run('xp', async () => 'xp', { timeoutMs: 30 });
+    assert.deepEqual(await Promise.all([primeiro, segundo]), ['i10', 'xp']);
+
+    // Página presa: o prazo rejeita, fecha a página sem nova tentativa e o próximo da fila roda
+    let tentativas = 0;
+    const preso = pool.run('btg', async (page) => {
+        tentativas++;
+        await page.fechamento;
+        throw new Error('Protocol error (Runtime.callFunctionOn): Target closed.');
+    }, { timeoutMs: 20 });
+    const depois = pool.run('xp', async () => 'livre');
+    await assert.rejects(preso, /btg: tempo esgotado \(20 ms\)/);
+    assert.equal(await depois, 'livre');
+    assert.equal(tentativas, 1);
+    assert.equal(estado.abertas, 0);
+    assert.equal(pool.metrics().timeouts, 1);
+    assert.equal(pool.metrics().fila, 0);
+});
+
+test('classifica erros transitórios', () => {
+    assert.ok(isRetryableError(timeoutError()));
+    assert.ok(isRetryableError(new Error('net::ERR_CONNECTION_RESET at https://x')));
+    assert.ok(isRetryableError(new Error('Protocol error (Runtime.callFunctionOn): Target closed.')));
+    assert.ok(!isRetryableError(new Error('Cannot read properties of null')));
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cached, setCacheBackend, createMemoryBackend, CACHE_TTL } from '../lib/cache.js';
+
+test('atualização em segundo plano do cache vencido chega ao onRefresh só com dado válido', async () => {
+    const backend = createMemoryBackend();
+    setCacheBackend(backend);
+    try {
+        const vencido = Date.now() - CACHE_TTL.acao - 1000;
+        await backend.set('acao:PETR4', { data: { cotacao: 'R$ 38,10' }, fetchedAt: vencido });
+        await backend.set('acao:VALE3', { data: { cotacao: 'R$ 60,00' }, fetchedAt: vencido });
+
+        let recebido;
+        const atualizou = new Promise(resolve => { recebido = resolve; });
+        const servido = await cached('acao', 'PETR4', async () => ({ cotacao: 'R$ 38,40' }), () => true, { onRefresh: recebido });
+        assert.equal(servido.stale, true);
+        assert.equal(servido.data.cotacao, 'R$ 38,10');
+        const novo = await atualizou;
+        assert.equal(novo.data.cotacao, 'R$ 38,40');
+        assert.ok(novo.fetchedAt > vencido);
+
+        const chamadas = [];
+        await cached('acao', 'VALE3', async () => ({}), (data) => Boolean(data.cotacao), { onRefresh: (e) => chamadas.push(e) });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(chamadas, []);
+        assert.equal((await backend.get('acao:VALE3')).data.cotacao, 'R$ 60,00');
+    } finally {
+        setCacheBackend(createMemoryBackend());
+    }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison, parseCompareInput, median } from '../lib/compare.js';
+
+const ativos = [
+    { ticker: 'PETR4', data: { cotacao: 'R$ 37,50', pl: '4,80', roe: '23,10%', dividaLiquidaEbitda: '1,12', setor: 'Petróleo' } },
+    { ticker: 'PRIO3', data: { cotacao: 'R$ 40,00', pl: '8,00', roe: '30,00%', dividaLiquidaEbitda: '0,50' } },
+    { ticker: 'RECV3', data: { cotacao: 'R$ 15,00', pl: '-3,00', roe: '5,00%', dividaLiquidaEbitda: '2,00' } }
+];
+
+test('matriz destaca melhor/pior por linha e ignora P/L negativo', () => {
+    const { tickers, linhas } = buildComparison(ativos);
+    assert.deepEqual(tickers, ['PETR4', 'PRIO3', 'RECV3']);
+    const pl = linhas.find(l => l.campo === 'pl');
+    assert.deepEqual(pl.valores, ['4,80', '8,00', '-3,00']);
+    assert.equal(pl.melhor, 'PETR4');
+    assert.equal(pl.pior, 'PRIO3');
+    assert.equal(pl.mediana, 6.4);
+    const roe = linhas.find(l => l.campo === 'roe');
+    assert.equal(roe.melhor, 'PRIO3');
+    assert.equal(roe.pior, 'RECV3');
+    const cotacao = linhas.find(l => l.campo === 'cotacao');
+    assert.equal(cotacao.melhor, null);
+});
+
+test('radar normaliza de 0 a 100 e inverte métricas onde menor é melhor', () => {
+    const { radar } = buildComparison(ativos);
+    const eixo = radar.eixos.indexOf('Baixo Endividamento');
+    assert.equal(radar.series[1].valores[eixo], 100);
+    assert.equal(radar.series[2].valores[eixo], 0);
+    assert.equal(radar.series[0].valores[radar.eixos.indexOf('ROE')], 72);
+});
+
+test('entrada: concorrentes automáticos com um ticker só', () => {
+    assert.deepEqual(parseCompareInput({ tickers: 'petr4' }).params, { tickers: ['PETR4'], peers: true, limite: 5 });
+    assert.equal(parseCompareInput({ tickers: 'PETR4,PRIO3' }).params.peers, false);
+    assert.ok(parseCompareInput({ tickers: '' }).error);
+    assert.equal(median([3, null, 1, 2]), 2);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+    GLOSSARY, resolveGlossaryKey, searchGlossary, describeThresholds, explainClassification, buildGlossaryEntry
+} from '../lib/glossary.js';
+import { QUIZZES, listQuizzes, gradeQuiz } from '../lib/learning.js';
+import { buildAcaoResponse, buildFiiResponse } from '../lib/analysis.js';
+import { DEFAULT_THRESHOLD_PROFILES, mergeThresholdProfile } from '../lib/thresholds.js';
+
+const expected = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+// Campos exibidos como card: { value, class }
+const cards = (resposta) => Object.entries(resposta).filter(([, v]) => v && typeof v === 'object' && 'value' in v && 'class' in v);
+
+test('todo card de /buscar e /buscar-fii tem verbete e a ajuda repete a cor do servidor', async () => {
+    const perfis = {
+        ...DEFAULT_THRESHOLD_PROFILES,
+        padrao: mergeThresholdProfile(DEFAULT_THRESHOLD_PROFILES.padrao, { limites: { dy: { bom: 15, ruim: 13 } } })
+    };
+    const acao = buildAcaoResponse('PRIO3', await expected('investidor10-acao.expected.json'), undefined, perfis);
+    for (const [campo, card] of cards(acao)) {
+        const chave = resolveGlossaryKey(campo);
+        assert.ok(chave, `sem verbete para ${campo}`);
+        const { classe } = explainClassification(chave, 'acao', { valor: card.value, cotacao: acao.cotacao.value, perfis, perfil: acao.perfilLimites.chave });
+        assert.equal(classe, card.class, `cor diferente em ${campo} (${card.value})`);
+    }
+    // DY de 12,4% com o limite ajustado pelo usuário
+    assert.equal(acao.dy.class, 'bad');
+    assert.match(explainClassification('dy', 'acao', { valor: acao.dy.value, perfis, perfil: 'padrao' }).motivo, /< 13%.*ajustados por você/);
+
+    const fii = buildFiiResponse('HGLG11', await expected('investidor10-fii.expected.json'));
+    for (const [campo, card] of [...cards(fii), ['score', { value: `${fii.score.value}/100`, class: fii.score.class }]]) {
+        const chave = resolveGlossaryKey(campo);
+        assert.ok(chave && GLOSSARY[chave].tipos.includes('fii'), `sem verbete de FII para ${campo}`);
+        const { classe } = explainClassification(chave, 'fii', { valor: card.value, cotacao: fii.cotacao.value, perfil: fii.score.perfil });
+        assert.equal(classe, card.class, `cor diferente em ${campo} (${card.value})`);
+    }
+    assert.equal(resolveGlossaryKey('btgPotencial'), 'potencial');
+    assert.equal(resolveGlossaryKey('constructor'), null);
+});
+
+test('limites descritos por perfil, com direção e casos que não se aplicam', () => {
+    const pl = describeThresholds('pl', 'acao', { perfil: 'bancos' });
+    assert.match(pl.regra, /Quanto menor, melhor/);
+    assert.match(pl.observacao, /prejuízo/);
+    assert.deepEqual(pl.perfis, [{ chave: 'bancos', label: 'Bancos', personalizado: false, texto: 'bom ≤ 8; ruim > 12; neutro entre os dois' }]);
+
+    const payout = describeThresholds('payout', 'acao');
+    assert.equal(payout.perfis.length, Object.keys(DEFAULT_THRESHOLD_PROFILES).length);
+    assert.equal(payout.perfis[0].texto, 'bom entre 25% e 75%; ruim acima de 100%; neutro no resto');
+    assert.match(payout.perfis.find(p => p.chave === 'tecnologia').texto, /não se aplica/);
+
+    const vacancia = describeThresholds('vacancia', 'fii', { perfil: 'papel' });
+    assert.match(vacancia.perfis[0].texto, /não se aplica/);
+    assert.match(describeThresholds('liquidezDiaria', 'fii', { perfil: 'logistica' }).perfis[0].texto, /≥ R\$ 1 M/);
+
+    assert.deepEqual(describeThresholds('roa', 'acao').perfis, []);
+    assert.match(describeThresholds('roa', 'acao').regra, /Só informativo/);
+    assert.match(describeThresholds('piotroski', 'acao').regra, /70%/);
+    assert.match(describeThresholds('altmanZ', 'acao').regra, /1,81/);
+
+    // Verbete de ações e FIIs: textos do tipo pedido
+    const pvp = buildGlossaryEntry('pvp', { tipo: 'fii', valor: '1,12', perfil: 'logistica' });
+    assert.match(pvp.definicao, /cota/);
+    assert.deepEqual(Object.keys(pvp.limites), ['fii']);
+    assert.equal(pvp.explicacao.classe, 'bad');
+    assert.deepEqual(Object.keys(buildGlossaryEntry('pvp').limites), ['acao', 'fii']);
+    assert.equal(buildGlossaryEntry('pl').explicacao, null);
+});
+
+test('explicação do card: limites, valuation, qualidade e falta de dado', () => {
+    assert.deepEqual(explainClassification('pl', 'acao', { valor: '-3,2' }), {
+        classe: 'neutral', motivo: 'P/L de -3,2 indica prejuízo: fica neutro, não quer dizer ação barata.'
+    });
+    assert.match(explainClassification('payout', 'acao', { valor: '80%' }).motivo, /fora da faixa boa no perfil Padrão/);
+    assert.match(explainClassification('roic', 'acao', { valor: '4%', perfil: 'bancos' }).motivo, /não é classificado no perfil Bancos/);
+
+    const graham = explainClassification('valorJusto', 'acao', { valor: 'R$ 45,00', cotacao: 'R$ 38,10' });
+    assert.equal(graham.classe, 'good');
+    assert.match(graham.motivo, /margem de segurança de 18,1%/);
+    assert.equal(explainClassification('dcf', 'acao', { valor: 'R$ 30,00', cotacao: 'R$ 38,10' }).classe, 'bad');
+    assert.match(explainClassification('lynch', 'acao', { valor: '-', cotacao: 'R$ 38,10' }).motivo, /Sem dado/);
+
+    assert.equal(explainClassification('piotroski', 'acao', { valor: '3/9' }).classe, 'bad');
+    assert.equal(explainClassification('altmanZ', 'acao', { valor: '2,1 (cinzenta)' }).classe, 'neutral');
+    assert.equal(explainClassification('recomendacao', 'acao', { valor: 'Compra' }).classe, 'good');
+    assert.equal(explainClassification('score', 'fii', { valor: '30/100' }).classe, 'bad');
+    // Perfil desconhecido cai no padrão (ações) ou em tijolo (FIIs)
+    assert.match(explainClassification('dy', 'fii', { valor: '7%', perfil: '__proto__' }).motivo, /Tijolo/);
+});
+
+test('busca sem acento, por sinônimo e filtrada por tipo', () => {
+    const divida = searchGlossary('divida').map(t => t.chave);
+    assert.deepEqual(divida.slice(0, 2), ['dividaLiquidaEbitda', 'dividaLiquidaPatrimonio']);
+    assert.deepEqual(searchGlossary('bola de neve').map(t => t.chave), ['ebn']);
+    assert.deepEqual(searchGlossary('vacância', 'acao'), []);
+    assert.ok(searchGlossary('', 'fii').every(t => t.tipos.includes('fii')));
+    assert.equal(searchGlossary().length, Object.keys(GLOSSARY).length);
+    // Texto de FII quando filtrado por FII
+    assert.match(searchGlossary('p/vp', 'fii')[0].definicao, /cota/);
+});
+
+test('quizzes: correção no servidor e aprovação a partir de 70%', () => {
+    for (const quiz of QUIZZES) {
+        for (const campo of quiz.campos) assert.ok(GLOSSARY[campo], `${quiz.id}: verbete ${campo} não existe`);
+        for (const p of quiz.perguntas) assert.ok(p.correta >= 0 && p.correta < p.opcoes.length, `${quiz.id}: ${p.pergunta}`);
+    }
+    assert.ok(listQuizzes().every(q => q.perguntas.every(p => !('correta' in p) && !('explicacao' in p))));
+    assert.deepEqual(listQuizzes()[0].campos[0], { chave: 'pl', termo: GLOSSARY.pl.termo });
+
+    const quiz = QUIZZES.find(q => q.id === 'multiplos');
+    const certas = quiz.perguntas.map(p => p.correta);
+    assert.match(gradeQuiz(quiz, certas.slice(1)).error, /cada uma das 4/);
+    assert.match(gradeQuiz(quiz, [0, 1, 9, 0]).error, /pergunta 3/);
+    assert.match(gradeQuiz(quiz, [0, null, 1, 1]).error, /pergunta 2/);
+
+    const tres = gradeQuiz(quiz, certas.map((c, i) => (i === 0 ? (c + 1) % 4 : String(c))));
+    assert.equal(tres.acertos, 3);
+    assert.equal(tres.percentual, 75);
+    assert.equal(tres.aprovado, true);
+    assert.equal(tres.correcao[0].certa, false);
+    assert.equal(tres.correcao[0].correta, certas[0]);
+    assert.equal(gradeQuiz(quiz, certas.map(c => (c + 1) % 4)).aprovado, false);
+});
@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotDate } from '../lib/history.js';
+
+test('snapshot fica no dia de São Paulo, não no de UTC', () => {
+    assert.equal(snapshotDate(new Date('2026-10-17T01:30:00Z')), '2026-10-16'); // 22h30 em Brasília
+    assert.equal(snapshotDate(new Date('2026-10-17T03:00:00Z')), '2026-10-17');
+    assert.equal(snapshotDate('2026-10-16T12:00:00.000Z'), '2026-10-16');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeTicker, parseSheetNumber, parseCsv, buildImportPreview, prepareImport } from '../lib/importer.js';
+import { buildPositions, toEventRow } from '../lib/portfolio.js';
+
+const fixture = (nome) => readFileSync(new URL(`./fixtures/${nome}`, import.meta.url));
+
+test('normaliza tickers fracionários e o nome do produto da B3', () => {
+    assert.equal(normalizeTicker('PETR4F'), 'PETR4');
+    assert.equal(normalizeTicker('taee11f'), 'TAEE11');
+    assert.equal(normalizeTicker('HGLG11 - CSHG LOGISTICA FDO INV IMOB - FII'), 'HGLG11');
+    assert.equal(normalizeTicker('BOVA11'), 'BOVA11');
+});
+
+test('números e CSV no formato brasileiro', () => {
+    assert.equal(parseSheetNumber('R$ 1.234,56'), 1234.56);
+    assert.equal(parseSheetNumber('30.5'), 30.5);
+    assert.equal(parseSheetNumber('-'), null);
+    assert.deepEqual(parseCsv('a;b\r\n"x;y";"diz ""oi"""\r\n'), [['a', 'b'], ['x;y', 'diz "oi"']]);
+});
+
+test('extrato de negociação: fracionário somado ao ticker, mercado de opções ignorado, duplicados marcados', async () => {
+    const existentes = [{ id: 1, ticker: 'PETR4', asset_type: 'acao', operation: 'compra', quantity: 100, price: 30.5, fees: 0, trade_date: '2025-01-10' }];
+    const previa = await buildImportPreview(fixture('b3-negociacao.csv'), existentes, []);
+
+    assert.equal(previa.formato, 'negociacao');
+    assert.deepEqual(previa.operacoes.map(o => [o.ticker, o.operacao, o.quantidade, o.duplicada]), [
+        ['PETR4', 'compra', 100, true],
+        ['PETR4', 'compra', 7, false],
+        ['HGLG11', 'compra', 10, false],
+        ['PETR4', 'venda', 50, false]
+    ]);
+    // PETR4 já está na carteira; HGLG11 só pelo final 11
+    assert.equal(previa.operacoes[0].tipoEstimado, false);
+    assert.equal(previa.operacoes[2].tipo, 'fii');
+    assert.equal(previa.operacoes[2].tipoEstimado, true);
+    assert.deepEqual(previa.ignoradas, [{ linha: 6, motivo: 'Mercado não suportado: Opção de Compra' }]);
+    assert.equal(previa.resumo.duplicadas, 1);
+});
+
+test('planilha XLSX é lida pelo mesmo caminho do CSV', async () => {
+    const previa = await buildImportPreview(fixture('b3-negociacao.xlsx'), [], []);
+    assert.equal(previa.formato, 'negociacao');
+    assert.deepEqual(previa.operacoes.map(o => [o.data, o.ticker, o.quantidade, o.preco]), [
+        ['2025-01-10', 'PETR4', 100, 30.5],
+        ['2025-02-12', 'ITSA4', 15, 9.8]
+    ]);
+});
+
+test('extrato de movimentação: proventos e desdobramento viram eventos, o resto é ignorado', async () => {
+    const previa = await buildImportPreview(fixture('b3-movimentacao.csv'), [], []);
+    assert.equal(previa.formato, 'movimentacao');
+    assert.deepEqual(previa.eventos.map(e => [e.data, e.ticker, e.tipo, e.evento, e.quantidade, e.valor]), [
+        ['2025-03-14', 'PETR4', 'acao', 'dividendo', 57, 19.95],
+        ['2025-03-14', 'PETR4', 'acao', 'jcp', 57, 5.7],
+        ['2025-03-17', 'HGLG11', 'fii', 'rendimento', 10, 11],
+        ['2025-04-01', 'PETR4', 'acao', 'desdobramento', 57, 0]
+    ]);
+    assert.equal(previa.ignoradas.length, 1);
+});
+
+test('arquivo sem cabeçalho conhecido é recusado', async () => {
+    const previa = await buildImportPreview(Buffer.from('nome;idade\nana;30\n'), [], []);
+    assert.match(previa.error, /Formato não reconhecido/);
+});
+
+test('confirmação descarta duplicados e o desdobramento dobra a posição sem mudar o custo', async () => {
+    const existentes = [{ id: 1, ticker: 'PETR4', asset_type: 'acao', operation: 'compra', quantity: 100, price: 30.5, fees: 0, trade_date: '2025-01-10' }];
+    const negociacao = await buildImportPreview(fixture('b3-negociacao.csv'), existentes, []);
+    const movimentacao = await buildImportPreview(fixture('b3-movimentacao.csv'), existentes, []);
+
+    const importacao = prepareImport({ operacoes: negociacao.operacoes, eventos: movimentacao.eventos }, existentes, []);
+    assert.equal(importacao.duplicadas, 1);
+    assert.equal(importacao.transacoes.length, 3);
+    assert.equal(importacao.eventos.length, 4);
+
+    const eventos = importacao.eventos.map((e, i) => toEventRow(i + 1, e));
+    const petr = buildPositions([...existentes, ...importacao.linhas], eventos).find(p => p.ticker === 'PETR4');
+    assert.equal(petr.quantidade, 114);
+    assert.equal(petr.precoMedio, 15.25);
+
+    assert.match(prepareImport({ operacoes: [], eventos: [] }, [], []).error, /Nenhum item/);
+    assert.match(prepareImport({ eventos: [{ ticker: 'PETR4', tipo: 'acao', evento: 'split', quantidade: 1, data: '2025-01-01' }] }, [], []).error, /Evento 1/);
+});
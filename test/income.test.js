@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPayoutSchedule, buildIncomeCalendar, simulateReinvestment, parseIncomeParams } from '../lib/income.js';
+
+const hoje = new Date(2025, 9, 15); // outubro/2025
+
+test('agenda repete o mês do ano anterior e usa pagamentos já anunciados', () => {
+    const agenda = buildPayoutSchedule({
+        dividendos: [
+            { pagamento: '14/11/2025', valor: '1,10' },
+            { pagamento: '14/11/2024', valor: '1,00' },
+            { pagamento: '15/12/2024', valor: '0,90' },
+            { pagamento: '15/12/2023', valor: '5,00' }
+        ]
+    }, 'fii', hoje);
+    assert.equal(agenda.fonte, 'historico');
+    assert.equal(agenda.meses.length, 12);
+    assert.deepEqual(agenda.meses[1], { mes: '2025-11', valorPorCota: 1.1, anunciado: true });
+    assert.deepEqual(agenda.meses[2], { mes: '2025-12', valorPorCota: 0.9, anunciado: false });
+    assert.equal(agenda.meses[0].valorPorCota, 0);
+});
+
+test('provento já pago neste mês não conta como renda a receber', () => {
+    const pago = buildPayoutSchedule({
+        dividendos: [
+            { pagamento: '05/10/2025', valor: '1,20' },
+            { pagamento: '14/10/2024', valor: '1,00' },
+            { pagamento: '14/11/2024', valor: '1,00' }
+        ]
+    }, 'fii', hoje);
+    assert.deepEqual(pago.meses[0], { mes: '2025-10', valorPorCota: 0, anunciado: false });
+    assert.equal(pago.meses[1].valorPorCota, 1);
+
+    // Anunciado para o fim do mês (ou para hoje) continua a receber
+    const aReceber = buildPayoutSchedule({
+        dividendos: [{ pagamento: '05/10/2025', valor: '1,20' }, { pagamento: '15/10/2025', valor: '0,40' }]
+    }, 'fii', hoje);
+    assert.deepEqual(aReceber.meses[0], { mes: '2025-10', valorPorCota: 0.4, anunciado: true });
+});
+
+test('sem histórico estima pelo último rendimento (FII) ou DY (ação)', () => {
+    assert.equal(buildPayoutSchedule({ ultimoRendimento: 'R$ 1,05' }, 'fii', hoje).meses[5].valorPorCota, 1.05);
+    const acao = buildPayoutSchedule({ cotacao: 'R$ 30,00', dy: '12,00%' }, 'acao', hoje);
+    assert.equal(acao.fonte, 'estimado');
+    assert.ok(Math.abs(acao.meses[0].valorPorCota - 0.3) < 1e-9);
+});
+
+test('calendário soma quantidade × provento e calcula o número mágico', () => {
+    const renda = buildIncomeCalendar(
+        [{ ticker: 'MXRF11', tipo: 'fii', quantidade: 100 }],
+        { MXRF11: { cotacao: 'R$ 10,00', ultimoRendimento: '0,10' } },
+        hoje
+    );
+    assert.equal(renda.calendario[0].total, 10);
+    assert.equal(renda.rendaAnual, 120);
+    assert.equal(renda.rendaMensalMedia, 10);
+    assert.equal(renda.ativos[0].numeroMagico, 100);
+});
+
+test('simulação reinveste até o número mágico e registra quando atinge', () => {
+    const ativos = [{ ticker: 'MXRF11', cotacao: 10, rendimentoMensalPorCota: 0.1, quantidade: 90, numeroMagico: 100 }];
+    const sim = simulateReinvestment(ativos, { anos: 1, aporteMensal: 50, reinvestir: true }, hoje);
+    assert.equal(sim.serie.length, 12);
+    // 1º mês: 9 de proventos + 50 de aporte = 59 -> 5 cotas
+    assert.equal(sim.ativos[0].quantidadeFinal >= 100, true);
+    assert.equal(sim.ativos[0].atingidoEm, '2025-11');
+    assert.equal(sim.totalAportado, 600);
+    assert.ok(parseIncomeParams({ anos: '0' }).error);
+    assert.deepEqual(parseIncomeParams({ aporte: '250,5', reinvestir: 'false' }).params, { anos: 10, aporteMensal: 250.5, reinvestir: false });
+});
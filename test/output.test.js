@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, toTable } from '../lib/output.js';
+
+const linhas = [
+    { ticker: 'PETR4', cotacao: 'R$ 37,50', setor: 'Petróleo' },
+    { ticker: 'HGLG11', cotacao: null, setor: 'Diz "logística"' }
+];
+
+test('csv: cabeçalho, aspas em vírgula/aspas e célula vazia para null', () => {
+    assert.equal(toCsv(linhas, ['ticker', 'cotacao', 'setor']),
+        'ticker,cotacao,setor\nPETR4,"R$ 37,50",Petróleo\nHGLG11,,"Diz ""logística"""\n');
+});
+
+test('tabela: colunas alinhadas pela maior célula', () => {
+    const [cabecalho, separador, primeira] = toTable(linhas, ['ticker', 'cotacao']).split('\n');
+    assert.equal(cabecalho, 'ticker  cotacao');
+    assert.equal(separador, '------  --------');
+    assert.equal(primeira, 'PETR4   R$ 37,50');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { investidor10, xp, btg, investidor10Peers, parseHtml } from '../lib/providers/index.js';
+import { buildAcaoResponse } from '../lib/analysis.js';
+
+const fixture = (name) => readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('investidor10: lê cards, tabela de indicadores, setor e DY 5 anos', async () => {
+    const data = await parseHtml(investidor10, await fixture('investidor10-acao.html'));
+    assert.equal(data.cotacao, 'R$ 37,50');
+    assert.equal(data.dy, '12,40%');
+    assert.equal(data.pl, '4,80');
+    assert.equal(data.pvp, '1,10');
+    assert.equal(data.vpa, '33,90');
+    assert.equal(data.lpa, '7,81');
+    assert.equal(data.dividaLiquidaEbitda, '1,12');
+    assert.equal(data.cagrLucros, '28,70%');
+    assert.equal(data.setor, 'Petróleo, Gás e Biocombustíveis');
+    assert.equal(data.segmento, 'Exploração, Refino e Distribuição');
+    assert.equal(data.dy5Anos, '16,20%');
+    assert.equal(data.segmentoUrl, 'https://investidor10.com.br/setores/exploracao-refino/');
+    assert.deepEqual(data.dividendos, [
+        { tipo: 'Dividendos', dataCom: '02/06/2025', pagamento: '20/08/2025', valor: '0,46' },
+        { tipo: 'JSCP', dataCom: '02/06/2025', pagamento: '20/07/2025', valor: '0,21' }
+    ]);
+});
+
+test('xp: recomendação, preço-alvo, potencial e risco por rótulo', async () => {
+    const data = await parseHtml(xp, await fixture('xp-acao.html'));
+    assert.deepEqual(data, {
+        xpiRecomendacao: 'Compra',
+        xpiPrecoAlvo: 'R$ 45,00',
+        xpiPotencial: '20,00%',
+        xpiRisco: '30%'
+    });
+});
+
+test('btg: lista de definições sem potencial explícito', async () => {
+    const data = await parseHtml(btg, await fixture('btg-acao.html'));
+    assert.deepEqual(data, { btgRecomendacao: 'Neutro', btgPrecoAlvo: 'R$ 41,00', btgPotencial: null });
+});
+
+test('página sem os blocos esperados devolve campos nulos', async () => {
+    const data = await parseHtml(xp, '<html><body><main><p>Conteúdo indisponível</p></main></body></html>');
+    assert.ok(Object.values(data).every(v => v === null));
+});
+
+test('resposta de /buscar classifica recomendação e calcula potencial implícito', async () => {
+    const data = {
+        ...(await parseHtml(investidor10, await fixture('investidor10-acao.html'))),
+        ...(await parseHtml(xp, await fixture('xp-acao.html'))),
+        ...(await parseHtml(btg, await fixture('btg-acao.html')))
+    };
+    const resposta = buildAcaoResponse('petr4', data);
+    assert.deepEqual(resposta.xpiRecomendacao, { value: 'Compra', class: 'good' });
+    assert.deepEqual(resposta.xpiPotencial, { value: '20,00%', class: 'good' });
+    assert.deepEqual(resposta.xpiRisco, { value: '30%', class: 'neutral' });
+    assert.deepEqual(resposta.btgRecomendacao, { value: 'Neutro', class: 'neutral' });
+    // 41 / 37,5 - 1 = 9,33%
+    assert.deepEqual(resposta.btgPotencial, { value: '9,33%', class: 'neutral' });
+});
+
+test('peers: tickers únicos dos links da página do segmento', async () => {
+    const data = await parseHtml(investidor10Peers, await fixture('investidor10-segmento.html'));
+    assert.deepEqual(data, { tickers: ['PETR4', 'PRIO3', 'RECV3'] });
+
+    // Chave do cache cabe em scrape_cache.cache_key e não mistura setores com o mesmo começo de URL
+    const base = 'https://investidor10.com.br/setores/acoes/petroleo-gas-e-biocombustiveis/exploracao-refino-e-distribuicao/';
+    const chave = investidor10Peers.cacheKey(base);
+    assert.ok(`peers:${chave}`.length <= 40);
+    assert.notEqual(investidor10Peers.cacheKey(`${base}outro/`), chave);
+});
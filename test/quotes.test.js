@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isMarketOpen, msUntilOpen, nextRefreshDelay, parseStreamTickers, subscribeQuotes, refreshQuotes, stopQuoteStream,
+    QUOTE_INTERVAL_MS, liveQuoteOptions
+} from '../lib/quotes.js';
+import { cached, setCacheBackend, createMemoryBackend } from '../lib/cache.js';
+
+// Brasília = UTC-3; 19/10/2026 é uma segunda-feira
+const MIN = 60 * 1000;
+
+function fakeRes() {
+    const eventos = [];
+    return {
+        eventos,
+        write(chunk) {
+            const evento = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+            if (evento) eventos.push({ evento: evento[1], dados: JSON.parse(evento[2]) });
+        },
+        end() {}
+    };
+}
+
+test('pregão em dia útil das 10h às 18h de Brasília', () => {
+    assert.equal(isMarketOpen(new Date('2026-10-19T13:00:00Z')), true);
+    assert.equal(isMarketOpen(new Date('2026-10-19T12:59:00Z')), false);
+    assert.equal(isMarketOpen(new Date('2026-10-19T21:00:00Z')), false);
+    assert.equal(isMarketOpen(new Date('2026-10-17T15:00:00Z')), false); // sábado
+    assert.equal(msUntilOpen(new Date('2026-10-19T12:30:00Z')), 30 * MIN);
+    assert.equal(msUntilOpen(new Date('2026-10-16T21:00:00Z')), (2 * 24 * 60 + 16 * 60) * MIN); // sexta 18h -> segunda 10h
+});
+
+test('fora do pregão o intervalo dobra até o máximo, sem passar da abertura', () => {
+    const aberto = new Date('2026-10-19T15:00:00Z');
+    const noite = new Date('2026-10-19T23:00:00Z');
+    assert.equal(nextRefreshDelay(aberto, 5), QUOTE_INTERVAL_MS);
+    assert.equal(nextRefreshDelay(noite, 1), QUOTE_INTERVAL_MS * 2);
+    assert.equal(nextRefreshDelay(noite, 2), QUOTE_INTERVAL_MS * 4);
+    assert.equal(nextRefreshDelay(noite, 20), 60 * MIN);
+    assert.equal(nextRefreshDelay(new Date('2026-10-19T12:58:00Z'), 20), 2 * MIN);
+});
+
+test('validação dos tickers da conexão', () => {
+    assert.match(parseStreamTickers({}).error, /Informe/);
+    assert.match(parseStreamTickers({ tickers: 'PETR4,ABC-1' }).error, /inválido/);
+    assert.deepEqual(parseStreamTickers({ tickers: 'petr4, vale3,PETR4', tipo: 'fii' }).ativos,
+        [{ ticker: 'PETR4', tipo: 'fii' }, { ticker: 'VALE3', tipo: 'fii' }]);
+});
+
+test('envia só para quem acompanha o ativo e só quando o preço muda', async () => {
+    const precos = { PETR4: 38.1, VALE3: 60 };
+    const buscar = async (ticker, tipo) => ({ ticker, tipo, cotacao: `R$ ${precos[ticker]}`, valor: precos[ticker], fetchedAt: new Date() });
+    const petr = fakeRes();
+    const ambos = fakeRes();
+    const cancelarPetr = subscribeQuotes(petr, [{ ticker: 'PETR4', tipo: 'acao' }]);
+    subscribeQuotes(ambos, [{ ticker: 'PETR4', tipo: 'acao' }, { ticker: 'VALE3', tipo: 'acao' }]);
+    try {
+        assert.equal(petr.eventos[0].evento, 'mercado');
+
+        assert.deepEqual(await refreshQuotes(buscar), { ativos: 2, alteradas: 2 });
+        assert.deepEqual(petr.eventos.filter(e => e.evento === 'cotacao').map(e => e.dados.ticker), ['PETR4']);
+        assert.equal(ambos.eventos.filter(e => e.evento === 'cotacao').length, 2);
+
+        precos.PETR4 = 38.4;
+        assert.deepEqual(await refreshQuotes(buscar), { ativos: 2, alteradas: 1 });
+        const ultima = petr.eventos.at(-1).dados;
+        assert.equal(ultima.valor, 38.4);
+        assert.equal(ultima.anterior, 38.1);
+
+        // Quem conecta depois recebe a última cotação na hora
+        cancelarPetr();
+        const novo = fakeRes();
+        subscribeQuotes(novo, [{ ticker: 'PETR4', tipo: 'acao' }]);
+        assert.equal(novo.eventos.find(e => e.evento === 'cotacao').dados.valor, 38.4);
+        assert.deepEqual(await refreshQuotes(buscar), { ativos: 2, alteradas: 0 });
+    } finally {
+        stopQuoteStream();
+    }
+});
+
+test('no pregão a cotação vencida no cache espera o scraping em vez de ir como ao vivo', async () => {
+    const backend = createMemoryBackend();
+    setCacheBackend(backend);
+    try {
+        // Entrada de duas rodadas atrás: dentro da janela de stale de /buscar
+        await backend.set('acao:PETR4', { data: { cotacao: 'R$ 38,10' }, fetchedAt: Date.now() - 2 * QUOTE_INTERVAL_MS });
+        const scraping = async () => ({ cotacao: 'R$ 38,40' });
+
+        const aoVivo = await cached('acao', 'PETR4', scraping, () => true, liveQuoteOptions(true));
+        assert.equal(aoVivo.data.cotacao, 'R$ 38,40');
+        assert.equal(aoVivo.cacheHit, false);
+        assert.ok(Date.now() - aoVivo.fetchedAt.getTime() < QUOTE_INTERVAL_MS);
+
+        // /buscar continua servindo o cache dentro do TTL normal
+        await backend.set('acao:PETR4', { data: { cotacao: 'R$ 38,10' }, fetchedAt: Date.now() - 2 * QUOTE_INTERVAL_MS });
+        assert.equal((await cached('acao', 'PETR4', scraping)).data.cotacao, 'R$ 38,10');
+        assert.equal((await cached('acao', 'PETR4', scraping, () => true, liveQuoteOptions(false))).cacheHit, true);
+    } finally {
+        setCacheBackend(createMemoryBackend());
+    }
+});
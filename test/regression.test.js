@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { investidor10, investidor10Fii, xp, btg, investidor10Peers, parseHtml, validateScrape } from '../lib/providers/index.js';
+import { recordSelectorHealth, getSelectorHealth, resetSelectorHealth } from '../lib/providers/health.js';
+
+// Regressão dos parsers: cada fixture HTML tem o resultado esperado em <nome>.expected.json.
+// Depois de atualizar uma fixture de propósito, rode UPDATE_FIXTURES=1 npm test para regravar.
+const CASOS = [
+    [investidor10, 'investidor10-acao'],
+    [investidor10Fii, 'investidor10-fii'],
+    [xp, 'xp-acao'],
+    [btg, 'btg-acao'],
+    [investidor10Peers, 'investidor10-segmento']
+];
+
+const fixtureUrl = (nome) => new URL(`./fixtures/${nome}`, import.meta.url);
+const parseFixture = async (provider, nome) => parseHtml(provider, await readFile(fixtureUrl(`${nome}.html`), 'utf8'));
+
+for (const [provider, nome] of CASOS) {
+    test(`${nome}: parse igual ao esperado e sem campos críticos faltando`, async () => {
+        const data = await parseFixture(provider, nome);
+        if (process.env.UPDATE_FIXTURES) await writeFile(fixtureUrl(`${nome}.expected.json`), JSON.stringify(data, null, 2) + '\n');
+        const esperado = JSON.parse(await readFile(fixtureUrl(`${nome}.expected.json`), 'utf8'));
+        assert.deepEqual(data, esperado);
+        assert.deepEqual(validateScrape(provider, data).criticosFaltando, []);
+    });
+}
+
+test('todo campo do schema existe na saída do parse', async () => {
+    for (const [provider, nome] of CASOS) {
+        const data = await parseFixture(provider, nome);
+        for (const campo of [...Object.keys(provider.selectors), ...provider.criticalFields]) {
+            assert.ok(campo in data, `${provider.name}.${campo} não é devolvido pelo parse`);
+        }
+    }
+});
+
+test('layout alterado é sinalizado como incompleto', async () => {
+    const data = await parseFixture(investidor10, 'investidor10-acao-layout-novo');
+    const validacao = validateScrape(investidor10, data);
+    assert.equal(validacao.ok, false);
+    assert.equal(validacao.vazio, false);
+    assert.deepEqual(validacao.criticosFaltando, ['pl', 'pvp', 'lpa', 'vpa']);
+    assert.ok(validacao.faltando.includes('roe'));
+    assert.ok(!validacao.faltando.includes('cotacao'));
+});
+
+test('relatório de saúde marca campo quebrado após páginas seguidas sem ele', async (t) => {
+    const erros = t.mock.method(console, 'error', () => {});
+    resetSelectorHealth();
+    const boa = await parseFixture(investidor10, 'investidor10-acao');
+    const quebrada = await parseFixture(investidor10, 'investidor10-acao-layout-novo');
+
+    recordSelectorHealth(investidor10, 'PETR4', boa);
+    for (let i = 0; i < 5; i++) recordSelectorHealth(investidor10, 'PETR4', quebrada);
+    recordSelectorHealth(investidor10, 'XXXX3', { cotacao: null, pl: null });
+
+    const saude = getSelectorHealth([investidor10, xp]).investidor10;
+    assert.equal(saude.paginas, 7);
+    assert.equal(saude.paginasVazias, 1);
+    const quebrados = saude.quebrados.map(q => q.campo);
+    assert.ok(quebrados.includes('pl'));
+    assert.ok(!quebrados.includes('cotacao'));
+    assert.equal(saude.quebrados.find(q => q.campo === 'pl').seletor, '#table-indicators .cell "P/L"');
+    assert.ok(erros.mock.calls.some(c => /P\/L.*5 páginas seguidas/.test(c.arguments[0])));
+
+    // Uma página boa zera a sequência
+    recordSelectorHealth(investidor10, 'VALE3', boa);
+    assert.deepEqual(getSelectorHealth([investidor10]).investidor10.quebrados, []);
+    resetSelectorHealth();
+});
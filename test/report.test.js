@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reportToCsv, renderReportHtml, buildSections } from '../lib/report.js';
+import { buildValuationReport } from '../lib/valuation.js';
+
+const data = { cotacao: 'R$ 30,00', lpa: '3,00', vpa: '20,00', dy: '8,00%', dy5Anos: '7,50%', cagrLucros: '5,00%' };
+
+const report = {
+    ticker: 'TEST3',
+    tipo: 'acao',
+    titulo: 'Análise de TEST3',
+    geradoEm: new Date('2025-01-10T12:00:00Z'),
+    setor: 'Energia <Elétrica>',
+    secoes: [
+        { titulo: 'Múltiplos de Preço & Valor de Mercado', itens: [
+            { campo: 'cotacao', label: 'Cotação Atual', value: 'R$ 30,00', class: 'neutral', bruto: 'R$ 30,00', numero: 30 },
+            { campo: 'pl', label: 'P/L', value: '10,00', class: 'good', bruto: '10,00', numero: 10 }
+        ] },
+        { titulo: 'Valuation (Fórmulas Calculadas)', itens: [
+            { campo: 'valorJusto', label: 'Valor Justo (Graham)', value: 'R$ 36,74', class: 'good', bruto: null, numero: 36.74, warning: 'Graham; cuidado' }
+        ] }
+    ],
+    grahamWarning: 'Graham; cuidado',
+    valuation: buildValuationReport(data)
+};
+
+test('CSV do ativo tem uma linha por indicador com valor bruto e numérico', () => {
+    const linhas = reportToCsv(report).trim().split(/\r?\n/);
+    assert.equal(linhas[0], 'ticker,secao,campo,indicador,valor_bruto,valor_exibido,valor_numerico,classificacao');
+    assert.equal(linhas.length, 4);
+    assert.equal(linhas[1], 'TEST3,Múltiplos de Preço & Valor de Mercado,cotacao,Cotação Atual,"R$ 30,00","R$ 30,00",30,neutral');
+    assert.ok(linhas[3].startsWith('TEST3,Valuation (Fórmulas Calculadas),valorJusto,'));
+});
+
+test('valor numérico de montantes abreviados sai em reais', () => {
+    const bruto = { liquidezDiaria: 'R$ 7,12 M', numCotistas: '392.105', vacancia: '3,50%' };
+    const resposta = Object.fromEntries(Object.entries(bruto).map(([campo, value]) => [campo, { value, class: 'neutral' }]));
+    const [secao] = buildSections([['Fundo', [['liquidezDiaria', 'Liquidez Diária'], ['numCotistas', 'Nº de Cotistas'], ['vacancia', 'Vacância']]]], resposta, bruto);
+    assert.deepEqual(secao.itens.map(item => item.numero), [7120000, 392105, 3.5]);
+    const linhas = reportToCsv({ ticker: 'HGLG11', tipo: 'fii', secoes: [secao] }).trim().split(/\r?\n/);
+    assert.equal(linhas[1], 'HGLG11,Fundo,liquidezDiaria,Liquidez Diária,"R$ 7,12 M","R$ 7,12 M",7120000,neutral');
+});
+
+test('CSV da carteira inclui linha de total', () => {
+    const carteira = {
+        tipo: 'carteira',
+        resumo: {
+            posicoes: [{ ticker: 'PETR4', tipo: 'acao', quantidade: 10, precoMedio: 30, cotacao: 35, valorInvestido: 300, valorAtual: 350, lucro: 50, lucroPercentual: 16.67, lucroRealizado: 0 }],
+            total: { valorInvestido: 300, valorAtual: 350, lucro: 50, lucroPercentual: 16.67, lucroRealizado: 0, semCotacao: [] }
+        }
+    };
+    const linhas = reportToCsv(carteira).trim().split(/\r?\n/);
+    assert.equal(linhas.length, 3);
+    assert.ok(linhas[2].startsWith('TOTAL,'));
+});
+
+test('HTML do PDF traz aviso de Graham, gráfico SVG e escapa textos', () => {
+    const html = renderReportHtml(report);
+    assert.match(html, /<svg/);
+    assert.match(html, /class="warning">⚠ Graham; cuidado/);
+    assert.match(html, /Energia &lt;Elétrica&gt;/);
+    assert.doesNotMatch(html, /<Elétrica>/);
+});
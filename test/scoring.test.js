@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreFii, resolveFiiProfile } from '../lib/scoring.js';
+import { buildFiiResponse } from '../lib/analysis.js';
+
+test('segmento do Investidor10 define o perfil de limites', () => {
+    assert.equal(resolveFiiProfile('Logística', 'Fundo de Tijolo'), 'logistica');
+    assert.equal(resolveFiiProfile('Títulos e Val. Mob.', 'Fundo de papel'), 'papel');
+    assert.equal(resolveFiiProfile('Fundo de Fundos', null), 'fof');
+    assert.equal(resolveFiiProfile('Shoppings', 'Fundo de Tijolo'), 'shopping');
+    assert.equal(resolveFiiProfile('Híbrido', null), 'tijolo');
+});
+
+test('mesmo DY é bom para logística e neutro para papel', () => {
+    const base = { dy: '10,00%', pvp: '0,97', taxaAdm: '0,90% a.a.' };
+    const logistica = scoreFii({ ...base, segmento: 'Logística' });
+    const papel = scoreFii({ ...base, segmento: 'Títulos e Val. Mob.' });
+    assert.equal(logistica.classes.dy, 'good');
+    assert.equal(papel.classes.dy, 'neutral');
+    assert.equal(papel.classes.vacancia, 'neutral');
+    assert.ok(!papel.contribuicoes.some(c => c.campo === 'vacancia'));
+});
+
+test('score composto soma pesos e explica cada contribuição', () => {
+    const score = scoreFii({
+        segmento: 'Logística', dy: '9,00%', pvp: '1,20', vacancia: '2,00%',
+        liquidezDiaria: 'R$ 5,32 M', numCotistas: '1.200'
+    });
+    // dy +3, pvp -3, vacância +2, liquidez +1, cotistas -1 => 2 de 10
+    assert.equal(score.valor, 60);
+    assert.equal(score.classe, 'neutral');
+    const pvp = score.contribuicoes.find(c => c.campo === 'pvp');
+    assert.equal(pvp.pontos, -3);
+    assert.equal(pvp.motivo, '> 1,1 (ruim para Logística)');
+    const resposta = buildFiiResponse('hglg11', { cotacao: 'R$ 160,00', segmento: 'Logística', vacancia: '2,00%' });
+    assert.equal(resposta.vacancia.class, 'good');
+    assert.equal(resposta.score.perfil, 'logistica');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { buildScreenerRow, matchesFilters, rankRows } from '../lib/screener.js';
+import { buildSnapshot } from '../lib/history.js';
+import { DEFAULT_THRESHOLD_PROFILES, mergeThresholdProfile } from '../lib/thresholds.js';
+
+const expected = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('montantes "R$ x M" viram reais no snapshot e no filtro do screener', async () => {
+    const data = await expected('investidor10-fii.expected.json');
+    const snapshot = buildSnapshot('fii', data);
+    assert.equal(snapshot.liquidezDiaria, 7120000);
+    assert.equal(snapshot.valorPatrimonial, 5420000000);
+    assert.equal(snapshot.numCotistas, 392105);
+    assert.equal(snapshot.cotacao, 158.2);
+
+    const row = buildScreenerRow('hglg11', 'fii', data);
+    assert.equal(row.valores.liquidezDiaria, 7120000);
+    assert.ok(matchesFilters(row.valores, [{ campo: 'liquidezDiaria', operador: '>=', valor: 1000000 }]));
+
+    const pequeno = buildScreenerRow('xpto11', 'fii', { ...data, liquidezDiaria: 'R$ 850 Mil' });
+    assert.equal(pequeno.valores.liquidezDiaria, 850000);
+    assert.deepEqual(rankRows([pequeno, row], 'liquidezDiaria').map(r => r.ticker), ['HGLG11', 'XPTO11']);
+});
+
+test('classes do ranking seguem os limites ajustados pelo usuário', async () => {
+    const data = await expected('investidor10-acao.expected.json');
+    const perfis = {
+        ...DEFAULT_THRESHOLD_PROFILES,
+        padrao: mergeThresholdProfile(DEFAULT_THRESHOLD_PROFILES.padrao, { limites: { dy: { bom: 15, ruim: 13 } } })
+    };
+    assert.equal(buildScreenerRow('prio3', 'acao', data).classes.dy, 'good');
+    assert.equal(buildScreenerRow('prio3', 'acao', data, perfis).classes.dy, 'bad');
+});
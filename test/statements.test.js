@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeStatements, mergeStatements, computeGrowthSeries, computePiotroski, computeAltman, buildStatementsReport
+} from '../lib/statements.js';
+
+const B = 1e9;
+const ano = (a, contas) => ({
+    ano: a, receitaLiquida: null, lucroBruto: null, ebit: null, lucroLiquido: null, fluxoCaixaOperacional: null,
+    ativoTotal: null, ativoCirculante: null, passivoCirculante: null, passivoNaoCirculante: null, passivo: null,
+    patrimonioLiquido: null, lucrosRetidos: null, acoes: null, ...contas
+});
+
+test('converte o texto da página em números e deriva o passivo total', () => {
+    const [a2023, a2024] = normalizeStatements([
+        { ano: '2024', receitaLiquida: 'R$ 490,83 B', ativoTotal: 'R$ 1.166,40 B', passivoCirculante: 'R$ 176,60 B', passivoNaoCirculante: 'R$ 625,10 B', acoes: '13.044.496.930' },
+        { ano: '2023', lucroLiquido: '-R$ 1,50 M', ativoTotal: 'R$ 100,00 B', patrimonioLiquido: 'R$ 40,00 B' },
+        { ano: 'TTM', receitaLiquida: 'R$ 1,00 B' }
+    ]);
+    assert.equal(a2023.ano, 2023);
+    assert.equal(a2023.lucroLiquido, -1.5e6);
+    assert.equal(a2023.passivo, 60 * B);
+    assert.equal(a2024.receitaLiquida, 490.83 * B);
+    assert.equal(a2024.passivo, (176.6 + 625.1) * B);
+    assert.equal(a2024.acoes, 13044496930);
+});
+
+test('anos guardados no banco se somam aos lidos; no mesmo ano vale o dado novo', () => {
+    const guardados = normalizeStatements([{ ano: 2020, lucroLiquido: 5 }, { ano: 2021, lucroLiquido: 6, receitaLiquida: 60 }]);
+    const novos = normalizeStatements([{ ano: 2021, lucroLiquido: 7 }, { ano: 2022, lucroLiquido: 8 }]);
+    const anos = mergeStatements(guardados, novos);
+    assert.deepEqual(anos.map(a => [a.ano, a.lucroLiquido, a.receitaLiquida]), [[2020, 5, null], [2021, 7, 60], [2022, 8, null]]);
+});
+
+test('crescimento ano a ano só sobre base positiva', () => {
+    const series = computeGrowthSeries([ano(2022, { lucroLiquido: -10 }), ano(2023, { lucroLiquido: 20 }), ano(2024, { lucroLiquido: 25 })]);
+    assert.deepEqual(series.lucroLiquido.map(s => s.crescimento), [null, null, 25]);
+});
+
+test('Piotroski: empresa melhorando em tudo soma 9; critério sem dado sai do máximo', () => {
+    const anterior = ano(2023, {
+        receitaLiquida: 100, lucroBruto: 30, lucroLiquido: 5, fluxoCaixaOperacional: 8, ativoTotal: 200,
+        ativoCirculante: 50, passivoCirculante: 50, passivoNaoCirculante: 80, acoes: 10
+    });
+    const atual = ano(2024, {
+        receitaLiquida: 130, lucroBruto: 45, lucroLiquido: 12, fluxoCaixaOperacional: 15, ativoTotal: 210,
+        ativoCirculante: 70, passivoCirculante: 50, passivoNaoCirculante: 70, acoes: 10
+    });
+    const score = computePiotroski([anterior, atual]);
+    assert.equal(score.pontos, 9);
+    assert.equal(score.maximo, 9);
+    assert.equal(score.classe, 'good');
+
+    const semAcoes = computePiotroski([{ ...anterior, acoes: null }, { ...atual, lucroBruto: null, fluxoCaixaOperacional: -1 }]);
+    assert.equal(semAcoes.maximo, 7);
+    assert.equal(semAcoes.pontos, 5);
+    assert.equal(computePiotroski([atual]), null);
+});
+
+test('Altman usa valor de mercado quando há cotação e o patrimônio contábil quando não há', () => {
+    const anos = [ano(2024, {
+        receitaLiquida: 150, ebit: 20, ativoTotal: 100, ativoCirculante: 40, passivoCirculante: 20,
+        lucrosRetidos: 30, passivo: 50, patrimonioLiquido: 50, acoes: 10
+    })];
+    const mercado = computeAltman(anos, 12);
+    // 1,2*0,2 + 1,4*0,3 + 3,3*0,2 + 0,6*(120/50) + 1,0*1,5 = 4,26
+    assert.equal(mercado.modelo, 'Z');
+    assert.equal(mercado.z, 4.26);
+    assert.equal(mercado.zona, 'segura');
+
+    const contabil = computeAltman(anos);
+    assert.equal(contabil.modelo, 'Z\'');
+    assert.equal(contabil.z, 2.94);
+    assert.equal(contabil.zona, 'segura');
+    assert.equal(computeAltman([ano(2024, { ativoTotal: 100, passivo: 50 })], 12), null);
+});
+
+test('relatório avisa quando o setor é financeiro', () => {
+    const anos = normalizeStatements([{ ano: 2024, lucroLiquido: 1 }]);
+    assert.match(buildStatementsReport(anos, { segmento: 'Bancos' }).aviso, /não financeiras/);
+    assert.equal(buildStatementsReport(anos, { setor: 'Bens Industriais' }).aviso, null);
+    assert.equal(buildStatementsReport([], { segmento: 'Bancos' }).aviso, null);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeMonthlyTax, summarizeTaxYear, buildBensDireitos, darfDueDate, parseCarryoverInput } from '../lib/tax.js';
+
+let id = 0;
+const t = (trade_date, ticker, asset_type, operation, quantity, price, fees = 0) =>
+    ({ id: ++id, trade_date, ticker, asset_type, operation, quantity, price, fees });
+
+test('ações: vendas até R$ 20 mil no mês são isentas; acima disso paga 15%', () => {
+    const { meses } = computeMonthlyTax([
+        t('2025-01-10', 'PETR4', 'acao', 'compra', 1000, 30),
+        t('2025-02-10', 'PETR4', 'acao', 'venda', 500, 38),   // R$ 19.000 vendidos, lucro R$ 4.000
+        t('2025-03-10', 'PETR4', 'acao', 'venda', 500, 50)    // R$ 25.000 vendidos, lucro R$ 10.000
+    ]);
+    const [fev, mar] = meses;
+    assert.equal(fev.acao.lucroIsento, 4000);
+    assert.equal(fev.acao.imposto, 0);
+    assert.equal(fev.darf.situacao, 'sem imposto');
+    assert.equal(mar.acao.baseCalculo, 10000);
+    assert.equal(mar.acao.imposto, 1500);
+    assert.deepEqual(mar.darf, {
+        codigo: '6015', impostoMes: 1500, acumuladoAnterior: 0, valor: 1500, vencimento: '2025-04-30', situacao: 'pagar'
+    });
+});
+
+test('prejuízo é compensado só dentro da mesma categoria; FII paga 20% sem isenção', () => {
+    const apuracao = computeMonthlyTax([
+        t('2025-01-05', 'VALE3', 'acao', 'compra', 1000, 60),
+        t('2025-01-06', 'HGLG11', 'fii', 'compra', 100, 150),
+        t('2025-01-20', 'VALE3', 'acao', 'venda', 1000, 55),  // prejuízo de R$ 5.000 em ações
+        t('2025-02-10', 'HGLG11', 'fii', 'venda', 50, 170)     // R$ 1.000 de lucro em FII (vendas de R$ 8.500)
+    ], { acao: 0, fii: 200 });
+    const [jan, fev] = apuracao.meses;
+    assert.equal(jan.acao.prejuizoAcumulado, 5000);
+    assert.equal(fev.fii.prejuizoCompensado, 200);
+    assert.equal(fev.fii.baseCalculo, 800);
+    assert.equal(fev.fii.imposto, 160);
+    assert.equal(fev.acao.prejuizoAcumulado, 5000);
+    assert.deepEqual(apuracao.prejuizoAcumulado, { acao: 5000, fii: 0 });
+});
+
+test('taxas entram no custo e na venda; DARF abaixo de R$ 10 acumula para o mês seguinte', () => {
+    const { meses, darfPendente } = computeMonthlyTax([
+        t('2025-01-05', 'MXRF11', 'fii', 'compra', 100, 10, 5),  // custo médio 10,05
+        t('2025-01-20', 'MXRF11', 'fii', 'venda', 50, 11, 2.5),  // 550 - 2,5 - 502,5 = 45 -> R$ 9
+        t('2025-02-20', 'MXRF11', 'fii', 'venda', 50, 11, 2.5)   // mais R$ 9 -> R$ 18 a pagar
+    ]);
+    assert.equal(meses[0].fii.lucro, 45);
+    assert.equal(meses[0].darf.situacao, 'abaixo do mínimo');
+    assert.equal(meses[0].darf.valor, 0);
+    assert.equal(meses[1].darf.acumuladoAnterior, 9);
+    assert.equal(meses[1].darf.valor, 18);
+    assert.equal(darfPendente, 0);
+});
+
+test('resumo do ano soma só os meses do ano pedido', () => {
+    const apuracao = computeMonthlyTax([
+        t('2024-06-01', 'ITSA4', 'acao', 'compra', 2000, 10),
+        t('2024-12-10', 'ITSA4', 'acao', 'venda', 1000, 12),
+        t('2025-01-10', 'ITSA4', 'acao', 'venda', 1000, 13)
+    ]);
+    const ano = summarizeTaxYear(apuracao, 2025);
+    assert.equal(ano.meses.length, 1);
+    assert.equal(ano.totais.vendasAcoes, 13000);
+    assert.equal(ano.totais.lucroIsentoAcoes, 3000);
+    assert.equal(ano.totais.imposto, 0);
+});
+
+test('Bens e Direitos traz situação em 31/12 dos dois anos pelo custo', () => {
+    const bens = buildBensDireitos([
+        t('2024-03-01', 'PETR4', 'acao', 'compra', 100, 30, 10),
+        t('2025-02-01', 'PETR4', 'acao', 'compra', 100, 40),
+        t('2024-05-01', 'KNRI11', 'fii', 'compra', 10, 150),
+        t('2025-06-01', 'KNRI11', 'fii', 'venda', 10, 160),
+        t('2026-01-05', 'BBAS3', 'acao', 'compra', 10, 25)
+    ], 2025);
+    assert.deepEqual(bens.itens.map(i => i.ticker), ['KNRI11', 'PETR4']);
+    const petr = bens.itens.find(i => i.ticker === 'PETR4');
+    assert.equal(petr.grupo, '03');
+    assert.equal(petr.codigo, '01');
+    assert.equal(petr.situacaoAnterior, 3010);
+    assert.equal(petr.situacaoAtual, 7010);
+    assert.match(petr.discriminacao, /^200 ações de PETR4, ao custo médio de R\$ 35,05/);
+    const knri = bens.itens.find(i => i.ticker === 'KNRI11');
+    assert.equal(knri.grupo, '07');
+    assert.equal(knri.situacaoAnterior, 1500);
+    assert.equal(knri.situacaoAtual, 0);
+    assert.equal(bens.totalAtual, 7010);
+});
+
+test('vencimento do DARF cai no último dia útil do mês seguinte', () => {
+    assert.equal(darfDueDate('2025-04'), '2025-05-30'); // 31/05/2025 é sábado
+    assert.equal(darfDueDate('2025-12'), '2026-01-30');
+});
+
+test('validação de prejuízos anteriores', () => {
+    assert.deepEqual(parseCarryoverInput({ acao: '1500,50' }), { prejuizos: { acao: 1500.5, fii: 0 } });
+    assert.ok(parseCarryoverInput({ fii: -1 }).error);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_THRESHOLD_PROFILES, resolveThresholdProfile, classifyThreshold, mergeThresholdProfile, parseThresholdInput
+} from '../lib/thresholds.js';
+import { buildAcaoResponse, getGrahamWarning } from '../lib/analysis.js';
+
+test('segmento tem precedência sobre o setor; sem correspondência usa o padrão', () => {
+    assert.deepEqual(resolveThresholdProfile('Financeiro e Outros', 'Bancos'), { chave: 'bancos', origem: 'segmento', criterio: 'Bancos' });
+    assert.deepEqual(resolveThresholdProfile('Financeiro e Outros', 'Exploração de Imóveis'), { chave: 'financeiro', origem: 'setor', criterio: 'Financeiro e Outros' });
+    assert.equal(resolveThresholdProfile('UTILIDADE PUBLICA', null).chave, 'utilidades');
+    assert.deepEqual(resolveThresholdProfile('Consumo Cíclico', 'Tecidos'), { chave: 'padrao', origem: 'padrao', criterio: null });
+});
+
+test('classificação por direção, faixa e indicador desligado', () => {
+    const { limites } = DEFAULT_THRESHOLD_PROFILES.padrao;
+    assert.equal(classifyThreshold('pl', 8, limites), 'good');
+    assert.equal(classifyThreshold('pl', -3, limites), 'neutral');
+    assert.equal(classifyThreshold('pl', 25, limites), 'bad');
+    assert.equal(classifyThreshold('dy', 3, limites), 'bad');
+    assert.equal(classifyThreshold('payout', 50, limites), 'good');
+    assert.equal(classifyThreshold('payout', 90, limites), 'neutral');
+    assert.equal(classifyThreshold('payout', 120, limites), 'bad');
+    assert.equal(classifyThreshold('margemEbitda', 5, DEFAULT_THRESHOLD_PROFILES.bancos.limites), 'neutral');
+});
+
+test('/buscar classifica pelo perfil do segmento e informa qual foi aplicado', () => {
+    const banco = { cotacao: 'R$ 30,00', pl: '9,50', pvp: '1,80', margemEbitda: '5,00%', setor: 'Financeiro e Outros', segmento: 'Bancos' };
+    const resposta = buildAcaoResponse('itub4', banco);
+    assert.equal(resposta.pl.class, 'neutral');         // entre 8 e 12 para bancos (seria bom no padrão)
+    assert.equal(resposta.pvp.class, 'neutral');
+    assert.equal(resposta.margemEbitda.class, 'neutral');
+    assert.deepEqual(resposta.perfilLimites, { chave: 'bancos', label: 'Bancos', origem: 'segmento', criterio: 'Bancos', personalizado: false });
+    assert.equal(resposta.grahamWarning, 'Graham pode ser impreciso p/ setor');
+
+    const industria = buildAcaoResponse('wege3', { ...banco, setor: 'Bens Industriais', segmento: 'Motores' });
+    assert.equal(industria.pl.class, 'good');
+    assert.equal(industria.margemEbitda.class, 'bad');
+    assert.equal(industria.grahamWarning, null);
+});
+
+test('ajustes do usuário sobrescrevem só os indicadores enviados', () => {
+    const { error, override } = parseThresholdInput({ limites: { pl: { bom: '10', ruim: '15' }, roic: null }, grahamConfiavel: true });
+    assert.equal(error, undefined);
+    const perfis = { ...DEFAULT_THRESHOLD_PROFILES, bancos: mergeThresholdProfile(DEFAULT_THRESHOLD_PROFILES.bancos, override) };
+    const resposta = buildAcaoResponse('itub4', { cotacao: 'R$ 30,00', pl: '9,50', pvp: '1,10', segmento: 'Bancos' }, undefined, perfis);
+    assert.equal(resposta.pl.class, 'good');
+    assert.equal(resposta.pvp.class, 'good');
+    assert.equal(resposta.perfilLimites.personalizado, true);
+    assert.equal(getGrahamWarning({ segmento: 'Bancos' }, perfis), null);
+});
+
+test('validação dos limites enviados', () => {
+    assert.match(parseThresholdInput({}).error, /Informe/);
+    assert.match(parseThresholdInput({ limites: { ebit: { bom: 1, ruim: 2 } } }).error, /desconhecido/);
+    assert.match(parseThresholdInput({ limites: { toString: { bom: 1, ruim: 2 } } }).error, /desconhecido: toString/);
+    assert.match(parseThresholdInput({ limites: { constructor: { bom: 1, ruim: 1 } } }).error, /desconhecido: constructor/);
+    assert.match(parseThresholdInput(JSON.parse('{"limites":{"__proto__":{"bom":1,"ruim":2}}}')).error, /desconhecido: __proto__/);
+    assert.match(parseThresholdInput({ limites: { dy: { bom: 4, ruim: 6 } } }).error, /maior ou igual/);
+    assert.match(parseThresholdInput({ limites: { pvp: { bom: 2 } } }).error, /preencha/);
+    assert.match(parseThresholdInput({ limites: { payout: { min: 80, max: 50, ruim: 100 } } }).error, /mínimo/);
+    assert.match(parseThresholdInput({ limites: {}, grahamConfiavel: 'sim' }).error, /grahamConfiavel/);
+    assert.deepEqual(parseThresholdInput({ limites: { dy: { bom: '6,5', ruim: 4 } } }).override, { limites: { dy: { bom: 6.5, ruim: 4 } }, grahamConfiavel: null });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeValuations, buildValuationReport, parseValuationParams, DEFAULT_VALUATION_PARAMS
+} from '../lib/valuation.js';
+
+const dados = { cotacao: 'R$ 20,00', lpa: '2,00', vpa: '10,00', dy: '6,00%', dy5Anos: '9,00%', cagrLucros: '10,00%' };
+const perto = (atual, esperado) => assert.ok(Math.abs(atual - esperado) < 0.01, `${atual} != ${esperado}`);
+
+test('padrões mantêm Graham e Bazin 6% como antes', () => {
+    const v = computeValuations(dados);
+    perto(v.valorJusto, Math.sqrt(22.5 * 2 * 10));
+    perto(v.precoTeto, 20);
+    perto(v.bazin5Y, 30);
+    perto(v.valorRevisado, (2 * (8.5 + 2 * 10) * 4.4) / 5.5);
+});
+
+test('Gordon, DCF em dois estágios e Lynch', () => {
+    const v = computeValuations(dados);
+    // D1 = 1,20 × 1,03; k - g = 9%
+    perto(v.gordon, (1.2 * 1.03) / 0.09);
+    perto(v.lynch, 20);
+    let esperado = 0;
+    let fluxo = 2;
+    for (let ano = 1; ano <= 5; ano++) {
+        fluxo *= 1.1;
+        esperado += fluxo / 1.12 ** ano;
+    }
+    esperado += (fluxo * 1.03) / 0.09 / 1.12 ** 5;
+    perto(v.dcf, esperado);
+});
+
+test('premissas do usuário mudam os modelos e o label do Bazin', () => {
+    const { params } = parseValuationParams({ bazinYield: '8', growth: '4,5', dcfYears: '10' });
+    assert.equal(params.bazinYield, 8);
+    assert.equal(params.growth, 4.5);
+    const report = buildValuationReport(dados, params);
+    const bazin = report.modelos.find(m => m.id === 'precoTeto');
+    assert.equal(bazin.label, 'Preço Teto (Bazin 8% - 12M)');
+    assert.equal(bazin.value, 'R$ 15,00');
+    assert.equal(bazin.class, 'bad');
+    assert.equal(report.modelos.find(m => m.id === 'lynch').valor, 9);
+});
+
+test('lucro negativo deixa os modelos de lucro sem valor', () => {
+    const v = computeValuations({ ...dados, lpa: '-1,00' });
+    assert.equal(v.valorJusto, null);
+    assert.equal(v.dcf, null);
+    assert.equal(v.lynch, null);
+    assert.notEqual(v.gordon, null);
+});
+
+test('validação de premissas', () => {
+    assert.deepEqual(parseValuationParams({}).params, DEFAULT_VALUATION_PARAMS);
+    assert.ok(parseValuationParams({ bazinYield: 'abc' }).error);
+    assert.ok(parseValuationParams({ dcfYears: '2.5' }).error);
+    assert.ok(parseValuationParams({ discountRate: '3', terminalGrowth: '4' }).error);
+});